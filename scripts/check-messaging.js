@@ -0,0 +1,250 @@
+/**
+ * Comprobación de los envíos de mensajería contra los servidores locales
+ * Arranca el stub de Telegram Bot API y el mock de WhatsApp Cloud API,
+ * apunta los clientes de la aplicación a ellos y recorre los envíos de la
+ * cola (pre-alerta, alerta principal, seguimiento), la ventana de 24 horas
+ * de WhatsApp con plantillas y los errores 429. Termina con código 1 si
+ * alguna comprobación falla.
+ *
+ * Uso: node scripts/check-messaging.js
+ *      (usa MongoDB si está disponible o la base de datos local; el usuario
+ *      de prueba se borra al terminar)
+ */
+const appConfig = require('../src/config/app-config');
+const TelegramStubServer = require('./telegram-stub-server');
+const WhatsAppMockServer = require('./whatsapp-mock-server');
+
+const TELEGRAM_TOKEN = 'check-telegram-token';
+const WHATSAPP_TOKEN = 'check-whatsapp-token';
+const WHATSAPP_PHONE_ID = '100000000000000';
+
+class MessagingCheck {
+    constructor() {
+        this.telegramStub = new TelegramStubServer({ port: 0 });
+        this.whatsappMock = new WhatsAppMockServer({
+            port: 0,
+            token: WHATSAPP_TOKEN,
+            phoneNumberId: WHATSAPP_PHONE_ID,
+            autoStatus: false
+        });
+
+        this.results = [];  // {name, passed, detail}
+        this.user = null;
+    }
+
+    /**
+     * Ejecutar todas las comprobaciones
+     * @returns {Promise<boolean>} - true si todas pasan
+     */
+    async run() {
+        const telegramPort = await this.telegramStub.start();
+        const whatsappPort = await this.whatsappMock.start();
+
+        this.configureClients(telegramPort, whatsappPort);
+        this.loadModules();
+
+        try {
+            await this.userService.initialize();
+            this.user = await this.createUser();
+
+            await this.checkTelegram();
+            await this.checkWhatsApp();
+        } finally {
+            if (this.user) {
+                await this.userService.deleteUser(this.user.id || this.user._id.toString());
+            }
+            await this.telegramStub.stop();
+            await this.whatsappMock.stop();
+        }
+
+        this.printResults();
+        return this.results.every(result => result.passed);
+    }
+
+    /**
+     * Apuntar los clientes de Telegram y WhatsApp a los servidores locales
+     * (antes de cargarlos: leen la configuración al crearse)
+     * @param {number} telegramPort - Puerto del stub de Telegram
+     * @param {number} whatsappPort - Puerto del mock de WhatsApp
+     */
+    configureClients(telegramPort, whatsappPort) {
+        Object.assign(appConfig.telegram, {
+            enabled: true,
+            baseUrl: `http://127.0.0.1:${telegramPort}`,
+            token: TELEGRAM_TOKEN
+        });
+        process.env.TELEGRAM_BOT_TOKEN = TELEGRAM_TOKEN;
+
+        Object.assign(appConfig.whatsapp, {
+            enabled: true,
+            baseUrl: `http://127.0.0.1:${whatsappPort}`,
+            token: WHATSAPP_TOKEN,
+            phoneNumberId: WHATSAPP_PHONE_ID
+        });
+        process.env.ENABLE_WHATSAPP = 'true';
+        process.env.WHATSAPP_TOKEN = WHATSAPP_TOKEN;
+        process.env.WHATSAPP_PHONE_ID = WHATSAPP_PHONE_ID;
+        delete process.env.WHATSAPP_TEST_MODE;
+    }
+
+    /**
+     * Cargar los módulos de la aplicación ya configurados
+     */
+    loadModules() {
+        this.userService = require('../src/services/user-service');
+        this.userRepo = require('../src/db/repositories/user-repo');
+        this.outboundQueue = require('../src/messaging/outbound-queue');
+    }
+
+    /**
+     * Crear el usuario de prueba con Telegram vinculado
+     * @returns {Promise<Object>} - Usuario
+     */
+    async createUser() {
+        const phone = `+54911${String(Date.now()).slice(-8)}`;
+        const user = await this.userService.createUser({ name: 'Check mensajería', phone, plan: 'insider' });
+        const userId = user.id || user._id.toString();
+
+        await this.userRepo.updateUser(userId, { telegram: { chatId: '777000', linkedAt: new Date() } });
+        return this.userService.getUserById(userId);
+    }
+
+    /**
+     * Envíos por Telegram: pre-alerta, alerta con teclado, respuesta a la
+     * alerta, error 429 reintentable y usuario sin chat vinculado
+     */
+    async checkTelegram() {
+        const preAlert = await this.send('telegram', 'preAlert', '⚡ Atención: momento dorado en camino');
+        const sent = this.telegramStub.getRequests('sendMessage');
+        this.expect('telegram: pre-alerta enviada al chat vinculado',
+            preAlert.success && sent.length === 1 && String(sent[0].body.chat_id) === '777000', preAlert);
+        this.expect('telegram: token del bot en la URL', sent[0]?.token === TELEGRAM_TOKEN, sent[0]?.token);
+
+        const mainAlert = await this.send('telegram', 'mainAlert', '🔥 MOMENTO DORADO', { alertId: 'check-alert' });
+        const keyboard = this.telegramStub.getRequests('sendMessage')[1]?.body.reply_markup?.inline_keyboard;
+        this.expect('telegram: alerta principal con teclado', mainAlert.success && Array.isArray(keyboard), mainAlert);
+
+        const followUp = await this.send('telegram', 'followUp', '✅ Alerta acertada', { replyTo: mainAlert.messageId });
+        const replyTo = this.telegramStub.getRequests('sendMessage')[2]?.body.reply_to_message_id;
+        this.expect('telegram: seguimiento como respuesta a la alerta',
+            followUp.success && `777000:${replyTo}` === mainAlert.messageId, followUp);
+
+        this.telegramStub.failNext('sendMessage', 429);
+        const limited = await this.send('telegram', 'followUp', '✅ Alerta acertada');
+        this.expect('telegram: 429 devuelto como error reintentable',
+            limited.reason === 'send_error' && limited.status === 429 && this.outboundQueue.isRetryable(limited), limited);
+
+        await this.userService.unlinkTelegram(this.getUserId());
+        const unlinked = await this.send('telegram', 'preAlert', '⚡ Atención');
+        this.expect('telegram: usuario sin chat vinculado', unlinked.reason === 'not_linked', unlinked);
+    }
+
+    /**
+     * Envíos por WhatsApp: texto libre y botones dentro de la ventana de 24
+     * horas, plantilla fuera de ella, descarte sin plantilla y error 429
+     */
+    async checkWhatsApp() {
+        const userId = this.getUserId();
+        const phone = this.user.phone;
+        const goldenMoment = {
+            market: 'over05',
+            minute: 63,
+            teams: { home: { name: 'Boca Juniors' }, away: { name: 'River Plate' } },
+            odds: { value: 1.85 },
+            prediction: { probability: 0.72 }
+        };
+
+        // Ventana abierta: el usuario escribió hace un momento
+        await this.userRepo.updateUser(userId, { whatsapp: { lastInboundAt: new Date() } });
+        this.whatsappMock.openSession(phone);
+
+        const preAlert = await this.send('whatsapp', 'preAlert', '⚡ Atención: momento dorado en camino');
+        const text = this.whatsappMock.getRequests('text')[0];
+        this.expect('whatsapp: pre-alerta como texto libre en la ventana',
+            preAlert.success && preAlert.template === false && text?.body.to === phone, preAlert);
+        this.expect('whatsapp: token y número de la cuenta en la petición',
+            text?.authorization === `Bearer ${WHATSAPP_TOKEN}` && text?.phoneNumberId === WHATSAPP_PHONE_ID, text?.authorization);
+
+        const mainAlert = await this.send('whatsapp', 'mainAlert', '🔥 MOMENTO DORADO', { goldenMoment });
+        this.expect('whatsapp: alerta principal con botones en la ventana',
+            mainAlert.success && this.whatsappMock.getRequests('interactive').length === 1, mainAlert);
+
+        this.whatsappMock.failNext('text', 429);
+        const limited = await this.send('whatsapp', 'followUp', '✅ Alerta acertada');
+        this.expect('whatsapp: 429 devuelto como error reintentable',
+            limited.reason === 'send_error' && limited.status === 429 && this.outboundQueue.isRetryable(limited), limited);
+
+        // Ventana cerrada: último mensaje del usuario hace más de 24 horas
+        const lastInboundAt = new Date(Date.now() - appConfig.whatsapp.sessionWindow - 60000);
+        await this.userRepo.updateUser(userId, { whatsapp: { lastInboundAt } });
+        this.whatsappMock.reset();
+
+        const template = await this.send('whatsapp', 'mainAlert', '🔥 MOMENTO DORADO', { goldenMoment });
+        const accepted = this.whatsappMock.getMessages(phone);
+        this.expect('whatsapp: plantilla aprobada fuera de la ventana',
+            template.success && template.template === true && accepted.length === 1 && accepted[0].type === 'template', template);
+
+        const closed = await this.send('whatsapp', 'steamAlert', '📉 La cuota bajó de 2.10 a 1.85');
+        this.expect('whatsapp: sin plantilla fuera de la ventana no se envía',
+            closed.reason === 'session_closed' && this.whatsappMock.getRequests().length === 1, closed);
+    }
+
+    /**
+     * Enviar un mensaje como lo hace la cola (mismo reparto por tipo y canal)
+     * @param {string} channel - Canal
+     * @param {string} messageType - Tipo de mensaje
+     * @param {string} text - Texto
+     * @param {Object} options - Opciones del envío
+     * @returns {Promise<Object>} - Resultado del mensajero
+     */
+    async send(channel, messageType, text, options = {}) {
+        return this.outboundQueue.send({
+            userId: this.getUserId(),
+            channel,
+            messageType,
+            payload: { text, options }
+        });
+    }
+
+    /**
+     * Registrar el resultado de una comprobación
+     * @param {string} name - Descripción
+     * @param {boolean} passed - true si se cumple
+     * @param {*} detail - Dato a mostrar si falla
+     */
+    expect(name, passed, detail) {
+        this.results.push({ name, passed: !!passed, detail });
+    }
+
+    // ID del usuario de prueba (Mongo o base de datos local)
+    getUserId() {
+        return this.user.id || this.user._id.toString();
+    }
+
+    /**
+     * Mostrar el resultado de cada comprobación
+     */
+    printResults() {
+        for (const result of this.results) {
+            console.log(`${result.passed ? '✔' : '✘'} ${result.name}`);
+            if (!result.passed) {
+                console.log(`    ${JSON.stringify(result.detail)}`);
+            }
+        }
+
+        const failed = this.results.filter(result => !result.passed).length;
+        console.log(`\n${this.results.length - failed}/${this.results.length} comprobaciones correctas`);
+    }
+}
+
+module.exports = MessagingCheck;
+
+// Ejecución directa desde línea de comandos
+if (require.main === module) {
+    new MessagingCheck().run()
+        .then(passed => process.exit(passed ? 0 : 1))
+        .catch(error => {
+            console.error(`Error en la comprobación de mensajería: ${error.message}`);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,256 @@
+/**
+ * Servidor SMTP sink
+ * Acepta todos los correos sin entregarlos: los guarda en memoria (y
+ * opcionalmente como .eml en un directorio) para revisar los envíos de la
+ * aplicación en pruebas locales. Permite programar respuestas de error.
+ *
+ * Uso: SMTP_HOST=localhost SMTP_PORT=1025 ENABLE_EMAIL=true en la aplicación y
+ *      node scripts/smtp-sink-server.js [puerto] [directorio]
+ */
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const config = require('../src/config/app-config').email;
+
+class SmtpSinkServer {
+    constructor(options = {}) {
+        this.port = options.port ?? config.sinkPort;
+        this.outputDir = options.outputDir || null;
+        this.onMessage = options.onMessage || null; // Aviso por cada correo recibido
+
+        this.messages = [];  // Correos recibidos
+        this.failures = [];  // Errores programados ({code, count})
+        this.server = null;
+        this.sockets = new Set();
+    }
+
+    /**
+     * Atender una conexión SMTP
+     * @param {net.Socket} socket - Conexión del cliente
+     */
+    handleConnection(socket) {
+        this.sockets.add(socket);
+        socket.on('close', () => this.sockets.delete(socket));
+        socket.on('error', () => socket.destroy());
+        socket.setEncoding('utf8');
+
+        const reply = line => socket.write(`${line}\r\n`);
+        let buffer = '';
+        let envelope = { from: null, to: [] };
+        let inData = false;
+
+        reply('220 golazo-smtp-sink ESMTP');
+
+        socket.on('data', chunk => {
+            buffer += chunk;
+
+            while (buffer.length > 0) {
+                if (inData) {
+                    const end = buffer.indexOf('\r\n.\r\n');
+                    if (end === -1) return;
+
+                    const data = buffer.slice(0, end).replace(/^\.\./gm, '.');
+                    buffer = buffer.slice(end + 5);
+                    inData = false;
+
+                    const failure = this.takeFailure();
+                    if (failure) {
+                        reply(`${failure.code} Error simulado`);
+                    } else {
+                        const message = this.store(envelope, data);
+                        reply(`250 OK id=${message.id}`);
+                    }
+                    envelope = { from: null, to: [] };
+                    continue;
+                }
+
+                const end = buffer.indexOf('\r\n');
+                if (end === -1) return;
+
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                const command = line.split(' ')[0].toUpperCase();
+
+                switch (command) {
+                    case 'EHLO':
+                        reply('250-golazo-smtp-sink');
+                        reply('250-AUTH PLAIN');
+                        reply('250 8BITMIME');
+                        break;
+                    case 'HELO':
+                        reply('250 golazo-smtp-sink');
+                        break;
+                    case 'AUTH':
+                        reply('235 Autenticado');
+                        break;
+                    case 'MAIL':
+                        envelope.from = this.parseAddress(line);
+                        reply('250 OK');
+                        break;
+                    case 'RCPT':
+                        envelope.to.push(this.parseAddress(line));
+                        reply('250 OK');
+                        break;
+                    case 'DATA':
+                        inData = true;
+                        reply('354 Fin de datos con <CRLF>.<CRLF>');
+                        break;
+                    case 'RSET':
+                        envelope = { from: null, to: [] };
+                        reply('250 OK');
+                        break;
+                    case 'NOOP':
+                        reply('250 OK');
+                        break;
+                    case 'QUIT':
+                        reply('221 Adiós');
+                        socket.end();
+                        return;
+                    default:
+                        reply('502 Comando no implementado');
+                }
+            }
+        });
+    }
+
+    /**
+     * Guardar un correo recibido
+     * @param {Object} envelope - {from, to}
+     * @param {string} raw - Mensaje completo (cabeceras y cuerpo)
+     * @returns {Object} - Correo guardado
+     */
+    store(envelope, raw) {
+        const message = {
+            id: this.messages.length + 1,
+            from: envelope.from,
+            to: envelope.to,
+            subject: this.decodeHeader(this.getHeader(raw, 'Subject')),
+            text: this.getPart(raw, 'text/plain'),
+            html: this.getPart(raw, 'text/html'),
+            raw,
+            receivedAt: new Date()
+        };
+        this.messages.push(message);
+
+        if (this.outputDir) {
+            fs.mkdirSync(this.outputDir, { recursive: true });
+            fs.writeFileSync(path.join(this.outputDir, `${Date.now()}-${message.id}.eml`), raw);
+        }
+
+        if (this.onMessage) this.onMessage(message);
+
+        return message;
+    }
+
+    /**
+     * Programar errores para los próximos correos
+     * @param {number} code - Código SMTP (4xx transitorio, 5xx definitivo)
+     * @param {number} count - Número de correos que fallarán
+     */
+    failNext(code = 451, count = 1) {
+        this.failures.push({ code, count });
+    }
+
+    /**
+     * Consumir un error programado
+     * @returns {Object|null} - Error o null
+     */
+    takeFailure() {
+        const failure = this.failures.find(f => f.count > 0);
+        if (!failure) return null;
+
+        failure.count--;
+        this.failures = this.failures.filter(f => f.count > 0);
+        return failure;
+    }
+
+    // Obtener valor de una cabecera del mensaje
+    getHeader(raw, name) {
+        const match = new RegExp(`^${name}: (.*)$`, 'mi').exec(raw.split('\r\n\r\n')[0]);
+        return match ? match[1] : null;
+    }
+
+    // Decodificar cabecera RFC 2047 en base64
+    decodeHeader(value) {
+        if (!value) return value;
+        return value.replace(/=\?UTF-8\?B\?([^?]+)\?=/gi, (_, encoded) => Buffer.from(encoded, 'base64').toString('utf8'));
+    }
+
+    // Obtener y decodificar una parte del mensaje multipart
+    getPart(raw, type) {
+        const regex = new RegExp(`Content-Type: ${type}[^\\r\\n]*\\r\\nContent-Transfer-Encoding: base64\\r\\n\\r\\n([A-Za-z0-9+/=\\r\\n]+)`, 'i');
+        const match = regex.exec(raw);
+        return match ? Buffer.from(match[1].replace(/\r\n/g, ''), 'base64').toString('utf8') : null;
+    }
+
+    // Extraer dirección de MAIL FROM:<...> / RCPT TO:<...>
+    parseAddress(line) {
+        const match = /<([^>]*)>/.exec(line);
+        return match ? match[1] : line.split(':').slice(1).join(':').trim();
+    }
+
+    /**
+     * Obtener correos recibidos (opcionalmente de un destinatario)
+     * @param {string} to - Destinatario
+     * @returns {Array} - Correos
+     */
+    getMessages(to = null) {
+        return to ? this.messages.filter(message => message.to.includes(to)) : this.messages;
+    }
+
+    /**
+     * Borrar correos y errores programados
+     */
+    reset() {
+        this.messages = [];
+        this.failures = [];
+    }
+
+    /**
+     * Iniciar servidor
+     * @returns {Promise<number>} - Puerto en uso
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = net.createServer(socket => this.handleConnection(socket));
+            this.server.on('error', reject);
+            this.server.listen(this.port, () => {
+                this.port = this.server.address().port;
+                resolve(this.port);
+            });
+        });
+    }
+
+    /**
+     * Detener servidor
+     * @returns {Promise<void>}
+     */
+    stop() {
+        return new Promise(resolve => {
+            if (!this.server) return resolve();
+            this.sockets.forEach(socket => socket.destroy());
+            this.server.close(() => resolve());
+            this.server = null;
+        });
+    }
+}
+
+module.exports = SmtpSinkServer;
+
+// Ejecución directa desde línea de comandos
+if (require.main === module) {
+    const port = process.argv[2] ? parseInt(process.argv[2]) : undefined;
+    const outputDir = process.argv[3] || null;
+    const sink = new SmtpSinkServer({
+        port,
+        outputDir,
+        onMessage: message => console.log(
+            `[${message.receivedAt.toISOString()}] ${message.from} -> ${message.to.join(', ')}: ${message.subject}`
+        )
+    });
+
+    sink.start().then(activePort => {
+        console.log(`Sink SMTP escuchando en localhost:${activePort}`);
+        if (outputDir) console.log(`Correos guardados en ${outputDir}`);
+    });
+}
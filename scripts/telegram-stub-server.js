@@ -0,0 +1,218 @@
+/**
+ * Servidor stub de Telegram Bot API
+ * Sustituye a api.telegram.org en pruebas locales: registra las peticiones
+ * del bot, responde como la API real y permite simular pulsaciones de botones
+ * y mensajes de usuarios contra el webhook de la aplicación.
+ *
+ * Uso: TELEGRAM_API_URL=http://localhost:8081 en la aplicación y
+ *      node scripts/telegram-stub-server.js [puerto] [urlWebhook]
+ */
+const express = require('express');
+const axios = require('axios');
+const config = require('../src/config/app-config').telegram;
+
+class TelegramStubServer {
+    constructor(options = {}) {
+        this.port = options.port ?? config.stubPort;
+        this.webhookUrl = options.webhookUrl || null;
+        this.webhookSecret = options.webhookSecret || config.webhookSecret || null;
+
+        this.requests = [];     // Peticiones recibidas del bot
+        this.failures = [];     // Errores programados ({method, status, count})
+        this.nextMessageId = 1;
+        this.nextUpdateId = 1;
+        this.server = null;
+
+        this.app = express();
+        this.app.use(express.json());
+        this.registerRoutes();
+    }
+
+    /**
+     * Rutas de la API del bot y de control del stub
+     */
+    registerRoutes() {
+        // Control del stub: peticiones registradas
+        this.app.get('/_requests', (req, res) => res.json(this.requests));
+        this.app.delete('/_requests', (req, res) => {
+            this.reset();
+            res.json({ ok: true });
+        });
+
+        // Control del stub: programar errores (p. ej. {method: 'sendMessage', status: 429, count: 2})
+        this.app.post('/_fail', (req, res) => {
+            this.failNext(req.body.method, req.body.status, req.body.count);
+            res.json({ ok: true });
+        });
+
+        // Control del stub: enviar una actualización al webhook de la aplicación
+        this.app.post('/_updates', async (req, res) => {
+            try {
+                const update = await this.sendUpdate(req.body);
+                res.json({ ok: true, update });
+            } catch (error) {
+                res.status(502).json({ ok: false, description: error.message });
+            }
+        });
+
+        // API del bot: /bot<token>/<método>
+        this.app.post('/bot:token/:method', (req, res) => {
+            const { method } = req.params;
+            const body = req.body || {};
+            this.requests.push({ method, token: req.params.token, body, receivedAt: new Date() });
+
+            const failure = this.takeFailure(method);
+            if (failure) {
+                return res.status(failure.status).json({
+                    ok: false,
+                    error_code: failure.status,
+                    description: failure.status === 429 ? 'Too Many Requests: retry after 1' : 'Stub error',
+                    parameters: failure.status === 429 ? { retry_after: 1 } : undefined
+                });
+            }
+
+            res.json({ ok: true, result: this.buildResult(method, body) });
+        });
+    }
+
+    /**
+     * Construir respuesta de un método de la API
+     * @param {string} method - Método llamado
+     * @param {Object} body - Parámetros
+     * @returns {*} - Campo result de la respuesta
+     */
+    buildResult(method, body) {
+        switch (method) {
+            case 'sendMessage':
+                return {
+                    message_id: this.nextMessageId++,
+                    date: Math.floor(Date.now() / 1000),
+                    chat: { id: Number(body.chat_id) || body.chat_id, type: 'private' },
+                    text: body.text,
+                    reply_markup: body.reply_markup
+                };
+            case 'getMe':
+                return { id: 1, is_bot: true, first_name: 'GolazoAlerts', username: config.botUsername || 'golazo_stub_bot' };
+            default:
+                // answerCallbackQuery, setWebhook y demás devuelven true
+                return true;
+        }
+    }
+
+    /**
+     * Programar errores para las próximas llamadas a un método
+     * @param {string} method - Método (o '*' para cualquiera)
+     * @param {number} status - Código HTTP
+     * @param {number} count - Número de llamadas que fallarán
+     */
+    failNext(method = '*', status = 500, count = 1) {
+        this.failures.push({ method, status, count });
+    }
+
+    /**
+     * Consumir un error programado para un método
+     * @param {string} method - Método llamado
+     * @returns {Object|null} - Error o null
+     */
+    takeFailure(method) {
+        const failure = this.failures.find(f => f.count > 0 && (f.method === method || f.method === '*'));
+        if (!failure) return null;
+
+        failure.count--;
+        this.failures = this.failures.filter(f => f.count > 0);
+        return failure;
+    }
+
+    /**
+     * Enviar una actualización al webhook de la aplicación
+     * @param {Object} data - {chatId, text} para mensajes o {chatId, data, messageId} para botones
+     * @returns {Promise<Object>} - Actualización enviada
+     */
+    async sendUpdate(data) {
+        if (!this.webhookUrl) {
+            throw new Error('URL del webhook no configurada');
+        }
+
+        const from = { id: Number(data.chatId), is_bot: false, first_name: 'Stub', username: data.username };
+        const chat = { id: Number(data.chatId), type: 'private' };
+        const update = { update_id: this.nextUpdateId++ };
+
+        if (data.data) {
+            update.callback_query = {
+                id: String(update.update_id),
+                from,
+                data: data.data,
+                message: data.messageId ? { message_id: Number(data.messageId), chat } : undefined
+            };
+        } else {
+            update.message = {
+                message_id: this.nextMessageId++,
+                date: Math.floor(Date.now() / 1000),
+                from,
+                chat,
+                text: data.text
+            };
+        }
+
+        const headers = this.webhookSecret ? { 'X-Telegram-Bot-Api-Secret-Token': this.webhookSecret } : {};
+        await axios.post(this.webhookUrl, update, { headers });
+        return update;
+    }
+
+    /**
+     * Obtener peticiones registradas de un método
+     * @param {string} method - Método (todos si se omite)
+     * @returns {Array} - Peticiones
+     */
+    getRequests(method = null) {
+        return method ? this.requests.filter(request => request.method === method) : this.requests;
+    }
+
+    /**
+     * Borrar peticiones y errores programados
+     */
+    reset() {
+        this.requests = [];
+        this.failures = [];
+    }
+
+    /**
+     * Iniciar servidor
+     * @returns {Promise<number>} - Puerto en uso
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = this.app.listen(this.port, () => {
+                this.port = this.server.address().port;
+                resolve(this.port);
+            });
+            this.server.on('error', reject);
+        });
+    }
+
+    /**
+     * Detener servidor
+     * @returns {Promise<void>}
+     */
+    stop() {
+        return new Promise(resolve => {
+            if (!this.server) return resolve();
+            this.server.close(() => resolve());
+            this.server = null;
+        });
+    }
+}
+
+module.exports = TelegramStubServer;
+
+// Ejecución directa desde línea de comandos
+if (require.main === module) {
+    const port = process.argv[2] ? parseInt(process.argv[2]) : undefined;
+    const webhookUrl = process.argv[3] || `http://localhost:${process.env.PORT || 3000}/webhooks/telegram`;
+    const stub = new TelegramStubServer({ port, webhookUrl });
+
+    stub.start().then(activePort => {
+        console.log(`Stub de Telegram Bot API escuchando en http://localhost:${activePort}`);
+        console.log(`Webhook de la aplicación: ${webhookUrl}`);
+    });
+}
@@ -0,0 +1,507 @@
+/**
+ * Servidor mock de WhatsApp Cloud API
+ * Sustituye a graph.facebook.com en pruebas locales: registra los envíos de
+ * la aplicación, responde como la API real y aplica sus reglas (plantillas
+ * aprobadas y ventana de 24 horas). Envía al webhook de la aplicación los
+ * estados de entrega y permite simular mensajes y botones de los usuarios.
+ *
+ * Uso: WHATSAPP_API_URL=http://localhost:8082 ENABLE_WHATSAPP=true en la aplicación y
+ *      node scripts/whatsapp-mock-server.js [puerto] [urlWebhook]
+ */
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+const config = require('../src/config/app-config').whatsapp;
+
+class WhatsAppMockServer {
+    constructor(options = {}) {
+        this.port = options.port ?? config.mockPort;
+        this.webhookUrl = options.webhookUrl || null;
+        this.appSecret = options.appSecret || config.appSecret || null;
+        this.token = options.token || config.token || null; // Sin token no se comprueba la cabecera
+        this.phoneNumberId = options.phoneNumberId || config.phoneNumberId || '100000000000000';
+        this.autoStatus = options.autoStatus ?? true;     // Enviar sent/delivered tras cada envío
+        this.statusDelay = options.statusDelay ?? 100;    // Espera antes de cada estado automático
+        this.templates = options.templates || this.buildApprovedTemplates();
+
+        this.requests = [];             // Peticiones recibidas de la aplicación
+        this.messages = new Map();      // Mensajes aceptados por ID
+        this.sessions = new Map();      // Último mensaje entrante por wa_id (ventana de 24 horas)
+        this.failures = [];             // Errores programados ({type, status, count})
+        this.timers = new Set();
+        this.server = null;
+
+        this.app = express();
+        this.app.use(express.json());
+        this.registerRoutes();
+    }
+
+    /**
+     * Plantillas aprobadas a partir de la configuración de la aplicación
+     * @returns {Object} - {nombre: {language, parameters, buttons}}
+     */
+    buildApprovedTemplates() {
+        const templates = {};
+        for (const key of ['preAlert', 'mainAlert', 'followUp']) {
+            const template = config.templates[key];
+            if (!template?.name) continue;
+
+            templates[template.name] = {
+                language: config.templates.language,
+                parameters: (template.parameters || []).length,
+                buttons: (template.buttons || []).length
+            };
+        }
+        return templates;
+    }
+
+    /**
+     * Rutas de la API y de control del mock
+     */
+    registerRoutes() {
+        // Control del mock: peticiones registradas
+        this.app.get('/_requests', (req, res) => res.json(this.requests));
+        this.app.delete('/_requests', (req, res) => {
+            this.reset();
+            res.json({ ok: true });
+        });
+
+        // Control del mock: mensajes aceptados con su historial de estados
+        this.app.get('/_messages', (req, res) => res.json(this.getMessages(req.query.to)));
+
+        // Control del mock: programar errores (p. ej. {type: 'template', status: 429, count: 2})
+        this.app.post('/_fail', (req, res) => {
+            this.failNext(req.body.type, req.body.status, req.body.count);
+            res.json({ ok: true });
+        });
+
+        // Control del mock: mensaje o botón de un usuario hacia el webhook
+        this.app.post('/_inbound', async (req, res) => {
+            try {
+                const message = await this.sendInbound(req.body);
+                res.json({ ok: true, message });
+            } catch (error) {
+                res.status(502).json({ ok: false, error: error.message });
+            }
+        });
+
+        // Control del mock: estado de entrega de un mensaje hacia el webhook
+        this.app.post('/_status', async (req, res) => {
+            try {
+                const status = await this.sendStatus(req.body.id, req.body.status, req.body.errorCode);
+                res.json({ ok: true, status });
+            } catch (error) {
+                res.status(502).json({ ok: false, error: error.message });
+            }
+        });
+
+        // API: envío de mensajes
+        this.app.post('/:version/:phoneNumberId/messages', (req, res) => {
+            const body = req.body || {};
+            this.requests.push({
+                version: req.params.version,
+                phoneNumberId: req.params.phoneNumberId,
+                authorization: req.get('Authorization') || null,
+                body,
+                receivedAt: new Date()
+            });
+
+            if (this.token && req.get('Authorization') !== `Bearer ${this.token}`) {
+                return this.sendError(res, 401, 190, 'Invalid OAuth access token.');
+            }
+
+            const failure = this.takeFailure(body.type);
+            if (failure) {
+                return failure.status === 429
+                    ? this.sendError(res, 429, 130429, 'Rate limit hit', 'Cloud API message throughput has been reached.')
+                    : this.sendError(res, failure.status, 131000, 'Something went wrong', 'Error simulado');
+            }
+
+            const invalid = this.validateMessage(body);
+            if (invalid) {
+                return this.sendError(res, 400, invalid.code, invalid.message, invalid.details);
+            }
+
+            res.json(this.accept(body));
+        });
+
+        // API: consulta de un mensaje enviado
+        this.app.get('/:version/:phoneNumberId/messages/:id', (req, res) => {
+            const message = this.messages.get(req.params.id);
+            if (!message) {
+                return this.sendError(res, 404, 100, 'Invalid parameter', `Mensaje ${req.params.id} inexistente`);
+            }
+            res.json({ id: message.id, status: message.status, statuses: message.statuses });
+        });
+    }
+
+    /**
+     * Validar un envío según las reglas de la API
+     * @param {Object} body - Cuerpo del envío
+     * @returns {Object|null} - {code, message, details} o null si es válido
+     */
+    validateMessage(body) {
+        if (body.messaging_product !== 'whatsapp') {
+            return { code: 100, message: 'Invalid parameter', details: 'messaging_product debe ser "whatsapp"' };
+        }
+        if (!body.to) {
+            return { code: 100, message: 'Invalid parameter', details: 'Falta el parámetro to' };
+        }
+
+        switch (body.type) {
+            case 'text':
+                return body.text?.body ? null : { code: 100, message: 'Invalid parameter', details: 'Falta text.body' };
+            case 'interactive':
+                return body.interactive?.body?.text ? null : { code: 100, message: 'Invalid parameter', details: 'Falta interactive.body.text' };
+            case 'template':
+                return this.validateTemplate(body.template);
+            default:
+                return { code: 100, message: 'Invalid parameter', details: `Tipo de mensaje no soportado: ${body.type}` };
+        }
+    }
+
+    /**
+     * Validar una plantilla contra las aprobadas (nombre, idioma y parámetros)
+     * @param {Object} template - {name, language: {code}, components}
+     * @returns {Object|null} - Error o null si es válida
+     */
+    validateTemplate(template = {}) {
+        const approved = this.templates[template.name];
+        if (!approved || approved.language !== template.language?.code) {
+            return {
+                code: 132001,
+                message: 'Template name does not exist in the translation',
+                details: `template name (${template.name}) does not exist in ${template.language?.code}`
+            };
+        }
+
+        const components = template.components || [];
+        const parameters = components.find(component => component.type === 'body')?.parameters || [];
+        const buttons = components.filter(component => component.type === 'button');
+
+        if (parameters.length !== approved.parameters || buttons.length !== approved.buttons) {
+            return {
+                code: 132000,
+                message: 'Number of parameters does not match the expected number of params',
+                details: `body: esperados ${approved.parameters}, recibidos ${parameters.length}; ` +
+                    `botones: esperados ${approved.buttons}, recibidos ${buttons.length}`
+            };
+        }
+
+        // Los parámetros no pueden tener saltos de línea, tabulaciones ni más de 4 espacios seguidos
+        const invalid = parameters.find(parameter => /[\n\t]| {5,}/.test(parameter.text || ''));
+        if (invalid) {
+            return { code: 132018, message: 'There was an issue with the parameters in your template.', details: invalid.text };
+        }
+
+        return null;
+    }
+
+    /**
+     * Aceptar un envío y programar sus estados de entrega
+     * Como en la API real, el texto libre fuera de la ventana de 24 horas se
+     * acepta pero llega después un estado "failed" con el error 131047
+     * @param {Object} body - Cuerpo del envío
+     * @returns {Object} - Respuesta de la API
+     */
+    accept(body) {
+        const waId = this.toWaId(body.to);
+        const id = `wamid.${crypto.randomBytes(12).toString('hex')}`;
+        const sessionOpen = this.isSessionOpen(waId);
+
+        this.messages.set(id, {
+            id,
+            to: waId,
+            type: body.type,
+            payload: body,
+            sessionOpen,
+            status: 'accepted',
+            statuses: [],
+            acceptedAt: new Date()
+        });
+
+        if (body.type !== 'template' && !sessionOpen) {
+            this.scheduleStatus(id, 'failed', 131047);
+        } else if (this.autoStatus) {
+            this.scheduleStatus(id, 'sent');
+            this.scheduleStatus(id, 'delivered', null, 2);
+        }
+
+        const response = {
+            messaging_product: 'whatsapp',
+            contacts: [{ input: body.to, wa_id: waId }],
+            messages: [{ id }]
+        };
+        if (body.type === 'template') {
+            response.messages[0].message_status = 'accepted';
+        }
+        return response;
+    }
+
+    /**
+     * Responder con un error en formato Graph API
+     * @param {Object} res - Respuesta de Express
+     * @param {number} status - Código HTTP
+     * @param {number} code - Código de error de WhatsApp
+     * @param {string} message - Mensaje del error
+     * @param {string} details - Detalle del error
+     */
+    sendError(res, status, code, message, details = message) {
+        res.status(status).json({
+            error: {
+                message: `(#${code}) ${message}`,
+                type: status === 401 ? 'OAuthException' : 'GraphMethodException',
+                code,
+                error_data: { messaging_product: 'whatsapp', details },
+                fbtrace_id: crypto.randomBytes(8).toString('hex')
+            }
+        });
+    }
+
+    /**
+     * Programar un estado de entrega hacia el webhook
+     * @param {string} id - ID del mensaje
+     * @param {string} status - sent, delivered, read o failed
+     * @param {number} errorCode - Código de error (solo failed)
+     * @param {number} step - Múltiplo de la espera configurada
+     */
+    scheduleStatus(id, status, errorCode = null, step = 1) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            this.sendStatus(id, status, errorCode).catch(() => {});
+        }, this.statusDelay * step);
+        this.timers.add(timer);
+    }
+
+    /**
+     * Registrar un estado de un mensaje y notificarlo al webhook
+     * @param {string} id - ID del mensaje
+     * @param {string} status - sent, delivered, read o failed
+     * @param {number} errorCode - Código de error (solo failed)
+     * @returns {Promise<Object>} - Estado enviado
+     */
+    async sendStatus(id, status, errorCode = null) {
+        const message = this.messages.get(id);
+        if (!message) {
+            throw new Error(`Mensaje ${id} inexistente`);
+        }
+
+        const entry = {
+            id,
+            status,
+            timestamp: String(Math.floor(Date.now() / 1000)),
+            recipient_id: message.to
+        };
+        if (status === 'failed') {
+            const code = errorCode || 131000;
+            entry.errors = [{
+                code,
+                title: code === 131047 ? 'Re-engagement message' : 'Something went wrong',
+                message: code === 131047
+                    ? 'More than 24 hours have passed since the recipient last replied to the sender number.'
+                    : 'Error simulado'
+            }];
+        }
+
+        message.status = status;
+        message.statuses.push(entry);
+
+        if (this.webhookUrl) {
+            await this.notify({ statuses: [entry] });
+        }
+        return entry;
+    }
+
+    /**
+     * Enviar un mensaje de un usuario al webhook (abre la ventana de 24 horas)
+     * @param {Object} data - {from, text} para texto, {from, buttonId, title, contextId}
+     *                        para botones interactivos o {from, payload, title, contextId}
+     *                        para respuestas rápidas de plantilla
+     * @returns {Promise<Object>} - Mensaje enviado
+     */
+    async sendInbound(data) {
+        if (!data.from) {
+            throw new Error('Falta el número del usuario (from)');
+        }
+
+        const waId = this.toWaId(data.from);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const message = {
+            from: waId,
+            id: `wamid.${crypto.randomBytes(12).toString('hex')}`,
+            timestamp: String(timestamp)
+        };
+
+        if (data.contextId) {
+            message.context = { from: this.phoneNumberId, id: data.contextId };
+        }
+
+        if (data.buttonId) {
+            message.type = 'interactive';
+            message.interactive = { type: 'button_reply', button_reply: { id: data.buttonId, title: data.title || data.buttonId } };
+        } else if (data.payload) {
+            message.type = 'button';
+            message.button = { payload: data.payload, text: data.title || data.payload };
+        } else {
+            message.type = 'text';
+            message.text = { body: data.text || '' };
+        }
+
+        this.openSession(waId, new Date(timestamp * 1000));
+
+        if (this.webhookUrl) {
+            await this.notify({
+                contacts: [{ profile: { name: data.name || 'Mock' }, wa_id: waId }],
+                messages: [message]
+            });
+        }
+        return message;
+    }
+
+    /**
+     * Enviar una notificación firmada al webhook de la aplicación
+     * @param {Object} value - Contenido del cambio (messages o statuses)
+     */
+    async notify(value) {
+        const body = JSON.stringify({
+            object: 'whatsapp_business_account',
+            entry: [{
+                id: 'mock-waba',
+                changes: [{
+                    field: 'messages',
+                    value: {
+                        messaging_product: 'whatsapp',
+                        metadata: { display_phone_number: '15550000000', phone_number_id: this.phoneNumberId },
+                        ...value
+                    }
+                }]
+            }]
+        });
+
+        // La firma se calcula sobre el cuerpo exacto que se envía
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.appSecret) {
+            headers['X-Hub-Signature-256'] = `sha256=${crypto.createHmac('sha256', this.appSecret).update(body).digest('hex')}`;
+        }
+
+        await axios.post(this.webhookUrl, body, { headers });
+    }
+
+    /**
+     * Abrir (o renovar) la ventana de 24 horas de un usuario
+     * @param {string} phone - Número del usuario
+     * @param {Date} at - Hora del último mensaje entrante
+     */
+    openSession(phone, at = new Date()) {
+        this.sessions.set(this.toWaId(phone), at);
+    }
+
+    // Comprobar si el usuario escribió en las últimas 24 horas
+    isSessionOpen(waId) {
+        const lastInboundAt = this.sessions.get(waId);
+        return !!lastInboundAt && Date.now() - lastInboundAt.getTime() < config.sessionWindow;
+    }
+
+    // wa_id: número sin '+' ni separadores
+    toWaId(phone) {
+        return String(phone).replace(/\D/g, '');
+    }
+
+    /**
+     * Programar errores para los próximos envíos
+     * @param {string} type - Tipo de mensaje (text, interactive, template o '*' para cualquiera)
+     * @param {number} status - Código HTTP (429 o 5xx)
+     * @param {number} count - Número de envíos que fallarán
+     */
+    failNext(type = '*', status = 500, count = 1) {
+        this.failures.push({ type, status, count });
+    }
+
+    /**
+     * Consumir un error programado para un tipo de mensaje
+     * @param {string} type - Tipo del envío
+     * @returns {Object|null} - Error o null
+     */
+    takeFailure(type) {
+        const failure = this.failures.find(f => f.count > 0 && (f.type === type || f.type === '*'));
+        if (!failure) return null;
+
+        failure.count--;
+        this.failures = this.failures.filter(f => f.count > 0);
+        return failure;
+    }
+
+    /**
+     * Obtener peticiones registradas de un tipo de mensaje
+     * @param {string} type - Tipo (todos si se omite)
+     * @returns {Array} - Peticiones
+     */
+    getRequests(type = null) {
+        return type ? this.requests.filter(request => request.body?.type === type) : this.requests;
+    }
+
+    /**
+     * Obtener mensajes aceptados (opcionalmente de un destinatario)
+     * @param {string} to - Número del destinatario
+     * @returns {Array} - Mensajes
+     */
+    getMessages(to = null) {
+        const messages = [...this.messages.values()];
+        return to ? messages.filter(message => message.to === this.toWaId(to)) : messages;
+    }
+
+    /**
+     * Borrar peticiones, mensajes, ventanas y errores programados
+     */
+    reset() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        this.requests = [];
+        this.messages.clear();
+        this.sessions.clear();
+        this.failures = [];
+    }
+
+    /**
+     * Iniciar servidor
+     * @returns {Promise<number>} - Puerto en uso
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = this.app.listen(this.port, () => {
+                this.port = this.server.address().port;
+                resolve(this.port);
+            });
+            this.server.on('error', reject);
+        });
+    }
+
+    /**
+     * Detener servidor
+     * @returns {Promise<void>}
+     */
+    stop() {
+        return new Promise(resolve => {
+            this.timers.forEach(timer => clearTimeout(timer));
+            this.timers.clear();
+            if (!this.server) return resolve();
+            this.server.close(() => resolve());
+            this.server = null;
+        });
+    }
+}
+
+module.exports = WhatsAppMockServer;
+
+// Ejecución directa desde línea de comandos
+if (require.main === module) {
+    const port = process.argv[2] ? parseInt(process.argv[2]) : undefined;
+    const webhookUrl = process.argv[3] || `http://localhost:${process.env.PORT || 3000}/webhooks/whatsapp`;
+    const mock = new WhatsAppMockServer({ port, webhookUrl });
+
+    mock.start().then(activePort => {
+        console.log(`Mock de WhatsApp Cloud API escuchando en http://localhost:${activePort}`);
+        console.log(`Webhook de la aplicación: ${webhookUrl}`);
+        console.log(`Plantillas aprobadas: ${Object.keys(mock.templates).join(', ')}`);
+    });
+}
@@ -15,7 +15,12 @@ const app = express();
 const port = appConfig.app.port || 3000;
 
 // Middleware básico
-app.use(express.json());
+app.use(express.json({
+    // Conservar el cuerpo original para validar firmas de webhooks
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Middleware para logging de peticiones
@@ -27,6 +32,49 @@ app.use((req, res, next) => {
     next();
 });
 
+// Autorización de las rutas con datos de un usuario: token de administración
+// o token de API del propio usuario ("Authorization: Bearer <token>")
+const requireUserAccess = async (req, res, next) => {
+    try {
+        const authService = require('./services/auth-service');
+        const auth = await authService.authenticate(authService.getRequestToken(req));
+
+        if (!auth) {
+            return res.status(401).json({ error: 'Token inválido o ausente' });
+        }
+        if (!authService.canAccessUser(auth, req.params.userId)) {
+            return res.status(403).json({ error: 'Sin acceso a este usuario' });
+        }
+
+        req.auth = auth;
+        next();
+    } catch (error) {
+        logger.error(`Error autenticando petición: ${error.message}`);
+        res.status(500).json({ error: 'Error autenticando petición', message: error.message });
+    }
+};
+
+// Autorización de las rutas de operación: solo con el token de administración
+const requireAdmin = async (req, res, next) => {
+    try {
+        const authService = require('./services/auth-service');
+        const auth = await authService.authenticate(authService.getRequestToken(req));
+
+        if (!auth) {
+            return res.status(401).json({ error: 'Token inválido o ausente' });
+        }
+        if (!auth.admin) {
+            return res.status(403).json({ error: 'Solo para administración' });
+        }
+
+        req.auth = auth;
+        next();
+    } catch (error) {
+        logger.error(`Error autenticando petición: ${error.message}`);
+        res.status(500).json({ error: 'Error autenticando petición', message: error.message });
+    }
+};
+
 // Rutas básicas para control manual
 app.get('/', (req, res) => {
     res.send(`${appConfig.app.name} v${appConfig.app.version} funcionando en entorno ${appConfig.app.environment}`);
@@ -71,6 +119,293 @@ app.get('/status', async (req, res) => {
     }
 });
 
+// Ruta para rendimiento de alertas (ROI, yield, tasa de acierto)
+app.get('/performance', async (req, res) => {
+    try {
+        const performanceService = require('./services/performance-service');
+        const { from, to, market, plan, league, groupBy } = req.query;
+
+        const performance = await performanceService.getPerformance({
+            from: from ? new Date(from) : undefined,
+            to: to ? new Date(to) : undefined,
+            market,
+            plan,
+            leagueId: league ? parseInt(league) : undefined,
+            groupBy: groupBy ? groupBy.split(',') : undefined
+        });
+        res.json(performance);
+    } catch (error) {
+        logger.error(`Error obteniendo rendimiento: ${error.message}`);
+        res.status(500).json({ error: 'Error obteniendo rendimiento', message: error.message });
+    }
+});
+
+// Ruta para closing line value (CLV) por mercado
+app.get('/performance/clv', async (req, res) => {
+    try {
+        const oddsService = require('./services/odds-service');
+        const { from, to, market, plan, league } = req.query;
+
+        const report = await oddsService.getClvReport({
+            from: from ? new Date(from) : undefined,
+            to: to ? new Date(to) : undefined,
+            market,
+            plan,
+            leagueId: league ? parseInt(league) : undefined
+        });
+        res.json(report);
+    } catch (error) {
+        logger.error(`Error obteniendo CLV: ${error.message}`);
+        res.status(500).json({ error: 'Error obteniendo CLV', message: error.message });
+    }
+});
+
+// Ruta para estado de calibración del predictor
+app.get('/calibration', async (req, res) => {
+    try {
+        const calibrationService = require('./services/calibration-service');
+        const report = await calibrationService.getReport();
+        res.json(report);
+    } catch (error) {
+        logger.error(`Error obteniendo calibración: ${error.message}`);
+        res.status(500).json({ error: 'Error obteniendo calibración', message: error.message });
+    }
+});
+
+// Ruta para embudo de entrega de mensajes (global y por plan)
+app.get('/delivery', async (req, res) => {
+    try {
+        const deliveryService = require('./services/delivery-service');
+        const { from, to, plan } = req.query;
+
+        const funnel = await deliveryService.getFunnel({
+            from: from ? new Date(from) : undefined,
+            to: to ? new Date(to) : undefined,
+            plan
+        });
+        res.json(funnel);
+    } catch (error) {
+        logger.error(`Error obteniendo embudo de entrega: ${error.message}`);
+        res.status(500).json({ error: 'Error obteniendo embudo de entrega', message: error.message });
+    }
+});
+
+// Ruta para usuarios marcados por fallos de entrega
+app.get('/delivery/flagged', requireAdmin, async (req, res) => {
+    try {
+        const deliveryService = require('./services/delivery-service');
+        const users = await deliveryService.getFlaggedUsers();
+        res.json(users);
+    } catch (error) {
+        logger.error(`Error obteniendo usuarios marcados: ${error.message}`);
+        res.status(500).json({ error: 'Error obteniendo usuarios marcados', message: error.message });
+    }
+});
+
+// Ruta para embudo de entrega de una alerta
+app.get('/delivery/alerts/:alertId', async (req, res) => {
+    try {
+        const deliveryService = require('./services/delivery-service');
+        const funnel = await deliveryService.getAlertFunnel(req.params.alertId);
+
+        if (!funnel) {
+            return res.status(404).json({ error: 'Alerta no encontrada' });
+        }
+        res.json(funnel);
+    } catch (error) {
+        logger.error(`Error obteniendo entrega de alerta: ${error.message}`);
+        res.status(500).json({ error: 'Error obteniendo entrega de alerta', message: error.message });
+    }
+});
+
+// Ruta para estado de la cola de mensajes y últimos dead-letters
+app.get('/queue', requireAdmin, async (req, res) => {
+    try {
+        const outboundQueue = require('./messaging/outbound-queue');
+        const stats = await outboundQueue.getStats();
+        res.json(stats);
+    } catch (error) {
+        logger.error(`Error obteniendo estado de la cola: ${error.message}`);
+        res.status(500).json({ error: 'Error obteniendo estado de la cola', message: error.message });
+    }
+});
+
+// Verificación del webhook de WhatsApp (handshake)
+app.get('/webhooks/whatsapp', (req, res) => {
+    try {
+        const whatsappWebhook = require('./messaging/whatsapp/whatsapp-webhook');
+        const challenge = whatsappWebhook.verifyChallenge(req.query);
+
+        if (challenge === null) {
+            return res.sendStatus(403);
+        }
+        res.status(200).send(challenge);
+    } catch (error) {
+        logger.error(`Error verificando webhook de WhatsApp: ${error.message}`);
+        res.status(500).json({ error: 'Error verificando webhook', message: error.message });
+    }
+});
+
+// Notificaciones de WhatsApp (mensajes y botones de los usuarios)
+app.post('/webhooks/whatsapp', async (req, res) => {
+    try {
+        const whatsappWebhook = require('./messaging/whatsapp/whatsapp-webhook');
+
+        if (!whatsappWebhook.validateSignature(req.rawBody, req.get('X-Hub-Signature-256'))) {
+            logger.warn('Notificación de WhatsApp con firma inválida');
+            return res.sendStatus(401);
+        }
+
+        // Confirmar de inmediato para que WhatsApp no reintente; procesar después
+        res.sendStatus(200);
+        await whatsappWebhook.handleNotification(req.body);
+    } catch (error) {
+        logger.error(`Error procesando webhook de WhatsApp: ${error.message}`);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Error procesando webhook', message: error.message });
+        }
+    }
+});
+
+// Actualizaciones del bot de Telegram (mensajes y botones del teclado en línea)
+app.post('/webhooks/telegram', async (req, res) => {
+    try {
+        const telegramWebhook = require('./messaging/telegram/telegram-webhook');
+
+        if (!telegramWebhook.validateSecret(req.get('X-Telegram-Bot-Api-Secret-Token'))) {
+            logger.warn('Actualización de Telegram con token secreto inválido');
+            return res.sendStatus(401);
+        }
+
+        // Confirmar de inmediato para que Telegram no reintente; procesar después
+        res.sendStatus(200);
+        await telegramWebhook.handleUpdate(req.body);
+    } catch (error) {
+        logger.error(`Error procesando webhook de Telegram: ${error.message}`);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Error procesando webhook', message: error.message });
+        }
+    }
+});
+
+// Ruta para enviar al usuario el enlace de vinculación de Telegram
+// El enlace nunca se devuelve en la respuesta: llega a la conversación de
+// WhatsApp del usuario (el propio usuario también puede pedirlo escribiendo "telegram")
+app.post('/users/:userId/telegram-link', requireUserAccess, async (req, res) => {
+    try {
+        const userService = require('./services/user-service');
+        const whatsappSender = require('./messaging/whatsapp/whatsapp-sender');
+        const messageGenerator = require('./core/message-generator');
+
+        const user = await userService.getUserById(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'Usuario no encontrado' });
+        }
+        if (user.telegram?.chatId) {
+            return res.status(409).json({ error: 'El usuario ya tiene Telegram vinculado' });
+        }
+        if (!(await whatsappSender.isSessionOpen(req.params.userId))) {
+            return res.status(409).json({
+                error: 'Sin conversación de WhatsApp abierta',
+                message: 'El usuario debe escribir "telegram" a nuestro WhatsApp para recibir el enlace'
+            });
+        }
+
+        const link = await userService.createTelegramLink(req.params.userId);
+        const result = await whatsappSender.sendReply(req.params.userId, messageGenerator.formatTelegramLink(link));
+        if (!result.success) {
+            return res.status(502).json({ error: 'No se pudo enviar el enlace por WhatsApp', reason: result.reason });
+        }
+
+        res.status(202).json({ sent: true, channel: 'whatsapp', expiresAt: link.expiresAt });
+    } catch (error) {
+        logger.error(`Error enviando enlace de Telegram: ${error.message}`);
+        res.status(500).json({ error: 'Error enviando enlace de Telegram', message: error.message });
+    }
+});
+
+// Generar token de API de un usuario (para el stream de alertas)
+// Solo el administrador o el propio usuario (rotación con su token actual)
+app.post('/users/:userId/api-token', requireUserAccess, async (req, res) => {
+    try {
+        const userService = require('./services/user-service');
+        const token = await userService.createApiToken(req.params.userId);
+
+        if (!token) {
+            return res.status(404).json({ error: 'Usuario no encontrado' });
+        }
+        res.json(token);
+    } catch (error) {
+        logger.error(`Error generando token de API: ${error.message}`);
+        res.status(500).json({ error: 'Error generando token de API', message: error.message });
+    }
+});
+
+// Stream de alertas en vivo (SSE) filtrado por el plan del token
+// El token va en "Authorization: Bearer <token>" o en ?token= (EventSource no admite cabeceras)
+app.get('/stream/alerts', async (req, res) => {
+    try {
+        const userService = require('./services/user-service');
+        const authService = require('./services/auth-service');
+        const entitlementService = require('./services/entitlement-service');
+        const alertStream = require('./messaging/stream/alert-stream');
+
+        const token = authService.getRequestToken(req, true);
+        const user = token ? await userService.getUserByApiToken(token) : null;
+        if (!user) {
+            return res.status(401).json({ error: 'Token de API inválido' });
+        }
+
+        const entitlements = entitlementService.getEntitlements(user);
+        if (!entitlements) {
+            return res.status(403).json({ error: 'Usuario sin plan vigente' });
+        }
+
+        alertStream.subscribe(res, {
+            userId: user.id || user._id.toString(),
+            entitlements,
+            lastEventId: req.get('Last-Event-ID') || req.query.lastEventId || null
+        });
+    } catch (error) {
+        logger.error(`Error abriendo stream de alertas: ${error.message}`);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Error abriendo stream de alertas', message: error.message });
+        }
+    }
+});
+
+// Vista previa del resumen diario de un usuario (?format=json|text|html)
+app.get('/users/:userId/digest', requireUserAccess, async (req, res) => {
+    try {
+        const userService = require('./services/user-service');
+        const entitlementService = require('./services/entitlement-service');
+        const digestService = require('./services/digest-service');
+        const matchSelector = require('./core/match-selector');
+        const messageGenerator = require('./core/message-generator');
+        const emailFormatter = require('./messaging/email/email-formatter');
+
+        const user = await userService.getUserById(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'Usuario no encontrado' });
+        }
+
+        const plan = entitlementService.getEntitlements(user)?.plan || 'free';
+        const upcoming = await matchSelector.selectUpcomingMatches(plan, appConfig.digest.upcomingHours);
+        const digest = await digestService.buildDigest(user, upcoming);
+
+        if (req.query.format === 'html') {
+            return res.type('html').send(emailFormatter.formatDigest(digest).html);
+        }
+        if (req.query.format === 'text') {
+            return res.type('text').send(messageGenerator.formatDigest(digest));
+        }
+        res.json(digest);
+    } catch (error) {
+        logger.error(`Error generando resumen diario: ${error.message}`);
+        res.status(500).json({ error: 'Error generando resumen diario', message: error.message });
+    }
+});
+
 // Iniciar servidor y controlador principal
 const startServer = async () => {
     try {
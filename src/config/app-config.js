@@ -22,9 +22,22 @@ const appConfig = {
     alerts: {
         monitoringCycle: parseInt(process.env.MONITORING_CYCLE || '300000'), // 5 minutos por defecto
         maxAlertsPerDay: parseInt(process.env.MAX_ALERTS_PER_DAY || '20'), // Límite de alertas por día
+        overflowAction: process.env.ALERT_OVERFLOW_ACTION || 'digest', // 'drop' o 'digest' al superar el límite
         minimumConfidence: parseFloat(process.env.MINIMUM_CONFIDENCE || '0.65'), // Confianza mínima para alertas
         minimumExpectedValue: parseFloat(process.env.MINIMUM_EV || '0.1'), // Valor esperado mínimo (10%)
-        enabledMarkets: (process.env.ENABLED_MARKETS || 'nextGoal,over05,over15,over25,btts,cornerNext10Min').split(','),
+        enabledMarkets: (process.env.ENABLED_MARKETS || [
+            'nextGoal', 'over05', 'over15', 'over25', 'btts', 'cornerNext10Min',
+            'under25', 'under35', 'homeWin', 'draw', 'awayWin', 'homeOrDraw', 'drawOrAway', 'homeOrAway',
+            'firstHalfOver05', 'firstHalfHome', 'firstHalfDraw', 'firstHalfAway'
+        ].join(',')).split(','),
+        maxOpportunitiesPerMatch: parseInt(process.env.MAX_OPPORTUNITIES_PER_MATCH || '2'), // Alertas por partido en cada revisión
+        // Revalidación antes de cada envío diferido (pre-alerta y alerta principal)
+        revalidation: {
+            enabled: process.env.ALERT_REVALIDATION !== 'false', // Habilitada por defecto
+            minAge: parseInt(process.env.ALERT_REVALIDATION_MIN_AGE || '2000'), // Envíos más inmediatos no se revalidan
+            cacheTtl: parseInt(process.env.ALERT_REVALIDATION_CACHE_TTL || '2000'), // Reutilizar la revisión entre usuarios
+            oddsTolerance: parseFloat(process.env.ALERT_ODDS_TOLERANCE || '0.1') // Variación máxima de cuota (10%)
+        },
         defaultTTL: parseInt(process.env.ALERT_TTL || '3600') // TTL de alertas (1 hora)
     },
 
@@ -33,20 +46,46 @@ const appConfig = {
         free: {
             maxMatches: parseInt(process.env.FREE_PLAN_MAX_MATCHES || '3'),
             alertDelay: parseInt(process.env.FREE_PLAN_DELAY || '60000'), // 60 segundos de retraso
-            confidenceThreshold: parseFloat(process.env.FREE_PLAN_CONFIDENCE || '0.85') // Solo alertas muy confiables
+            confidenceThreshold: parseFloat(process.env.FREE_PLAN_CONFIDENCE || '0.85'), // Solo alertas muy confiables
+            maxAlertsPerDay: parseInt(process.env.FREE_PLAN_MAX_ALERTS || '5'),
+            detailedAnalysis: false, // Sin análisis detallado
+            bookmakers: false,       // Sin desglose de casas de apuestas
+            steamAlerts: false       // Sin alertas de movimiento de cuotas
         },
         insider: {
             maxMatches: parseInt(process.env.INSIDER_PLAN_MAX_MATCHES || '8'),
             alertDelay: parseInt(process.env.INSIDER_PLAN_DELAY || '30000'), // 30 segundos de retraso
-            confidenceThreshold: parseFloat(process.env.INSIDER_PLAN_CONFIDENCE || '0.75')
+            confidenceThreshold: parseFloat(process.env.INSIDER_PLAN_CONFIDENCE || '0.75'),
+            maxAlertsPerDay: parseInt(process.env.INSIDER_PLAN_MAX_ALERTS || '12'),
+            detailedAnalysis: true,
+            bookmakers: true,
+            steamAlerts: false
         },
         estratega: {
             maxMatches: parseInt(process.env.ESTRATEGA_PLAN_MAX_MATCHES || '15'),
             alertDelay: parseInt(process.env.ESTRATEGA_PLAN_DELAY || '0'), // Sin retraso
-            confidenceThreshold: parseFloat(process.env.ESTRATEGA_PLAN_CONFIDENCE || '0.65')
+            confidenceThreshold: parseFloat(process.env.ESTRATEGA_PLAN_CONFIDENCE || '0.65'),
+            maxAlertsPerDay: parseInt(process.env.ESTRATEGA_PLAN_MAX_ALERTS || process.env.MAX_ALERTS_PER_DAY || '20'),
+            detailedAnalysis: true,
+            bookmakers: true,
+            steamAlerts: true // Alertas de caídas bruscas de cuota (steam)
         }
     },
 
+    // Preferencias por defecto de los usuarios
+    preferences: {
+        defaultTimezone: process.env.DEFAULT_TIMEZONE || 'America/Argentina/Buenos_Aires',
+        muteDuration: parseInt(process.env.MUTE_DURATION || '86400000') // Silenciado de partido: 24 horas
+    },
+
+    // Configuración de suscripciones
+    subscriptions: {
+        defaultDurationDays: parseInt(process.env.SUBSCRIPTION_DURATION_DAYS || '30'), // Periodo de facturación
+        trialDays: parseInt(process.env.SUBSCRIPTION_TRIAL_DAYS || '7'), // Duración de la prueba gratuita
+        trialPlan: process.env.SUBSCRIPTION_TRIAL_PLAN || 'insider', // Plan que se prueba
+        graceDays: parseInt(process.env.SUBSCRIPTION_GRACE_DAYS || '3') // Días de gracia tras vencer
+    },
+
     // Configuración de WhatsApp
     whatsapp: {
         enabled: process.env.ENABLE_WHATSAPP === 'true',
@@ -55,7 +94,114 @@ const appConfig = {
         phoneNumberId: process.env.WHATSAPP_PHONE_ID,
         token: process.env.WHATSAPP_TOKEN,
         testMode: process.env.WHATSAPP_TEST_MODE === 'true',
-        testRecipient: process.env.WHATSAPP_TEST_RECIPIENT
+        testRecipient: process.env.WHATSAPP_TEST_RECIPIENT,
+        verifyToken: process.env.WHATSAPP_VERIFY_TOKEN, // Token del handshake del webhook
+        appSecret: process.env.WHATSAPP_APP_SECRET, // Secreto para validar la firma de los webhooks
+        maxConsecutiveFailures: parseInt(process.env.WHATSAPP_MAX_FAILURES || '3'), // Fallos seguidos para marcar al usuario
+        sessionWindow: 24 * 60 * 60 * 1000, // Ventana de conversación para mensajes libres (24 horas)
+        mockPort: parseInt(process.env.WHATSAPP_MOCK_PORT || '8082'), // Puerto del servidor mock de la API
+        // Plantillas (HSM) aprobadas para escribir fuera de la ventana de conversación
+        templates: {
+            language: process.env.WHATSAPP_TEMPLATE_LANGUAGE || 'es_AR',
+            preAlert: {
+                name: process.env.WHATSAPP_TEMPLATE_PRE_ALERT || 'golazo_pre_alerta',
+                parameters: ['homeTeam', 'awayTeam', 'minute']
+            },
+            mainAlert: {
+                name: process.env.WHATSAPP_TEMPLATE_MAIN_ALERT || 'golazo_alerta',
+                parameters: ['title', 'match', 'minute', 'odds', 'probability'],
+                buttons: ['analysis', 'mute'] // Payload de los botones de respuesta rápida
+            },
+            followUp: {
+                name: process.env.WHATSAPP_TEMPLATE_FOLLOW_UP || 'golazo_seguimiento',
+                parameters: ['match', 'market', 'outcome']
+            }
+        }
+    },
+
+    // Configuración de Telegram
+    telegram: {
+        enabled: process.env.ENABLE_TELEGRAM === 'true',
+        baseUrl: process.env.TELEGRAM_API_URL || 'https://api.telegram.org', // URL del stub local en pruebas
+        token: process.env.TELEGRAM_BOT_TOKEN,
+        botUsername: process.env.TELEGRAM_BOT_USERNAME, // Para los enlaces de vinculación t.me/<bot>?start=<código>
+        webhookSecret: process.env.TELEGRAM_WEBHOOK_SECRET, // Cabecera X-Telegram-Bot-Api-Secret-Token
+        linkCodeTtl: parseInt(process.env.TELEGRAM_LINK_CODE_TTL || '3600000'), // Validez del código de vinculación (1 hora)
+        stubPort: parseInt(process.env.TELEGRAM_STUB_PORT || '8081') // Puerto del servidor stub de la API
+    },
+
+    // Configuración de email (SMTP)
+    email: {
+        enabled: process.env.ENABLE_EMAIL === 'true',
+        from: process.env.EMAIL_FROM || 'GolazoAlerts <alertas@golazoalerts.com>',
+        smtp: {
+            host: process.env.SMTP_HOST || 'localhost',
+            port: parseInt(process.env.SMTP_PORT || '1025'), // Por defecto, el sink SMTP local
+            secure: process.env.SMTP_SECURE === 'true', // TLS implícito (puerto 465)
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS,
+            timeout: parseInt(process.env.SMTP_TIMEOUT || '10000')
+        },
+        sinkPort: parseInt(process.env.SMTP_SINK_PORT || '1025') // Puerto del sink SMTP para pruebas
+    },
+
+    // Resumen diario de alertas y resultados
+    digest: {
+        enabled: process.env.ENABLE_DIGEST !== 'false',
+        sendAt: process.env.DIGEST_SEND_AT || '08:00', // Hora local del usuario (HH:mm)
+        checkInterval: parseInt(process.env.DIGEST_CHECK_INTERVAL || '900000'), // Revisión cada 15 minutos
+        lookback: 24 * 60 * 60 * 1000, // Alertas del último día
+        upcomingHours: 24 // Partidos seleccionados para las próximas horas
+    },
+
+    // Canales de mensajería
+    messaging: {
+        // Orden de canales para usuarios sin preferencia propia
+        defaultChannels: (process.env.DEFAULT_CHANNELS || 'whatsapp,telegram').split(','),
+        // Mostrar por consola los mensajes de usuarios sin canal disponible (solo desarrollo)
+        consoleFallback: process.env.MESSAGING_CONSOLE_FALLBACK === 'true',
+        // Webhooks de usuarios (integraciones propias)
+        webhook: {
+            enabled: process.env.ENABLE_USER_WEBHOOKS === 'true',
+            timeout: parseInt(process.env.USER_WEBHOOK_TIMEOUT || '5000'),
+            maxResponseSize: parseInt(process.env.USER_WEBHOOK_MAX_RESPONSE || '65536') // Bytes de respuesta como máximo
+        }
+    },
+
+    // Serie temporal de cuotas y detección de movimientos
+    odds: {
+        recordInterval: parseInt(process.env.ODDS_RECORD_INTERVAL || '60000'), // Una captura por partido como máximo cada minuto
+        historyRetention: parseInt(process.env.ODDS_HISTORY_RETENTION || '86400000'), // Capturas guardadas 24 horas
+        movementWindow: parseInt(process.env.ODDS_MOVEMENT_WINDOW || '600000'), // Movimientos de los últimos 10 minutos
+        steamThreshold: parseFloat(process.env.ODDS_STEAM_THRESHOLD || '0.1'), // Caída mínima de la cuota media (10%)
+        steamMinBookmakers: parseInt(process.env.ODDS_STEAM_MIN_BOOKMAKERS || '2'), // Casas que deben acompañar la caída
+        driftThreshold: parseFloat(process.env.ODDS_DRIFT_THRESHOLD || '0.1') // Subida mínima en contra de la predicción (10%)
+    },
+
+    // Stream de alertas en vivo (Server-Sent Events)
+    stream: {
+        heartbeatInterval: parseInt(process.env.STREAM_HEARTBEAT_INTERVAL || '15000'), // Comentario de latido para mantener la conexión
+        replayBufferSize: parseInt(process.env.STREAM_REPLAY_BUFFER || '500'), // Eventos guardados para Last-Event-ID
+        retry: parseInt(process.env.STREAM_RETRY || '5000') // Espera de reconexión sugerida a los clientes
+    },
+
+    // Cola persistente de mensajes salientes
+    queue: {
+        pollInterval: parseInt(process.env.QUEUE_POLL_INTERVAL || '1000'), // Frecuencia de revisión de la cola
+        batchSize: parseInt(process.env.QUEUE_BATCH_SIZE || '50'), // Mensajes por revisión
+        maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS || '5'), // Intentos antes de pasar a dead-letter
+        retryBaseDelay: parseInt(process.env.QUEUE_RETRY_BASE_DELAY || '2000'), // Primer reintento (se duplica en cada intento)
+        retryMaxDelay: parseInt(process.env.QUEUE_RETRY_MAX_DELAY || '300000'), // Espera máxima entre reintentos (5 minutos)
+        processingTimeout: parseInt(process.env.QUEUE_PROCESSING_TIMEOUT || '300000'), // Envíos interrumpidos se reintentan tras 5 minutos
+        mainAlertDelay: 3000, // Pausa entre pre-alerta y alerta principal
+        // Mensajes por segundo por canal (0 = sin límite)
+        rateLimits: {
+            whatsapp: parseInt(process.env.WHATSAPP_RATE_LIMIT || '20'),
+            telegram: parseInt(process.env.TELEGRAM_RATE_LIMIT || '25'),
+            webhook: parseInt(process.env.USER_WEBHOOK_RATE_LIMIT || '10'),
+            email: parseInt(process.env.EMAIL_RATE_LIMIT || '5'),
+            console: 0
+        }
     },
 
     // Configuración de Machine Learning
@@ -105,6 +251,7 @@ const appConfig = {
     // Configuración de seguridad
     security: {
         jwtSecret: process.env.JWT_SECRET || 'golazo-secret-key-dev',
+        adminToken: process.env.ADMIN_API_TOKEN, // Token de administración de las rutas de usuarios (sin él, solo el propio usuario)
         jwtExpiresIn: process.env.JWT_EXPIRES_IN || '7d',
         bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS || '10'),
         rateLimiting: {
@@ -127,6 +274,11 @@ if (environment === 'development') {
     if (!process.env.ENABLE_WHATSAPP) {
         appConfig.whatsapp.enabled = false;
     }
+
+    // Sin canales reales activos, los mensajes se muestran por consola
+    if (!process.env.MESSAGING_CONSOLE_FALLBACK) {
+        appConfig.messaging.consoleFallback = true;
+    }
 } else if (environment === 'production') {
     // Configuración para producción
     Object.assign(appConfig.security, {
@@ -0,0 +1,547 @@
+/**
+ * Motor de Liquidación de Alertas
+ * Resuelve el resultado de cada alerta pendiente a partir del marcador
+ * y los eventos del partido, guardando la evidencia que la liquidó.
+ * Los mercados se liquidan con el tiempo reglamentario: la prórroga y los
+ * penaltis no cuentan
+ */
+const apiService = require('../api/api-service');
+const alertRepo = require('../db/repositories/alert-repo');
+const logger = require('../utils/logger');
+
+class AlertSettler {
+    constructor() {
+        // Estados de partido considerados finalizados
+        this.finishedStatuses = ['FT', 'AET', 'PEN'];
+
+        // Estados posteriores al tiempo reglamentario (prórroga, descanso, penaltis)
+        this.extraTimeStatuses = ['ET', 'BT', 'P', 'AET', 'PEN'];
+
+        // Estados de partido suspendido o cancelado (no se liquidan)
+        this.abandonedStatuses = ['PST', 'CANC', 'ABD', 'AWD', 'WO'];
+
+        // Estados en los que el primer tiempo ya terminó
+        this.firstHalfEndedStatuses = ['HT', '2H', 'ET', 'BT', 'P', 'FT', 'AET', 'PEN'];
+
+        // Mercados de resultado: lados que ganan cada apuesta
+        this.resultMarkets = {
+            homeWin: ['home'],
+            draw: ['draw'],
+            awayWin: ['away'],
+            homeOrDraw: ['home', 'draw'],
+            drawOrAway: ['draw', 'away'],
+            homeOrAway: ['home', 'away'],
+            firstHalfHome: ['home'],
+            firstHalfDraw: ['draw'],
+            firstHalfAway: ['away']
+        };
+
+        // Ventana de minutos para mercados de córner
+        this.cornerWindow = 10;
+    }
+
+    /**
+     * Liquidar todas las alertas pendientes
+     * @returns {Promise<Array>} - Alertas liquidadas [{alert, outcome, settlement}]
+     */
+    async settlePendingAlerts() {
+        const settled = [];
+
+        try {
+            const pendingAlerts = await alertRepo.getPendingAlerts();
+            if (!pendingAlerts.length) {
+                return settled;
+            }
+
+            // Agrupar alertas por partido para consultar cada partido una sola vez
+            const alertsByMatch = new Map();
+            for (const alert of pendingAlerts) {
+                if (!alertsByMatch.has(alert.matchId)) {
+                    alertsByMatch.set(alert.matchId, []);
+                }
+                alertsByMatch.get(alert.matchId).push(alert);
+            }
+
+            for (const [matchId, alerts] of alertsByMatch.entries()) {
+                const results = await this.settleMatchAlerts(matchId, alerts);
+                settled.push(...results);
+            }
+
+            if (settled.length > 0) {
+                logger.info(`Liquidadas ${settled.length} de ${pendingAlerts.length} alertas pendientes`);
+            }
+        } catch (error) {
+            logger.error(`Error liquidando alertas pendientes: ${error.message}`);
+        }
+
+        return settled;
+    }
+
+    /**
+     * Liquidar las alertas pendientes de un partido
+     * @param {string} matchId - ID del partido
+     * @param {Array} alerts - Alertas pendientes del partido
+     * @returns {Promise<Array>} - Alertas liquidadas
+     */
+    async settleMatchAlerts(matchId, alerts) {
+        const settled = [];
+
+        try {
+            const matchInfo = await apiService.getMatchInfo(matchId);
+            if (!matchInfo) {
+                logger.warn(`No se pudo obtener información del partido ${matchId} para liquidar alertas`);
+                return settled;
+            }
+
+            const events = await apiService.getMatchEvents(matchId);
+            const matchState = this.buildMatchState(matchInfo, events || []);
+
+            if (this.abandonedStatuses.includes(matchState.status)) {
+                logger.warn(`Partido ${matchId} suspendido (${matchState.status}). Alertas sin liquidar.`);
+                return settled;
+            }
+
+            for (const alert of alerts) {
+                const result = this.evaluateAlert(alert, matchState);
+                if (!result) continue;
+
+                const alertId = alert.id || alert._id?.toString();
+                const settlement = {
+                    settledAt: new Date(),
+                    evidence: result.evidence,
+                    score: { ...matchState.score }
+                };
+                await alertRepo.settleAlert(alertId, result.outcome, settlement);
+
+                logger.business('alert_settled', {
+                    alertId,
+                    matchId,
+                    market: alert.market,
+                    outcome: result.outcome
+                });
+
+                settled.push({ alert, outcome: result.outcome, settlement });
+            }
+        } catch (error) {
+            logger.error(`Error liquidando alertas del partido ${matchId}: ${error.message}`);
+        }
+
+        return settled;
+    }
+
+    /**
+     * Construir estado del partido necesario para liquidar
+     * @param {Object} matchInfo - Información del partido (API-Football)
+     * @param {Array} events - Eventos del partido
+     * @returns {Object} - Estado normalizado del partido
+     */
+    buildMatchState(matchInfo, events) {
+        const status = matchInfo.fixture?.status?.short;
+        const homeId = matchInfo.teams?.home?.id;
+
+        // Ordenar eventos cronológicamente (45+3 va antes que 46)
+        const sortedEvents = [...events].sort((a, b) =>
+            this.compareEventTime(a, b.time?.elapsed || 0, b.time?.extra || 0)
+        );
+
+        // Goles válidos del tiempo reglamentario (el añadido llega como 90+n) con el lado que suma en el marcador
+        const goals = sortedEvents
+            .filter(event => event.type === 'Goal' && event.detail !== 'Missed Penalty')
+            .filter(event => (event.time?.elapsed || 0) <= 90)
+            .map(event => {
+                const isHomeTeam = event.team?.id === homeId;
+                // API-Football asigna el autogol al equipo del jugador que lo marca
+                const side = event.detail === 'Own Goal'
+                    ? (isHomeTeam ? 'away' : 'home')
+                    : (isHomeTeam ? 'home' : 'away');
+                return { event, side };
+            });
+
+        const corners = sortedEvents
+            .filter(event => event.type === 'Corner')
+            .map(event => ({ event, side: event.team?.id === homeId ? 'home' : 'away' }));
+
+        // Goles del primer tiempo (el añadido del primer tiempo llega como 45+n)
+        const firstHalfGoals = goals.filter(goal => (goal.event.time?.elapsed || 0) <= 45);
+
+        const afterRegulation = this.extraTimeStatuses.includes(status);
+
+        return {
+            status,
+            minute: matchInfo.fixture?.status?.elapsed || 0,
+            // Terminado el tiempo reglamentario (final o prórroga) ya se puede liquidar
+            isFinished: this.finishedStatuses.includes(status) || afterRegulation,
+            afterRegulation,
+            isFirstHalfOver: this.firstHalfEndedStatuses.includes(status),
+            score: afterRegulation
+                ? this.getFulltimeScore(matchInfo, goals)
+                : { home: matchInfo.goals?.home || 0, away: matchInfo.goals?.away || 0 },
+            halftime: this.getHalftimeScore(matchInfo, firstHalfGoals),
+            teams: matchInfo.teams,
+            goals,
+            firstHalfGoals,
+            corners
+        };
+    }
+
+    /**
+     * Marcador al final del tiempo reglamentario: el de la API si lo informa o
+     * el de los goles hasta el minuto 90 (sin prórroga ni penaltis)
+     * @param {Object} matchInfo - Información del partido
+     * @param {Array} goals - Goles del tiempo reglamentario
+     * @returns {Object} - {home, away}
+     */
+    getFulltimeScore(matchInfo, goals) {
+        const fulltime = matchInfo.score?.fulltime;
+        if (fulltime && Number.isInteger(fulltime.home) && Number.isInteger(fulltime.away)) {
+            return { home: fulltime.home, away: fulltime.away };
+        }
+
+        return {
+            home: goals.filter(goal => goal.side === 'home').length,
+            away: goals.filter(goal => goal.side === 'away').length
+        };
+    }
+
+    /**
+     * Marcador al descanso: el de la API si lo informa o el de los goles del primer tiempo
+     * @param {Object} matchInfo - Información del partido
+     * @param {Array} firstHalfGoals - Goles del primer tiempo
+     * @returns {Object} - {home, away}
+     */
+    getHalftimeScore(matchInfo, firstHalfGoals) {
+        const halftime = matchInfo.score?.halftime;
+        if (halftime && Number.isInteger(halftime.home) && Number.isInteger(halftime.away)) {
+            return { home: halftime.home, away: halftime.away };
+        }
+
+        return {
+            home: firstHalfGoals.filter(goal => goal.side === 'home').length,
+            away: firstHalfGoals.filter(goal => goal.side === 'away').length
+        };
+    }
+
+    /**
+     * Evaluar una alerta contra el estado del partido
+     * @param {Object} alert - Alerta pendiente
+     * @param {Object} matchState - Estado del partido
+     * @returns {Object|null} - {outcome, evidence} o null si sigue abierta
+     */
+    evaluateAlert(alert, matchState) {
+        const { market } = alert;
+
+        if (market === 'nextGoal') {
+            return this.settleNextGoal(alert, matchState);
+        }
+
+        const overMatch = /^over(\d)(\d)$/.exec(market);
+        if (overMatch) {
+            const threshold = parseFloat(`${overMatch[1]}.${overMatch[2]}`);
+            return this.settleOver(alert, matchState, threshold);
+        }
+
+        const underMatch = /^under(\d)(\d)$/.exec(market);
+        if (underMatch) {
+            const threshold = parseFloat(`${underMatch[1]}.${underMatch[2]}`);
+            return this.settleUnder(alert, matchState, threshold);
+        }
+
+        if (market === 'firstHalfOver05') {
+            return this.settleFirstHalfOver(alert, matchState);
+        }
+
+        if (this.resultMarkets[market]) {
+            return market.startsWith('firstHalf')
+                ? this.settleFirstHalfResult(alert, matchState)
+                : this.settleResult(alert, matchState);
+        }
+
+        if (market === 'btts') {
+            return this.settleBtts(alert, matchState);
+        }
+
+        if (market === 'cornerNext10Min') {
+            return this.settleCornerNext10Min(alert, matchState);
+        }
+
+        logger.warn(`Mercado sin lógica de liquidación: ${market}`);
+        return null;
+    }
+
+    /**
+     * Liquidar mercado de próximo gol
+     * Se usa el lado de la alerta; en alertas antiguas sin lado se deriva
+     * de la probabilidad (>0.5 = local)
+     */
+    settleNextGoal(alert, matchState) {
+        const favouredSide = alert.side || (alert.prediction?.probability > 0.5 ? 'home' : 'away');
+        const goalsAtAlert = (alert.score?.home || 0) + (alert.score?.away || 0);
+        const nextGoal = matchState.goals[goalsAtAlert];
+
+        if (nextGoal) {
+            return {
+                outcome: nextGoal.side === favouredSide ? 'success' : 'fail',
+                evidence: this.toEvidence(nextGoal.event)
+            };
+        }
+
+        // Sin evento de gol pero el marcador cambió: deducir el lado por diferencia
+        const homeDelta = matchState.score.home - (alert.score?.home || 0);
+        const awayDelta = matchState.score.away - (alert.score?.away || 0);
+        if (homeDelta + awayDelta > 0 && (homeDelta === 0 || awayDelta === 0)) {
+            const side = homeDelta > 0 ? 'home' : 'away';
+            return {
+                outcome: side === favouredSide ? 'success' : 'fail',
+                evidence: {
+                    type: 'Goal',
+                    detail: 'Deducido del marcador',
+                    minute: matchState.minute,
+                    team: matchState.teams?.[side]
+                }
+            };
+        }
+
+        if (matchState.isFinished) {
+            return { outcome: 'fail', evidence: this.finalWhistleEvidence(matchState) };
+        }
+
+        return null;
+    }
+
+    /**
+     * Liquidar mercados over (0.5, 1.5, 2.5)
+     */
+    settleOver(alert, matchState, threshold) {
+        const totalGoals = matchState.score.home + matchState.score.away;
+
+        if (totalGoals > threshold) {
+            // El gol que superó la línea es la evidencia
+            const crossingGoal = matchState.goals[Math.ceil(threshold) - 1];
+            return {
+                outcome: 'success',
+                evidence: crossingGoal
+                    ? this.toEvidence(crossingGoal.event)
+                    : { type: 'Goal', detail: 'Deducido del marcador', minute: matchState.minute }
+            };
+        }
+
+        if (matchState.isFinished) {
+            return { outcome: 'fail', evidence: this.finalWhistleEvidence(matchState) };
+        }
+
+        return null;
+    }
+
+    /**
+     * Liquidar mercados under (2.5, 3.5)
+     * Se pierde con el gol que supera la línea; se gana al final del partido
+     */
+    settleUnder(alert, matchState, threshold) {
+        const totalGoals = matchState.score.home + matchState.score.away;
+
+        if (totalGoals > threshold) {
+            const crossingGoal = matchState.goals[Math.ceil(threshold) - 1];
+            return {
+                outcome: 'fail',
+                evidence: crossingGoal
+                    ? this.toEvidence(crossingGoal.event)
+                    : { type: 'Goal', detail: 'Deducido del marcador', minute: matchState.minute }
+            };
+        }
+
+        if (matchState.isFinished) {
+            return { outcome: 'success', evidence: this.finalWhistleEvidence(matchState) };
+        }
+
+        return null;
+    }
+
+    /**
+     * Liquidar mercados de resultado final (1X2 y doble oportunidad)
+     */
+    settleResult(alert, matchState) {
+        if (!matchState.isFinished) return null;
+
+        const side = this.getWinningSide(matchState.score);
+        return {
+            outcome: this.resultMarkets[alert.market].includes(side) ? 'success' : 'fail',
+            evidence: this.finalWhistleEvidence(matchState)
+        };
+    }
+
+    /**
+     * Liquidar mercado de gol en el primer tiempo
+     */
+    settleFirstHalfOver(alert, matchState) {
+        const firstGoal = matchState.firstHalfGoals[0];
+        if (firstGoal) {
+            return { outcome: 'success', evidence: this.toEvidence(firstGoal.event) };
+        }
+
+        if (matchState.isFirstHalfOver) {
+            // Marcador al descanso con goles pero sin evento registrado
+            if (matchState.halftime.home + matchState.halftime.away > 0) {
+                return {
+                    outcome: 'success',
+                    evidence: { type: 'Goal', detail: 'Deducido del marcador al descanso', minute: 45 }
+                };
+            }
+            return { outcome: 'fail', evidence: this.halftimeEvidence(matchState) };
+        }
+
+        return null;
+    }
+
+    /**
+     * Liquidar mercados de resultado al descanso
+     */
+    settleFirstHalfResult(alert, matchState) {
+        if (!matchState.isFirstHalfOver) return null;
+
+        const side = this.getWinningSide(matchState.halftime);
+        return {
+            outcome: this.resultMarkets[alert.market].includes(side) ? 'success' : 'fail',
+            evidence: this.halftimeEvidence(matchState)
+        };
+    }
+
+    /**
+     * Lado ganador de un marcador
+     * @param {Object} score - {home, away}
+     * @returns {string} - home, draw o away
+     */
+    getWinningSide(score) {
+        if (score.home > score.away) return 'home';
+        if (score.home < score.away) return 'away';
+        return 'draw';
+    }
+
+    /**
+     * Liquidar mercado BTTS (ambos equipos marcan)
+     */
+    settleBtts(alert, matchState) {
+        if (matchState.score.home > 0 && matchState.score.away > 0) {
+            // El primer gol del segundo equipo en marcar completa el mercado
+            const firstHome = matchState.goals.findIndex(goal => goal.side === 'home');
+            const firstAway = matchState.goals.findIndex(goal => goal.side === 'away');
+            const completingGoal = firstHome >= 0 && firstAway >= 0
+                ? matchState.goals[Math.max(firstHome, firstAway)]
+                : null;
+
+            return {
+                outcome: 'success',
+                evidence: completingGoal
+                    ? this.toEvidence(completingGoal.event)
+                    : { type: 'Goal', detail: 'Deducido del marcador', minute: matchState.minute }
+            };
+        }
+
+        if (matchState.isFinished) {
+            return { outcome: 'fail', evidence: this.finalWhistleEvidence(matchState) };
+        }
+
+        return null;
+    }
+
+    /**
+     * Liquidar mercado de córner en los próximos 10 minutos
+     * Con lado, el primer córner de la ventana debe ser del equipo favorecido;
+     * las alertas antiguas sin lado aciertan con cualquier córner
+     */
+    settleCornerNext10Min(alert, matchState) {
+        const windowStart = alert.minute;
+        const windowEnd = alert.minute + this.cornerWindow;
+
+        // Por minuto y, en el mismo minuto, por añadido (un córner 45+6 no cae en 50-60)
+        const corner = matchState.corners.find(({ event }) =>
+            this.compareEventTime(event, windowStart) > 0 && this.compareEventTime(event, windowEnd) <= 0
+        );
+
+        if (corner) {
+            return {
+                outcome: !alert.side || corner.side === alert.side ? 'success' : 'fail',
+                evidence: this.toEvidence(corner.event)
+            };
+        }
+
+        if (matchState.minute > windowEnd || matchState.isFinished) {
+            return {
+                outcome: 'fail',
+                evidence: {
+                    type: 'Window',
+                    detail: `Sin córner entre los minutos ${windowStart} y ${windowEnd}`,
+                    minute: windowEnd
+                }
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Comparar el momento de un evento con un minuto (y su añadido)
+     * El añadido solo desempata: 45+3 es anterior a 46
+     * @param {Object} event - Evento del partido
+     * @param {number} minute - Minuto de referencia
+     * @param {number} extra - Añadido de referencia
+     * @returns {number} - Negativo si el evento es anterior, 0 si coincide, positivo si es posterior
+     */
+    compareEventTime(event, minute, extra = 0) {
+        const elapsed = event.time?.elapsed || 0;
+        if (elapsed !== minute) return elapsed - minute;
+
+        return (event.time?.extra || 0) - extra;
+    }
+
+    /**
+     * Convertir un evento de API-Football en evidencia de liquidación
+     * @param {Object} event - Evento del partido
+     * @returns {Object} - Evidencia
+     */
+    toEvidence(event) {
+        return {
+            type: event.type,
+            detail: event.detail,
+            minute: event.time?.elapsed,
+            extra: event.time?.extra,
+            team: event.team ? { id: event.team.id, name: event.team.name } : undefined,
+            player: event.player ? { id: event.player.id, name: event.player.name } : undefined
+        };
+    }
+
+    /**
+     * Evidencia de cierre por final del primer tiempo
+     * @param {Object} matchState - Estado del partido
+     * @returns {Object} - Evidencia
+     */
+    halftimeEvidence(matchState) {
+        return {
+            type: 'Status',
+            detail: `Descanso (${matchState.halftime.home} - ${matchState.halftime.away})`,
+            minute: 45
+        };
+    }
+
+    /**
+     * Evidencia de cierre por final del partido
+     * @param {Object} matchState - Estado del partido
+     * @returns {Object} - Evidencia
+     */
+    finalWhistleEvidence(matchState) {
+        if (matchState.afterRegulation) {
+            return {
+                type: 'Status',
+                detail: `Final del tiempo reglamentario (${matchState.score.home} - ${matchState.score.away})`,
+                minute: 90
+            };
+        }
+
+        return {
+            type: 'Status',
+            detail: `Partido finalizado (${matchState.status})`,
+            minute: matchState.minute
+        };
+    }
+}
+
+module.exports = new AlertSettler();
@@ -0,0 +1,172 @@
+/**
+ * Revalidación de Alertas
+ * Antes de cada envío diferido (retraso del plan y pausa entre pre-alerta y
+ * alerta principal) vuelve a consultar el partido, repite la predicción y
+ * compara la cuota: si la premisa de la alerta ya no se cumple, la alerta
+ * debe anularse. Si no se puede comprobar (sin datos en vivo o con error),
+ * el envío se aplaza: una alerta diferida no sale sin revisar
+ */
+const goldenDetector = require('./golden-detector');
+const oddsCalculator = require('../utils/odds-calculator');
+const config = require('../config/app-config').alerts.revalidation;
+const logger = require('../utils/logger');
+
+class AlertValidator {
+    constructor() {
+        // Última revisión por alerta ({checkedAt, promise}): los envíos de
+        // todos los usuarios del plan salen casi a la vez y comparten consulta
+        this.checks = new Map();
+    }
+
+    /**
+     * Revalidar una alerta pendiente
+     * @param {Object} alert - Alerta guardada
+     * @param {Object} message - Mensaje de la cola que se va a enviar
+     * @returns {Promise<Object>} - {valid, retry, reason, detail}
+     */
+    async validate(alert, message = {}) {
+        const alertId = alert.id || alert._id?.toString();
+        const now = Date.now();
+
+        if (!config.enabled || this.isImmediate(alert, message, now)) {
+            return { valid: true };
+        }
+
+        const cached = this.checks.get(alertId);
+        if (cached && now - cached.checkedAt < config.cacheTtl) {
+            return cached.promise;
+        }
+
+        const promise = this.check(alert).catch(error => {
+            // Sin datos fiables no se anula ni se envía: se vuelve a intentar
+            logger.error(`Error revalidando alerta ${alertId}: ${error.message}`);
+            return this.pending('check_error', error.message);
+        });
+        this.checks.set(alertId, { checkedAt: now, promise });
+        this.cleanup(now);
+
+        return promise;
+    }
+
+    /**
+     * Comprobar la premisa de la alerta con los datos actuales del partido
+     * @param {Object} alert - Alerta guardada
+     * @returns {Promise<Object>} - {valid, reason, detail}
+     */
+    async check(alert) {
+        const matchData = await goldenDetector.getMatchLiveData(alert.matchId, { allowCached: false, readOnly: true });
+        if (!matchData) {
+            logger.warn(`Sin datos en vivo para revalidar la alerta del partido ${alert.matchId}`);
+            return this.pending('no_live_data', `Partido ${alert.matchId} sin datos en vivo`);
+        }
+
+        // 1. Gol desde la detección
+        const scoreAtAlert = alert.score || { home: 0, away: 0 };
+        if (matchData.score.home !== scoreAtAlert.home || matchData.score.away !== scoreAtAlert.away) {
+            return this.invalid('score_changed',
+                `Marcador ${scoreAtAlert.home}-${scoreAtAlert.away} -> ${matchData.score.home}-${matchData.score.away}`);
+        }
+
+        // 2. Expulsión desde la detección (alertas anteriores sin claves: por minuto)
+        const events = matchData.events || [];
+        const seen = alert.redCards ? [...alert.redCards] : null;
+        const keys = goldenDetector.getRedCardKeys(events);
+        const redCard = events.filter(event => goldenDetector.isRedCard(event)).find((event, index) => {
+            if (!seen) return (event.time?.elapsed || 0) > alert.minute;
+
+            // Cada clave vista cubre una sola expulsión (dos iguales en el mismo minuto)
+            const position = seen.indexOf(keys[index]);
+            if (position === -1) return true;
+            seen.splice(position, 1);
+            return false;
+        });
+        if (redCard) {
+            return this.invalid('red_card',
+                `Expulsión${redCard.team?.name ? ` en ${redCard.team.name}` : ''} al minuto ${redCard.time?.elapsed}`);
+        }
+
+        // 3. Nueva predicción (y mismo lado en mercados a tres vías)
+        const prediction = await goldenDetector.predictMarket(alert.market, matchData, alert.side);
+        if (!prediction) {
+            return this.invalid('no_prediction', 'El mercado ya no tiene predicción');
+        }
+
+        // En mercados a tres vías el lado con más valor debe seguir siendo el alertado
+        let probability = prediction.probability;
+        if (alert.side && prediction.outcomes) {
+            const best = goldenDetector.selectSide(alert.market, prediction, matchData);
+            if (best && best.side !== alert.side) {
+                return this.invalid('side_changed', `El lado favorecido pasó a ${best.side}`);
+            }
+            probability = prediction.outcomes[alert.side];
+        }
+
+        // 4. Movimiento de cuota
+        const odds = goldenDetector.getOddsForMarket(alert.market, matchData, alert.side);
+        if (!odds) {
+            return this.invalid('odds_unavailable', 'Mercado suspendido o sin cuota');
+        }
+
+        const alertedOdds = alert.odds?.value;
+        if (alertedOdds) {
+            const movement = (odds.value - alertedOdds) / alertedOdds;
+            if (Math.abs(movement) > config.oddsTolerance) {
+                return this.invalid('odds_moved',
+                    `Cuota ${alertedOdds.toFixed(2)} -> ${odds.value.toFixed(2)} (${(movement * 100).toFixed(1)}%)`);
+            }
+        }
+
+        // 5. Valor esperado con la predicción y la cuota actuales
+        const expectedValue = oddsCalculator.calculateExpectedValue(probability, odds);
+        if (expectedValue < goldenDetector.minExpectedValue) {
+            return this.invalid('no_value', `Valor esperado actual ${(expectedValue * 100).toFixed(1)}%`);
+        }
+
+        return { valid: true, probability, odds: odds.value, expectedValue };
+    }
+
+    /**
+     * Resultado de una revalidación fallida
+     * @param {string} reason - Motivo
+     * @param {string} detail - Descripción legible
+     * @returns {Object} - {valid, reason, detail}
+     */
+    invalid(reason, detail) {
+        return { valid: false, reason, detail };
+    }
+
+    /**
+     * Resultado de una revalidación que no se pudo completar (reintentar)
+     * @param {string} reason - Motivo
+     * @param {string} detail - Descripción legible
+     * @returns {Object} - {valid, retry, reason, detail}
+     */
+    pending(reason, detail) {
+        return { valid: false, retry: true, reason, detail };
+    }
+
+    /**
+     * Envío inmediato a la detección (sin retraso de plan): nada ha podido cambiar
+     * @param {Object} alert - Alerta guardada
+     * @param {Object} message - Mensaje de la cola
+     * @param {number} now - Momento actual
+     * @returns {boolean}
+     */
+    isImmediate(alert, message, now) {
+        const createdAt = new Date(alert.createdAt).getTime();
+        const scheduledAt = message.scheduledAt ? new Date(message.scheduledAt).getTime() : createdAt;
+
+        return scheduledAt - createdAt < config.minAge && now - createdAt < config.minAge;
+    }
+
+    // Olvidar revisiones caducadas
+    cleanup(now) {
+        for (const [alertId, check] of this.checks.entries()) {
+            if (now - check.checkedAt >= config.cacheTtl) {
+                this.checks.delete(alertId);
+            }
+        }
+    }
+}
+
+module.exports = new AlertValidator();
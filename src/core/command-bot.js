@@ -0,0 +1,302 @@
+/**
+ * Bot de Comandos
+ * Responde a los mensajes de texto de los usuarios (partidos, plan,
+ * alertas de hoy, seguir equipos, ayuda) manteniendo el estado de la
+ * conversación de cada usuario
+ */
+const commandParser = require('./command-parser');
+const messageGenerator = require('./message-generator');
+const controller = require('./controller');
+const alertRepo = require('../db/repositories/alert-repo');
+const entitlementService = require('../services/entitlement-service');
+const preferenceService = require('../services/preference-service');
+const quotaService = require('../services/quota-service');
+const userService = require('../services/user-service');
+const logger = require('../utils/logger');
+
+class CommandBot {
+    constructor() {
+        // Estado de conversación por usuario (preguntas pendientes de respuesta)
+        this.conversations = new Map();
+        this.conversationTtl = 5 * 60 * 1000; // 5 minutos
+
+        // Máximo de equipos a ofrecer cuando el nombre es ambiguo
+        this.maxTeamOptions = 5;
+    }
+
+    /**
+     * Responder a un mensaje de texto de un usuario
+     * @param {Object} user - Usuario
+     * @param {string} text - Texto recibido
+     * @returns {Promise<string>} - Respuesta a enviar
+     */
+    async handleMessage(user, text) {
+        const userId = user.id || user._id.toString();
+
+        try {
+            const { command, args } = commandParser.parse(text);
+
+            // Sin comando reconocido: puede ser la respuesta a una pregunta pendiente
+            if (!command) {
+                const state = this.getState(userId);
+                if (state) {
+                    return await this.handlePendingAnswer(user, state, text.trim());
+                }
+
+                return messageGenerator.formatHelp('No entendí tu mensaje. 🤔');
+            }
+
+            // Un comando nuevo cancela cualquier pregunta pendiente
+            this.clearState(userId);
+            logger.user(userId, 'command', { command });
+
+            switch (command) {
+                case 'partidos':
+                    return this.handleMatches();
+                case 'plan':
+                    return await this.handlePlan(user);
+                case 'alertasHoy':
+                    return await this.handleTodayAlerts(user);
+                case 'seguir':
+                    return await this.handleFollow(user, args);
+                case 'dejarDeSeguir':
+                    return await this.handleUnfollow(user, args);
+                case 'vincularTelegram':
+                    return await this.handleTelegramLink(user);
+                case 'desvincularTelegram':
+                    return await this.handleTelegramUnlink(user);
+                case 'ayuda':
+                default:
+                    return messageGenerator.formatHelp();
+            }
+        } catch (error) {
+            logger.error(`Error respondiendo comando de usuario ${userId}: ${error.message}`);
+            return 'Tuvimos un problema procesando tu mensaje. Probá de nuevo en unos minutos.';
+        }
+    }
+
+    /**
+     * Listar partidos monitoreados
+     * @returns {string} - Respuesta
+     */
+    handleMatches() {
+        const matches = Array.from(controller.activeMonitoring.values()).map(monitoring => monitoring.match);
+        return messageGenerator.formatMatchList(matches);
+    }
+
+    /**
+     * Mostrar plan y suscripción del usuario
+     * @param {Object} user - Usuario
+     * @returns {Promise<string>} - Respuesta
+     */
+    async handlePlan(user) {
+        const entitlements = entitlementService.getEntitlements(user);
+        const preferences = preferenceService.resolvePreferences(user);
+        const usage = await quotaService.getUsage(user);
+
+        return messageGenerator.formatPlanSummary({
+            plan: entitlements?.plan || user.plan,
+            subscriptionStatus: entitlements?.subscriptionStatus || 'none',
+            endsAt: user.subscription?.endsAt,
+            timezone: preferences.timezone,
+            sentToday: usage.sent,
+            maxAlertsPerDay: entitlements?.maxAlertsPerDay ?? 0,
+            teams: preferences.teams
+        });
+    }
+
+    /**
+     * Resumir las alertas recibidas hoy (día local del usuario)
+     * @param {Object} user - Usuario
+     * @returns {Promise<string>} - Respuesta
+     */
+    async handleTodayAlerts(user) {
+        const userId = user.id || user._id.toString();
+        const { timezone } = preferenceService.resolvePreferences(user);
+        const now = new Date();
+        const today = quotaService.getLocalDate(now, timezone);
+
+        // Un día local cabe siempre en las últimas 36 horas
+        const since = new Date(now.getTime() - 36 * 60 * 60 * 1000);
+        const alerts = (await alertRepo.getAlertsSentToUser(userId, since))
+            .filter(alert => quotaService.getLocalDate(new Date(alert.createdAt), timezone) === today);
+
+        const usage = await quotaService.getUsage(user, now);
+        return messageGenerator.formatTodayAlerts(alerts, usage.suppressed);
+    }
+
+    /**
+     * Seguir un equipo
+     * @param {Object} user - Usuario
+     * @param {string} query - Nombre escrito por el usuario
+     * @returns {Promise<string>} - Respuesta
+     */
+    async handleFollow(user, query) {
+        const userId = user.id || user._id.toString();
+
+        if (!query) {
+            this.setState(userId, { type: 'follow' });
+            return '⭐ ¿Qué equipo querés seguir?';
+        }
+
+        const candidates = this.findTeams(query);
+
+        if (candidates.length > 1) {
+            const options = candidates.slice(0, this.maxTeamOptions);
+            this.setState(userId, { type: 'chooseTeam', options });
+            return messageGenerator.formatTeamChoice(options);
+        }
+
+        // Equipo conocido (con ID) o, si no juega ahora, se sigue por nombre
+        const team = candidates[0] || { name: query };
+        await preferenceService.followTeam(userId, team);
+
+        return messageGenerator.formatFollowConfirmation(team);
+    }
+
+    /**
+     * Dejar de seguir un equipo
+     * @param {Object} user - Usuario
+     * @param {string} query - Nombre escrito por el usuario
+     * @returns {Promise<string>} - Respuesta
+     */
+    async handleUnfollow(user, query) {
+        const userId = user.id || user._id.toString();
+        const { teams } = preferenceService.resolvePreferences(user);
+
+        // Primero el nombre exacto; si no, el único equipo seguido que contenga la búsqueda
+        const partial = teams.filter(team => preferenceService.nameContains(team.name, query || ''));
+        const followed = teams.find(team => preferenceService.namesMatch(team.name, query || ''))
+            || (partial.length === 1 ? partial[0] : null);
+        if (!followed) {
+            return teams.length > 0
+                ? `No seguís a "${query}". Tus equipos: ${teams.map(team => team.name).join(', ')}.`
+                : 'Todavía no seguís a ningún equipo. Escribí "seguir <equipo>" para empezar.';
+        }
+
+        await preferenceService.unfollowTeam(userId, followed);
+        return messageGenerator.formatFollowConfirmation(followed, false);
+    }
+
+    /**
+     * Enviar enlace de vinculación de Telegram
+     * El enlace se entrega en la conversación del usuario: quien lo abra
+     * recibe sus alertas, así que nunca se devuelve por otra vía
+     * @param {Object} user - Usuario
+     * @returns {Promise<string>} - Respuesta
+     */
+    async handleTelegramLink(user) {
+        if (user.telegram?.chatId) {
+            return '✅ Tu cuenta ya tiene Telegram vinculado. ' +
+                'Si querés usar otra cuenta de Telegram, escribí "desvincular telegram" y pedí un enlace nuevo.';
+        }
+
+        const link = await userService.createTelegramLink(user.id || user._id.toString());
+        return messageGenerator.formatTelegramLink(link);
+    }
+
+    /**
+     * Desvincular la cuenta de Telegram
+     * @param {Object} user - Usuario
+     * @returns {Promise<string>} - Respuesta
+     */
+    async handleTelegramUnlink(user) {
+        const updated = await userService.unlinkTelegram(user.id || user._id.toString());
+
+        return updated
+            ? '🔓 Desvinculamos tu cuenta de Telegram. Ya no recibirás alertas por ese chat.'
+            : 'Tu cuenta no tiene Telegram vinculado. Escribí "telegram" para vincularlo.';
+    }
+
+    /**
+     * Resolver la respuesta a una pregunta pendiente
+     * @param {Object} user - Usuario
+     * @param {Object} state - Estado de la conversación
+     * @param {string} text - Respuesta del usuario
+     * @returns {Promise<string>} - Respuesta
+     */
+    async handlePendingAnswer(user, state, text) {
+        const userId = user.id || user._id.toString();
+        this.clearState(userId);
+
+        if (state.type === 'follow') {
+            return this.handleFollow(user, text);
+        }
+
+        if (state.type === 'chooseTeam') {
+            const index = parseInt(text) - 1;
+            const partial = state.options.filter(option => preferenceService.nameContains(option.name, text));
+            const team = state.options[index]
+                || state.options.find(option => preferenceService.namesMatch(option.name, text))
+                || (partial.length === 1 ? partial[0] : null);
+
+            if (!team) {
+                this.setState(userId, state);
+                return messageGenerator.formatTeamChoice(state.options);
+            }
+
+            await preferenceService.followTeam(userId, team);
+            return messageGenerator.formatFollowConfirmation(team);
+        }
+
+        return messageGenerator.formatHelp();
+    }
+
+    /**
+     * Buscar equipos por nombre entre los partidos monitoreados
+     * @param {string} query - Nombre buscado
+     * @returns {Array} - Equipos candidatos [{id, name}] sin duplicados
+     */
+    findTeams(query) {
+        const found = new Map();
+
+        for (const { match } of controller.activeMonitoring.values()) {
+            for (const team of [match.teams?.home, match.teams?.away]) {
+                if (team?.name && preferenceService.nameContains(team.name, query)) {
+                    found.set(team.id ?? team.name, { id: team.id, name: team.name });
+                }
+            }
+        }
+
+        return Array.from(found.values());
+    }
+
+    /**
+     * Obtener estado de conversación vigente
+     * @param {string} userId - ID del usuario
+     * @returns {Object|null} - Estado o null
+     */
+    getState(userId) {
+        const state = this.conversations.get(userId);
+        if (!state) return null;
+
+        if (Date.now() > state.expiresAt) {
+            this.conversations.delete(userId);
+            return null;
+        }
+
+        return state;
+    }
+
+    /**
+     * Guardar estado de conversación
+     * @param {string} userId - ID del usuario
+     * @param {Object} state - Estado ({type, ...})
+     */
+    setState(userId, state) {
+        this.conversations.set(userId, {
+            ...state,
+            expiresAt: Date.now() + this.conversationTtl
+        });
+    }
+
+    /**
+     * Borrar estado de conversación
+     * @param {string} userId - ID del usuario
+     */
+    clearState(userId) {
+        this.conversations.delete(userId);
+    }
+}
+
+module.exports = new CommandBot();
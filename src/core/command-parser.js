@@ -0,0 +1,170 @@
+/**
+ * Intérprete de Comandos
+ * Reconoce los comandos que los usuarios escriben al bot, con sinónimos
+ * en español y tolerancia a errores de tipeo
+ */
+class CommandParser {
+    constructor() {
+        // Comandos y frases que los activan (sin tildes, en minúsculas)
+        this.commands = {
+            partidos: {
+                synonyms: ['partidos', 'partido', 'en vivo', 'vivo', 'juegos', 'monitoreo'],
+                takesArgs: false
+            },
+            plan: {
+                synonyms: ['plan', 'mi plan', 'estado', 'suscripcion', 'mi suscripcion', 'cuenta'],
+                takesArgs: false
+            },
+            alertasHoy: {
+                synonyms: ['alertas hoy', 'alertas de hoy', 'alertas', 'resumen', 'hoy'],
+                takesArgs: false
+            },
+            seguir: {
+                synonyms: ['seguir', 'seguir a', 'sigo', 'sigo a', 'follow'],
+                takesArgs: true
+            },
+            dejarDeSeguir: {
+                synonyms: ['dejar de seguir', 'dejar de seguir a', 'no seguir', 'unfollow'],
+                takesArgs: true
+            },
+            vincularTelegram: {
+                synonyms: ['telegram', 'vincular telegram', 'recibir por telegram'],
+                takesArgs: false
+            },
+            desvincularTelegram: {
+                synonyms: ['desvincular telegram', 'quitar telegram', 'borrar telegram'],
+                takesArgs: false
+            },
+            ayuda: {
+                synonyms: ['ayuda', 'help', 'comandos', 'menu', 'hola', 'inicio', '?'],
+                takesArgs: false
+            }
+        };
+    }
+
+    /**
+     * Interpretar un mensaje de texto
+     * @param {string} text - Texto escrito por el usuario
+     * @returns {Object} - {command, args} (command null si no se reconoce)
+     */
+    parse(text) {
+        const words = this.tokenize(text);
+        if (words.length === 0) {
+            return { command: null, args: '' };
+        }
+
+        let best = null;
+
+        for (const [command, definition] of Object.entries(this.commands)) {
+            for (const synonym of definition.synonyms) {
+                const synonymWords = synonym.split(' ');
+                if (synonymWords.length > words.length) continue;
+
+                const matches = synonymWords.every((word, index) =>
+                    this.isSimilar(words[index].normalized, word)
+                );
+                if (!matches) continue;
+
+                // Los comandos sin argumentos deben ocupar todo el mensaje
+                // (o casi: se toleran palabras de relleno como "de hoy")
+                const remaining = words.length - synonymWords.length;
+                if (!definition.takesArgs && remaining > 2) continue;
+
+                // Preferir la frase más larga ("dejar de seguir" antes que "seguir")
+                if (!best || synonymWords.length > best.length) {
+                    best = { command, length: synonymWords.length, takesArgs: definition.takesArgs };
+                }
+            }
+        }
+
+        if (!best) {
+            return { command: null, args: '' };
+        }
+
+        return {
+            command: best.command,
+            args: best.takesArgs
+                ? words.slice(best.length).map(word => word.original).join(' ')
+                : ''
+        };
+    }
+
+    /**
+     * Separar texto en palabras conservando la forma original
+     * @param {string} text - Texto
+     * @returns {Array} - [{original, normalized}]
+     */
+    tokenize(text) {
+        return (text || '')
+            .trim()
+            .split(/\s+/)
+            .map(original => ({
+                original: original.replace(/[¿¡!.,;:]+/g, ''),
+                normalized: this.normalize(original)
+            }))
+            .filter(word => word.normalized.length > 0);
+    }
+
+    /**
+     * Normalizar palabra: minúsculas, sin tildes ni signos
+     * @param {string} word - Palabra
+     * @returns {string} - Palabra normalizada
+     */
+    normalize(word) {
+        return word
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9?ñ]/g, '');
+    }
+
+    /**
+     * Comparar palabras tolerando errores de tipeo según su longitud
+     * @param {string} input - Palabra escrita
+     * @param {string} expected - Palabra esperada
+     * @returns {boolean} - true si son suficientemente parecidas
+     */
+    isSimilar(input, expected) {
+        if (input === expected) return true;
+
+        // Palabras cortas deben coincidir exactamente
+        const tolerance = expected.length <= 3 ? 0 : expected.length <= 6 ? 1 : 2;
+        if (tolerance === 0) return false;
+
+        return this.distance(input, expected) <= tolerance;
+    }
+
+    /**
+     * Distancia de edición entre dos palabras (Levenshtein contando
+     * la transposición de letras contiguas como un único error)
+     * @param {string} a - Palabra
+     * @param {string} b - Palabra
+     * @returns {number} - Número mínimo de ediciones
+     */
+    distance(a, b) {
+        if (Math.abs(a.length - b.length) > 2) return Infinity;
+
+        const rows = Array.from({ length: a.length + 1 }, (_, i) =>
+            Array.from({ length: b.length + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0))
+        );
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(
+                    rows[i - 1][j] + 1,
+                    rows[i][j - 1] + 1,
+                    rows[i - 1][j - 1] + cost
+                );
+
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+
+        return rows[a.length][b.length];
+    }
+}
+
+module.exports = new CommandParser();
@@ -6,19 +6,25 @@
 const matchSelector = require('./match-selector');
 const goldenDetector = require('./golden-detector');
 const messageGenerator = require('./message-generator');
+const alertSettler = require('./alert-settler');
+const alertValidator = require('./alert-validator');
 const logger = require('../utils/logger');
+const appConfig = require('../config/app-config');
 const matchRepo = require('../db/repositories/match-repo');
 const alertRepo = require('../db/repositories/alert-repo');
 const userService = require('../services/user-service');
-
-// Importamos mensajeros según configuración
-const consoleMessenger = require('../messaging/console-messenger');
-let whatsappSender;
-try {
-    whatsappSender = require('../messaging/whatsapp/whatsapp-sender');
-} catch (error) {
-    logger.warn('WhatsApp Sender no disponible. Usando solo consola para mensajes.');
-}
+const subscriptionService = require('../services/subscription-service');
+const entitlementService = require('../services/entitlement-service');
+const preferenceService = require('../services/preference-service');
+const quotaService = require('../services/quota-service');
+const deliveryService = require('../services/delivery-service');
+const performanceService = require('../services/performance-service');
+const oddsService = require('../services/odds-service');
+const calibrationService = require('../services/calibration-service');
+const outboundQueue = require('../messaging/outbound-queue');
+const messengerRegistry = require('../messaging/messenger-registry');
+const digestService = require('../services/digest-service');
+const alertStream = require('../messaging/stream/alert-stream');
 
 class GoldenAlertsController {
     constructor() {
@@ -29,14 +35,10 @@ class GoldenAlertsController {
         this.config = {
             cycleInterval: process.env.MONITORING_CYCLE_INTERVAL || 5 * 60 * 1000, // 5 minutos por defecto
             enableWhatsapp: process.env.ENABLE_WHATSAPP === 'true',
-            developmentMode: process.env.NODE_ENV === 'development'
-        };
-
-        // Planes de usuario y retrasos de mensajes asociados (en ms)
-        this.planDelays = {
-            free: 60000,      // 60 segundos (reciben alertas después)
-            insider: 30000,   // 30 segundos 
-            estratega: 0      // Inmediato (premium)
+            enableTelegram: appConfig.telegram.enabled,
+            developmentMode: process.env.NODE_ENV === 'development',
+            // Tiempo tras el cual se avisa a los usuarios de que una alerta sigue abierta
+            followUpWindow: appConfig.alerts.defaultTTL * 1000
         };
     }
 
@@ -55,6 +57,26 @@ class GoldenAlertsController {
             // Inicializar repositorios
             await matchRepo.initialize();
             await alertRepo.initialize();
+            await userService.initialize();
+            await quotaService.initialize();
+            await oddsService.initialize();
+
+            // Iniciar cola de mensajes (retoma los envíos pendientes antes de una caída)
+            outboundQueue.onResult('preAlert', (message, result) => this.handlePreAlertResult(message, result));
+            outboundQueue.onResult('mainAlert', (message, result) => this.handleMainAlertResult(message, result));
+            // Revalidar destinatario y alerta justo antes de cada envío diferido
+            outboundQueue.onBeforeSend('preAlert', message => this.checkAlertBeforeSend(message));
+            outboundQueue.onBeforeSend('mainAlert', message => this.checkAlertBeforeSend(message));
+            outboundQueue.onBeforeSend('steamAlert', message => this.checkRecipientBeforeSend(message));
+            // Alerta principal descartada (anulada, silencio...): liberar la plaza del cupo
+            outboundQueue.onSkip('mainAlert', message => this.releaseQuota(message));
+            await outboundQueue.start();
+
+            // Resumen diario por los canales elegidos por cada usuario
+            digestService.start();
+
+            // Cargar resultados históricos para los mensajes
+            await performanceService.refreshMarketSummary();
 
             // Iniciar ciclo de monitoreo
             this.isRunning = true;
@@ -92,6 +114,11 @@ class GoldenAlertsController {
             this.monitoringInterval = null;
         }
 
+        // Detener cola de mensajes (los pendientes quedan guardados)
+        outboundQueue.stop();
+        digestService.stop();
+        alertStream.close();
+
         // Limpiar monitoreo activo
         this.activeMonitoring.clear();
         this.isRunning = false;
@@ -124,12 +151,150 @@ class GoldenAlertsController {
             // Esperar a que terminen todos los procesos (con límite de tiempo)
             await Promise.all(monitoringPromises);
 
+            // 4. Liquidar alertas pendientes con el estado actual de los partidos
+            // (antes de capturar cuotas: una alerta decidida no suma cuotas posteriores)
+            await this.settleAlerts();
+
+            // 5. Capturar cuotas de los mercados alertados (para CLV)
+            await oddsService.snapshotAlertedMarkets();
+
+            // 6. Vencer suscripciones y bajar a free las que agotaron la gracia
+            await subscriptionService.processExpirations();
+
             logger.info('Ciclo de monitoreo completado');
         } catch (error) {
             logger.error(`Error en ciclo de monitoreo: ${error.message}`);
         }
     }
 
+    /**
+     * Liquidar alertas pendientes
+     * @returns {Promise<Array>} - Alertas liquidadas en este ciclo
+     */
+    async settleAlerts() {
+        try {
+            const settled = await alertSettler.settlePendingAlerts();
+
+            for (const { alert, outcome, settlement } of settled) {
+                // Cerrar la línea de cuotas para calcular el CLV
+                await oddsService.closeAlertLine(alert, settlement.settledAt, settlement.evidence);
+
+                // Informar el resultado (ganado o perdido) a quienes recibieron la alerta
+                await this.sendFollowUps(alert, outcome, settlement);
+            }
+
+            // Avisar de las alertas que siguen abiertas al cerrar su ventana de evaluación
+            await this.notifyOpenAlerts();
+
+            // Actualizar resultados publicados y calibración si hubo liquidaciones
+            if (settled.length > 0) {
+                await performanceService.refreshMarketSummary();
+                await calibrationService.refit();
+            }
+
+            return settled;
+        } catch (error) {
+            logger.error(`Error liquidando alertas: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Enviar seguimiento "en curso" a alertas pendientes cuya ventana terminó
+     */
+    async notifyOpenAlerts() {
+        const pendingAlerts = await alertRepo.getPendingAlerts();
+        const windowStart = Date.now() - this.config.followUpWindow;
+
+        for (const alert of pendingAlerts) {
+            const alreadyNotified = (alert.followUps || []).some(f => f.outcome === 'pending');
+
+            if (!alreadyNotified && new Date(alert.createdAt).getTime() <= windowStart) {
+                await this.sendFollowUps(alert, 'pending');
+            }
+        }
+    }
+
+    /**
+     * Enviar mensaje de seguimiento a todos los destinatarios de una alerta
+     * @param {Object} alert - Alerta guardada
+     * @param {string} outcome - Resultado (success, fail, pending)
+     * @param {Object} settlement - Liquidación de la alerta (opcional)
+     */
+    async sendFollowUps(alert, outcome, settlement = null) {
+        const alertId = alert.id || alert._id?.toString();
+
+        try {
+            // Un único seguimiento por usuario, respondiendo a su último mensaje de la alerta
+            // (quienes no recibieron la alerta no reciben su resultado)
+            const recipients = new Map();
+            for (const recipient of alert.sentTo || []) {
+                if (recipient.status === 'failed') continue;
+                recipients.set(recipient.userId, recipient);
+            }
+
+            if (recipients.size === 0) {
+                return;
+            }
+
+            const message = messageGenerator.formatFollowUp(alert, outcome, settlement);
+            const templateData = this.getTemplateData(alert);
+
+            for (const recipient of recipients.values()) {
+                try {
+                    // Responder por el canal que entregó la alerta (con alternativas si falla)
+                    const user = await userService.getUserById(recipient.userId);
+                    const channels = messengerRegistry.resolveChannels(user, recipient.channel);
+
+                    await outboundQueue.enqueue({
+                        alertId,
+                        userId: recipient.userId,
+                        plan: recipient.plan,
+                        channels,
+                        messageType: 'followUp',
+                        variant: outcome,
+                        payload: {
+                            text: message,
+                            options: {
+                                replyTo: recipient.messageId,
+                                replyChannel: recipient.channel,
+                                goldenMoment: templateData,
+                                outcome
+                            }
+                        }
+                    });
+                } catch (error) {
+                    logger.error(`Error encolando seguimiento a usuario ${recipient.userId}: ${error.message}`);
+                }
+            }
+
+            await alertRepo.registerFollowUp(alertId, outcome, recipients.size);
+            logger.info(`Seguimiento (${outcome}) de alerta ${alertId} enviado a ${recipients.size} usuarios`);
+        } catch (error) {
+            logger.error(`Error enviando seguimientos de alerta ${alertId}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Datos del momento dorado necesarios para las plantillas de WhatsApp
+     * @param {Object} goldenMoment - Momento dorado o alerta guardada
+     * @returns {Object} - Datos reducidos para guardar en la cola
+     */
+    getTemplateData(goldenMoment) {
+        const { matchId, market, side, minute, teams, score, odds, prediction } = goldenMoment;
+
+        return {
+            matchId,
+            market,
+            side: side || undefined,
+            minute,
+            teams: { home: { name: teams.home.name }, away: { name: teams.away.name } },
+            score: score ? { home: score.home, away: score.away } : undefined,
+            odds: { value: odds?.value },
+            prediction: { probability: prediction?.probability, confidence: prediction?.confidence }
+        };
+    }
+
     /**
      * Actualizar lista de partidos en monitoreo
      * @param {Array} newMatches - Nuevos partidos a monitorear
@@ -190,6 +355,9 @@ class GoldenAlertsController {
             // Detectar momentos dorados para cada plan de usuario
             await this.checkGoldenMomentsForAllPlans(matchId, monitoring);
 
+            // Avisar de caídas bruscas de cuota a los planes que las incluyen
+            await this.checkSteamMoves(matchId, monitoring);
+
         } catch (error) {
             logger.error(`Error procesando partido ${matchId}: ${error.message}`);
         }
@@ -204,11 +372,11 @@ class GoldenAlertsController {
         // Planes en orden de exclusividad (estratega primero)
         const plans = ['estratega', 'insider', 'free'];
 
-        // Buscar momentos dorados para cada plan
+        // Buscar momentos dorados para cada plan (varios mercados no correlacionados por partido)
         for (const plan of plans) {
-            const goldenMoment = await goldenDetector.detectGoldenMoment(matchId, plan);
+            const goldenMoments = await goldenDetector.detectGoldenMoments(matchId, plan);
 
-            if (goldenMoment) {
+            for (const goldenMoment of goldenMoments) {
                 // Verificar si ya enviamos una alerta similar recientemente
                 const alertKey = `${goldenMoment.market}_${plan}`;
 
@@ -226,6 +394,60 @@ class GoldenAlertsController {
         }
     }
 
+    /**
+     * Enviar alertas steam (caídas bruscas de cuota) de un partido
+     * No se guardan como alertas: no son predicciones y no se liquidan
+     * @param {string} matchId - ID del partido
+     * @param {Object} monitoring - Objeto de monitoreo
+     */
+    async checkSteamMoves(matchId, monitoring) {
+        const plans = ['estratega', 'insider', 'free']
+            .filter(plan => entitlementService.getPlanEntitlements(plan).steamAlerts);
+        if (plans.length === 0) return;
+
+        const steamMoves = await goldenDetector.detectSteamMoves(matchId);
+
+        for (const steamMove of steamMoves) {
+            const alertKey = `steam_${steamMove.market}_${steamMove.side || 'all'}`;
+            if (this.isRecentlyAlerted(monitoring, alertKey)) continue;
+            monitoring.sentAlerts.set(alertKey, Date.now());
+
+            const message = messageGenerator.formatSteamAlert(steamMove);
+            const variant = `${matchId}:${alertKey}:${new Date(steamMove.movement.detectedAt).getTime()}`;
+            logger.info(`Steam en partido ${matchId}: ${steamMove.market} ${steamMove.description}`);
+
+            for (const plan of plans) {
+                const recipients = await entitlementService.getRecipientsForPlan(plan);
+
+                for (const { user, entitlements } of recipients) {
+                    const { allowed, reason } = preferenceService.evaluate(user, steamMove, entitlements);
+                    if (!allowed) {
+                        logger.debug(`Alerta steam omitida para usuario ${user.id}: ${reason}`);
+                        continue;
+                    }
+
+                    if (this.config.developmentMode) {
+                        console.log(message);
+                        continue;
+                    }
+
+                    try {
+                        await outboundQueue.enqueue({
+                            userId: user.id,
+                            plan,
+                            channels: messengerRegistry.resolveChannels(user),
+                            messageType: 'steamAlert',
+                            variant,
+                            payload: { text: message, options: { goldenMoment: steamMove } }
+                        });
+                    } catch (error) {
+                        logger.error(`Error encolando alerta steam para usuario ${user.id}: ${error.message}`);
+                    }
+                }
+            }
+        }
+    }
+
     /**
      * Comprobar si ya se ha enviado una alerta similar recientemente
      * @param {Object} monitoring - Objeto de monitoreo
@@ -254,31 +476,50 @@ class GoldenAlertsController {
             const savedAlert = await alertRepo.saveAlert(goldenMoment, plan);
             logger.info(`Alerta guardada con ID: ${savedAlert.id}`);
 
+            // Publicar en el stream de clientes web (con el retraso de cada plan)
+            alertStream.publish({ ...goldenMoment, id: savedAlert.id }, plan);
+
             // 2. Generar mensajes para este plan
             const messages = messageGenerator.formatGoldenMoment(goldenMoment, plan);
 
-            // 3. Obtener usuarios que deben recibir la alerta
-            const users = await userService.getUsersByPlan(plan);
-            logger.info(`Enviando alerta a ${users.length} usuarios del plan ${plan}`);
+            // 3. Obtener usuarios con el plan vigente y cuyas preferencias acepten la alerta
+            const candidates = await entitlementService.getRecipientsForPlan(plan);
+            const recipients = candidates.filter(({ user, entitlements }) => {
+                const { allowed, reason } = preferenceService.evaluate(user, goldenMoment, entitlements);
+                if (!allowed) {
+                    logger.debug(`Alerta omitida para usuario ${user.id}: ${reason}`);
+                }
+                return allowed;
+            });
+            logger.info(`Enviando alerta a ${recipients.length} de ${candidates.length} usuarios del plan ${plan}`);
 
             // 4. Registrar alerta en el partido
             await matchRepo.registerAlertSent(goldenMoment.matchId, goldenMoment.market, plan);
 
             // 5. Enviar pre-alerta a todos los usuarios del plan o superiores
-            for (const user of users) {
+            for (const { user, entitlements } of recipients) {
+                // Aplicar cupo diario del usuario (la plaza se reserva al enviar la pre-alerta)
+                const quota = await quotaService.check(user, entitlements, {
+                    alertId: savedAlert.id,
+                    matchId: goldenMoment.matchId,
+                    market: goldenMoment.market
+                });
+                if (!quota.allowed) {
+                    logger.debug(`Cupo diario agotado para usuario ${user.id} (${quota.limit}): ${quota.action}`);
+                    continue;
+                }
+
                 // Si estamos en modo desarrollo, simular por consola
                 if (this.config.developmentMode) {
                     this.simulateAlert(messages, plan, user.id);
                     continue;
                 }
 
-                // Aplicar retraso según plan del usuario
-                const delay = this.planDelays[plan] || 0;
+                // Aplicar retraso según los permisos del usuario
+                const scheduledAt = new Date(Date.now() + (entitlements.alertDelay || 0));
 
-                // Programar envío con retraso
-                setTimeout(() => {
-                    this.sendAlertMessages(user.id, messages, savedAlert.id);
-                }, delay);
+                // Encolar envío programado
+                await this.queueAlertMessages(user, messages, savedAlert.id, plan, goldenMoment, scheduledAt);
             }
 
             return true;
@@ -289,31 +530,269 @@ class GoldenAlertsController {
     }
 
     /**
-     * Enviar mensajes de alerta a un usuario
-     * @param {string} userId - ID del usuario
+     * Encolar la pre-alerta de un usuario por sus canales preferidos
+     * La alerta principal se encola al confirmarse la pre-alerta (handlePreAlertResult)
+     * @param {Object} user - Usuario destinatario
      * @param {Object} messages - Mensajes formateados
      * @param {string} alertId - ID de la alerta guardada
+     * @param {string} plan - Plan con el que se envía la alerta
+     * @param {Object} goldenMoment - Momento dorado (para plantillas fuera de la ventana de 24 horas)
+     * @param {Date} scheduledAt - Momento de envío de la pre-alerta
      */
-    async sendAlertMessages(userId, messages, alertId) {
+    async queueAlertMessages(user, messages, alertId, plan, goldenMoment, scheduledAt = new Date()) {
+        const userId = user.id;
+
         try {
-            // Determinar qué mensajero usar
-            const messenger = this.config.enableWhatsapp && whatsappSender
-                ? whatsappSender
-                : consoleMessenger;
+            await outboundQueue.enqueue({
+                alertId,
+                userId,
+                plan,
+                channels: messengerRegistry.resolveChannels(user),
+                messageType: 'preAlert',
+                payload: {
+                    text: messages.preAlert,
+                    mainAlertText: messages.mainAlert,
+                    options: { alertId, goldenMoment: this.getTemplateData(goldenMoment) }
+                },
+                scheduledAt
+            });
+        } catch (error) {
+            logger.error(`Error encolando mensajes para usuario ${userId}: ${error.message}`);
+        }
+    }
 
-            // Enviar pre-alerta
-            await messenger.sendPreAlert(userId, messages.preAlert);
+    /**
+     * Encolar la alerta principal tras el resultado de la pre-alerta
+     * Sale después de la pre-alerta y por el canal que la entregó; si la
+     * pre-alerta no llegó, la alerta queda registrada como no entregada
+     * @param {Object} message - Mensaje de la cola (pre-alerta)
+     * @param {Object} result - Resultado del envío
+     */
+    async handlePreAlertResult(message, result) {
+        if (result?.success === false) {
+            await this.registerAlertDelivery(message, result);
+            await this.releaseQuota(message);
+            return;
+        }
+
+        const user = await userService.getUserById(message.userId);
+        const { mainAlertText, options } = message.payload || {};
+
+        await outboundQueue.enqueue({
+            alertId: message.alertId,
+            userId: message.userId,
+            plan: message.plan,
+            channels: messengerRegistry.resolveChannels(user, message.channel),
+            messageType: 'mainAlert',
+            payload: { text: mainAlertText, options },
+            scheduledAt: new Date(Date.now() + appConfig.queue.mainAlertDelay)
+        });
+    }
+
+    /**
+     * Comprobar destinatario y alerta de un mensaje justo antes de enviarlo
+     * @param {Object} message - Mensaje de la cola (pre-alerta o alerta principal)
+     * @returns {Promise<Object>} - {allowed, reason}
+     */
+    async checkAlertBeforeSend(message) {
+        const recipientCheck = await this.checkRecipientBeforeSend(message);
+        if (!recipientCheck.allowed) return recipientCheck;
 
-            // Enviar alerta principal después de un pequeño retraso
-            setTimeout(async () => {
-                await messenger.sendMainAlert(userId, messages.mainAlert);
+        const validation = await this.revalidateBeforeSend(message);
+        if (!validation.allowed) return validation;
 
-                // Registrar envío en la base de datos
-                await alertRepo.registerAlertSent(alertId, userId);
-            }, 3000);
+        // Otras alertas del usuario pudieron agotar su cupo mientras esta esperaba:
+        // la plaza se reserva al final, solo para alertas que van a enviarse
+        if (message.messageType === 'preAlert') {
+            return this.checkQuotaBeforeSend(message);
+        }
+
+        return validation;
+    }
+
+    /**
+     * Reservar una plaza del cupo diario del destinatario antes de enviar la pre-alerta
+     * @param {Object} message - Mensaje de la cola
+     * @returns {Promise<Object>} - {allowed, reason}
+     */
+    async checkQuotaBeforeSend(message) {
+        const user = await userService.getUserById(message.userId);
+        const entitlements = user && entitlementService.getEntitlements(user);
+        if (!entitlements) return { allowed: true };
+
+        const { goldenMoment } = message.payload?.options || {};
+        const quota = await quotaService.reserve(user, entitlements, {
+            alertId: message.alertId,
+            matchId: goldenMoment?.matchId,
+            market: goldenMoment?.market
+        });
+
+        return quota.allowed ? { allowed: true } : { allowed: false, reason: 'daily_limit' };
+    }
+
+    /**
+     * Comprobar que el usuario sigue aceptando el mensaje en el momento del envío
+     * (el retraso del plan puede dejarlo dentro de su horario de silencio)
+     * @param {Object} message - Mensaje de la cola
+     * @returns {Promise<Object>} - {allowed, reason}
+     */
+    async checkRecipientBeforeSend(message) {
+        const user = await userService.getUserById(message.userId);
+        if (!user) {
+            return { allowed: false, reason: 'user_inactive' };
+        }
+
+        return preferenceService.evaluateAtSend(user, message.payload?.options?.goldenMoment?.matchId);
+    }
+
+    /**
+     * Revalidar la alerta de un mensaje justo antes de enviarlo
+     * @param {Object} message - Mensaje de la cola (pre-alerta o alerta principal)
+     * @returns {Promise<Object>} - {allowed, reason, retry}
+     */
+    async revalidateBeforeSend(message) {
+        const alert = await alertRepo.getAlertById(message.alertId);
+        if (!alert) return { allowed: true };
 
+        if (alert.outcome === 'void') {
+            return { allowed: false, reason: 'alert_cancelled' };
+        }
+        // Ya liquidada: el resultado se conoce y no tiene sentido recomendarla
+        if (alert.outcome !== 'pending') {
+            return { allowed: false, reason: 'alert_settled' };
+        }
+
+        const validation = await alertValidator.validate(alert, message);
+        if (validation.valid) return { allowed: true };
+
+        // No se pudo revalidar: la cola aplaza el envío y lo descarta si no lo consigue
+        if (validation.retry) {
+            return { allowed: false, retry: true, reason: validation.reason };
+        }
+
+        await this.cancelAlert(alert, validation);
+        return { allowed: false, reason: 'alert_cancelled' };
+    }
+
+    /**
+     * Anular una alerta cuya premisa dejó de cumplirse
+     * Descarta los envíos pendientes y avisa a quienes ya recibieron la pre-alerta
+     * @param {Object} alert - Alerta guardada
+     * @param {Object} validation - Resultado de la revalidación {reason, detail}
+     */
+    async cancelAlert(alert, validation) {
+        const alertId = alert.id || alert._id?.toString();
+
+        try {
+            const cancellation = {
+                reason: validation.reason,
+                detail: validation.detail,
+                cancelledAt: new Date()
+            };
+            const voidedAlert = await alertRepo.voidAlert(alertId, cancellation) || alert;
+
+            // Retirar la alerta del stream web (o avisar a quien ya la recibió)
+            alertStream.publishVoid(voidedAlert, cancellation);
+
+            const skipped = await outboundQueue.cancelAlertMessages(alertId, 'alert_cancelled');
+
+            // Aviso de anulación en respuesta a la pre-alerta, por el canal que la entregó
+            const preAlerts = await outboundQueue.getSentMessages(alertId, 'preAlert');
+            const message = messageGenerator.formatFollowUp(voidedAlert, 'void');
+            const templateData = this.getTemplateData(voidedAlert);
+
+            for (const preAlert of preAlerts) {
+                try {
+                    const user = await userService.getUserById(preAlert.userId);
+                    const channels = messengerRegistry.resolveChannels(user, preAlert.channel);
+
+                    // La alerta principal descartada ya no ocupa cupo
+                    if (user) await quotaService.release(user, alertId);
+
+                    await outboundQueue.enqueue({
+                        alertId,
+                        userId: preAlert.userId,
+                        plan: preAlert.plan,
+                        channels,
+                        messageType: 'followUp',
+                        variant: 'void',
+                        payload: {
+                            text: message,
+                            options: {
+                                replyTo: preAlert.messageId,
+                                replyChannel: preAlert.channel,
+                                goldenMoment: templateData,
+                                outcome: 'void'
+                            }
+                        }
+                    });
+                } catch (error) {
+                    logger.error(`Error encolando anulación a usuario ${preAlert.userId}: ${error.message}`);
+                }
+            }
+
+            await alertRepo.registerFollowUp(alertId, 'void', preAlerts.length);
+            logger.info(`Alerta ${alertId} anulada (${validation.reason}: ${validation.detail}). ` +
+                `${skipped} envíos cancelados, ${preAlerts.length} avisos de anulación`);
         } catch (error) {
-            logger.error(`Error enviando mensajes a usuario ${userId}: ${error.message}`);
+            logger.error(`Error anulando alerta ${alertId}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Registrar el resultado final del envío de una alerta principal
+     * @param {Object} message - Mensaje de la cola
+     * @param {Object} result - Resultado del envío
+     */
+    async handleMainAlertResult(message, result) {
+        await this.registerAlertDelivery(message, result);
+
+        // El cupo diario solo se descuenta con la alerta entregada; si no, se libera la reserva
+        if (result?.success !== false) {
+            const user = await userService.getUserById(message.userId);
+            if (user) await quotaService.recordSent(user, message.plan, message.alertId);
+        } else {
+            await this.releaseQuota(message);
+        }
+    }
+
+    /**
+     * Liberar la plaza del cupo reservada con la pre-alerta de un mensaje
+     * @param {Object} message - Mensaje de la cola (o pre-alerta enviada)
+     */
+    async releaseQuota(message) {
+        const user = await userService.getUserById(message.userId);
+        if (user) await quotaService.release(user, message.alertId);
+    }
+
+    /**
+     * Registrar en la alerta si llegó o no al usuario
+     * Cualquier resultado fallido (error de envío o canal no disponible:
+     * sin vincular, sesión cerrada...) cuenta como no entregada
+     * @param {Object} message - Mensaje de la cola
+     * @param {Object} result - Resultado del envío
+     */
+    async registerAlertDelivery(message, result) {
+        const failed = result?.success === false;
+
+        // Registrar envío (con ID de mensaje para responder en seguimientos,
+        // asociar los estados de entrega y el resultado de cada canal probado)
+        await alertRepo.registerAlertSent(
+            message.alertId,
+            message.userId,
+            message.plan,
+            result?.messageId,
+            failed ? 'failed' : 'sent',
+            {
+                channel: message.channel,
+                channelResults: message.channelResults,
+                error: failed ? (result.error || result.reason) : null
+            }
+        );
+
+        // Solo los errores de envío cuentan para marcar al usuario
+        if (failed && result.reason === 'send_error') {
+            await deliveryService.recordFailure(message.userId, result.error);
         }
     }
 
@@ -421,7 +900,9 @@ class GoldenAlertsController {
             nextCycleTime: new Date(Date.now() + (this.config.cycleInterval - (Date.now() % this.config.cycleInterval))),
             alertsGenerated: await alertRepo.getTotalAlerts(),
             alertsToday: await alertRepo.getAlertsToday(),
-            successRate: await alertRepo.getSuccessRate()
+            successRate: await alertRepo.getSuccessRate(),
+            suppressedAlerts: await quotaService.getSuppressedStats(),
+            stream: alertStream.getStats()
         };
     }
 }
@@ -12,18 +12,35 @@ const matchRepo = require('../db/repositories/match-repo');
 const teamRepo = require('../db/repositories/team-repo');
 const logger = require('../utils/logger');
 const oddsCalculator = require('../utils/odds-calculator');
+const oddsService = require('../services/odds-service');
+const alertsConfig = require('../config/app-config').alerts;
 
 class GoldenMomentDetector {
     constructor() {
-        // Mercados soportados para análisis
+        // Mercados soportados para análisis (se analizan los habilitados en la configuración)
         this.markets = [
             'nextGoal',    // Próximo gol
             'over05',      // Más de 0.5 goles 
             'over15',      // Más de 1.5 goles
             'over25',      // Más de 2.5 goles
             'btts',        // Ambos equipos marcan
-            'cornerNext10Min' // Córner en próximos 10 minutos
-        ];
+            'cornerNext10Min', // Córner en próximos 10 minutos
+            'under25',     // Menos de 2.5 goles
+            'under35',     // Menos de 3.5 goles
+            'homeWin',     // 1X2: gana el local
+            'draw',        // 1X2: empate
+            'awayWin',     // 1X2: gana el visitante
+            'homeOrDraw',  // Doble oportunidad 1X
+            'drawOrAway',  // Doble oportunidad X2
+            'homeOrAway',  // Doble oportunidad 12
+            'firstHalfOver05', // Gol en el primer tiempo
+            'firstHalfHome',   // Primer tiempo: gana el local
+            'firstHalfDraw',   // Primer tiempo: empate
+            'firstHalfAway'    // Primer tiempo: gana el visitante
+        ].filter(market => alertsConfig.enabledMarkets.includes(market));
+
+        // Mercados que solo se pueden apostar durante el primer tiempo
+        this.firstHalfMarkets = ['firstHalfOver05', 'firstHalfHome', 'firstHalfDraw', 'firstHalfAway'];
 
         // Umbrales de confianza por plan
         this.confidenceThresholds = {
@@ -35,6 +52,19 @@ class GoldenMomentDetector {
         // Valor mínimo esperado (EV) para considerar una oportunidad
         this.minExpectedValue = 0.10; // 10% de valor mínimo
 
+        // Oportunidades que se devuelven como máximo por partido
+        this.maxOpportunitiesPerMatch = alertsConfig.maxOpportunitiesPerMatch;
+
+        // Grupos de mercados muy correlacionados (o contrapuestos): suelen
+        // describir el mismo evento, así que solo se alerta el de mayor valor
+        this.correlatedMarkets = this.buildCorrelations([
+            ['over05', 'over15', 'nextGoal'],
+            ['over15', 'over25', 'under25', 'under35'],
+            ['over05', 'firstHalfOver05'],
+            ['homeWin', 'draw', 'awayWin', 'homeOrDraw', 'drawOrAway', 'homeOrAway'],
+            ['firstHalfHome', 'firstHalfDraw', 'firstHalfAway']
+        ]);
+
         // Cargar modelos de ML
         this.modelsLoaded = false;
         this.loadModels();
@@ -62,18 +92,34 @@ class GoldenMomentDetector {
     }
 
     /**
-     * Detectar momento dorado en un partido
+     * Construir tabla de correlaciones a partir de grupos de mercados
+     * @param {Array} groups - Grupos de mercados correlacionados entre sí
+     * @returns {Object} - {mercado: Set de mercados correlacionados}
+     */
+    buildCorrelations(groups) {
+        const correlations = {};
+        for (const group of groups) {
+            for (const market of group) {
+                correlations[market] = correlations[market] || new Set();
+                group.filter(other => other !== market).forEach(other => correlations[market].add(other));
+            }
+        }
+        return correlations;
+    }
+
+    /**
+     * Detectar momentos dorados en un partido
      * @param {string} matchId - ID del partido
      * @param {string} userPlan - Plan del usuario (determina umbral de confianza)
-     * @returns {Object|null} - Momento dorado o null si no se detecta
+     * @returns {Array} - Momentos dorados ordenados por valor esperado (vacío si no hay)
      */
-    async detectGoldenMoment(matchId, userPlan = 'free') {
+    async detectGoldenMoments(matchId, userPlan = 'free') {
         try {
             // 1. Obtener datos actualizados del partido
             const matchData = await this.getMatchLiveData(matchId);
             if (!matchData) {
                 logger.warn(`No se pudieron obtener datos en vivo para partido ${matchId}`);
-                return null;
+                return [];
             }
 
             // 2. Analizar oportunidades en todos los mercados
@@ -82,34 +128,71 @@ class GoldenMomentDetector {
             // 3. Filtrar según umbral de confianza del plan
             const filteredOpportunities = this.filterByConfidence(opportunities, userPlan);
 
-            // 4. Seleccionar la mejor oportunidad (si existe)
-            if (filteredOpportunities.length === 0) {
-                return null;
-            }
-
-            // Ordenar por valor esperado y tomar la mejor
+            // 4. Ordenar por valor esperado y descartar mercados correlacionados
             filteredOpportunities.sort((a, b) =>
                 b.prediction.expectedValue - a.prediction.expectedValue
             );
 
-            const bestOpportunity = filteredOpportunities[0];
+            const selected = this.selectUncorrelated(filteredOpportunities, matchId);
 
             // 5. Enriquecer con contexto
-            const enrichedOpportunity = await this.enrichWithContext(bestOpportunity);
+            const enriched = [];
+            for (const opportunity of selected) {
+                enriched.push(await this.enrichWithContext(opportunity));
+            }
 
-            return enrichedOpportunity;
+            return enriched;
         } catch (error) {
-            logger.error(`Error detectando momento dorado para partido ${matchId}: ${error.message}`);
-            return null;
+            logger.error(`Error detectando momentos dorados para partido ${matchId}: ${error.message}`);
+            return [];
         }
     }
 
+    /**
+     * Detectar el mejor momento dorado de un partido
+     * @param {string} matchId - ID del partido
+     * @param {string} userPlan - Plan del usuario (determina umbral de confianza)
+     * @returns {Object|null} - Momento dorado o null si no se detecta
+     */
+    async detectGoldenMoment(matchId, userPlan = 'free') {
+        const goldenMoments = await this.detectGoldenMoments(matchId, userPlan);
+        return goldenMoments[0] || null;
+    }
+
+    /**
+     * Seleccionar oportunidades sin correlación entre sí, hasta el máximo por partido
+     * @param {Array} opportunities - Oportunidades ordenadas por valor esperado
+     * @param {string} matchId - ID del partido (para el log)
+     * @returns {Array} - Oportunidades seleccionadas
+     */
+    selectUncorrelated(opportunities, matchId) {
+        const selected = [];
+
+        for (const opportunity of opportunities) {
+            if (selected.length >= this.maxOpportunitiesPerMatch) break;
+
+            const correlated = selected.find(chosen =>
+                this.correlatedMarkets[chosen.market]?.has(opportunity.market)
+            );
+            if (correlated) {
+                logger.debug(`Mercado ${opportunity.market} descartado en partido ${matchId}: correlacionado con ${correlated.market}`);
+                continue;
+            }
+
+            selected.push(opportunity);
+        }
+
+        return selected;
+    }
+
     /**
      * Obtener datos en vivo del partido combinando múltiples fuentes
      * @param {string} matchId - ID del partido
+     * @param {Object} options - {allowCached: usar los datos guardados si la API no responde,
+     *                            readOnly: no guardar el partido ni la captura de cuotas (revalidación)}
      * @returns {Object|null} - Datos del partido o null si no se pueden obtener
      */
-    async getMatchLiveData(matchId) {
+    async getMatchLiveData(matchId, { allowCached = true, readOnly = false } = {}) {
         try {
             // 1. Verificar si tenemos el partido en la base de datos
             let matchData = await matchRepo.getMatchById(matchId);
@@ -118,7 +201,7 @@ class GoldenMomentDetector {
             const matchInfo = await apiService.getMatchInfo(matchId);
             if (!matchInfo) {
                 logger.warn(`No se pudo obtener información básica del partido ${matchId}`);
-                return matchData; // Usar datos de cache si no podemos actualizar
+                return allowCached ? matchData : null; // Usar datos de cache si no podemos actualizar
             }
 
             // 3. Obtener estadísticas en vivo
@@ -127,8 +210,11 @@ class GoldenMomentDetector {
             // 4. Obtener eventos recientes
             const matchEvents = await apiService.getMatchEvents(matchId);
 
-            // 5. Obtener cuotas actuales
+            // 5. Obtener cuotas actuales (y guardarlas en la serie temporal)
             const matchOdds = await apiService.getMatchOdds(matchId);
+            if (!readOnly) {
+                await oddsService.recordOdds(matchId, matchOdds);
+            }
 
             // 6. Combinar toda la información
             const combinedData = {
@@ -166,7 +252,12 @@ class GoldenMomentDetector {
             };
 
             // 7. Guardar datos combinados en la base de datos
-            await matchRepo.saveMatch(combinedData);
+            if (!readOnly) {
+                await matchRepo.saveMatch(combinedData);
+            }
+
+            // 8. Movimientos recientes de cuota (para características y contexto)
+            combinedData.oddsMovement = await oddsService.getMovements(matchId);
 
             return combinedData;
         } catch (error) {
@@ -185,32 +276,48 @@ class GoldenMomentDetector {
 
         // Evaluar cada mercado
         for (const market of this.markets) {
+            if (!this.isMarketOpen(market, matchData)) continue;
+
             try {
                 // 1. Obtener predicción para este mercado
-                const prediction = await this.predictMarket(market, matchData);
+                let prediction = await this.predictMarket(market, matchData);
                 if (!prediction) continue;
 
-                // 2. Obtener cuota para este mercado
-                const odds = this.getOddsForMarket(market, matchData);
-                if (!odds) continue;
+                // 2. Obtener cuota y probabilidad (en mercados a tres vías, del lado con más valor)
+                let selection = prediction.outcomes
+                    ? this.selectSide(market, prediction, matchData)
+                    : { side: null, probability: prediction.probability, odds: this.getOddsForMarket(market, matchData) };
+                if (!selection?.odds) continue;
+
+                // Si el modelo usa el movimiento de cuota, la predicción depende del lado: repetirla con el elegido
+                if (selection.side && selection.side !== 'home' && predictor.usesOddsMovement(market)) {
+                    prediction = await this.predictMarket(market, matchData, selection.side);
+                    if (!prediction?.outcomes) continue;
+                    selection = { ...selection, probability: prediction.outcomes[selection.side] };
+                }
+
+                const { side, probability, odds } = selection;
 
                 // 3. Calcular valor esperado
-                const expectedValue = oddsCalculator.calculateExpectedValue(
-                    prediction.probability,
-                    odds
-                );
+                const expectedValue = oddsCalculator.calculateExpectedValue(probability, odds);
 
                 // 4. Si hay valor positivo significativo, considerar como oportunidad
                 if (expectedValue >= this.minExpectedValue) {
                     opportunities.push({
                         market,
                         matchId: matchData.id,
+                        league: matchData.league,
                         teams: matchData.teams,
                         minute: matchData.minute,
                         score: matchData.score,
+                        side,
+                        redCards: this.getRedCardKeys(matchData.events),
+                        oddsMovement: oddsService.getMovement(matchData.oddsMovement, market, side),
                         prediction: {
-                            probability: prediction.probability,
+                            probability,
+                            rawProbability: prediction.rawOutcomes?.[side] ?? prediction.rawProbability,
                             confidence: prediction.confidence,
+                            outcomes: prediction.outcomes,
                             expectedValue
                         },
                         odds
@@ -224,16 +331,62 @@ class GoldenMomentDetector {
         return opportunities;
     }
 
+    /**
+     * Elegir el lado de un mercado a tres vías por valor esperado frente a la
+     * cuota de cada lado (el más probable no siempre es el que tiene valor)
+     * @param {string} market - Mercado
+     * @param {Object} prediction - Predicción con outcomes {home, away, none}
+     * @param {Object} matchData - Datos del partido
+     * @returns {Object|null} - {side, probability, odds, expectedValue} o null si no hay cuotas
+     */
+    selectSide(market, prediction, matchData) {
+        const candidates = ['home', 'away']
+            .map(side => {
+                const odds = this.getOddsForMarket(market, matchData, side);
+                if (!odds) return null;
+
+                const probability = prediction.outcomes[side];
+                return {
+                    side,
+                    probability,
+                    odds,
+                    expectedValue: oddsCalculator.calculateExpectedValue(probability, odds)
+                };
+            })
+            .filter(Boolean);
+
+        return candidates.sort((a, b) => b.expectedValue - a.expectedValue)[0] || null;
+    }
+
+    /**
+     * Comprobar si un mercado sigue abierto en la fase actual del partido
+     * @param {string} market - Mercado
+     * @param {Object} matchData - Datos del partido
+     * @returns {boolean} - true si se puede analizar
+     */
+    isMarketOpen(market, matchData) {
+        if (this.firstHalfMarkets.includes(market) && matchData.fixture?.status?.short !== '1H') {
+            return false;
+        }
+
+        // Gol en el primer tiempo: el mercado ya se cumplió
+        if (market === 'firstHalfOver05') {
+            return (matchData.score?.home || 0) + (matchData.score?.away || 0) === 0;
+        }
+        return true;
+    }
+
     /**
      * Predecir resultado para un mercado específico
      * @param {string} market - Mercado a predecir
      * @param {Object} matchData - Datos del partido
+     * @param {string} side - Lado alertado en mercados a tres vías
      * @returns {Object|null} - Predicción {probability, confidence} o null
      */
-    async predictMarket(market, matchData) {
+    async predictMarket(market, matchData, side = null) {
         try {
             // Usar predictor (ML o reglas)
-            return await predictor.predict(market, matchData);
+            return await predictor.predict(market, matchData, { side });
         } catch (error) {
             logger.error(`Error en predicción para ${market}: ${error.message}`);
             // Fallback a reglas en caso de error
@@ -245,66 +398,11 @@ class GoldenMomentDetector {
      * Obtener cuotas para un mercado específico
      * @param {string} market - Mercado a consultar
      * @param {Object} matchData - Datos del partido
+     * @param {string} side - Lado favorecido en mercados a tres vías (home, away)
      * @returns {Object|null} - Información de cuotas o null
      */
-    getOddsForMarket(market, matchData) {
-        if (!matchData.odds || !matchData.odds.bookmakers) {
-            return null;
-        }
-
-        // Mapeo de mercados a nombres/tipos en APIs
-        const marketMapping = {
-            'nextGoal': { key: 'next_goal', outcome: 'Home' },
-            'over05': { key: 'goals_over_under', point: 0.5, outcome: 'Over' },
-            'over15': { key: 'goals_over_under', point: 1.5, outcome: 'Over' },
-            'over25': { key: 'goals_over_under', point: 2.5, outcome: 'Over' },
-            'btts': { key: 'btts', outcome: 'Yes' },
-            'cornerNext10Min': { key: 'next_corner', outcome: 'Home' }
-        };
-
-        const mapping = marketMapping[market];
-        if (!mapping) return null;
-
-        // Buscar el mejor precio entre todas las casas de apuestas
-        let bestOdds = null;
-        let bookmakers = [];
-
-        for (const bookie of matchData.odds.bookmakers) {
-            const marketData = bookie.markets.find(m => m.key === mapping.key);
-
-            if (marketData && marketData.outcomes) {
-                let outcome;
-
-                if (mapping.point !== undefined) {
-                    // Para mercados con punto específico (over/under)
-                    outcome = marketData.outcomes.find(o =>
-                        o.name === mapping.outcome && o.point === mapping.point
-                    );
-                } else {
-                    // Para mercados sin punto
-                    outcome = marketData.outcomes.find(o => o.name === mapping.outcome);
-                }
-
-                if (outcome && outcome.price) {
-                    bookmakers.push({
-                        name: bookie.name,
-                        value: outcome.price
-                    });
-
-                    // Actualizar mejor cuota
-                    if (!bestOdds || outcome.price > bestOdds) {
-                        bestOdds = outcome.price;
-                    }
-                }
-            }
-        }
-
-        if (!bestOdds) return null;
-
-        return {
-            value: bestOdds,
-            bookmakers
-        };
+    getOddsForMarket(market, matchData, side = null) {
+        return oddsService.getOddsForMarket(market, matchData.odds, side);
     }
 
     /**
@@ -369,6 +467,12 @@ class GoldenMomentDetector {
         // Línea base: datos del partido
         context.push(`${teams.home.name} ${score.home} - ${score.away} ${teams.away.name} (Min ${minute})`);
 
+        // Movimiento reciente de la cuota alertada
+        const movementReason = this.describeOddsMovement(opportunity.oddsMovement);
+        if (movementReason) {
+            context.push(movementReason);
+        }
+
         // Extraer estadísticas clave
         const stats = this.extractKeyStats(matchData);
 
@@ -382,9 +486,27 @@ class GoldenMomentDetector {
             case 'over25':
                 return this.generateOverContext(opportunity, matchData, stats, context, market);
 
+            case 'under25':
+            case 'under35':
+                return this.generateUnderContext(opportunity, matchData, stats, context, market);
+
             case 'btts':
                 return this.generateBttsContext(opportunity, matchData, stats, context);
 
+            case 'homeWin':
+            case 'draw':
+            case 'awayWin':
+            case 'homeOrDraw':
+            case 'drawOrAway':
+            case 'homeOrAway':
+            case 'firstHalfHome':
+            case 'firstHalfDraw':
+            case 'firstHalfAway':
+                return this.generateResultContext(opportunity, matchData, stats, context, market);
+
+            case 'firstHalfOver05':
+                return this.generateFirstHalfGoalContext(opportunity, matchData, stats, context);
+
             case 'cornerNext10Min':
                 return this.generateCornerContext(opportunity, matchData, stats, context);
 
@@ -396,6 +518,58 @@ class GoldenMomentDetector {
         }
     }
 
+    /**
+     * Describir el movimiento de la cuota de una oportunidad como razón de contexto
+     * @param {Object} movement - Movimiento de cuota (o null)
+     * @returns {string|null} - Razón o null si no hay movimiento relevante
+     */
+    describeOddsMovement(movement) {
+        if (!movement) return null;
+
+        const description = oddsService.describeMovement(movement);
+        if (movement.steam) {
+            return `Steam: la ${description} (${movement.movingBookmakers} casas)`;
+        }
+        if (movement.drift) {
+            return `Atención: la ${description}, el mercado se aleja de nuestra predicción`;
+        }
+        return null;
+    }
+
+    /**
+     * Detectar caídas bruscas de cuota (steam) en un partido
+     * No depende de la predicción: es una señal del mercado
+     * @param {string} matchId - ID del partido
+     * @returns {Promise<Array>} - Movimientos steam con los datos del partido
+     */
+    async detectSteamMoves(matchId) {
+        try {
+            const matchData = await matchRepo.getMatchById(matchId);
+            if (!matchData) return [];
+
+            const movements = await oddsService.getMovements(matchId);
+
+            return Object.values(movements)
+                .filter(movement => movement.steam && this.markets.includes(movement.market))
+                .map(movement => ({
+                    type: 'steam',
+                    matchId,
+                    market: movement.market,
+                    side: movement.side,
+                    league: matchData.league,
+                    teams: matchData.teams,
+                    minute: matchData.minute,
+                    score: matchData.score,
+                    odds: { value: movement.to },
+                    movement,
+                    description: oddsService.describeMovement(movement)
+                }));
+        } catch (error) {
+            logger.error(`Error detectando movimientos steam en partido ${matchId}: ${error.message}`);
+            return [];
+        }
+    }
+
     /**
      * Extraer estadísticas clave del partido
      * @param {Object} matchData - Datos del partido
@@ -462,14 +636,13 @@ class GoldenMomentDetector {
      * Generar contexto para mercado de próximo gol
      */
     generateNextGoalContext(opportunity, matchData, stats, baseContext) {
-        const { teams, prediction, minute } = opportunity;
+        const { teams, prediction, minute, side } = opportunity;
         const context = [...baseContext];
 
-        // Determinar equipo favorecido
-        const favTeam = prediction.probability > 0.5 ? teams.home.name : teams.away.name;
-        const otherTeam = prediction.probability > 0.5 ? teams.away.name : teams.home.name;
+        // Equipo favorecido
+        const favTeam = side === 'away' ? teams.away.name : teams.home.name;
 
-        if (prediction.probability > 0.5) {
+        if (side !== 'away') {
             // Contexto para equipo local
             context.push(`${teams.home.name} tiene ${stats.possessionHome}% de posesión`);
             context.push(`${stats.shotsOnTargetHome} tiros a puerta vs ${stats.shotsOnTargetAway} del rival`);
@@ -509,7 +682,10 @@ class GoldenMomentDetector {
         }
 
         // Histórico (simulado, en producción vendría de BD)
-        context.push(`Históricamente, ${favTeam} marca el ${Math.round(prediction.probability * 100)}% de las veces en contextos similares`);
+        context.push(`Probabilidad de que ${favTeam} marque el próximo gol: ${Math.round(prediction.probability * 100)}%`);
+        if (prediction.outcomes) {
+            context.push(`Sin más goles: ${Math.round(prediction.outcomes.none * 100)}%`);
+        }
 
         return context;
     }
@@ -562,6 +738,91 @@ class GoldenMomentDetector {
         return context;
     }
 
+    /**
+     * Generar contexto para mercados under
+     */
+    generateUnderContext(opportunity, matchData, stats, baseContext, market) {
+        const { prediction, minute, score } = opportunity;
+        const context = [...baseContext];
+
+        const threshold = market === 'under25' ? 2.5 : 3.5;
+        const currentGoals = score.home + score.away;
+        const margin = Math.floor(threshold - currentGoals);
+
+        context.push(`Total de goles actual: ${currentGoals}`);
+        context.push(margin > 0
+            ? `Margen de ${margin} gol(es) antes de superar la línea de ${threshold}`
+            : `Cualquier gol más supera la línea de ${threshold}`);
+
+        // Ritmo del partido
+        const goalRate = (currentGoals / Math.max(1, minute)) * 90;
+        context.push(`Ritmo actual: ${goalRate.toFixed(1)} goles por partido completo`);
+
+        // Poca actividad ofensiva favorece al under
+        context.push(`Total de tiros a puerta: ${stats.shotsOnTargetHome + stats.shotsOnTargetAway}`);
+        if (stats.shotsPerMin !== undefined && stats.shotsPerMin < 0.1) {
+            context.push(`Ritmo ofensivo inferior al promedio`);
+        }
+
+        // Fase del partido
+        const minutesLeft = 90 - minute;
+        if (minutesLeft < 20) {
+            context.push(`Solo quedan ${minutesLeft} minutos de juego`);
+        }
+
+        context.push(`Probabilidad estimada de ${Math.round(prediction.probability * 100)}% de no superar los ${threshold} goles`);
+
+        return context;
+    }
+
+    /**
+     * Generar contexto para mercados de resultado (1X2, doble oportunidad y primer tiempo)
+     */
+    generateResultContext(opportunity, matchData, stats, baseContext, market) {
+        const { teams, prediction, minute, score } = opportunity;
+        const context = [...baseContext];
+
+        const isFirstHalf = market.startsWith('firstHalf');
+        const periodEnd = isFirstHalf ? 45 : 90;
+        const period = isFirstHalf ? 'al descanso' : 'al final';
+
+        // Situación del marcador
+        if (score.home === score.away) {
+            context.push(`Partido empatado a ${score.home}`);
+        } else {
+            const leader = score.home > score.away ? teams.home.name : teams.away.name;
+            context.push(`${leader} gana por ${Math.abs(score.home - score.away)} gol(es)`);
+        }
+
+        // Dominio del partido
+        context.push(`Posesión: ${teams.home.name} ${stats.possessionHome}% - ${stats.possessionAway ?? 100 - stats.possessionHome}% ${teams.away.name}`);
+        context.push(`Tiros a puerta: ${stats.shotsOnTargetHome} - ${stats.shotsOnTargetAway}`);
+
+        context.push(`Quedan ${Math.max(0, periodEnd - minute)} minutos hasta el ${isFirstHalf ? 'descanso' : 'final'}`);
+        context.push(`Probabilidad estimada de ${Math.round(prediction.probability * 100)}% para este resultado ${period}`);
+
+        return context;
+    }
+
+    /**
+     * Generar contexto para mercado de gol en el primer tiempo
+     */
+    generateFirstHalfGoalContext(opportunity, matchData, stats, baseContext) {
+        const { prediction, minute } = opportunity;
+        const context = [...baseContext];
+
+        context.push(`Quedan ${Math.max(0, 45 - minute)} minutos para el descanso`);
+        context.push(`Total de tiros a puerta: ${stats.shotsOnTargetHome + stats.shotsOnTargetAway}`);
+
+        if (stats.shotsPerMin > 0.2) {
+            context.push(`Ritmo ofensivo superior al promedio`);
+        }
+
+        context.push(`Probabilidad estimada de ${Math.round(prediction.probability * 100)}% de gol antes del descanso`);
+
+        return context;
+    }
+
     /**
      * Generar contexto para mercado BTTS (ambos equipos marcan)
      */
@@ -630,8 +891,12 @@ class GoldenMomentDetector {
             context.push(`Posesión equilibrada: ${stats.possessionHome}% - ${stats.possessionAway}%`);
         }
 
-        // Histórico
-        context.push(`Probabilidad de córner próximos 10 min: ${Math.round(prediction.probability * 100)}%`);
+        // Equipo favorecido para el próximo córner
+        const favTeam = opportunity.side === 'away' ? teams.away.name : teams.home.name;
+        context.push(`Probabilidad de córner de ${favTeam} en los próximos 10 min: ${Math.round(prediction.probability * 100)}%`);
+        if (prediction.outcomes) {
+            context.push(`Probabilidad de algún córner: ${Math.round((1 - prediction.outcomes.none) * 100)}%`);
+        }
 
         return context;
     }
@@ -708,6 +973,31 @@ class GoldenMomentDetector {
             return result;
         }
     }
+
+    /**
+     * Claves de las expulsiones del partido (la API no da ID de evento)
+     * Se guardan con la alerta para distinguir luego las expulsiones nuevas,
+     * aunque ocurran en el mismo minuto de la detección
+     * @param {Array} events - Eventos del partido
+     * @returns {Array<string>} - Claves minuto+añadido:equipo:jugador:detalle
+     */
+    getRedCardKeys(events) {
+        return (events || [])
+            .filter(event => this.isRedCard(event))
+            .map(event => [
+                `${event.time?.elapsed || 0}+${event.time?.extra || 0}`,
+                event.team?.id || event.team?.name || '',
+                event.player?.id || event.player?.name || '',
+                event.detail || ''
+            ].join(':'));
+    }
+
+    // Tarjeta roja directa o por doble amarilla
+    isRedCard(event) {
+        if (event.type !== 'Card') return false;
+        const detail = (event.detail || '').toLowerCase();
+        return detail.includes('red') || detail.includes('second yellow');
+    }
 }
 
 module.exports = new GoldenMomentDetector();
\ No newline at end of file
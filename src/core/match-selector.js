@@ -241,6 +241,36 @@ class MatchSelector {
         }
     }
 
+    /**
+     * Seleccionar partidos programados para las próximas horas según plan
+     * Solo se usa la relevancia: el potencial necesita estadísticas en vivo
+     * @param {string} userPlan - Plan del usuario (free, insider, estratega)
+     * @param {number} hours - Horas a consultar
+     * @returns {Promise<Array>} - Partidos normalizados ordenados por relevancia
+     */
+    async selectUpcomingMatches(userPlan = 'free', hours = 24) {
+        try {
+            const upcomingMatches = (await apiService.getUpcomingMatches(hours))
+                .map(match => this.normalizeMatchData(match))
+                .filter(Boolean);
+
+            const matchesWithScores = await Promise.all(
+                upcomingMatches.map(async match => ({
+                    ...match,
+                    scores: { relevance: await this.calculateRelevanceScore(match) }
+                }))
+            );
+
+            const limit = this.planLimits[userPlan] || this.planLimits.free;
+            return matchesWithScores
+                .sort((a, b) => b.scores.relevance - a.scores.relevance)
+                .slice(0, limit);
+        } catch (error) {
+            logger.error(`Error seleccionando próximos partidos: ${error.message}`);
+            return [];
+        }
+    }
+
     /**
      * Calcular score de relevancia (basado en criterios culturales/deportivos)
      * @param {Object} match - Datos del partido
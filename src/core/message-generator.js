@@ -4,6 +4,7 @@
  * a usuarios en diferentes canales
  */
 const logger = require('../utils/logger');
+const performanceService = require('../services/performance-service');
 
 class MessageGenerator {
     constructor() {
@@ -31,7 +32,55 @@ class MessageGenerator {
             },
             cornerNext10Min: {
                 title: "🚩 CÓRNER PRONTO",
-                description: "Habrá un córner en los próximos 10 minutos"
+                description: "{team} sacará un córner en los próximos 10 minutos"
+            },
+            under25: {
+                title: "🧱 -2.5 GOLES",
+                description: "El partido terminará con 2 goles o menos"
+            },
+            under35: {
+                title: "🧱 -3.5 GOLES",
+                description: "El partido terminará con 3 goles o menos"
+            },
+            homeWin: {
+                title: "🏆 GANA EL LOCAL",
+                description: "{home} ganará el partido"
+            },
+            draw: {
+                title: "🤝 EMPATE",
+                description: "El partido terminará en empate"
+            },
+            awayWin: {
+                title: "🏆 GANA EL VISITANTE",
+                description: "{away} ganará el partido"
+            },
+            homeOrDraw: {
+                title: "🛡️ DOBLE OPORTUNIDAD 1X",
+                description: "{home} no perderá el partido"
+            },
+            drawOrAway: {
+                title: "🛡️ DOBLE OPORTUNIDAD X2",
+                description: "{away} no perderá el partido"
+            },
+            homeOrAway: {
+                title: "🛡️ DOBLE OPORTUNIDAD 12",
+                description: "El partido no terminará en empate"
+            },
+            firstHalfOver05: {
+                title: "⏱️ GOL EN EL PRIMER TIEMPO",
+                description: "Habrá al menos un gol antes del descanso"
+            },
+            firstHalfHome: {
+                title: "⏱️ 1T: GANA EL LOCAL",
+                description: "{home} se irá ganando al descanso"
+            },
+            firstHalfDraw: {
+                title: "⏱️ 1T: EMPATE",
+                description: "El primer tiempo terminará en empate"
+            },
+            firstHalfAway: {
+                title: "⏱️ 1T: GANA EL VISITANTE",
+                description: "{away} se irá ganando al descanso"
             }
         };
 
@@ -82,9 +131,11 @@ class MessageGenerator {
 
             // Reemplazar variables en descripción
             if (description.includes('{team}')) {
-                const team = prediction.probability > 0.5 ? teams.home.name : teams.away.name;
-                description = description.replace('{team}', team);
+                description = description.replace('{team}', this.getFavouredTeam(goldenMoment));
             }
+            description = description
+                .replace('{home}', teams.home.name)
+                .replace('{away}', teams.away.name);
 
             // 3. Formatear los tres tipos de mensajes
             const preAlert = this.formatPreAlert(goldenMoment, title);
@@ -235,8 +286,7 @@ class MessageGenerator {
             // Razones específicas por mercado
             switch (market) {
                 case 'nextGoal':
-                    const favTeam = prediction.probability > 0.5 ? teams.home.name : teams.away.name;
-                    reasons.push(`Patrón ofensivo favorable para ${favTeam}`);
+                    reasons.push(`Patrón ofensivo favorable para ${this.getFavouredTeam(goldenMoment)}`);
                     reasons.push(`Fase del partido propicia para goles (${minute > 75 ? 'tramo final' : minute > 45 ? 'segunda parte' : 'primera parte'})`);
                     break;
 
@@ -263,14 +313,40 @@ class MessageGenerator {
                     break;
 
                 case 'cornerNext10Min':
-                    reasons.push(`Fase de presión ofensiva detectada`);
+                    reasons.push(`Fase de presión ofensiva de ${this.getFavouredTeam(goldenMoment)} detectada`);
                     reasons.push(`Ritmo de córners favorable en los últimos minutos`);
                     break;
+
+                case 'under25':
+                case 'under35':
+                    reasons.push(`Partido cerrado con poca producción ofensiva`);
+                    reasons.push(`Ritmo actual proyectado: ${(((score.home + score.away) / Math.max(1, minute)) * 90).toFixed(1)} goles por partido`);
+                    break;
+
+                case 'homeWin':
+                case 'draw':
+                case 'awayWin':
+                case 'homeOrDraw':
+                case 'drawOrAway':
+                case 'homeOrAway':
+                    reasons.push(`Marcador actual: ${teams.home.name} ${score.home} - ${score.away} ${teams.away.name}`);
+                    reasons.push(`Quedan ${Math.max(0, 90 - minute)} minutos para cambiar el resultado`);
+                    break;
+
+                case 'firstHalfOver05':
+                case 'firstHalfHome':
+                case 'firstHalfDraw':
+                case 'firstHalfAway':
+                    reasons.push(`Quedan ${Math.max(0, 45 - minute)} minutos para el descanso`);
+                    break;
             }
 
-            // Añadir razón histórica para todos los mercados
-            if (!reasons.some(r => r.includes('histórico') || r.includes('Histórico'))) {
-                reasons.push(`En partidos similares, esta situación ha resultado favorable el ${Math.floor(Math.random() * 20) + 70}% de las veces`);
+            // Añadir resultado real del mercado si hay muestra suficiente
+            const marketStats = performanceService.getPublishableMarketStats(market);
+            if (marketStats) {
+                const yieldPct = Math.round(marketStats.yield * 100);
+                const yieldText = marketStats.pricedBets > 0 ? ` (yield ${yieldPct > 0 ? '+' : ''}${yieldPct}%)` : '';
+                reasons.push(`Nuestras últimas ${marketStats.bets} alertas de ${this.getMarketName(market)} acertaron el ${Math.round(marketStats.hitRate * 100)}%${yieldText}`);
             }
         }
 
@@ -297,6 +373,12 @@ class MessageGenerator {
             if (minute > 80) {
                 risks += `• Poco tiempo restante (${90 - minute} minutos)\n`;
             }
+        } else if (['under25', 'under35', 'homeWin', 'draw', 'awayWin', 'homeOrDraw', 'drawOrAway', 'homeOrAway'].includes(market)) {
+            if (minute < 45) {
+                risks += `• Mucho tiempo por delante (${90 - minute} minutos) para que cambie el partido\n`;
+            }
+        } else if (market === 'firstHalfOver05' && minute > 38) {
+            risks += `• Poco tiempo hasta el descanso (${45 - minute} minutos)\n`;
         }
 
         // 3. Riesgo por volatilidad (simulado)
@@ -316,14 +398,16 @@ class MessageGenerator {
     /**
      * Formatear mensaje de seguimiento
      * @param {Object} goldenMoment - Momento dorado original
-     * @param {string} outcome - Resultado (success, fail, pending)
+     * @param {string} outcome - Resultado (success, fail, pending, void)
+     * @param {Object} settlement - Liquidación de la alerta (opcional)
      * @returns {string} - Mensaje formateado
      */
-    formatFollowUp(goldenMoment, outcome = 'pending') {
+    formatFollowUp(goldenMoment, outcome = 'pending', settlement = null) {
         const { market, teams, minute } = goldenMoment;
+        const evidence = settlement?.evidence;
 
-        // Determinar cuánto tiempo ha pasado
-        const followUpMinute = Math.min(90, minute + 10);
+        // Minuto del evento que liquidó la alerta o estimación si no hay evidencia
+        const followUpMinute = evidence?.minute || (outcome === 'void' ? minute : Math.min(90, minute + 10));
 
         let message = `📊 SEGUIMIENTO DE ALERTA | Min ${followUpMinute}\n`;
         message += `${teams.home.name} vs ${teams.away.name}\n\n`;
@@ -334,16 +418,291 @@ class MessageGenerator {
         } else if (outcome === 'fail') {
             message += `❌ PREDICCIÓN NO CUMPLIDA\n`;
             message += `La recomendación para ${this.getMarketName(market)} no se concretó en esta ocasión.\n\n`;
+        } else if (outcome === 'void') {
+            message += `🚫 ALERTA ANULADA\n`;
+            message += `La recomendación para ${this.getMarketName(market)} ya no es válida: no la sigas.\n`;
+            if (goldenMoment.cancellation?.detail) {
+                message += `Motivo: ${goldenMoment.cancellation.detail}\n`;
+            }
+            message += `\n`;
         } else {
             message += `⏳ PREDICCIÓN EN CURSO\n`;
             message += `Continuamos monitoreando este partido.\n\n`;
         }
 
+        if (settlement?.score) {
+            message += `Marcador: ${teams.home.name} ${settlement.score.home} - ${settlement.score.away} ${teams.away.name}\n`;
+        }
+
+        if (evidence && evidence.type === 'Goal') {
+            const scorer = evidence.player?.name ? ` de ${evidence.player.name}` : '';
+            const team = evidence.team?.name ? ` (${evidence.team.name})` : '';
+            message += `${this.emojis.goal} Gol${scorer}${team} al minuto ${evidence.minute}\n\n`;
+        } else if (evidence && evidence.type === 'Corner') {
+            message += `${this.emojis.corner} Córner al minuto ${evidence.minute}\n\n`;
+        } else if (settlement?.score) {
+            message += `\n`;
+        }
+
         message += `Nuestro sistema sigue aprendiendo de cada predicción para mejorar continuamente.`;
 
         return message;
     }
 
+    /**
+     * Formatear lista de partidos en seguimiento
+     * @param {Array} matches - Partidos monitoreados ({teams, league, fixture})
+     * @param {number} limit - Máximo de partidos a listar
+     * @returns {string} - Mensaje formateado
+     */
+    formatMatchList(matches, limit = 15) {
+        if (matches.length === 0) {
+            return `📺 *PARTIDOS EN SEGUIMIENTO*\n\nAhora mismo no estamos siguiendo ningún partido. Te avisaremos apenas detectemos oportunidades.`;
+        }
+
+        let message = `📺 *PARTIDOS EN SEGUIMIENTO* (${matches.length})\n\n`;
+
+        for (const match of matches.slice(0, limit)) {
+            const elapsed = match.fixture?.status?.elapsed;
+            const minute = elapsed ? ` ${this.emojis.clock} ${elapsed}'` : '';
+            const league = match.league?.name ? ` _(${match.league.name})_` : '';
+            message += `• ${match.teams.home.name} vs ${match.teams.away.name}${league}${minute}\n`;
+        }
+
+        if (matches.length > limit) {
+            message += `…y ${matches.length - limit} más\n`;
+        }
+
+        return message.trimEnd();
+    }
+
+    /**
+     * Formatear resumen del plan de un usuario
+     * @param {Object} summary - {plan, subscriptionStatus, endsAt, sentToday, maxAlertsPerDay, teams}
+     * @returns {string} - Mensaje formateado
+     */
+    formatPlanSummary(summary) {
+        const planNames = {
+            free: 'Free',
+            insider: 'Insider',
+            estratega: 'Estratega'
+        };
+        const statusNames = {
+            trial: 'prueba gratuita',
+            active: 'activa',
+            grace: 'vencida (periodo de gracia)',
+            expired: 'vencida',
+            none: null
+        };
+
+        let message = `💳 *TU PLAN: ${(planNames[summary.plan] || summary.plan).toUpperCase()}*\n\n`;
+
+        const status = statusNames[summary.subscriptionStatus];
+        if (status) {
+            message += `Suscripción: ${status}\n`;
+        }
+        if (summary.endsAt && ['trial', 'active', 'grace'].includes(summary.subscriptionStatus)) {
+            message += `Vence: ${new Date(summary.endsAt).toLocaleDateString('es-AR', { timeZone: summary.timezone })}\n`;
+        }
+
+        message += `Alertas hoy: ${summary.sentToday}/${summary.maxAlertsPerDay}\n`;
+
+        if (summary.teams && summary.teams.length > 0) {
+            message += `Equipos seguidos: ${summary.teams.map(team => team.name).join(', ')}\n`;
+        }
+
+        if (summary.plan === 'free') {
+            message += `\n🔓 Con Insider o Estratega recibís las alertas antes y con análisis detallado.`;
+        }
+
+        return message.trimEnd();
+    }
+
+    /**
+     * Formatear resumen de las alertas del día de un usuario
+     * @param {Array} alerts - Alertas recibidas hoy
+     * @param {number} suppressed - Alertas retenidas por el límite diario
+     * @returns {string} - Mensaje formateado
+     */
+    formatTodayAlerts(alerts, suppressed = 0) {
+        if (alerts.length === 0 && suppressed === 0) {
+            return `${this.emojis.chart} *ALERTAS DE HOY*\n\nTodavía no recibiste alertas hoy.`;
+        }
+
+        const outcomeEmojis = { success: '✅', fail: '❌', pending: '⏳' };
+        const wins = alerts.filter(alert => alert.outcome === 'success').length;
+        const losses = alerts.filter(alert => alert.outcome === 'fail').length;
+        const open = alerts.length - wins - losses;
+
+        let message = `${this.emojis.chart} *ALERTAS DE HOY* (${alerts.length})\n\n`;
+
+        for (const alert of alerts) {
+            const emoji = outcomeEmojis[alert.outcome] || outcomeEmojis.pending;
+            const odds = alert.odds?.value ? ` @${alert.odds.value.toFixed(2)}` : '';
+            message += `${emoji} ${alert.teams.home.name} vs ${alert.teams.away.name} - ${this.getMarketName(alert.market)}${odds} (Min ${alert.minute})\n`;
+        }
+
+        message += `\nAciertos: ${wins} | Fallos: ${losses} | En curso: ${open}`;
+
+        if (suppressed > 0) {
+            message += `\n_${suppressed} alertas retenidas por tu límite diario._`;
+        }
+
+        return message;
+    }
+
+    /**
+     * Formatear resumen diario de alertas, resultados y próximos partidos
+     * @param {Object} digest - Resumen del DigestService
+     * @returns {string} - Mensaje formateado
+     */
+    formatDigest(digest) {
+        const outcomeEmojis = { success: '✅', fail: '❌', pending: '⏳' };
+        const formatAlert = alert => {
+            const emoji = outcomeEmojis[alert.outcome] || outcomeEmojis.pending;
+            const odds = alert.odds ? ` @${alert.odds.toFixed(2)}` : '';
+            const minute = alert.minute !== null && alert.minute !== undefined ? ` (Min ${alert.minute})` : '';
+            return `${emoji} ${alert.match} - ${this.getMarketName(alert.market)}${odds}${minute}\n`;
+        };
+
+        let message = `${this.emojis.chart} *RESUMEN DIARIO* (${digest.date})\n\n`;
+
+        if (digest.alerts.length === 0) {
+            message += `No recibiste alertas en las últimas 24 horas.\n`;
+        } else {
+            const { summary } = digest;
+            const profit = `${summary.profit > 0 ? '+' : ''}${summary.profit.toFixed(2)}`;
+            const roi = `${summary.roi > 0 ? '+' : ''}${Math.round(summary.roi * 1000) / 10}`;
+
+            message += `*ALERTAS DEL ÚLTIMO DÍA* (${digest.alerts.length})\n`;
+            digest.alerts.forEach(alert => { message += formatAlert(alert); });
+            message += `\nAciertos: ${summary.wins} | Fallos: ${summary.losses} | En curso: ${summary.pending}\n`;
+
+            if (summary.bets > 0) {
+                message += `Beneficio: ${profit} u | ROI: ${roi}%\n`;
+            }
+        }
+
+        if (digest.suppressed.length > 0) {
+            message += `\n*RETENIDAS POR TU LÍMITE DIARIO* (${digest.suppressed.length})\n`;
+            digest.suppressed.forEach(alert => { message += formatAlert(alert); });
+        }
+
+        if (digest.upcoming.length > 0) {
+            message += `\n*PRÓXIMOS PARTIDOS SELECCIONADOS*\n`;
+            digest.upcoming.forEach(match => {
+                const league = match.league ? ` (${match.league})` : '';
+                message += `${this.emojis.goal} ${match.time} ${match.match}${league}\n`;
+            });
+        }
+
+        return message.trimEnd();
+    }
+
+    /**
+     * Formatear confirmación de seguimiento de equipo
+     * @param {Object} team - {id, name}
+     * @param {boolean} following - true si se empezó a seguir, false si se dejó
+     * @returns {string} - Mensaje formateado
+     */
+    formatFollowConfirmation(team, following = true) {
+        if (!following) {
+            return `👋 Dejaste de seguir a *${team.name}*.`;
+        }
+
+        return `⭐ Ahora seguís a *${team.name}*.\n` +
+            `Solo recibirás alertas de tus equipos y ligas seguidos. Escribí "dejar de seguir ${team.name}" para quitarlo.`;
+    }
+
+    /**
+     * Formatear pregunta para elegir entre varios equipos
+     * @param {Array} options - Equipos candidatos [{id, name}]
+     * @returns {string} - Mensaje formateado
+     */
+    formatTeamChoice(options) {
+        let message = `🤔 Encontramos varios equipos. Respondé con el número:\n\n`;
+        options.forEach((team, index) => {
+            message += `${index + 1}. ${team.name}\n`;
+        });
+
+        return message.trimEnd();
+    }
+
+    /**
+     * Formatear ayuda con los comandos disponibles
+     * @param {string} intro - Texto previo opcional (p. ej. comando no reconocido)
+     * @returns {string} - Mensaje formateado
+     */
+    formatHelp(intro = null) {
+        let message = intro ? `${intro}\n\n` : '';
+
+        message += `🤖 *COMANDOS DISPONIBLES*\n\n`;
+        message += `• *partidos* - Partidos que estamos siguiendo ahora\n`;
+        message += `• *plan* - Tu plan y suscripción\n`;
+        message += `• *alertas hoy* - Resumen de tus alertas de hoy\n`;
+        message += `• *seguir* <equipo> - Recibir alertas de un equipo\n`;
+        message += `• *dejar de seguir* <equipo> - Quitar un equipo\n`;
+        message += `• *telegram* - Recibir las alertas por Telegram\n`;
+        message += `• *ayuda* - Ver este mensaje`;
+
+        return message;
+    }
+
+    /**
+     * Formatear enlace de vinculación de Telegram
+     * @param {Object} link - {code, url, expiresAt}
+     * @returns {string} - Mensaje formateado
+     */
+    formatTelegramLink(link) {
+        const minutes = Math.round((new Date(link.expiresAt) - Date.now()) / 60000);
+
+        let message = `📲 *VINCULAR TELEGRAM*\n\n`;
+        message += link.url
+            ? `Abrí este enlace y tocá *Iniciar*:\n${link.url}\n\n`
+            : `Escribile a nuestro bot de Telegram:\n/start ${link.code}\n\n`;
+        message += `El enlace vence en ${minutes} minutos. No lo compartas: quien lo abra recibirá tus alertas.`;
+
+        return message;
+    }
+
+    /**
+     * Formatear alerta de caída brusca de cuota (steam)
+     * @param {Object} steamMove - Movimiento detectado {market, side, teams, minute, score, movement, description}
+     * @returns {string} - Mensaje formateado
+     */
+    formatSteamAlert(steamMove) {
+        const { market, side, teams, minute, score, movement, description } = steamMove;
+
+        // En mercados a tres vías, a qué resultado apunta el dinero
+        const sideNames = {
+            home: teams.home.name,
+            away: teams.away.name,
+            none: market === 'cornerNext10Min' ? 'sin córner' : 'sin gol'
+        };
+        const selection = side ? ` (${sideNames[side]})` : '';
+
+        let message = `📉 *ALERTA STEAM* | Min ${minute}\n`;
+        message += `${teams.home.name} ${score?.home ?? 0} - ${score?.away ?? 0} ${teams.away.name}\n\n`;
+        message += `Mercado: ${this.getMarketName(market)}${selection}\n`;
+        message += `La ${description} (${(movement.change * 100).toFixed(1)}%)\n`;
+        message += `${movement.movingBookmakers} de ${movement.bookmakers} casas acompañan la caída\n\n`;
+        message += `Es un movimiento del mercado, no una predicción de nuestro modelo.`;
+
+        return message;
+    }
+
+    /**
+     * Obtener el equipo favorecido en mercados a tres vías
+     * Las alertas antiguas de nextGoal no tienen lado: su probabilidad era la del local
+     * @param {Object} goldenMoment - Momento dorado o alerta
+     * @returns {string} - Nombre del equipo
+     */
+    getFavouredTeam(goldenMoment) {
+        const { side, market, teams, prediction } = goldenMoment;
+        const favouredSide = side || (market === 'nextGoal' && prediction?.probability <= 0.5 ? 'away' : 'home');
+        return teams[favouredSide].name;
+    }
+
     /**
      * Obtener nombre descriptivo de un mercado
      * @param {string} market - Código del mercado
@@ -356,7 +715,19 @@ class MessageGenerator {
             'over15': 'más de 1.5 goles',
             'over25': 'más de 2.5 goles',
             'btts': 'ambos equipos marcan',
-            'cornerNext10Min': 'córner en próximos 10 minutos'
+            'cornerNext10Min': 'córner en próximos 10 minutos',
+            'under25': 'menos de 2.5 goles',
+            'under35': 'menos de 3.5 goles',
+            'homeWin': 'victoria local',
+            'draw': 'empate',
+            'awayWin': 'victoria visitante',
+            'homeOrDraw': 'doble oportunidad 1X',
+            'drawOrAway': 'doble oportunidad X2',
+            'homeOrAway': 'doble oportunidad 12',
+            'firstHalfOver05': 'gol en el primer tiempo',
+            'firstHalfHome': 'primer tiempo: victoria local',
+            'firstHalfDraw': 'primer tiempo: empate',
+            'firstHalfAway': 'primer tiempo: victoria visitante'
         };
 
         return marketNames[market] || market;
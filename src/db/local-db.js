@@ -24,6 +24,11 @@ class LocalDatabase {
         this.loadCollection('matches');
         this.loadCollection('alerts');
         this.loadCollection('h2h');
+        this.loadCollection('users');
+        this.loadCollection('alertQuotas');
+        this.loadCollection('outboundMessages');
+        this.loadCollection('deadLetters');
+        this.loadCollection('oddsHistory');
     }
 
     // Cargar colección específica
@@ -67,6 +72,18 @@ class LocalDatabase {
             Object.assign(item, update);
         });
     }
+    remove(collection, query) {
+        const items = this.find(collection, query);
+        this.collections[collection] = this.collections[collection]
+            .filter((item) => !items.includes(item));
+        return items.length;
+    }
+    removeWhere(collection, predicate) {
+        const before = this.collections[collection].length;
+        this.collections[collection] = this.collections[collection]
+            .filter((item) => !predicate(item));
+        return before - this.collections[collection].length;
+    }
 
     // Guardar en disco
     saveCollection(name) {
@@ -0,0 +1,9 @@
+/**
+ * Modelo Mongoose para cupos diarios de alertas
+ */
+const mongoose = require('mongoose');
+const AlertQuotaSchema = require('../schemas/alert-quota-schema');
+
+const AlertQuota = mongoose.model('AlertQuota', AlertQuotaSchema);
+
+module.exports = AlertQuota;
@@ -0,0 +1,9 @@
+/**
+ * Modelo Mongoose para alertas
+ */
+const mongoose = require('mongoose');
+const AlertSchema = require('../schemas/alert-schema');
+
+const Alert = mongoose.model('Alert', AlertSchema);
+
+module.exports = Alert;
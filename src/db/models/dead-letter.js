@@ -0,0 +1,9 @@
+/**
+ * Modelo Mongoose para mensajes en dead-letter
+ */
+const mongoose = require('mongoose');
+const DeadLetterSchema = require('../schemas/dead-letter-schema');
+
+const DeadLetter = mongoose.model('DeadLetter', DeadLetterSchema);
+
+module.exports = DeadLetter;
@@ -0,0 +1,9 @@
+/**
+ * Modelo Mongoose para la serie temporal de cuotas
+ */
+const mongoose = require('mongoose');
+const OddsSnapshotSchema = require('../schemas/odds-snapshot-schema');
+
+const OddsSnapshot = mongoose.model('OddsSnapshot', OddsSnapshotSchema);
+
+module.exports = OddsSnapshot;
@@ -0,0 +1,9 @@
+/**
+ * Modelo Mongoose para la cola de mensajes salientes
+ */
+const mongoose = require('mongoose');
+const OutboundMessageSchema = require('../schemas/outbound-message-schema');
+
+const OutboundMessage = mongoose.model('OutboundMessage', OutboundMessageSchema);
+
+module.exports = OutboundMessage;
@@ -0,0 +1,9 @@
+/**
+ * Modelo Mongoose para usuarios
+ */
+const mongoose = require('mongoose');
+const UserSchema = require('../schemas/user-schema');
+
+const User = mongoose.model('User', UserSchema);
+
+module.exports = User;
@@ -0,0 +1,206 @@
+/**
+ * Repositorio para cupos diarios de alertas
+ * Abstrae las operaciones de base de datos
+ */
+const mongoose = require('mongoose');
+const AlertQuota = require('../models/alert-quota');
+const mongoClient = require('../mongo-client');
+const localDb = require('../local-db');
+const logger = require('../../utils/logger');
+
+class AlertQuotaRepository {
+    constructor() {
+        this.useLocalDb = false;
+    }
+
+    // Inicializar repo
+    async initialize() {
+        try {
+            await mongoClient.connect();
+            this.useLocalDb = !mongoClient.isConnected;
+        } catch (error) {
+            logger.error('Fallback a base de datos local para cupos de alertas');
+            this.useLocalDb = true;
+        }
+    }
+
+    // Obtener cupo de un usuario en un día (YYYY-MM-DD)
+    async getQuota(userId, date) {
+        if (this.useLocalDb) {
+            return localDb.findOne('alertQuotas', { userId, date }) || null;
+        }
+
+        return AlertQuota.findOne({ userId, date }).exec();
+    }
+
+    // Reservar cupo para una alerta si queda (enviadas + reservadas < límite)
+    // Devuelve el cupo actualizado o null si está agotado; repetir la reserva
+    // de la misma alerta (reintentos del envío) no ocupa otra plaza
+    async reserve(userId, date, plan, alertId, limit) {
+        const now = new Date();
+
+        if (this.useLocalDb) {
+            let quota = localDb.findOne('alertQuotas', { userId, date });
+            if (quota?.reservations?.includes(alertId)) return quota;
+            if (quota && (quota.sent || 0) + (quota.reservations?.length || 0) >= limit) return null;
+
+            if (!quota) {
+                quota = {
+                    id: new mongoose.Types.ObjectId().toString(),
+                    userId,
+                    date,
+                    plan,
+                    sent: 0,
+                    suppressed: 0,
+                    reservations: [],
+                    digest: [],
+                    createdAt: now
+                };
+                localDb.insert('alertQuotas', quota);
+            }
+
+            quota.reservations = [...(quota.reservations || []), alertId];
+            quota.plan = plan;
+            quota.updatedAt = now;
+
+            localDb.saveCollection('alertQuotas');
+            return quota;
+        }
+
+        try {
+            // Condición y reserva en una sola operación: envíos simultáneos no superan el límite
+            const quota = await AlertQuota.findOneAndUpdate(
+                {
+                    userId,
+                    date,
+                    reservations: { $ne: alertId },
+                    $expr: {
+                        $lt: [{ $add: [{ $ifNull: ['$sent', 0] }, { $size: { $ifNull: ['$reservations', []] } }] }, limit]
+                    }
+                },
+                {
+                    $addToSet: { reservations: alertId },
+                    $set: { plan, updatedAt: now },
+                    $setOnInsert: { createdAt: now }
+                },
+                { new: true, upsert: true }
+            ).exec();
+            if (quota) return quota;
+        } catch (error) {
+            // Clave duplicada: el documento del día existe y no cumple la condición
+            if (error.code !== 11000) throw error;
+        }
+
+        const quota = await this.getQuota(userId, date);
+        return quota?.reservations?.includes(alertId) ? quota : null;
+    }
+
+    // Liberar la reserva de una alerta que no llegó a entregarse
+    async release(userId, date, alertId) {
+        if (this.useLocalDb) {
+            const quota = localDb.findOne('alertQuotas', { userId, date });
+            if (quota?.reservations?.includes(alertId)) {
+                quota.reservations = quota.reservations.filter(id => id !== alertId);
+                quota.updatedAt = new Date();
+                localDb.saveCollection('alertQuotas');
+            }
+            return quota || null;
+        }
+
+        return AlertQuota.findOneAndUpdate(
+            { userId, date },
+            { $pull: { reservations: alertId }, $set: { updatedAt: new Date() } },
+            { new: true }
+        ).exec();
+    }
+
+    // Pasar la reserva de una alerta entregada a enviadas
+    async confirmReservation(userId, date, plan, alertId) {
+        if (this.useLocalDb) {
+            const quota = await this.increment(userId, date, plan, { sent: 1 });
+            quota.reservations = (quota.reservations || []).filter(id => id !== alertId);
+            localDb.saveCollection('alertQuotas');
+            return quota;
+        }
+
+        const now = new Date();
+        return AlertQuota.findOneAndUpdate(
+            { userId, date },
+            {
+                $inc: { sent: 1 },
+                $pull: { reservations: alertId },
+                $set: { plan, updatedAt: now },
+                $setOnInsert: { createdAt: now }
+            },
+            { new: true, upsert: true }
+        ).exec();
+    }
+
+    // Sumar una alerta suprimida (y guardarla para el resumen si corresponde)
+    async addSuppressed(userId, date, plan, digestItem = null) {
+        return this.increment(userId, date, plan, { suppressed: 1 }, digestItem);
+    }
+
+    // Incrementar contadores creando el documento del día si no existe
+    async increment(userId, date, plan, counters, digestItem = null) {
+        const now = new Date();
+
+        if (this.useLocalDb) {
+            let quota = localDb.findOne('alertQuotas', { userId, date });
+            if (!quota) {
+                quota = {
+                    id: new mongoose.Types.ObjectId().toString(),
+                    userId,
+                    date,
+                    plan,
+                    sent: 0,
+                    suppressed: 0,
+                    digest: [],
+                    createdAt: now
+                };
+                localDb.insert('alertQuotas', quota);
+            }
+
+            for (const [field, amount] of Object.entries(counters)) {
+                quota[field] = (quota[field] || 0) + amount;
+            }
+            if (digestItem) quota.digest.push(digestItem);
+            quota.plan = plan;
+            quota.updatedAt = now;
+
+            localDb.saveCollection('alertQuotas');
+            return quota;
+        }
+
+        const update = {
+            $inc: counters,
+            $set: { plan, updatedAt: now },
+            $setOnInsert: { createdAt: now }
+        };
+        if (digestItem) update.$push = { digest: digestItem };
+
+        return AlertQuota.findOneAndUpdate(
+            { userId, date },
+            update,
+            { new: true, upsert: true }
+        ).exec();
+    }
+
+    // Sumar alertas suprimidas (opcionalmente de un día)
+    async getSuppressedCount(date = null) {
+        if (this.useLocalDb) {
+            const quotas = date ? localDb.find('alertQuotas', { date }) : localDb.find('alertQuotas', {});
+            return quotas.reduce((total, quota) => total + (quota.suppressed || 0), 0);
+        }
+
+        const match = date ? { date } : {};
+        const [result] = await AlertQuota.aggregate([
+            { $match: match },
+            { $group: { _id: null, total: { $sum: '$suppressed' } } }
+        ]).exec();
+
+        return result ? result.total : 0;
+    }
+}
+
+module.exports = new AlertQuotaRepository();
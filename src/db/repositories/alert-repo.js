@@ -0,0 +1,391 @@
+/**
+ * Repositorio para operaciones con alertas
+ * Abstrae las operaciones de base de datos
+ */
+const mongoose = require('mongoose');
+const Alert = require('../models/alert');
+const mongoClient = require('../mongo-client');
+const localDb = require('../local-db');
+const logger = require('../../utils/logger');
+
+class AlertRepository {
+    constructor() {
+        this.useLocalDb = false;
+    }
+
+    // Inicializar repo
+    async initialize() {
+        try {
+            await mongoClient.connect();
+            this.useLocalDb = !mongoClient.isConnected;
+        } catch (error) {
+            logger.error('Fallback a base de datos local para alertas');
+            this.useLocalDb = true;
+        }
+    }
+
+    // Guardar alerta a partir de un momento dorado
+    async saveAlert(goldenMoment, plan) {
+        const alertData = {
+            matchId: goldenMoment.matchId,
+            market: goldenMoment.market,
+            plan,
+            league: goldenMoment.league,
+            teams: goldenMoment.teams,
+            minute: goldenMoment.minute,
+            score: goldenMoment.score,
+            side: goldenMoment.side || undefined,
+            redCards: goldenMoment.redCards,
+            prediction: goldenMoment.prediction,
+            odds: goldenMoment.odds,
+            context: goldenMoment.context || [],
+            outcome: 'pending',
+            sentTo: [],
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+
+        if (this.useLocalDb) {
+            const alert = {
+                id: new mongoose.Types.ObjectId().toString(),
+                ...alertData
+            };
+            localDb.insert('alerts', alert);
+            localDb.saveCollection('alerts');
+            return alert;
+        }
+
+        return new Alert(alertData).save();
+    }
+
+    // Obtener alerta por ID
+    async getAlertById(alertId) {
+        if (this.useLocalDb) {
+            return localDb.findOne('alerts', { id: alertId });
+        }
+
+        return Alert.findById(alertId).exec();
+    }
+
+    // Obtener alerta a partir del ID de un mensaje enviado
+    async getAlertByMessageId(messageId) {
+        if (this.useLocalDb) {
+            return localDb.find('alerts', {}).find(alert =>
+                (alert.sentTo || []).some(recipient => recipient.messageId === messageId)
+            ) || null;
+        }
+
+        return Alert.findOne({ 'sentTo.messageId': messageId }).exec();
+    }
+
+    // Registrar envío de alerta a un usuario
+    // delivery: {channel, channelResults, error} con el resultado de cada canal intentado
+    async registerAlertSent(alertId, userId, plan = null, messageId = null, status = 'sent', delivery = {}) {
+        const now = new Date();
+        const recipient = {
+            userId,
+            plan,
+            messageId,
+            timestamp: now,
+            status,
+            channel: delivery.channel || null,
+            channelResults: delivery.channelResults || []
+        };
+        if (status === 'failed') recipient.failedAt = now;
+        if (delivery.error) recipient.error = { title: delivery.error };
+
+        if (this.useLocalDb) {
+            const alert = localDb.findOne('alerts', { id: alertId });
+            if (alert) {
+                alert.sentTo = alert.sentTo || [];
+                alert.sentTo.push(recipient);
+                alert.updatedAt = new Date();
+                localDb.saveCollection('alerts');
+            }
+            return alert || null;
+        }
+
+        return Alert.findByIdAndUpdate(
+            alertId,
+            {
+                $push: { sentTo: recipient },
+                $set: { updatedAt: new Date() }
+            },
+            { new: true }
+        ).exec();
+    }
+
+    // Actualizar estado de entrega del destinatario de un mensaje
+    // Devuelve {alert, recipient} con el destinatario ya actualizado o null
+    async updateRecipientStatus(messageId, changes) {
+        if (this.useLocalDb) {
+            const alert = await this.getAlertByMessageId(messageId);
+            if (!alert) return null;
+
+            const recipient = alert.sentTo.find(entry => entry.messageId === messageId);
+            Object.assign(recipient, changes);
+            alert.updatedAt = new Date();
+            localDb.saveCollection('alerts');
+            return { alert, recipient };
+        }
+
+        const set = { updatedAt: new Date() };
+        for (const [field, value] of Object.entries(changes)) {
+            set[`sentTo.$.${field}`] = value;
+        }
+
+        const alert = await Alert.findOneAndUpdate(
+            { 'sentTo.messageId': messageId },
+            { $set: set },
+            { new: true }
+        ).exec();
+        if (!alert) return null;
+
+        return {
+            alert,
+            recipient: alert.sentTo.find(entry => entry.messageId === messageId)
+        };
+    }
+
+    // Obtener alertas creadas en un rango (con filtros opcionales)
+    async getAlerts(filters = {}) {
+        const { from, to, plan } = filters;
+
+        if (this.useLocalDb) {
+            return localDb.find('alerts', {}).filter(alert => {
+                const createdAt = new Date(alert.createdAt);
+                if (from && createdAt < from) return false;
+                if (to && createdAt > to) return false;
+                if (plan && alert.plan !== plan) return false;
+                return true;
+            });
+        }
+
+        const query = {};
+        if (from || to) {
+            query.createdAt = {};
+            if (from) query.createdAt.$gte = from;
+            if (to) query.createdAt.$lte = to;
+        }
+        if (plan) query.plan = plan;
+
+        return Alert.find(query).sort({ createdAt: 1 }).exec();
+    }
+
+    // Obtener alertas pendientes de liquidar
+    async getPendingAlerts() {
+        if (this.useLocalDb) {
+            return localDb.find('alerts', { outcome: 'pending' });
+        }
+
+        return Alert.find({ outcome: 'pending' }).exec();
+    }
+
+    // Obtener alertas liquidadas (success/fail) con filtros opcionales
+    async getSettledAlerts(filters = {}) {
+        const { from, to, market, plan, leagueId } = filters;
+
+        if (this.useLocalDb) {
+            return localDb.find('alerts', {}).filter(alert => {
+                if (!['success', 'fail'].includes(alert.outcome)) return false;
+                const createdAt = new Date(alert.createdAt);
+                if (from && createdAt < from) return false;
+                if (to && createdAt > to) return false;
+                if (market && alert.market !== market) return false;
+                if (plan && alert.plan !== plan) return false;
+                if (leagueId && alert.league?.id !== leagueId) return false;
+                return true;
+            });
+        }
+
+        const query = { outcome: { $in: ['success', 'fail'] } };
+        if (from || to) {
+            query.createdAt = {};
+            if (from) query.createdAt.$gte = from;
+            if (to) query.createdAt.$lte = to;
+        }
+        if (market) query.market = market;
+        if (plan) query.plan = plan;
+        if (leagueId) query['league.id'] = leagueId;
+
+        return Alert.find(query).sort({ createdAt: 1 }).exec();
+    }
+
+    // Liquidar alerta con su resultado y evidencia
+    async settleAlert(alertId, outcome, settlement) {
+        if (this.useLocalDb) {
+            const alert = localDb.findOne('alerts', { id: alertId });
+            if (alert) {
+                alert.outcome = outcome;
+                alert.settlement = settlement;
+                alert.updatedAt = new Date();
+                localDb.saveCollection('alerts');
+            }
+            return alert || null;
+        }
+
+        return Alert.findByIdAndUpdate(
+            alertId,
+            {
+                $set: {
+                    outcome,
+                    settlement,
+                    updatedAt: new Date()
+                }
+            },
+            { new: true }
+        ).exec();
+    }
+
+    // Anular alerta cuya premisa dejó de cumplirse antes del envío
+    async voidAlert(alertId, cancellation) {
+        if (this.useLocalDb) {
+            const alert = localDb.findOne('alerts', { id: alertId });
+            if (alert) {
+                alert.outcome = 'void';
+                alert.cancellation = cancellation;
+                alert.updatedAt = new Date();
+                localDb.saveCollection('alerts');
+            }
+            return alert || null;
+        }
+
+        return Alert.findByIdAndUpdate(
+            alertId,
+            {
+                $set: {
+                    outcome: 'void',
+                    cancellation,
+                    updatedAt: new Date()
+                }
+            },
+            { new: true }
+        ).exec();
+    }
+
+    // Registrar seguimiento enviado a los destinatarios de una alerta
+    async registerFollowUp(alertId, outcome, recipients) {
+        const followUp = {
+            outcome,
+            recipients,
+            timestamp: new Date()
+        };
+
+        if (this.useLocalDb) {
+            const alert = localDb.findOne('alerts', { id: alertId });
+            if (alert) {
+                alert.followUps = alert.followUps || [];
+                alert.followUps.push(followUp);
+                alert.updatedAt = new Date();
+                localDb.saveCollection('alerts');
+            }
+            return alert || null;
+        }
+
+        return Alert.findByIdAndUpdate(
+            alertId,
+            {
+                $push: { followUps: followUp },
+                $set: { updatedAt: new Date() }
+            },
+            { new: true }
+        ).exec();
+    }
+
+    // Añadir captura de cuota del mercado alertado
+    async addOddsSnapshot(alertId, snapshot) {
+        if (this.useLocalDb) {
+            const alert = localDb.findOne('alerts', { id: alertId });
+            if (alert) {
+                alert.oddsHistory = alert.oddsHistory || [];
+                alert.oddsHistory.push(snapshot);
+                localDb.saveCollection('alerts');
+            }
+            return alert || null;
+        }
+
+        return Alert.findByIdAndUpdate(
+            alertId,
+            { $push: { oddsHistory: snapshot } },
+            { new: true }
+        ).exec();
+    }
+
+    // Guardar línea de cierre y CLV de una alerta
+    async setClosingLine(alertId, clv) {
+        if (this.useLocalDb) {
+            const alert = localDb.findOne('alerts', { id: alertId });
+            if (alert) {
+                alert.clv = clv;
+                alert.updatedAt = new Date();
+                localDb.saveCollection('alerts');
+            }
+            return alert || null;
+        }
+
+        return Alert.findByIdAndUpdate(
+            alertId,
+            { $set: { clv, updatedAt: new Date() } },
+            { new: true }
+        ).exec();
+    }
+
+    // Obtener total de alertas generadas
+    async getTotalAlerts() {
+        if (this.useLocalDb) {
+            return localDb.find('alerts', {}).length;
+        }
+
+        return Alert.countDocuments().exec();
+    }
+
+    // Obtener alertas enviadas a un usuario desde una fecha (sin las que no le llegaron)
+    async getAlertsSentToUser(userId, from) {
+        if (this.useLocalDb) {
+            return localDb.find('alerts', {})
+                .filter(alert => new Date(alert.createdAt) >= from &&
+                    (alert.sentTo || []).some(recipient => recipient.userId === userId && recipient.status !== 'failed'))
+                .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+        }
+
+        return Alert.find({
+            sentTo: { $elemMatch: { userId, status: { $ne: 'failed' } } },
+            createdAt: { $gte: from }
+        })
+            .sort({ createdAt: 1 })
+            .exec();
+    }
+
+    // Obtener cantidad de alertas generadas hoy
+    async getAlertsToday() {
+        const startOfDay = new Date();
+        startOfDay.setHours(0, 0, 0, 0);
+
+        if (this.useLocalDb) {
+            return localDb.find('alerts', {})
+                .filter(alert => new Date(alert.createdAt) >= startOfDay)
+                .length;
+        }
+
+        return Alert.countDocuments({ createdAt: { $gte: startOfDay } }).exec();
+    }
+
+    // Obtener tasa de acierto sobre alertas liquidadas (0-1)
+    async getSuccessRate() {
+        let successCount;
+        let failCount;
+
+        if (this.useLocalDb) {
+            successCount = localDb.find('alerts', { outcome: 'success' }).length;
+            failCount = localDb.find('alerts', { outcome: 'fail' }).length;
+        } else {
+            successCount = await Alert.countDocuments({ outcome: 'success' }).exec();
+            failCount = await Alert.countDocuments({ outcome: 'fail' }).exec();
+        }
+
+        const settledCount = successCount + failCount;
+        return settledCount > 0 ? successCount / settledCount : 0;
+    }
+}
+
+module.exports = new AlertRepository();
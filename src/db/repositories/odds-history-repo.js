@@ -0,0 +1,68 @@
+/**
+ * Repositorio para la serie temporal de cuotas
+ * Abstrae las operaciones de base de datos
+ */
+const mongoose = require('mongoose');
+const OddsSnapshot = require('../models/odds-snapshot');
+const mongoClient = require('../mongo-client');
+const localDb = require('../local-db');
+const logger = require('../../utils/logger');
+
+class OddsHistoryRepository {
+    constructor() {
+        this.useLocalDb = false;
+    }
+
+    // Inicializar repo
+    async initialize() {
+        try {
+            await mongoClient.connect();
+            this.useLocalDb = !mongoClient.isConnected;
+        } catch (error) {
+            logger.error('Fallback a base de datos local para historial de cuotas');
+            this.useLocalDb = true;
+        }
+    }
+
+    // Guardar las capturas de una consulta de cuotas
+    async addSnapshots(snapshots) {
+        if (this.useLocalDb) {
+            for (const snapshot of snapshots) {
+                localDb.insert('oddsHistory', { id: new mongoose.Types.ObjectId().toString(), ...snapshot });
+            }
+            localDb.saveCollection('oddsHistory');
+            return snapshots.length;
+        }
+
+        const inserted = await OddsSnapshot.insertMany(snapshots);
+        return inserted.length;
+    }
+
+    // Obtener capturas de un partido desde una fecha (orden cronológico)
+    async getMatchHistory(matchId, since) {
+        if (this.useLocalDb) {
+            return localDb.find('oddsHistory', { matchId })
+                .filter(snapshot => new Date(snapshot.timestamp) >= since)
+                .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        }
+
+        return OddsSnapshot.find({ matchId, timestamp: { $gte: since } })
+            .sort({ timestamp: 1 })
+            .lean()
+            .exec();
+    }
+
+    // Borrar capturas anteriores a una fecha
+    async deleteBefore(before) {
+        if (this.useLocalDb) {
+            const removed = localDb.removeWhere('oddsHistory', snapshot => new Date(snapshot.timestamp) < before);
+            if (removed > 0) localDb.saveCollection('oddsHistory');
+            return removed;
+        }
+
+        const result = await OddsSnapshot.deleteMany({ timestamp: { $lt: before } }).exec();
+        return result.deletedCount;
+    }
+}
+
+module.exports = new OddsHistoryRepository();
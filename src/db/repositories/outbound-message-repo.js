@@ -0,0 +1,252 @@
+/**
+ * Repositorio para la cola de mensajes salientes y su dead-letter
+ * Abstrae las operaciones de base de datos
+ */
+const mongoose = require('mongoose');
+const OutboundMessage = require('../models/outbound-message');
+const DeadLetter = require('../models/dead-letter');
+const mongoClient = require('../mongo-client');
+const localDb = require('../local-db');
+const logger = require('../../utils/logger');
+
+class OutboundMessageRepository {
+    constructor() {
+        this.useLocalDb = false;
+    }
+
+    // Inicializar repo
+    async initialize() {
+        try {
+            await mongoClient.connect();
+            this.useLocalDb = !mongoClient.isConnected;
+        } catch (error) {
+            logger.error('Fallback a base de datos local para la cola de mensajes');
+            this.useLocalDb = true;
+        }
+    }
+
+    // Encolar mensaje si su clave de idempotencia no existe ({message, created})
+    async enqueue(data) {
+        const now = new Date();
+        const message = {
+            ...data,
+            status: 'pending',
+            attempts: 0,
+            scheduledAt: data.scheduledAt || now,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        if (this.useLocalDb) {
+            const existing = localDb.findOne('outboundMessages', { key: data.key });
+            if (existing) return { message: existing, created: false };
+
+            message.id = new mongoose.Types.ObjectId().toString();
+            localDb.insert('outboundMessages', message);
+            localDb.saveCollection('outboundMessages');
+            return { message, created: true };
+        }
+
+        try {
+            const created = await OutboundMessage.create(message);
+            return { message: created.toObject(), created: true };
+        } catch (error) {
+            // Clave duplicada: el mensaje ya estaba encolado
+            if (error.code === 11000) {
+                const existing = await OutboundMessage.findOne({ key: data.key }).lean().exec();
+                return { message: existing, created: false };
+            }
+            throw error;
+        }
+    }
+
+    // Obtener mensajes pendientes cuya hora programada ya llegó
+    async getDueMessages(now = new Date(), limit = 50) {
+        if (this.useLocalDb) {
+            return localDb.find('outboundMessages', { status: 'pending' })
+                .filter(message => new Date(message.scheduledAt) <= now)
+                .sort((a, b) => new Date(a.scheduledAt) - new Date(b.scheduledAt))
+                .slice(0, limit);
+        }
+
+        return OutboundMessage.find({ status: 'pending', scheduledAt: { $lte: now } })
+            .sort({ scheduledAt: 1 })
+            .limit(limit)
+            .lean()
+            .exec();
+    }
+
+    // Tomar un mensaje para enviarlo (null si otro proceso ya lo tomó)
+    async claim(id, now = new Date()) {
+        if (this.useLocalDb) {
+            const message = localDb.findOne('outboundMessages', { id });
+            if (!message || message.status !== 'pending') return null;
+
+            Object.assign(message, { status: 'processing', lockedAt: now, updatedAt: now });
+            localDb.saveCollection('outboundMessages');
+            return message;
+        }
+
+        return OutboundMessage.findOneAndUpdate(
+            { _id: id, status: 'pending' },
+            { $set: { status: 'processing', lockedAt: now, updatedAt: now } },
+            { new: true }
+        ).lean().exec();
+    }
+
+    // Marcar mensaje como enviado
+    async markSent(id, attempts, messageId = null, channelResults = []) {
+        return this.update(id, { status: 'sent', attempts, sentAt: new Date(), messageId, channelResults });
+    }
+
+    // Marcar mensaje como descartado (sin error de envío: canal desactivado, usuario inactivo...)
+    async markSkipped(id, attempts, reason, channelResults = []) {
+        return this.update(id, { status: 'skipped', attempts, lastError: reason, channelResults });
+    }
+
+    // Descartar los mensajes pendientes de una alerta (alerta anulada)
+    async skipPendingByAlert(alertId, reason) {
+        const changes = { status: 'skipped', lastError: reason, updatedAt: new Date() };
+
+        if (this.useLocalDb) {
+            const pending = localDb.find('outboundMessages', { alertId, status: 'pending' });
+            pending.forEach(message => Object.assign(message, changes));
+            if (pending.length > 0) localDb.saveCollection('outboundMessages');
+            return pending.length;
+        }
+
+        const result = await OutboundMessage.updateMany(
+            { alertId, status: 'pending' },
+            { $set: changes }
+        ).exec();
+
+        return result.modifiedCount;
+    }
+
+    // Obtener mensajes enviados de una alerta por tipo
+    async getSentByAlert(alertId, messageType) {
+        if (this.useLocalDb) {
+            return localDb.find('outboundMessages', { alertId, messageType, status: 'sent' });
+        }
+
+        return OutboundMessage.find({ alertId, messageType, status: 'sent' }).lean().exec();
+    }
+
+    // Pasar mensaje al siguiente canal (reinicia los intentos y se envía de inmediato)
+    async switchChannel(id, channel, channelResults) {
+        return this.update(id, {
+            status: 'pending',
+            channel,
+            channelResults,
+            attempts: 0,
+            scheduledAt: new Date(),
+            lockedAt: null
+        });
+    }
+
+    // Devolver mensaje a la cola para reintentarlo más tarde
+    async scheduleRetry(id, attempts, scheduledAt, error) {
+        return this.update(id, { status: 'pending', attempts, scheduledAt, lastError: error, lockedAt: null });
+    }
+
+    // Pasar mensaje a dead-letter tras agotar sus reintentos
+    async moveToDeadLetter(message, attempts, error, status = null) {
+        const id = message.id || message._id.toString();
+        const deadLetter = {
+            key: message.key,
+            alertId: message.alertId,
+            userId: message.userId,
+            plan: message.plan,
+            channel: message.channel,
+            messageType: message.messageType,
+            payload: message.payload,
+            channelResults: message.channelResults,
+            attempts,
+            lastError: error,
+            status,
+            failedAt: new Date(),
+            createdAt: message.createdAt
+        };
+
+        if (this.useLocalDb) {
+            deadLetter.id = new mongoose.Types.ObjectId().toString();
+            localDb.insert('deadLetters', deadLetter);
+            localDb.saveCollection('deadLetters');
+        } else {
+            await DeadLetter.create(deadLetter);
+        }
+
+        return this.update(id, { status: 'dead', attempts, lastError: error });
+    }
+
+    // Actualizar campos de un mensaje
+    async update(id, changes) {
+        const update = { ...changes, updatedAt: new Date() };
+
+        if (this.useLocalDb) {
+            const message = localDb.findOne('outboundMessages', { id });
+            if (!message) return null;
+
+            Object.assign(message, update);
+            localDb.saveCollection('outboundMessages');
+            return message;
+        }
+
+        return OutboundMessage.findByIdAndUpdate(id, { $set: update }, { new: true }).lean().exec();
+    }
+
+    // Liberar mensajes que quedaron en envío (caída del proceso a mitad de envío)
+    async releaseStale(before) {
+        if (this.useLocalDb) {
+            const stale = localDb.find('outboundMessages', { status: 'processing' })
+                .filter(message => !message.lockedAt || new Date(message.lockedAt) < before);
+
+            stale.forEach(message => Object.assign(message, { status: 'pending', lockedAt: null }));
+            if (stale.length > 0) localDb.saveCollection('outboundMessages');
+            return stale.length;
+        }
+
+        const result = await OutboundMessage.updateMany(
+            { status: 'processing', lockedAt: { $lt: before } },
+            { $set: { status: 'pending', lockedAt: null, updatedAt: new Date() } }
+        ).exec();
+
+        return result.modifiedCount;
+    }
+
+    // Contar mensajes por estado
+    async getStatusCounts() {
+        const counts = { pending: 0, processing: 0, sent: 0, skipped: 0, dead: 0 };
+
+        if (this.useLocalDb) {
+            for (const message of localDb.find('outboundMessages', {})) {
+                counts[message.status] = (counts[message.status] || 0) + 1;
+            }
+            return counts;
+        }
+
+        const results = await OutboundMessage.aggregate([
+            { $group: { _id: '$status', count: { $sum: 1 } } }
+        ]).exec();
+
+        results.forEach(result => { counts[result._id] = result.count; });
+        return counts;
+    }
+
+    // Obtener últimos mensajes en dead-letter
+    async getDeadLetters(limit = 50) {
+        if (this.useLocalDb) {
+            return localDb.find('deadLetters', {})
+                .sort((a, b) => new Date(b.failedAt) - new Date(a.failedAt))
+                .slice(0, limit);
+        }
+
+        return DeadLetter.find({})
+            .sort({ failedAt: -1 })
+            .limit(limit)
+            .lean()
+            .exec();
+    }
+}
+
+module.exports = new OutboundMessageRepository();
@@ -0,0 +1,139 @@
+/**
+ * Repositorio para operaciones con usuarios
+ * Abstrae las operaciones de base de datos
+ */
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const mongoClient = require('../mongo-client');
+const localDb = require('../local-db');
+const logger = require('../../utils/logger');
+
+class UserRepository {
+    constructor() {
+        this.useLocalDb = false;
+    }
+
+    // Inicializar repo
+    async initialize() {
+        try {
+            await mongoClient.connect();
+            this.useLocalDb = !mongoClient.isConnected;
+        } catch (error) {
+            logger.error('Fallback a base de datos local para usuarios');
+            this.useLocalDb = true;
+        }
+    }
+
+    // Obtener usuario por ID
+    async getUserById(id) {
+        if (this.useLocalDb) {
+            return localDb.findOne('users', { id });
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(id)) return null;
+        return User.findById(id).exec();
+    }
+
+    // Obtener usuario por teléfono (E.164)
+    async getUserByPhone(phone) {
+        if (this.useLocalDb) {
+            return localDb.findOne('users', { phone });
+        }
+
+        return User.findOne({ phone }).exec();
+    }
+
+    // Obtener usuario por un campo de su cuenta de Telegram (chatId o linkCode)
+    async getUserByTelegram(field, value) {
+        if (this.useLocalDb) {
+            return localDb.find('users', {})
+                .find(user => user.telegram?.[field] === value) || null;
+        }
+
+        return User.findOne({ [`telegram.${field}`]: value }).exec();
+    }
+
+    // Obtener usuario por el hash de su token de API
+    async getUserByApiTokenHash(tokenHash) {
+        if (this.useLocalDb) {
+            return localDb.find('users', {})
+                .find(user => user.api?.tokenHash === tokenHash) || null;
+        }
+
+        return User.findOne({ 'api.tokenHash': tokenHash }).exec();
+    }
+
+    // Obtener usuarios que cumplan un filtro simple (igualdad de campos)
+    async getUsers(filter = {}) {
+        if (this.useLocalDb) {
+            return localDb.find('users', filter);
+        }
+
+        return User.find(filter).exec();
+    }
+
+    // Obtener usuarios cuya suscripción esté en alguno de los estados dados
+    async getUsersBySubscriptionStatus(statuses) {
+        if (this.useLocalDb) {
+            return localDb.find('users', {})
+                .filter(user => statuses.includes(user.subscription?.status));
+        }
+
+        return User.find({ 'subscription.status': { $in: statuses } }).exec();
+    }
+
+    // Crear usuario
+    async createUser(userData) {
+        const now = new Date();
+
+        if (this.useLocalDb) {
+            const user = {
+                id: new mongoose.Types.ObjectId().toString(),
+                ...userData,
+                createdAt: now,
+                updatedAt: now
+            };
+            localDb.insert('users', user);
+            localDb.saveCollection('users');
+            return user;
+        }
+
+        return new User(userData).save();
+    }
+
+    // Actualizar campos de un usuario
+    async updateUser(id, changes) {
+        const update = { ...changes, updatedAt: new Date() };
+
+        if (this.useLocalDb) {
+            const user = localDb.findOne('users', { id });
+            if (!user) return null;
+
+            Object.assign(user, update);
+            localDb.saveCollection('users');
+            return user;
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(id)) return null;
+        return User.findByIdAndUpdate(
+            id,
+            { $set: update },
+            { new: true, runValidators: true }
+        ).exec();
+    }
+
+    // Eliminar usuario
+    async deleteUser(id) {
+        if (this.useLocalDb) {
+            const removed = localDb.remove('users', { id });
+            localDb.saveCollection('users');
+            return removed > 0;
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(id)) return false;
+        const result = await User.deleteOne({ _id: id }).exec();
+        return result.deletedCount > 0;
+    }
+}
+
+module.exports = new UserRepository();
@@ -0,0 +1,54 @@
+/**
+ * Esquema Mongoose para el cupo diario de alertas de cada usuario
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const AlertQuotaSchema = new Schema({
+    userId: {
+        type: String,
+        required: true
+    },
+    date: {
+        type: String, // YYYY-MM-DD en la zona horaria del usuario
+        required: true
+    },
+    plan: {
+        type: String,
+        enum: ['free', 'insider', 'estratega']
+    },
+    sent: {
+        type: Number,
+        default: 0
+    },
+    suppressed: {
+        type: Number,
+        default: 0
+    },
+    // Alertas con la pre-alerta enviada y la principal pendiente: ocupan cupo
+    reservations: {
+        type: [String],
+        default: []
+    },
+    // Alertas retenidas por superar el cupo, para el resumen diario
+    digest: [{
+        alertId: String,
+        matchId: String,
+        market: String,
+        suppressedAt: Date
+    }],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Un documento por usuario y día
+AlertQuotaSchema.index({ userId: 1, date: 1 }, { unique: true });
+AlertQuotaSchema.index({ date: 1 });
+
+module.exports = AlertQuotaSchema;
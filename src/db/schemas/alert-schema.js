@@ -13,7 +13,21 @@ const AlertSchema = new Schema({
     market: {
         type: String,
         required: true,
-        enum: ['nextGoal', 'over05', 'over15', 'over25', 'btts', 'cornerNext10Min']
+        enum: [
+            'nextGoal', 'over05', 'over15', 'over25', 'btts', 'cornerNext10Min',
+            'under25', 'under35',
+            'homeWin', 'draw', 'awayWin', 'homeOrDraw', 'drawOrAway', 'homeOrAway',
+            'firstHalfOver05', 'firstHalfHome', 'firstHalfDraw', 'firstHalfAway'
+        ]
+    },
+    plan: {
+        type: String,
+        enum: ['free', 'insider', 'estratega']
+    },
+    league: {
+        id: Number,
+        name: String,
+        country: String
     },
     teams: {
         home: {
@@ -33,10 +47,26 @@ const AlertSchema = new Schema({
         home: Number,
         away: Number
     },
+    // Lado favorecido en mercados a tres vías (nextGoal, cornerNext10Min)
+    side: {
+        type: String,
+        enum: ['home', 'away']
+    },
+    // Expulsiones ya ocurridas al detectar la alerta (claves de evento)
+    redCards: {
+        type: [String],
+        default: undefined
+    },
     prediction: {
         probability: Number,
+        rawProbability: Number,
         confidence: Number,
-        expectedValue: Number
+        expectedValue: Number,
+        outcomes: {
+            home: Number,
+            away: Number,
+            none: Number
+        }
     },
     odds: {
         value: Number,
@@ -45,15 +75,92 @@ const AlertSchema = new Schema({
             value: Number
         }]
     },
+    oddsHistory: [{
+        value: Number,
+        timestamp: Date,
+        // Estado del partido al capturar (para descartar cuotas posteriores a la liquidación)
+        score: {
+            home: Number,
+            away: Number
+        },
+        minute: Number,
+        extra: Number
+    }],
+    clv: {
+        openingOdds: Number,
+        closingOdds: Number,
+        closedAt: Date,
+        value: Number
+    },
     context: [String],
     outcome: {
         type: String,
-        enum: ['pending', 'success', 'fail'],
+        enum: ['pending', 'success', 'fail', 'void'],
         default: 'pending'
     },
+    // Anulación antes del envío (la premisa dejó de cumplirse)
+    cancellation: {
+        reason: String,
+        detail: String,
+        cancelledAt: Date
+    },
+    settlement: {
+        settledAt: Date,
+        evidence: {
+            type: { type: String },
+            detail: String,
+            minute: Number,
+            extra: Number,
+            team: {
+                id: Number,
+                name: String
+            },
+            player: {
+                id: Number,
+                name: String
+            }
+        },
+        score: {
+            home: Number,
+            away: Number
+        }
+    },
     sentTo: [{
         userId: String,
         plan: String,
+        messageId: String,
+        timestamp: Date,
+        // Estado de entrega informado por el canal
+        status: {
+            type: String,
+            enum: ['sent', 'delivered', 'read', 'failed'],
+            default: 'sent'
+        },
+        deliveredAt: Date,
+        readAt: Date,
+        failedAt: Date,
+        error: {
+            code: Number,
+            title: String
+        },
+        // Canal por el que se entregó y resultado de cada canal intentado
+        channel: String,
+        channelResults: [{
+            channel: String,
+            status: {
+                type: String,
+                enum: ['sent', 'failed', 'skipped']
+            },
+            reason: String,
+            error: String,
+            messageId: String,
+            attempts: Number,
+            at: Date
+        }]
+    }],
+    followUps: [{
+        outcome: String,
+        recipients: Number,
         timestamp: Date
     }],
     createdAt: {
@@ -70,6 +177,8 @@ const AlertSchema = new Schema({
 AlertSchema.index({ matchId: 1, market: 1 });
 AlertSchema.index({ createdAt: 1 });
 AlertSchema.index({ outcome: 1 });
+AlertSchema.index({ outcome: 1, createdAt: 1 });
 AlertSchema.index({ 'sentTo.userId': 1 });
+AlertSchema.index({ 'sentTo.messageId': 1 });
 
 module.exports = AlertSchema;
\ No newline at end of file
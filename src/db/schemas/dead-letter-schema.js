@@ -0,0 +1,35 @@
+/**
+ * Esquema Mongoose para los mensajes que agotaron sus reintentos
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const DeadLetterSchema = new Schema({
+    key: {
+        type: String,
+        required: true
+    },
+    alertId: String,
+    userId: String,
+    plan: String,
+    channel: String,
+    messageType: String,
+    payload: Schema.Types.Mixed,
+    channelResults: Schema.Types.Mixed, // Resultado de cada canal intentado
+    attempts: Number,
+    lastError: String,
+    status: Number, // Código HTTP del último fallo
+    failedAt: {
+        type: Date,
+        default: Date.now
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+DeadLetterSchema.index({ failedAt: -1 });
+DeadLetterSchema.index({ key: 1 });
+
+module.exports = DeadLetterSchema;
@@ -0,0 +1,39 @@
+/**
+ * Esquema Mongoose para la serie temporal de cuotas
+ * Una captura por partido, mercado, resultado y casa de apuestas
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const OddsSnapshotSchema = new Schema({
+    matchId: {
+        type: String,
+        required: true
+    },
+    market: {
+        type: String,
+        required: true
+    },
+    // Resultado en mercados a tres vías (home, away, none)
+    side: {
+        type: String,
+        default: null
+    },
+    bookmaker: {
+        type: String,
+        required: true
+    },
+    value: {
+        type: Number,
+        required: true
+    },
+    timestamp: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+OddsSnapshotSchema.index({ matchId: 1, timestamp: 1 });
+OddsSnapshotSchema.index({ timestamp: 1 });
+
+module.exports = OddsSnapshotSchema;
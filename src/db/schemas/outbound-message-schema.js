@@ -0,0 +1,78 @@
+/**
+ * Esquema Mongoose para los mensajes de la cola de salida
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const OutboundMessageSchema = new Schema({
+    // Clave de idempotencia: alertId:userId:messageType (evita envíos dobles)
+    key: {
+        type: String,
+        required: true
+    },
+    alertId: String,
+    userId: {
+        type: String,
+        required: true
+    },
+    plan: {
+        type: String,
+        enum: ['free', 'insider', 'estratega']
+    },
+    // Canal actual y canales por orden de preferencia (se pasa al siguiente si falla)
+    // Sin canal si el usuario no tenía ninguno disponible (se descarta con no_channel)
+    channel: {
+        type: String,
+        default: null
+    },
+    channels: [String],
+    channelResults: [{
+        channel: String,
+        status: String,
+        reason: String,
+        error: String,
+        messageId: String,
+        attempts: Number,
+        at: Date
+    }],
+    messageType: {
+        type: String,
+        enum: ['preAlert', 'mainAlert', 'followUp', 'digest', 'steamAlert'],
+        required: true
+    },
+    // Texto y opciones del envío (replyTo, datos para plantillas...)
+    payload: {
+        type: Schema.Types.Mixed,
+        default: {}
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'processing', 'sent', 'skipped', 'dead'],
+        default: 'pending'
+    },
+    scheduledAt: {
+        type: Date,
+        default: Date.now
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lockedAt: Date,
+    sentAt: Date,
+    messageId: String,
+    lastError: String,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+OutboundMessageSchema.index({ key: 1 }, { unique: true });
+OutboundMessageSchema.index({ status: 1, scheduledAt: 1 });
+
+module.exports = OutboundMessageSchema;
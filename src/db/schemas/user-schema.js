@@ -0,0 +1,161 @@
+/**
+ * Esquema Mongoose para usuarios
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const UserSchema = new Schema({
+    name: {
+        type: String,
+        trim: true
+    },
+    phone: {
+        type: String,
+        required: true,
+        unique: true,
+        match: /^\+[1-9]\d{7,14}$/ // Formato E.164
+    },
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true
+    },
+    plan: {
+        type: String,
+        enum: ['free', 'insider', 'estratega'],
+        default: 'free'
+    },
+    status: {
+        type: String,
+        enum: ['active', 'paused', 'blocked'],
+        default: 'active'
+    },
+    // Límite diario de alertas propio (sustituye al del plan)
+    dailyAlertLimit: {
+        type: Number,
+        min: 0
+    },
+    subscription: {
+        plan: {
+            type: String,
+            enum: ['free', 'insider', 'estratega']
+        },
+        status: {
+            type: String,
+            enum: ['none', 'trial', 'active', 'grace', 'expired'],
+            default: 'none'
+        },
+        startedAt: Date,
+        endsAt: Date,
+        graceEndsAt: Date,
+        trialUsed: {
+            type: Boolean,
+            default: false
+        }
+    },
+    preferences: {
+        teams: [{
+            id: Number,
+            name: String
+        }],
+        leagues: [{
+            id: Number,
+            name: String
+        }],
+        markets: [String],
+        minOdds: Number,
+        minConfidence: Number,
+        quietHours: {
+            start: String, // HH:mm en la zona horaria del usuario
+            end: String
+        },
+        timezone: String,
+        mutedMatches: [{
+            matchId: String,
+            mutedAt: Date
+        }],
+        // Canales por los que recibir el resumen diario (vacío = sin resumen)
+        digest: {
+            channels: [{
+                type: String,
+                enum: ['telegram', 'email', 'webhook']
+            }]
+        }
+    },
+    // Canal preferido para recibir alertas y canales alternativos si falla
+    channels: {
+        preferred: {
+            type: String,
+            enum: ['whatsapp', 'telegram', 'email', 'webhook']
+        },
+        fallbacks: [{
+            type: String,
+            enum: ['whatsapp', 'telegram', 'email', 'webhook']
+        }]
+    },
+    // Webhook propio del usuario (recibe las alertas como JSON firmado)
+    webhook: {
+        url: String,
+        secret: String
+    },
+    // Ventana de conversación de WhatsApp (último mensaje recibido del usuario)
+    whatsapp: {
+        lastInboundAt: Date
+    },
+    // Cuenta de Telegram vinculada (el usuario abre el enlace con linkCode en el bot)
+    telegram: {
+        chatId: String,
+        username: String,
+        linkCode: String,
+        linkCodeExpiresAt: Date,
+        linkedAt: Date
+    },
+    // Token de API para el stream de alertas (solo se guarda su hash)
+    api: {
+        tokenHash: String,
+        createdAt: Date
+    },
+    // Salud de entrega de mensajes (fallos consecutivos)
+    delivery: {
+        consecutiveFailures: {
+            type: Number,
+            default: 0
+        },
+        lastFailureAt: Date,
+        lastError: String,
+        flagged: {
+            type: Boolean,
+            default: false
+        },
+        flaggedAt: Date
+    },
+    planHistory: [{
+        from: String,
+        to: String,
+        reason: String,
+        changedAt: Date
+    }],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Índices para consultas eficientes
+UserSchema.index({ plan: 1, status: 1 });
+UserSchema.index({ 'subscription.status': 1, 'subscription.endsAt': 1 });
+UserSchema.index({ 'telegram.chatId': 1 }, { sparse: true });
+UserSchema.index({ 'telegram.linkCode': 1 }, { sparse: true });
+UserSchema.index({ 'api.tokenHash': 1 }, { sparse: true });
+
+// Middleware pre-save
+UserSchema.pre('save', function (next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+module.exports = UserSchema;
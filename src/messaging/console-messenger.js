@@ -1,11 +1,18 @@
 /**
  * Simula envío de mensajes por consola
  */
+const messengerRegistry = require('./messenger-registry');
+
 class ConsoleMessenger {
     constructor() {
         this.colors = require('colors/safe');
     }
 
+    // La consola siempre puede "entregar" (desarrollo)
+    isAvailableFor(user) {
+        return true;
+    }
+
     // Simular envío de mensajes con formato
     sendPreAlert(userId, message) {
         console.log(this.colors.yellow('\n====== PRE-ALERTA ======'));
@@ -25,9 +32,29 @@ class ConsoleMessenger {
         console.log(this.colors.blue('==============================\n'));
     }
 
-    sendFollowUp(userId, message) {
+    sendFollowUp(userId, message, options = {}) {
         console.log(this.colors.magenta('\n====== SEGUIMIENTO ======'));
+        if (options.replyTo) {
+            console.log(this.colors.gray(`(respuesta a ${options.replyTo})`));
+        }
         console.log(message);
         console.log(this.colors.magenta('======================\n'));
     }
-}
\ No newline at end of file
+
+    sendSteamAlert(userId, message) {
+        console.log(this.colors.red('\n====== ALERTA STEAM ======'));
+        console.log(message);
+        console.log(this.colors.red('==========================\n'));
+    }
+
+    sendDigest(userId, message) {
+        console.log(this.colors.cyan('\n====== RESUMEN DIARIO ======'));
+        console.log(message);
+        console.log(this.colors.cyan('============================\n'));
+    }
+}
+
+const consoleMessenger = new ConsoleMessenger();
+messengerRegistry.register('console', consoleMessenger);
+
+module.exports = consoleMessenger;
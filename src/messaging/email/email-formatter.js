@@ -0,0 +1,165 @@
+/**
+ * Formateador de correos
+ * Construye el asunto y las versiones HTML y texto de las alertas y del
+ * resumen diario a partir de los mensajes del MessageGenerator
+ */
+const messageGenerator = require('../../core/message-generator');
+const whatsappFormatter = require('../whatsapp/whatsapp-formatter');
+const telegramFormatter = require('../telegram/telegram-formatter');
+
+class EmailFormatter {
+    constructor() {
+        // Colores por resultado en el HTML del resumen
+        this.outcomeStyles = {
+            success: { label: 'Acierto', color: '#1e8e3e' },
+            fail: { label: 'Fallo', color: '#d93025' },
+            pending: { label: 'En curso', color: '#80868b' },
+            void: { label: 'Anulada', color: '#80868b' }
+        };
+
+        this.styles = {
+            body: 'font-family:Arial,Helvetica,sans-serif;color:#202124;max-width:640px;margin:0 auto;',
+            table: 'width:100%;border-collapse:collapse;font-size:14px;',
+            cell: 'padding:6px 8px;border-bottom:1px solid #e0e0e0;text-align:left;',
+            heading: 'font-size:16px;margin:24px 0 8px;'
+        };
+    }
+
+    /**
+     * Formatear un mensaje del bot (alerta, seguimiento) como correo
+     * @param {string} message - Mensaje con formato WhatsApp
+     * @param {string} subject - Asunto
+     * @returns {Object} - {subject, text, html}
+     */
+    formatMessage(message, subject) {
+        const markup = whatsappFormatter.toMarkup(message);
+
+        return {
+            subject,
+            text: this.toPlainText(markup),
+            html: this.wrap(`<p>${telegramFormatter.toHtml(markup).replace(/\n/g, '<br>\n')}</p>`)
+        };
+    }
+
+    /**
+     * Formatear resumen diario
+     * @param {Object} digest - Resumen del DigestService
+     * @param {string} text - Versión de texto ya generada (opcional)
+     * @returns {Object} - {subject, text, html}
+     */
+    formatDigest(digest, text = null) {
+        const { summary } = digest;
+        const sections = [`<h1 style="font-size:20px;">📊 Resumen diario · ${this.escape(digest.date)}</h1>`];
+
+        if (digest.name) {
+            sections.push(`<p>Hola ${this.escape(digest.name)}, este es tu resumen de las últimas 24 horas.</p>`);
+        }
+
+        if (digest.alerts.length === 0) {
+            sections.push('<p>No recibiste alertas en las últimas 24 horas.</p>');
+        } else {
+            sections.push(`<h2 style="${this.styles.heading}">Alertas del último día (${digest.alerts.length})</h2>`);
+            sections.push(this.buildAlertTable(digest.alerts));
+
+            const stats = [
+                ['Aciertos', summary.wins],
+                ['Fallos', summary.losses],
+                ['En curso', summary.pending]
+            ];
+            if (summary.bets > 0) {
+                stats.push(['Beneficio', `${this.formatSigned(summary.profit)} u`]);
+                stats.push(['ROI', `${this.formatSigned(Math.round(summary.roi * 1000) / 10, 1)}%`]);
+            }
+
+            sections.push(`<p>${stats.map(([label, value]) => `<strong>${label}:</strong> ${value}`).join(' &nbsp;|&nbsp; ')}</p>`);
+        }
+
+        if (digest.suppressed.length > 0) {
+            sections.push(`<h2 style="${this.styles.heading}">Retenidas por tu límite diario (${digest.suppressed.length})</h2>`);
+            sections.push(this.buildAlertTable(digest.suppressed));
+        }
+
+        if (digest.upcoming.length > 0) {
+            const rows = digest.upcoming.map(match => this.buildRow([
+                match.time,
+                match.match,
+                match.league || ''
+            ]));
+            sections.push(`<h2 style="${this.styles.heading}">Próximos partidos seleccionados</h2>`);
+            sections.push(`<table style="${this.styles.table}">${rows.join('')}</table>`);
+        }
+
+        return {
+            subject: `Tu resumen diario de GolazoAlerts · ${digest.date}`,
+            text: this.toPlainText(text || messageGenerator.formatDigest(digest)),
+            html: this.wrap(sections.join('\n'))
+        };
+    }
+
+    /**
+     * Tabla de alertas con partido, mercado, cuota y resultado
+     * @param {Array} alerts - Alertas del resumen
+     * @returns {string} - HTML
+     */
+    buildAlertTable(alerts) {
+        const header = this.buildRow(['Partido', 'Mercado', 'Cuota', 'Minuto', 'Resultado'], 'th');
+        const rows = alerts.map(alert => {
+            const outcome = this.outcomeStyles[alert.outcome] || this.outcomeStyles.pending;
+            return this.buildRow([
+                alert.match,
+                messageGenerator.getMarketName(alert.market),
+                alert.odds ? alert.odds.toFixed(2) : '-',
+                alert.minute ?? '-',
+                { html: `<span style="color:${outcome.color};font-weight:bold;">${outcome.label}</span>` }
+            ]);
+        });
+
+        return `<table style="${this.styles.table}">${header}${rows.join('')}</table>`;
+    }
+
+    /**
+     * Fila de tabla (las celdas {html} no se escapan)
+     * @param {Array} cells - Contenido de las celdas
+     * @param {string} tag - td o th
+     * @returns {string} - HTML
+     */
+    buildRow(cells, tag = 'td') {
+        const content = cells.map(cell => {
+            const value = cell && cell.html !== undefined ? cell.html : this.escape(String(cell));
+            return `<${tag} style="${this.styles.cell}">${value}</${tag}>`;
+        });
+
+        return `<tr>${content.join('')}</tr>`;
+    }
+
+    // Envolver el contenido en un documento HTML completo
+    wrap(content) {
+        return '<!DOCTYPE html>\n<html><head><meta charset="utf-8"></head>' +
+            `<body style="${this.styles.body}">\n${content}\n` +
+            '<p style="color:#80868b;font-size:12px;margin-top:32px;">GolazoAlerts · Podés cambiar los canales del resumen en tus preferencias.</p>' +
+            '</body></html>';
+    }
+
+    // Quitar el formato WhatsApp (*negrita*, _cursiva_) para la versión de texto
+    toPlainText(text) {
+        return text
+            .replace(/\*([^*\n]+)\*/g, '$1')
+            .replace(/(^|[\s(])_([^_\n]+)_(?=$|[\s).,!?])/gm, '$1$2');
+    }
+
+    // Número con signo
+    formatSigned(value, decimals = 2) {
+        return `${value > 0 ? '+' : ''}${value.toFixed(decimals)}`;
+    }
+
+    // Escapar caracteres especiales de HTML
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+module.exports = new EmailFormatter();
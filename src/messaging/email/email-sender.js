@@ -0,0 +1,99 @@
+/**
+ * Servicio de envío de mensajes por email
+ * Misma interfaz que los demás mensajeros, más el resumen diario en HTML
+ * y texto. Los correos salen por SMTP (en pruebas, al sink local)
+ */
+const smtpClient = require('./smtp-client');
+const emailFormatter = require('./email-formatter');
+const config = require('../../config/app-config').email;
+const logger = require('../../utils/logger');
+const userService = require('../../services/user-service');
+const entitlementService = require('../../services/entitlement-service');
+const messengerRegistry = require('../messenger-registry');
+
+class EmailSender {
+    constructor() {
+        this.isEnabled = config.enabled;
+        this.from = config.from;
+    }
+
+    // Comprobar si el usuario tiene un email registrado
+    isAvailableFor(user) {
+        return this.isEnabled && !!user?.email;
+    }
+
+    // Enviar pre-alerta
+    async sendPreAlert(userId, message, options = {}) {
+        return this.deliver(userId, 'pre-alerta', () =>
+            emailFormatter.formatMessage(message, '👀 Oportunidad detectada'));
+    }
+
+    // Enviar alerta principal
+    async sendMainAlert(userId, message, options = {}) {
+        return this.deliver(userId, 'alerta principal', () =>
+            emailFormatter.formatMessage(message, '🚨 Nueva alerta de GolazoAlerts'));
+    }
+
+    // Enviar análisis detallado
+    async sendDetailedAnalysis(userId, message, options = {}) {
+        const entitlements = await entitlementService.getEntitlementsForUser(userId);
+        if (!entitlements || !entitlements.detailedAnalysis) {
+            return { success: false, reason: 'plan_restriction' };
+        }
+
+        return this.deliver(userId, 'análisis detallado', () =>
+            emailFormatter.formatMessage(message, '📊 Análisis detallado'));
+    }
+
+    // Enviar seguimiento de alerta
+    async sendFollowUp(userId, message, options = {}) {
+        return this.deliver(userId, 'seguimiento', () =>
+            emailFormatter.formatMessage(message, '📋 Resultado de tu alerta'));
+    }
+
+    // Enviar alerta de movimiento brusco de cuota (steam)
+    async sendSteamAlert(userId, message, options = {}) {
+        return this.deliver(userId, 'alerta steam', () =>
+            emailFormatter.formatMessage(message, '📉 Movimiento brusco de cuota'));
+    }
+
+    // Enviar resumen diario (options.digest con los datos para el HTML)
+    async sendDigest(userId, message, options = {}) {
+        return this.deliver(userId, 'resumen diario', () => options.digest
+            ? emailFormatter.formatDigest(options.digest, message)
+            : emailFormatter.formatMessage(message, 'Tu resumen diario de GolazoAlerts'));
+    }
+
+    // Construir y enviar un correo al email del usuario
+    async deliver(userId, label, buildMail) {
+        if (!this.isEnabled) {
+            logger.info(`Email desactivado. No se envió ${label}.`);
+            return { success: false, reason: 'email_disabled' };
+        }
+
+        try {
+            const user = await userService.getUserById(userId);
+            if (!user?.email) return { success: false, reason: 'no_email' };
+
+            const { subject, text, html } = buildMail();
+            const result = await smtpClient.sendMail({ from: this.from, to: user.email, subject, text, html });
+
+            return { success: true, messageId: result.messageId };
+        } catch (error) {
+            logger.error(`Error enviando ${label} por email: ${error.message}`);
+            return { success: false, reason: 'send_error', error: error.message, status: this.getStatus(error) };
+        }
+    }
+
+    // Los códigos SMTP 4xx son transitorios y los 5xx definitivos: se traducen
+    // a códigos HTTP para la política de reintentos de la cola
+    getStatus(error) {
+        if (!error.responseCode) return undefined;
+        return error.responseCode >= 500 ? 400 : 503;
+    }
+}
+
+const emailSender = new EmailSender();
+messengerRegistry.register('email', emailSender);
+
+module.exports = emailSender;
@@ -0,0 +1,246 @@
+/**
+ * Cliente SMTP
+ * Implementa el diálogo SMTP mínimo para enviar correos (EHLO, STARTTLS,
+ * AUTH PLAIN, MAIL FROM, RCPT TO, DATA) con TLS implícito o STARTTLS si el
+ * servidor lo ofrece. Las credenciales solo se envían por conexión cifrada.
+ * En pruebas se apunta al sink local (scripts/smtp-sink-server.js), sin
+ * credenciales
+ */
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+const config = require('../../config/app-config').email;
+const logger = require('../../utils/logger');
+
+class SmtpClient {
+    constructor() {
+        this.host = config.smtp.host;
+        this.port = config.smtp.port;
+        this.secure = config.smtp.secure;
+        this.user = config.smtp.user;
+        this.pass = config.smtp.pass;
+        this.timeout = config.smtp.timeout;
+    }
+
+    /**
+     * Enviar un correo con versión HTML y texto
+     * @param {Object} mail - {from, to, subject, text, html}
+     * @returns {Promise<Object>} - {messageId, response}
+     */
+    async sendMail(mail) {
+        const messageId = `<${crypto.randomUUID()}@${this.getDomain(mail.from)}>`;
+        const connection = await this.connect();
+
+        try {
+            await connection.expect(220);
+            const capabilities = await connection.command(`EHLO ${os.hostname()}`, 250);
+
+            // Pasar a TLS si el servidor lo ofrece (tras STARTTLS se repite EHLO)
+            if (!connection.isEncrypted() && /^250[ -]STARTTLS\b/im.test(capabilities)) {
+                await connection.command('STARTTLS', 220);
+                await connection.startTls();
+                await connection.command(`EHLO ${os.hostname()}`, 250);
+            }
+
+            if (this.user) {
+                if (!connection.isEncrypted()) {
+                    const error = new Error('El servidor SMTP no ofrece TLS: no se envían credenciales sin cifrar');
+                    error.responseCode = 530;
+                    throw error;
+                }
+
+                const credentials = Buffer.from(`\0${this.user}\0${this.pass || ''}`).toString('base64');
+                await connection.command(`AUTH PLAIN ${credentials}`, 235);
+            }
+
+            await connection.command(`MAIL FROM:<${this.getAddress(mail.from)}>`, 250);
+            await connection.command(`RCPT TO:<${this.getAddress(mail.to)}>`, [250, 251]);
+            await connection.command('DATA', 354);
+
+            const response = await connection.command(`${this.buildMessage(mail, messageId)}\r\n.`, 250);
+            await connection.command('QUIT', 221).catch(() => {});
+
+            logger.info(`Correo enviado a ${mail.to}`);
+            return { messageId, response };
+        } catch (error) {
+            logger.error(`Error enviando correo a ${mail.to}: ${error.message}`);
+            throw error;
+        } finally {
+            connection.close();
+        }
+    }
+
+    /**
+     * Abrir conexión con el servidor SMTP
+     * @returns {Promise<Object>} - {expect, command, startTls, isEncrypted, close}
+     */
+    connect() {
+        return new Promise((resolve, reject) => {
+            const options = { host: this.host, port: this.port };
+            let socket = this.secure
+                ? tls.connect({ ...options, servername: this.host })
+                : net.connect(options);
+            let encrypted = this.secure;
+
+            let buffer = '';
+            let pending = null;
+            let failure = null;
+
+            // Las respuestas multilínea terminan en la línea "NNN texto" (sin guion)
+            const flush = () => {
+                if (!pending) return;
+
+                const lines = buffer.split('\r\n');
+                const end = lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+                if (end === -1) return;
+
+                const reply = lines.slice(0, end + 1).join('\n');
+                buffer = lines.slice(end + 1).join('\r\n');
+
+                const { resolve: done } = pending;
+                pending = null;
+                done({ code: parseInt(reply.slice(0, 3)), text: reply });
+            };
+
+            const fail = error => {
+                failure = failure || error;
+                if (pending) {
+                    const { reject: done } = pending;
+                    pending = null;
+                    done(failure);
+                }
+            };
+
+            const read = () => new Promise((done, error) => {
+                if (failure) return error(failure);
+                pending = { resolve: done, reject: error };
+                flush();
+            });
+
+            const expect = async (codes) => {
+                const reply = await read();
+                const expected = Array.isArray(codes) ? codes : [codes];
+
+                if (!expected.includes(reply.code)) {
+                    const error = new Error(`Respuesta SMTP inesperada: ${reply.text}`);
+                    error.responseCode = reply.code;
+                    throw error;
+                }
+                return reply.text;
+            };
+
+            const listen = target => {
+                target.setEncoding('utf8');
+                target.setTimeout(this.timeout, () => fail(new Error('Tiempo de espera SMTP agotado')));
+                target.on('data', chunk => {
+                    buffer += chunk;
+                    flush();
+                });
+                target.on('error', error => {
+                    fail(error);
+                    reject(error);
+                });
+                target.on('close', () => fail(new Error('Conexión SMTP cerrada')));
+            };
+
+            // Cifrar la conexión abierta tras la respuesta 220 a STARTTLS
+            const startTls = () => new Promise((done, error) => {
+                socket.removeAllListeners('data');
+                socket.removeAllListeners('close');
+                socket.setTimeout(0);
+
+                const secureSocket = tls.connect({ socket, servername: this.host });
+                listen(secureSocket);
+                secureSocket.once('error', error);
+                secureSocket.once('secureConnect', () => {
+                    socket = secureSocket;
+                    encrypted = true;
+                    done();
+                });
+            });
+
+            const connection = {
+                expect,
+                command: (line, codes) => {
+                    socket.write(`${line}\r\n`);
+                    return expect(codes);
+                },
+                startTls,
+                isEncrypted: () => encrypted,
+                close: () => socket.destroy()
+            };
+
+            listen(socket);
+            socket.once(this.secure ? 'secureConnect' : 'connect', () => resolve(connection));
+        });
+    }
+
+    /**
+     * Construir mensaje MIME multipart/alternative (texto y HTML)
+     * @param {Object} mail - {from, to, subject, text, html}
+     * @param {string} messageId - Message-ID del correo
+     * @returns {string} - Mensaje listo para DATA (con dot-stuffing)
+     */
+    buildMessage(mail, messageId) {
+        const boundary = `golazo-${crypto.randomBytes(8).toString('hex')}`;
+        const headers = [
+            `From: ${mail.from}`,
+            `To: ${mail.to}`,
+            `Subject: ${this.encodeHeader(mail.subject)}`,
+            `Message-ID: ${messageId}`,
+            `Date: ${new Date().toUTCString()}`,
+            'MIME-Version: 1.0'
+        ];
+
+        const parts = [];
+        if (mail.text) parts.push(this.buildPart('text/plain', mail.text));
+        if (mail.html) parts.push(this.buildPart('text/html', mail.html));
+
+        const body = [
+            `Content-Type: multipart/alternative; boundary="${boundary}"`,
+            '',
+            ...parts.map(part => `--${boundary}\r\n${part}`),
+            `--${boundary}--`
+        ].join('\r\n');
+
+        // Las líneas que empiezan por punto se duplican para no cerrar DATA
+        return `${headers.join('\r\n')}\r\n${body}`.replace(/^\./gm, '..');
+    }
+
+    /**
+     * Construir una parte del mensaje en base64
+     * @param {string} type - Tipo MIME
+     * @param {string} content - Contenido
+     * @returns {string} - Parte MIME
+     */
+    buildPart(type, content) {
+        const encoded = Buffer.from(content, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+        return [
+            `Content-Type: ${type}; charset=utf-8`,
+            'Content-Transfer-Encoding: base64',
+            '',
+            encoded
+        ].join('\r\n');
+    }
+
+    // Codificar cabecera con caracteres no ASCII (RFC 2047)
+    encodeHeader(value) {
+        return /^[\x20-\x7e]*$/.test(value)
+            ? value
+            : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+    }
+
+    // Extraer dirección de "Nombre <dirección>"
+    getAddress(value) {
+        const match = /<([^>]+)>/.exec(value || '');
+        return match ? match[1] : String(value || '').trim();
+    }
+
+    // Dominio de la dirección del remitente (para el Message-ID)
+    getDomain(value) {
+        return this.getAddress(value).split('@')[1] || 'localhost';
+    }
+}
+
+module.exports = new SmtpClient();
@@ -0,0 +1,139 @@
+/**
+ * Registro de mensajeros
+ * Cada canal (consola, WhatsApp, Telegram, email, webhook) se registra al
+ * cargarse, y el registro decide por qué canales se envía a cada usuario
+ * según su canal preferido y sus alternativas. La consola solo se usa en
+ * desarrollo
+ */
+const config = require('../config/app-config').messaging;
+const logger = require('../utils/logger');
+
+class MessengerRegistry {
+    constructor() {
+        this.messengers = new Map();
+        this.loaded = false;
+
+        // Módulos de los canales conocidos (se registran solos al cargarse)
+        this.channelModules = {
+            console: './console-messenger',
+            whatsapp: './whatsapp/whatsapp-sender',
+            telegram: './telegram/telegram-sender',
+            email: './email/email-sender',
+            webhook: './webhook/webhook-messenger'
+        };
+
+        // Canales de desarrollo: no se ofrecen a los usuarios
+        this.developmentChannels = ['console'];
+    }
+
+    /**
+     * Registrar un mensajero
+     * @param {string} channel - Nombre del canal
+     * @param {Object} messenger - Mensajero (sendPreAlert, sendMainAlert, sendFollowUp...)
+     */
+    register(channel, messenger) {
+        this.messengers.set(channel, messenger);
+        logger.debug(`Canal de mensajería registrado: ${channel}`);
+    }
+
+    /**
+     * Obtener mensajero de un canal
+     * @param {string} channel - Nombre del canal
+     * @returns {Object|null} - Mensajero o null si no está registrado
+     */
+    get(channel) {
+        this.loadChannels();
+        return this.messengers.get(channel) || null;
+    }
+
+    /**
+     * Listar canales registrados
+     * @returns {Array<string>} - Nombres de canal
+     */
+    getChannels() {
+        this.loadChannels();
+        return Array.from(this.messengers.keys());
+    }
+
+    /**
+     * Comprobar si el mensajero de un canal implementa un tipo de envío
+     * @param {string} channel - Nombre del canal
+     * @param {string} method - Método (p. ej. 'sendDigest')
+     * @returns {boolean} - true si lo implementa
+     */
+    supports(channel, method) {
+        const messenger = this.get(channel);
+        return !!messenger && typeof messenger[method] === 'function';
+    }
+
+    /**
+     * Comprobar si un canal puede elegirse como canal de un usuario
+     * @param {string} channel - Nombre del canal
+     * @returns {boolean} - true si está registrado y no es de desarrollo
+     */
+    isUserChannel(channel) {
+        return !this.developmentChannels.includes(channel) && !!this.get(channel);
+    }
+
+    /**
+     * Comprobar si un canal puede entregar mensajes a un usuario
+     * (canal activado y usuario con los datos de contacto necesarios)
+     * @param {string} channel - Nombre del canal
+     * @param {Object} user - Usuario
+     * @returns {boolean} - true si está disponible
+     */
+    isAvailable(channel, user) {
+        const messenger = this.get(channel);
+        if (!messenger) return false;
+
+        return typeof messenger.isAvailableFor === 'function'
+            ? messenger.isAvailableFor(user)
+            : true;
+    }
+
+    /**
+     * Resolver canales de un usuario por orden de preferencia
+     * @param {Object} user - Usuario
+     * @param {string} first - Canal a probar antes que el resto (p. ej. el de la alerta original)
+     * @returns {Array<string>} - Canales disponibles (vacío si no hay ninguno)
+     */
+    resolveChannels(user, first = null) {
+        const preferred = user?.channels?.preferred;
+        const available = list => [...new Set(list)]
+            .filter(channel => channel && this.isUserChannel(channel) && this.isAvailable(channel, user));
+
+        let channels = available(preferred
+            ? [first, preferred, ...(user.channels.fallbacks || [])]
+            : [first, ...config.defaultChannels]);
+
+        // Ningún canal propio disponible: usar los canales por defecto
+        if (channels.length === 0) {
+            channels = available(config.defaultChannels);
+        }
+
+        // Sin canales reales activos en desarrollo: mostrar por consola
+        if (channels.length === 0 && config.consoleFallback) {
+            return ['console'];
+        }
+
+        return channels;
+    }
+
+    /**
+     * Cargar los módulos de los canales conocidos (una sola vez)
+     */
+    loadChannels() {
+        if (this.loaded) return;
+        this.loaded = true;
+
+        for (const [channel, modulePath] of Object.entries(this.channelModules)) {
+            try {
+                require(modulePath);
+            } catch (error) {
+                logger.warn(`Canal ${channel} no disponible: ${error.message}`);
+            }
+        }
+    }
+}
+
+module.exports = new MessengerRegistry();
@@ -0,0 +1,432 @@
+/**
+ * Cola persistente de mensajes salientes
+ * Programa los envíos (retraso por plan), limita la velocidad por canal,
+ * reintenta con espera exponencial los errores 429/5xx, pasa al siguiente
+ * canal del usuario si uno falla y envía a dead-letter los mensajes que
+ * agotan todos sus canales
+ */
+const outboundMessageRepo = require('../db/repositories/outbound-message-repo');
+const messengerRegistry = require('./messenger-registry');
+const config = require('../config/app-config').queue;
+const logger = require('../utils/logger');
+
+class OutboundQueue {
+    constructor() {
+        // Motivos que no dependen del canal: no tiene sentido probar otro
+        this.channelIndependentReasons = ['user_inactive', 'plan_restriction', 'unknown_message_type', 'no_channel'];
+
+        // Envíos del último segundo por canal (límite de velocidad)
+        this.recentSends = new Map();
+
+        // Acciones a ejecutar con el resultado final de cada tipo de mensaje
+        this.resultHandlers = new Map();
+
+        // Comprobaciones previas al envío de cada tipo de mensaje
+        this.sendGuards = new Map();
+
+        // Acciones a ejecutar cuando la comprobación previa descarta un mensaje
+        this.skipHandlers = new Map();
+
+        this.timer = null;
+        this.isProcessing = false;
+    }
+
+    /**
+     * Iniciar el procesamiento periódico de la cola
+     */
+    async start() {
+        if (this.timer) return;
+
+        await outboundMessageRepo.initialize();
+
+        // Los envíos interrumpidos por una caída vuelven a la cola
+        const released = await outboundMessageRepo.releaseStale(new Date(Date.now() - config.processingTimeout));
+        if (released > 0) {
+            logger.warn(`${released} mensajes interrumpidos devueltos a la cola`);
+        }
+
+        this.timer = setInterval(() => this.processDue(), config.pollInterval);
+        logger.info(`Cola de mensajes iniciada. Revisión cada ${config.pollInterval} ms`);
+    }
+
+    /**
+     * Detener el procesamiento (los pendientes quedan guardados)
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Registrar acción para el resultado final de un tipo de mensaje
+     * @param {string} messageType - Tipo de mensaje (preAlert, mainAlert, followUp)
+     * @param {Function} handler - (message, result) => Promise
+     */
+    onResult(messageType, handler) {
+        this.resultHandlers.set(messageType, handler);
+    }
+
+    /**
+     * Registrar comprobación previa al envío de un tipo de mensaje
+     * @param {string} messageType - Tipo de mensaje (preAlert, mainAlert...)
+     * @param {Function} guard - (message) => Promise<{allowed, reason, retry}>
+     *        (retry: no se pudo comprobar; el envío se aplaza en lugar de descartarse)
+     */
+    onBeforeSend(messageType, guard) {
+        this.sendGuards.set(messageType, guard);
+    }
+
+    /**
+     * Registrar acción para los mensajes descartados por la comprobación previa
+     * @param {string} messageType - Tipo de mensaje
+     * @param {Function} handler - (message, reason) => Promise
+     */
+    onSkip(messageType, handler) {
+        this.skipHandlers.set(messageType, handler);
+    }
+
+    /**
+     * Encolar un mensaje
+     * @param {Object} data - {alertId, userId, plan, channels, messageType, variant, payload, scheduledAt}
+     * @returns {Promise<Object>} - {message, created} (created false si ya estaba encolado)
+     */
+    async enqueue(data) {
+        const { variant, ...message } = data;
+        const key = this.buildKey(data.alertId, data.userId, data.messageType, variant);
+        const channels = data.channels?.length ? data.channels : [data.channel].filter(Boolean);
+
+        // Sin canales el mensaje se descarta al procesarlo (no_channel) y su resultado se notifica igual
+        const result = await outboundMessageRepo.enqueue({
+            ...message,
+            key,
+            channel: channels[0] || null,
+            channels,
+            channelResults: []
+        });
+
+        if (!result.created) {
+            logger.debug(`Mensaje ${key} ya encolado. Se omite el duplicado.`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Descartar los mensajes pendientes de una alerta
+     * @param {string} alertId - ID de la alerta
+     * @param {string} reason - Motivo del descarte
+     * @returns {Promise<number>} - Mensajes descartados
+     */
+    async cancelAlertMessages(alertId, reason) {
+        return outboundMessageRepo.skipPendingByAlert(alertId, reason);
+    }
+
+    /**
+     * Obtener los mensajes ya enviados de una alerta
+     * @param {string} alertId - ID de la alerta
+     * @param {string} messageType - Tipo de mensaje
+     * @returns {Promise<Array>} - Mensajes enviados
+     */
+    async getSentMessages(alertId, messageType) {
+        return outboundMessageRepo.getSentByAlert(alertId, messageType);
+    }
+
+    /**
+     * Construir clave de idempotencia
+     * @param {string} alertId - ID de la alerta
+     * @param {string} userId - ID del usuario
+     * @param {string} messageType - Tipo de mensaje
+     * @param {string} variant - Variante (p. ej. resultado del seguimiento)
+     * @returns {string} - Clave
+     */
+    buildKey(alertId, userId, messageType, variant = null) {
+        return [alertId, userId, messageType, variant].filter(Boolean).join(':');
+    }
+
+    /**
+     * Enviar los mensajes cuya hora programada ya llegó
+     * @param {Date} now - Momento de referencia
+     * @returns {Promise<number>} - Mensajes procesados
+     */
+    async processDue(now = new Date()) {
+        // Evitar revisiones solapadas si un lote tarda más que el intervalo
+        if (this.isProcessing) return 0;
+        this.isProcessing = true;
+
+        let processed = 0;
+
+        try {
+            const due = await outboundMessageRepo.getDueMessages(now, config.batchSize);
+
+            for (const message of due) {
+                // Sin capacidad en el canal: queda pendiente para la próxima revisión
+                if (!this.acquireRateLimit(message.channel)) continue;
+
+                const claimed = await outboundMessageRepo.claim(message.id || message._id.toString(), now);
+                if (!claimed) continue;
+
+                await this.deliver(claimed);
+                processed++;
+            }
+        } catch (error) {
+            logger.error(`Error procesando cola de mensajes: ${error.message}`);
+        } finally {
+            this.isProcessing = false;
+        }
+
+        return processed;
+    }
+
+    /**
+     * Enviar un mensaje y registrar su resultado
+     * @param {Object} message - Mensaje tomado de la cola
+     */
+    async deliver(message) {
+        const id = message.id || message._id.toString();
+        const attempts = (message.attempts || 0) + 1;
+
+        // Mensajes que ya no deben enviarse (p. ej. alerta anulada) se descartan
+        const check = await this.checkGuard(message);
+        if (!check.allowed && check.retry && attempts < config.maxAttempts) {
+            // Sin poder comprobarlo todavía: aplazar como un reintento
+            const delay = this.getRetryDelay(attempts);
+            await outboundMessageRepo.scheduleRetry(id, attempts, new Date(Date.now() + delay), check.reason);
+            logger.warn(`Mensaje ${message.key} aplazado ${delay} ms (${attempts}/${config.maxAttempts}): ${check.reason}`);
+            return;
+        }
+        if (!check.allowed) {
+            await outboundMessageRepo.markSkipped(id, message.attempts || 0, check.reason, message.channelResults || []);
+            logger.info(`Mensaje ${message.key} descartado antes del envío: ${check.reason}`);
+            await this.notifySkipped(message, check.reason);
+            return;
+        }
+
+        let result;
+        try {
+            result = await this.send(message);
+        } catch (error) {
+            result = { success: false, reason: 'send_error', error: error.message, status: error.response?.status };
+        }
+
+        // Los mensajeros que no devuelven resultado (consola) cuentan como enviados
+        if (!result || result.success !== false) {
+            result = { success: true, ...result };
+            const channelResults = this.addChannelResult(message, result, attempts);
+
+            await outboundMessageRepo.markSent(id, attempts, result.messageId || null, channelResults);
+            await this.notifyResult({ ...message, channelResults }, result);
+            return;
+        }
+
+        // Error transitorio: reintentar por el mismo canal
+        if (result.reason === 'send_error' && this.isRetryable(result) && attempts < config.maxAttempts) {
+            const delay = this.getRetryDelay(attempts);
+            await outboundMessageRepo.scheduleRetry(id, attempts, new Date(Date.now() + delay), result.error);
+            logger.warn(`Reintento ${attempts}/${config.maxAttempts} de ${message.key} en ${delay} ms: ${result.error}`);
+            return;
+        }
+
+        const channelResults = this.addChannelResult(message, result, attempts);
+
+        // Canal agotado o no disponible: pasar al siguiente canal del usuario
+        const nextChannel = this.getNextChannel(message);
+        if (nextChannel && !this.channelIndependentReasons.includes(result.reason)) {
+            await outboundMessageRepo.switchChannel(id, nextChannel, channelResults);
+            logger.warn(`Mensaje ${message.key} falló por ${message.channel} (${result.reason}). Se intenta por ${nextChannel}.`);
+            return;
+        }
+
+        // Sin canales restantes: los errores de envío van a dead-letter, el resto se descarta
+        if (result.reason === 'send_error') {
+            await outboundMessageRepo.moveToDeadLetter({ ...message, channelResults }, attempts, result.error, result.status || null);
+            logger.error(`Mensaje ${message.key} enviado a dead-letter tras ${attempts} intentos: ${result.error}`);
+        } else {
+            await outboundMessageRepo.markSkipped(id, attempts, result.reason, channelResults);
+        }
+
+        await this.notifyResult({ ...message, channelResults }, result);
+    }
+
+    /**
+     * Añadir el resultado del canal actual al historial del mensaje
+     * @param {Object} message - Mensaje de la cola
+     * @param {Object} result - Resultado del envío
+     * @param {number} attempts - Intentos realizados en el canal
+     * @returns {Array} - Historial actualizado
+     */
+    addChannelResult(message, result, attempts) {
+        const status = result.success !== false
+            ? 'sent'
+            : (result.reason === 'send_error' ? 'failed' : 'skipped');
+
+        return [...(message.channelResults || []), {
+            channel: message.channel,
+            status,
+            reason: result.success !== false ? undefined : result.reason,
+            error: result.error,
+            messageId: result.messageId,
+            attempts,
+            at: new Date()
+        }];
+    }
+
+    /**
+     * Obtener el siguiente canal a probar
+     * @param {Object} message - Mensaje de la cola
+     * @returns {string|null} - Canal o null si no quedan
+     */
+    getNextChannel(message) {
+        const channels = message.channels || [];
+        const index = channels.indexOf(message.channel);
+        return index >= 0 && index < channels.length - 1 ? channels[index + 1] : null;
+    }
+
+    /**
+     * Enviar mensaje por el mensajero de su canal
+     * @param {Object} message - Mensaje de la cola
+     * @returns {Promise<Object>} - Resultado del mensajero
+     */
+    async send(message) {
+        if (!message.channel) {
+            return { success: false, reason: 'no_channel' };
+        }
+
+        const messenger = messengerRegistry.get(message.channel);
+        if (!messenger) {
+            return { success: false, reason: 'channel_unavailable' };
+        }
+
+        const { text } = message.payload || {};
+        const options = { ...message.payload?.options };
+
+        // Las respuestas solo tienen sentido dentro del canal del mensaje original
+        if (options.replyChannel && options.replyChannel !== message.channel) {
+            delete options.replyTo;
+        }
+
+        switch (message.messageType) {
+            case 'preAlert':
+                return messenger.sendPreAlert(message.userId, text, options);
+            case 'mainAlert':
+                return messenger.sendMainAlert(message.userId, text, options);
+            case 'followUp':
+                return messenger.sendFollowUp(message.userId, text, options);
+            case 'digest':
+                return typeof messenger.sendDigest === 'function'
+                    ? messenger.sendDigest(message.userId, text, options)
+                    : { success: false, reason: 'unsupported' };
+            case 'steamAlert':
+                return typeof messenger.sendSteamAlert === 'function'
+                    ? messenger.sendSteamAlert(message.userId, text, options)
+                    : { success: false, reason: 'unsupported' };
+            default:
+                return { success: false, reason: 'unknown_message_type' };
+        }
+    }
+
+    /**
+     * Ejecutar la comprobación previa registrada para el tipo de mensaje
+     * Si la comprobación falla, el envío se aplaza (y se descarta al agotar los intentos)
+     * @param {Object} message - Mensaje de la cola
+     * @returns {Promise<Object>} - {allowed, reason, retry}
+     */
+    async checkGuard(message) {
+        const guard = this.sendGuards.get(message.messageType);
+        if (!guard) return { allowed: true };
+
+        try {
+            return (await guard(message)) || { allowed: true };
+        } catch (error) {
+            logger.error(`Error en comprobación previa de ${message.key}: ${error.message}`);
+            return { allowed: false, retry: true, reason: 'check_error' };
+        }
+    }
+
+    /**
+     * Ejecutar la acción registrada para el resultado final de un mensaje
+     * @param {Object} message - Mensaje de la cola
+     * @param {Object} result - Resultado del envío
+     */
+    async notifyResult(message, result) {
+        const handler = this.resultHandlers.get(message.messageType);
+        if (!handler) return;
+
+        try {
+            await handler(message, result);
+        } catch (error) {
+            logger.error(`Error procesando resultado de ${message.key}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Ejecutar la acción registrada para un mensaje descartado antes del envío
+     * @param {Object} message - Mensaje de la cola
+     * @param {string} reason - Motivo del descarte
+     */
+    async notifySkipped(message, reason) {
+        const handler = this.skipHandlers.get(message.messageType);
+        if (!handler) return;
+
+        try {
+            await handler(message, reason);
+        } catch (error) {
+            logger.error(`Error procesando descarte de ${message.key}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Comprobar si un fallo es transitorio (límite de velocidad, error del servidor o de red)
+     * @param {Object} result - Resultado fallido
+     * @returns {boolean} - true si conviene reintentar
+     */
+    isRetryable(result) {
+        if (!result.status) return true;
+        return result.status === 429 || result.status >= 500;
+    }
+
+    /**
+     * Calcular espera antes del siguiente intento (exponencial con tope)
+     * @param {number} attempts - Intentos realizados
+     * @returns {number} - Espera en milisegundos
+     */
+    getRetryDelay(attempts) {
+        return Math.min(config.retryMaxDelay, config.retryBaseDelay * Math.pow(2, attempts - 1));
+    }
+
+    /**
+     * Reservar un envío en la ventana de un segundo del canal
+     * @param {string} channel - Canal
+     * @returns {boolean} - true si hay capacidad
+     */
+    acquireRateLimit(channel) {
+        const limit = config.rateLimits[channel] || 0;
+        if (limit <= 0) return true;
+
+        const now = Date.now();
+        const recent = (this.recentSends.get(channel) || []).filter(timestamp => now - timestamp < 1000);
+
+        if (recent.length >= limit) {
+            this.recentSends.set(channel, recent);
+            return false;
+        }
+
+        recent.push(now);
+        this.recentSends.set(channel, recent);
+        return true;
+    }
+
+    /**
+     * Obtener estado de la cola
+     * @returns {Promise<Object>} - {counts, deadLetters}
+     */
+    async getStats() {
+        return {
+            counts: await outboundMessageRepo.getStatusCounts(),
+            deadLetters: await outboundMessageRepo.getDeadLetters(20)
+        };
+    }
+}
+
+module.exports = new OutboundQueue();
@@ -0,0 +1,300 @@
+/**
+ * Stream de alertas en vivo (Server-Sent Events)
+ * Publica cada alerta guardada a los clientes web conectados cuyo plan
+ * coincide con el de la alerta, con el mismo retraso por plan que los
+ * mensajes. Si la alerta se anula antes del envío, quien aún no la
+ * recibió ya no la recibe y quien la recibió recibe un evento `void`.
+ * Mantiene la conexión con latidos y guarda los últimos eventos en memoria
+ * para reenviarlos al reconectar con Last-Event-ID
+ */
+const config = require('../../config/app-config').stream;
+const logger = require('../../utils/logger');
+
+class AlertStream {
+    constructor() {
+        this.subscribers = new Set();
+        this.buffer = [];       // Últimos eventos publicados (para Last-Event-ID)
+        // Los IDs parten de la hora de arranque: tras un reinicio siguen creciendo
+        // y un cliente con un Last-Event-ID anterior recibe todo el buffer nuevo
+        this.nextEventId = Date.now();
+        this.heartbeatTimer = null;
+    }
+
+    /**
+     * Suscribir una respuesta HTTP al stream
+     * @param {Object} res - Respuesta de Express
+     * @param {Object} subscriber - {userId, entitlements, lastEventId}
+     * @returns {Object} - Suscriptor registrado
+     */
+    subscribe(res, { userId, entitlements, lastEventId = null }) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no' // Sin buffer en proxies nginx
+        });
+        res.write(`retry: ${config.retry}\n\n`);
+
+        const subscriber = {
+            res,
+            userId,
+            entitlements,
+            timers: new Set(),
+            sent: new Set(),        // IDs de eventos de alerta entregados en esta conexión
+            lastEventId: null,
+            connectedAt: new Date()
+        };
+        this.subscribers.add(subscriber);
+
+        res.on('close', () => this.unsubscribe(subscriber));
+
+        // Reenviar eventos perdidos desde el último recibido
+        const lastId = parseInt(lastEventId);
+        if (Number.isInteger(lastId)) {
+            subscriber.lastEventId = lastId;
+            const missed = this.buffer.filter(event => event.id > lastId);
+            missed.forEach(event => this.schedule(subscriber, event));
+            logger.debug(`Stream: ${missed.length} eventos reenviados al usuario ${userId} desde ${lastId}`);
+        }
+
+        this.startHeartbeat();
+        logger.user(userId, 'stream_connected', { plan: entitlements.plan, subscribers: this.subscribers.size });
+        return subscriber;
+    }
+
+    /**
+     * Quitar un suscriptor (conexión cerrada)
+     * @param {Object} subscriber - Suscriptor
+     */
+    unsubscribe(subscriber) {
+        if (!this.subscribers.delete(subscriber)) return;
+
+        subscriber.timers.forEach(timer => clearTimeout(timer));
+        subscriber.timers.clear();
+
+        if (this.subscribers.size === 0) {
+            this.stopHeartbeat();
+        }
+        logger.user(subscriber.userId, 'stream_disconnected');
+    }
+
+    /**
+     * Publicar una alerta guardada
+     * @param {Object} alert - Alerta guardada (o momento dorado con id)
+     * @param {string} plan - Plan de la alerta
+     * @returns {Object} - Evento publicado
+     */
+    publish(alert, plan) {
+        return this.push({
+            id: this.nextEventId++,
+            type: 'alert',
+            plan,
+            publishedAt: Date.now(),
+            alert
+        });
+    }
+
+    /**
+     * Publicar la anulación de una alerta ya publicada
+     * Quien aún no recibió la alerta (retraso del plan) ya no la recibe;
+     * quien la recibió recibe el aviso de anulación sin retraso
+     * @param {Object} alert - Alerta anulada
+     * @param {Object} cancellation - {reason, detail, cancelledAt}
+     * @returns {Object|null} - Evento publicado o null si la alerta no se publicó
+     */
+    publishVoid(alert, cancellation = {}) {
+        const alertId = alert.id || alert._id?.toString();
+        const original = this.buffer.find(event =>
+            event.type === 'alert' && (event.alert.id || event.alert._id?.toString()) === alertId
+        );
+        if (!original) return null;
+
+        original.voided = true;
+
+        return this.push({
+            id: this.nextEventId++,
+            type: 'void',
+            plan: original.plan,
+            publishedAt: Date.now(),
+            alert: original.alert,
+            alertEventId: original.id,
+            cancellation
+        });
+    }
+
+    /**
+     * Guardar un evento en el buffer y programarlo para los suscriptores
+     * @param {Object} event - Evento
+     * @returns {Object} - Evento publicado
+     */
+    push(event) {
+        this.buffer.push(event);
+        if (this.buffer.length > config.replayBufferSize) {
+            this.buffer.splice(0, this.buffer.length - config.replayBufferSize);
+        }
+
+        for (const subscriber of this.subscribers) {
+            this.schedule(subscriber, event);
+        }
+
+        return event;
+    }
+
+    /**
+     * Programar el envío de un evento a un suscriptor tras el retraso de su plan
+     * @param {Object} subscriber - Suscriptor
+     * @param {Object} event - Evento publicado
+     */
+    schedule(subscriber, event) {
+        if (event.plan !== subscriber.entitlements.plan) return;
+
+        // Las anulaciones no esperan el retraso del plan
+        const delay = event.type === 'void' ? 0 : (subscriber.entitlements.alertDelay || 0);
+        const wait = event.publishedAt + delay - Date.now();
+        if (wait <= 0) {
+            this.send(subscriber, event);
+            return;
+        }
+
+        const timer = setTimeout(() => {
+            subscriber.timers.delete(timer);
+            this.send(subscriber, event);
+        }, wait);
+        subscriber.timers.add(timer);
+    }
+
+    /**
+     * Escribir un evento en la conexión de un suscriptor
+     * @param {Object} subscriber - Suscriptor
+     * @param {Object} event - Evento publicado
+     */
+    send(subscriber, event) {
+        if (!this.subscribers.has(subscriber)) return;
+
+        if (event.type === 'void') {
+            // Solo a quien recibió la alerta (en esta conexión o antes de reconectar)
+            const received = subscriber.sent.has(event.alertEventId) ||
+                (subscriber.lastEventId !== null && event.alertEventId <= subscriber.lastEventId);
+            if (!received) return;
+        } else {
+            // Alerta anulada antes de cumplirse el retraso: ya no se entrega
+            if (event.voided) return;
+            subscriber.sent.add(event.id);
+        }
+
+        const data = JSON.stringify(event.type === 'void'
+            ? this.toVoidData(event)
+            : this.toEventData(event, subscriber.entitlements));
+        subscriber.res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${data}\n\n`);
+    }
+
+    /**
+     * Datos públicos de una alerta según los permisos del suscriptor
+     * @param {Object} event - Evento publicado
+     * @param {Object} entitlements - Permisos vigentes
+     * @returns {Object} - Datos del evento
+     */
+    toEventData(event, entitlements) {
+        const { alert } = event;
+
+        return {
+            alertId: alert.id || alert._id?.toString(),
+            matchId: alert.matchId,
+            market: alert.market,
+            side: alert.side || null,
+            plan: event.plan,
+            league: alert.league || null,
+            teams: alert.teams,
+            minute: alert.minute,
+            score: alert.score,
+            prediction: {
+                probability: alert.prediction?.probability,
+                confidence: alert.prediction?.confidence,
+                expectedValue: alert.prediction?.expectedValue
+            },
+            odds: {
+                value: alert.odds?.value,
+                // Desglose por casa solo en los planes que lo incluyen
+                bookmakers: entitlements.bookmakers ? (alert.odds?.bookmakers || []) : undefined
+            },
+            context: alert.context || [],
+            publishedAt: new Date(event.publishedAt).toISOString()
+        };
+    }
+
+    /**
+     * Datos públicos de la anulación de una alerta
+     * @param {Object} event - Evento de anulación
+     * @returns {Object} - Datos del evento
+     */
+    toVoidData(event) {
+        const { alert, cancellation } = event;
+
+        return {
+            alertId: alert.id || alert._id?.toString(),
+            matchId: alert.matchId,
+            market: alert.market,
+            side: alert.side || null,
+            plan: event.plan,
+            reason: cancellation.reason || null,
+            detail: cancellation.detail || null,
+            cancelledAt: new Date(cancellation.cancelledAt || event.publishedAt).toISOString(),
+            publishedAt: new Date(event.publishedAt).toISOString()
+        };
+    }
+
+    /**
+     * Iniciar latidos (comentarios SSE que mantienen abiertas las conexiones)
+     */
+    startHeartbeat() {
+        if (this.heartbeatTimer) return;
+
+        this.heartbeatTimer = setInterval(() => {
+            for (const subscriber of this.subscribers) {
+                subscriber.res.write(`: heartbeat ${Date.now()}\n\n`);
+            }
+        }, config.heartbeatInterval);
+    }
+
+    /**
+     * Detener latidos
+     */
+    stopHeartbeat() {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+    }
+
+    /**
+     * Cerrar todas las conexiones (parada del sistema)
+     */
+    close() {
+        for (const subscriber of [...this.subscribers]) {
+            this.unsubscribe(subscriber);
+            subscriber.res.end();
+        }
+        this.stopHeartbeat();
+    }
+
+    /**
+     * Obtener estado del stream
+     * @returns {Object} - {subscribers, byPlan, buffered, lastEventId}
+     */
+    getStats() {
+        const byPlan = {};
+        for (const subscriber of this.subscribers) {
+            const plan = subscriber.entitlements.plan;
+            byPlan[plan] = (byPlan[plan] || 0) + 1;
+        }
+
+        return {
+            subscribers: this.subscribers.size,
+            byPlan,
+            buffered: this.buffer.length,
+            lastEventId: this.nextEventId - 1
+        };
+    }
+}
+
+module.exports = new AlertStream();
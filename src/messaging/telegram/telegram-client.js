@@ -0,0 +1,85 @@
+/**
+ * Cliente para Telegram Bot API
+ * Gestiona la conexión con la API de bots de Telegram
+ */
+const axios = require('axios');
+const config = require('../../config/app-config').telegram;
+const logger = require('../../utils/logger');
+
+class TelegramClient {
+    constructor() {
+        this.baseUrl = config.baseUrl;
+        this.token = process.env.TELEGRAM_BOT_TOKEN || config.token;
+
+        this.httpClient = axios.create({
+            baseURL: `${this.baseUrl}/bot${this.token}`,
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        });
+    }
+
+    // Enviar mensaje de texto en HTML (opcionalmente con teclado y como respuesta)
+    async sendMessage(chatId, text, options = {}) {
+        try {
+            const payload = {
+                chat_id: chatId,
+                text: text,
+                parse_mode: 'HTML',
+                disable_web_page_preview: true
+            };
+
+            if (options.keyboard) {
+                payload.reply_markup = { inline_keyboard: options.keyboard };
+            }
+
+            if (options.replyTo) {
+                payload.reply_to_message_id = options.replyTo;
+                payload.allow_sending_without_reply = true;
+            }
+
+            const response = await this.httpClient.post('/sendMessage', payload);
+
+            logger.info(`Mensaje de Telegram enviado a ${chatId}`);
+            return response.data.result;
+        } catch (error) {
+            logger.error(`Error enviando mensaje de Telegram: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Confirmar pulsación de botón (quita el indicador de carga en el cliente)
+    async answerCallbackQuery(callbackQueryId, text = null) {
+        try {
+            const payload = { callback_query_id: callbackQueryId };
+            if (text) payload.text = text;
+
+            const response = await this.httpClient.post('/answerCallbackQuery', payload);
+            return response.data.result;
+        } catch (error) {
+            logger.error(`Error respondiendo callback de Telegram: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Registrar URL del webhook del bot
+    async setWebhook(url, secretToken = null) {
+        try {
+            const payload = {
+                url,
+                allowed_updates: ['message', 'callback_query']
+            };
+            if (secretToken) payload.secret_token = secretToken;
+
+            const response = await this.httpClient.post('/setWebhook', payload);
+
+            logger.info(`Webhook de Telegram configurado en ${url}`);
+            return response.data.result;
+        } catch (error) {
+            logger.error(`Error configurando webhook de Telegram: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+module.exports = new TelegramClient();
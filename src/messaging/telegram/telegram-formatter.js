@@ -0,0 +1,132 @@
+/**
+ * Formateador de mensajes para Telegram
+ * Convierte los mensajes del MessageGenerator a HTML de Telegram,
+ * respeta el límite de longitud y construye los teclados en línea de cada plan
+ */
+const messageGenerator = require('../../core/message-generator');
+const whatsappFormatter = require('../whatsapp/whatsapp-formatter');
+
+class TelegramFormatter {
+    constructor() {
+        // Límites de Telegram Bot API
+        this.limits = {
+            // 4096 caracteres tras interpretar el HTML: margen para las entidades escapadas
+            text: 4000,
+            callbackData: 64 // Bytes de callback_data por botón
+        };
+
+        // Botones de la alerta principal según plan (acción:alertId en callback_data)
+        this.planButtons = {
+            free: [
+                { action: 'upgrade', text: '⭐ Upgrade' },
+                { action: 'mute', text: '🔕 Silenciar partido' }
+            ],
+            insider: [
+                { action: 'analysis', text: '📊 Ver análisis' },
+                { action: 'mute', text: '🔕 Silenciar partido' }
+            ],
+            estratega: [
+                { action: 'analysis', text: '📊 Análisis completo' },
+                { action: 'mute', text: '🔕 Silenciar partido' }
+            ]
+        };
+    }
+
+    /**
+     * Formatear pre-alerta
+     * @param {string|Object} alert - Mensaje del MessageGenerator o momento dorado
+     * @returns {string} - Mensaje en HTML
+     */
+    formatPreAlert(alert) {
+        const message = typeof alert === 'string'
+            ? alert
+            : messageGenerator.formatPreAlert(alert);
+
+        return this.toHtml(whatsappFormatter.truncate(whatsappFormatter.toMarkup(message), this.limits.text));
+    }
+
+    /**
+     * Formatear alerta principal con el teclado del plan
+     * @param {string|Object} alert - Mensaje del MessageGenerator o momento dorado
+     * @param {string} plan - Plan vigente del usuario
+     * @param {string} alertId - ID de la alerta (para las acciones de los botones)
+     * @returns {Object} - {text, keyboard}
+     */
+    formatMainAlert(alert, plan = 'free', alertId = null) {
+        const message = typeof alert === 'string'
+            ? alert
+            : messageGenerator.formatGoldenMoment(alert, plan).mainAlert;
+
+        return {
+            text: this.toHtml(whatsappFormatter.truncate(whatsappFormatter.toMarkup(message), this.limits.text)),
+            keyboard: this.buildKeyboard(plan, alertId)
+        };
+    }
+
+    /**
+     * Formatear análisis detallado, dividido en varios mensajes si es largo
+     * @param {string|Object} alert - Mensaje del MessageGenerator o alerta guardada
+     * @param {string} plan - Plan vigente del usuario
+     * @returns {Array<string>} - Mensajes en HTML a enviar en orden
+     */
+    formatDetailedAnalysis(alert, plan = 'free') {
+        const message = typeof alert === 'string'
+            ? alert
+            : messageGenerator.formatDetailedAnalysis(alert, plan);
+
+        return whatsappFormatter
+            .split(whatsappFormatter.toMarkup(message), this.limits.text)
+            .map(part => this.toHtml(part));
+    }
+
+    /**
+     * Formatear seguimiento o respuesta de texto
+     * @param {string} message - Mensaje del MessageGenerator o del bot
+     * @returns {string} - Mensaje en HTML
+     */
+    formatText(message) {
+        return this.toHtml(whatsappFormatter.truncate(whatsappFormatter.toMarkup(message), this.limits.text));
+    }
+
+    /**
+     * Construir teclado en línea de la alerta principal
+     * @param {string} plan - Plan del usuario
+     * @param {string} alertId - ID de la alerta
+     * @returns {Array} - Filas de botones [[{text, callback_data}]]
+     */
+    buildKeyboard(plan, alertId = null) {
+        const buttons = this.planButtons[plan] || this.planButtons.free;
+
+        return [buttons.map(button => ({
+            text: button.text,
+            callback_data: this.buildCallbackData(button.action, alertId)
+        }))];
+    }
+
+    /**
+     * Construir callback_data de un botón (acción y alerta)
+     * @param {string} action - Acción del botón
+     * @param {string} alertId - ID de la alerta
+     * @returns {string} - callback_data dentro del límite de bytes
+     */
+    buildCallbackData(action, alertId) {
+        const data = alertId ? `${action}:${alertId}` : action;
+        return Buffer.byteLength(data) <= this.limits.callbackData ? data : action;
+    }
+
+    /**
+     * Convertir formato WhatsApp (*negrita*, _cursiva_) a HTML de Telegram
+     * @param {string} text - Texto con formato WhatsApp
+     * @returns {string} - Texto en HTML con los caracteres especiales escapados
+     */
+    toHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/\*([^*\n]+)\*/g, '<b>$1</b>')
+            .replace(/(^|[\s(])_([^_\n]+)_(?=$|[\s).,!?])/gm, '$1<i>$2</i>');
+    }
+}
+
+module.exports = new TelegramFormatter();
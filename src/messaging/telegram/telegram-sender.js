@@ -0,0 +1,215 @@
+/**
+ * Servicio de envío de mensajes por Telegram
+ * Misma interfaz que WhatsAppSender y ConsoleMessenger. Telegram no tiene
+ * ventana de conversación: todos los mensajes se envían como texto libre
+ */
+const telegramClient = require('./telegram-client');
+const telegramFormatter = require('./telegram-formatter');
+const config = require('../../config/app-config').telegram;
+const logger = require('../../utils/logger');
+const userService = require('../../services/user-service');
+const entitlementService = require('../../services/entitlement-service');
+const messengerRegistry = require('../messenger-registry');
+
+class TelegramSender {
+    constructor() {
+        this.isEnabled = config.enabled;
+    }
+
+    // Comprobar si el usuario tiene un chat de Telegram vinculado
+    isAvailableFor(user) {
+        return this.isEnabled && !!user?.telegram?.chatId;
+    }
+
+    // Enviar pre-alerta
+    async sendPreAlert(userId, alert, options = {}) {
+        if (!this.isEnabled) {
+            logger.info('Telegram desactivado. No se envió pre-alerta.');
+            return { success: false, reason: 'telegram_disabled' };
+        }
+
+        try {
+            const chatId = await this.getChatId(userId);
+            if (!chatId) return { success: false, reason: 'not_linked' };
+
+            const message = telegramFormatter.formatPreAlert(alert);
+            const result = await telegramClient.sendMessage(chatId, message);
+
+            return { success: true, messageId: this.buildMessageId(chatId, result.message_id) };
+        } catch (error) {
+            logger.error(`Error enviando pre-alerta Telegram: ${error.message}`);
+            return { success: false, reason: 'send_error', error: error.message, status: error.response?.status };
+        }
+    }
+
+    // Enviar alerta principal con teclado en línea (options.alertId para las acciones)
+    async sendMainAlert(userId, alert, options = {}) {
+        if (!this.isEnabled) {
+            logger.info('Telegram desactivado. No se envió alerta principal.');
+            return { success: false, reason: 'telegram_disabled' };
+        }
+
+        try {
+            // Obtener chat y permisos vigentes del usuario
+            const chatId = await this.getChatId(userId);
+            const entitlements = await entitlementService.getEntitlementsForUser(userId);
+
+            if (!chatId) return { success: false, reason: 'not_linked' };
+            if (!entitlements) return { success: false, reason: 'user_inactive' };
+
+            const { text, keyboard } = telegramFormatter.formatMainAlert(alert, entitlements.plan, options.alertId);
+            const result = await telegramClient.sendMessage(chatId, text, { keyboard });
+
+            return { success: true, messageId: this.buildMessageId(chatId, result.message_id) };
+        } catch (error) {
+            logger.error(`Error enviando alerta principal Telegram: ${error.message}`);
+            return { success: false, reason: 'send_error', error: error.message, status: error.response?.status };
+        }
+    }
+
+    // Enviar análisis detallado
+    async sendDetailedAnalysis(userId, alert, options = {}) {
+        if (!this.isEnabled) {
+            logger.info('Telegram desactivado. No se envió análisis detallado.');
+            return { success: false, reason: 'telegram_disabled' };
+        }
+
+        try {
+            const chatId = await this.getChatId(userId);
+            const entitlements = await entitlementService.getEntitlementsForUser(userId);
+
+            if (!chatId) return { success: false, reason: 'not_linked' };
+
+            // Verificar si el plan vigente permite análisis detallado
+            if (!entitlements || !entitlements.detailedAnalysis) {
+                return { success: false, reason: 'plan_restriction' };
+            }
+
+            // Enviar partes en orden (la primera responde a la alerta si se conoce)
+            const parts = telegramFormatter.formatDetailedAnalysis(alert, entitlements.plan);
+            let result = null;
+            for (const [index, part] of parts.entries()) {
+                result = await telegramClient.sendMessage(chatId, part, {
+                    replyTo: index === 0 ? this.parseMessageId(chatId, options.replyTo) : null
+                });
+            }
+
+            return { success: true, messageId: this.buildMessageId(chatId, result.message_id), parts: parts.length };
+        } catch (error) {
+            logger.error(`Error enviando análisis detallado Telegram: ${error.message}`);
+            return { success: false, reason: 'send_error', error: error.message, status: error.response?.status };
+        }
+    }
+
+    // Enviar seguimiento de alerta (respondiendo a la alerta original si se conoce)
+    async sendFollowUp(userId, message, options = {}) {
+        if (!this.isEnabled) {
+            logger.info('Telegram desactivado. No se envió seguimiento.');
+            return { success: false, reason: 'telegram_disabled' };
+        }
+
+        try {
+            const chatId = await this.getChatId(userId);
+            if (!chatId) return { success: false, reason: 'not_linked' };
+
+            const result = await telegramClient.sendMessage(chatId, telegramFormatter.formatText(message), {
+                replyTo: this.parseMessageId(chatId, options.replyTo)
+            });
+
+            return { success: true, messageId: this.buildMessageId(chatId, result.message_id) };
+        } catch (error) {
+            logger.error(`Error enviando seguimiento Telegram: ${error.message}`);
+            return { success: false, reason: 'send_error', error: error.message, status: error.response?.status };
+        }
+    }
+
+    // Enviar alerta de movimiento brusco de cuota (steam)
+    async sendSteamAlert(userId, message, options = {}) {
+        if (!this.isEnabled) {
+            logger.info('Telegram desactivado. No se envió alerta steam.');
+            return { success: false, reason: 'telegram_disabled' };
+        }
+
+        try {
+            const chatId = await this.getChatId(userId);
+            if (!chatId) return { success: false, reason: 'not_linked' };
+
+            const result = await telegramClient.sendMessage(chatId, telegramFormatter.formatText(message));
+
+            return { success: true, messageId: this.buildMessageId(chatId, result.message_id) };
+        } catch (error) {
+            logger.error(`Error enviando alerta steam Telegram: ${error.message}`);
+            return { success: false, reason: 'send_error', error: error.message, status: error.response?.status };
+        }
+    }
+
+    // Enviar resumen diario (dividido en varios mensajes si es largo)
+    async sendDigest(userId, message, options = {}) {
+        if (!this.isEnabled) {
+            logger.info('Telegram desactivado. No se envió resumen diario.');
+            return { success: false, reason: 'telegram_disabled' };
+        }
+
+        try {
+            const chatId = await this.getChatId(userId);
+            if (!chatId) return { success: false, reason: 'not_linked' };
+
+            const parts = telegramFormatter.formatDetailedAnalysis(message);
+            let result = null;
+            for (const part of parts) {
+                result = await telegramClient.sendMessage(chatId, part);
+            }
+
+            return { success: true, messageId: this.buildMessageId(chatId, result.message_id), parts: parts.length };
+        } catch (error) {
+            logger.error(`Error enviando resumen diario Telegram: ${error.message}`);
+            return { success: false, reason: 'send_error', error: error.message, status: error.response?.status };
+        }
+    }
+
+    // Enviar respuesta de texto a un mensaje del usuario
+    async sendReply(userId, message, options = {}) {
+        if (!this.isEnabled) {
+            logger.info('Telegram desactivado. No se envió respuesta.');
+            return { success: false, reason: 'telegram_disabled' };
+        }
+
+        try {
+            const chatId = options.chatId || await this.getChatId(userId);
+            if (!chatId) return { success: false, reason: 'not_linked' };
+
+            const result = await telegramClient.sendMessage(chatId, telegramFormatter.formatText(message), {
+                replyTo: this.parseMessageId(chatId, options.replyTo)
+            });
+
+            return { success: true, messageId: this.buildMessageId(chatId, result.message_id) };
+        } catch (error) {
+            logger.error(`Error enviando respuesta Telegram: ${error.message}`);
+            return { success: false, reason: 'send_error', error: error.message, status: error.response?.status };
+        }
+    }
+
+    // Obtener chat de Telegram vinculado al usuario
+    async getChatId(userId) {
+        const user = await userService.getUserById(userId);
+        return user?.telegram?.chatId || null;
+    }
+
+    // Los IDs de mensaje de Telegram solo son únicos dentro de cada chat
+    buildMessageId(chatId, messageId) {
+        return `${chatId}:${messageId}`;
+    }
+
+    // Obtener ID de mensaje dentro del chat (null si es de otro chat o de otro canal)
+    parseMessageId(chatId, messageId) {
+        if (!messageId) return null;
+
+        const [chat, id] = String(messageId).split(':');
+        return chat === String(chatId) && id ? parseInt(id) : null;
+    }
+}
+
+const telegramSender = new TelegramSender();
+messengerRegistry.register('telegram', telegramSender);
+
+module.exports = telegramSender;
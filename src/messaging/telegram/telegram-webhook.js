@@ -0,0 +1,239 @@
+/**
+ * Webhook de Telegram Bot API
+ * Valida las actualizaciones entrantes y enruta los botones del teclado
+ * en línea (callback queries) y los mensajes de texto a sus manejadores
+ */
+const crypto = require('crypto');
+const config = require('../../config/app-config');
+const telegramClient = require('./telegram-client');
+const telegramSender = require('./telegram-sender');
+const alertRepo = require('../../db/repositories/alert-repo');
+const userService = require('../../services/user-service');
+const preferenceService = require('../../services/preference-service');
+const commandBot = require('../../core/command-bot');
+const deliveryService = require('../../services/delivery-service');
+const messageGenerator = require('../../core/message-generator');
+const logger = require('../../utils/logger');
+
+class TelegramWebhook {
+    constructor() {
+        this.webhookSecret = config.telegram.webhookSecret;
+        this.isDevelopment = config.app.environment === 'development';
+
+        // Actualizaciones ya procesadas (Telegram reintenta las no confirmadas)
+        this.processedUpdates = new Map();
+        this.processedTtl = 60 * 60 * 1000; // 1 hora
+
+        this.actions = ['analysis', 'mute', 'upgrade'];
+    }
+
+    /**
+     * Validar la cabecera X-Telegram-Bot-Api-Secret-Token
+     * @param {string} token - Valor recibido
+     * @returns {boolean} - true si es válido
+     */
+    validateSecret(token) {
+        if (!this.webhookSecret) {
+            // Sin secreto configurado solo se aceptan actualizaciones en desarrollo
+            if (this.isDevelopment) {
+                logger.warn('TELEGRAM_WEBHOOK_SECRET no configurado. Webhook sin validar.');
+                return true;
+            }
+            return false;
+        }
+
+        if (!token || token.length !== this.webhookSecret.length) return false;
+        return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(this.webhookSecret));
+    }
+
+    /**
+     * Procesar una actualización del webhook
+     * @param {Object} update - Actualización de Telegram
+     * @returns {Promise<boolean>} - true si se procesó
+     */
+    async handleUpdate(update) {
+        if (!update || update.update_id === undefined || this.isDuplicate(update.update_id)) {
+            return false;
+        }
+
+        try {
+            if (update.callback_query) {
+                await this.handleCallbackQuery(update.callback_query);
+            } else if (update.message?.text) {
+                await this.handleMessage(update.message);
+            } else {
+                logger.debug(`Actualización de Telegram ${update.update_id} ignorada`);
+            }
+            return true;
+        } catch (error) {
+            logger.error(`Error procesando actualización de Telegram: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Manejar mensaje de texto (vinculación con /start o comandos del bot)
+     * @param {Object} message - Mensaje de Telegram
+     */
+    async handleMessage(message) {
+        const chatId = message.chat.id;
+        const text = message.text.trim();
+
+        // /start <código>: vincular el chat con la cuenta del usuario
+        if (text.startsWith('/start')) {
+            await this.handleStart(chatId, text.split(/\s+/)[1], message.from?.username);
+            return;
+        }
+
+        const user = await userService.getUserByTelegramChatId(chatId);
+        if (!user) {
+            await telegramSender.sendReply(null, this.getNotLinkedMessage(), { chatId });
+            return;
+        }
+
+        // Un usuario que escribe vuelve a ser alcanzable: se levanta la marca por fallos
+        await deliveryService.recordSuccess(user.id || user._id.toString());
+
+        // Los comandos de Telegram ("/partidos") se interpretan como texto
+        const reply = await commandBot.handleMessage(user, text.replace(/^\//, ''));
+        await telegramSender.sendReply(user.id || user._id.toString(), reply, { chatId });
+    }
+
+    /**
+     * Vincular chat con el código del enlace de invitación
+     * @param {number} chatId - ID del chat
+     * @param {string} code - Código de vinculación
+     * @param {string} username - Usuario de Telegram
+     */
+    async handleStart(chatId, code, username) {
+        const { user, reason } = await userService.linkTelegram(code, chatId, username);
+
+        if (!user) {
+            const linked = await userService.getUserByTelegramChatId(chatId);
+            await telegramSender.sendReply(
+                null,
+                linked ? messageGenerator.formatHelp('Tu cuenta ya está vinculada. ✅') : this.getLinkErrorMessage(reason),
+                { chatId }
+            );
+            return;
+        }
+
+        await telegramSender.sendReply(
+            user.id || user._id.toString(),
+            '✅ *Cuenta vinculada.* A partir de ahora recibirás tus alertas por Telegram.',
+            { chatId }
+        );
+    }
+
+    /**
+     * Manejar pulsación de botón del teclado en línea
+     * @param {Object} query - Callback query ({id, data, from, message})
+     */
+    async handleCallbackQuery(query) {
+        const chatId = query.message?.chat?.id ?? query.from.id;
+        const [action, alertId] = (query.data || '').split(':');
+
+        // Confirmar siempre la pulsación para quitar el indicador de carga
+        await telegramClient.answerCallbackQuery(query.id).catch(() => null);
+
+        const user = await userService.getUserByTelegramChatId(chatId);
+        if (!user) {
+            await telegramSender.sendReply(null, this.getNotLinkedMessage(), { chatId });
+            return;
+        }
+
+        const userId = user.id || user._id.toString();
+        const replyTo = query.message ? `${chatId}:${query.message.message_id}` : null;
+        logger.user(userId, 'button_reply', { action, channel: 'telegram' });
+
+        if (!this.actions.includes(action)) {
+            logger.debug(`Botón de Telegram sin acción asociada: ${query.data}`);
+            return;
+        }
+
+        if (action === 'upgrade') {
+            logger.user(userId, 'upgrade_interest', { plan: user.plan });
+            await telegramSender.sendReply(
+                userId,
+                '⭐ Con los planes *Insider* y *Estratega* recibís las alertas antes, más partidos, ' +
+                'las cuotas por casa de apuestas y el análisis detallado de cada oportunidad.\n\n' +
+                'Escribí "plan" para ver tu plan actual.',
+                { chatId, replyTo }
+            );
+            return;
+        }
+
+        const alert = alertId ? await alertRepo.getAlertById(alertId) : null;
+        if (!alert) {
+            await telegramSender.sendReply(userId, 'No encontramos la alerta de este mensaje. 🤔', { chatId, replyTo });
+            return;
+        }
+
+        if (action === 'analysis') {
+            const result = await telegramSender.sendDetailedAnalysis(userId, alert, { replyTo });
+
+            if (!result.success && result.reason === 'plan_restriction') {
+                await telegramSender.sendReply(
+                    userId,
+                    '🔒 El análisis detallado está disponible en los planes Insider y Estratega.',
+                    { chatId, replyTo }
+                );
+            }
+        } else if (action === 'mute') {
+            await preferenceService.muteMatch(userId, alert.matchId);
+
+            const teams = alert.teams ? `${alert.teams.home.name} vs ${alert.teams.away.name}` : 'este partido';
+            await telegramSender.sendReply(
+                userId,
+                `🔕 Listo, no recibirás más alertas de ${teams}.`,
+                { chatId, replyTo }
+            );
+        }
+    }
+
+    /**
+     * Mensaje para un intento de vinculación rechazado
+     * @param {string} reason - Motivo (invalid_code, expired_code, already_linked, chat_in_use)
+     * @returns {string} - Mensaje
+     */
+    getLinkErrorMessage(reason) {
+        switch (reason) {
+            case 'expired_code':
+                return '⌛ El enlace de vinculación venció. Escribí *telegram* a nuestro WhatsApp para recibir uno nuevo.';
+            case 'already_linked':
+                return '🔒 Esa cuenta ya tiene otro Telegram vinculado. ' +
+                    'Para cambiarlo, escribí *desvincular telegram* a nuestro WhatsApp y pedí un enlace nuevo.';
+            default:
+                return this.getNotLinkedMessage();
+        }
+    }
+
+    /**
+     * Mensaje para chats sin cuenta vinculada
+     * @returns {string} - Mensaje
+     */
+    getNotLinkedMessage() {
+        return '👋 Este chat no está vinculado a ninguna cuenta de GolazoAlerts. ' +
+            'Escribí *telegram* a nuestro WhatsApp y abrí el enlace que te enviamos para empezar a recibir alertas.';
+    }
+
+    /**
+     * Comprobar si una actualización ya fue procesada (y registrarla si no)
+     * @param {number} updateId - ID de la actualización
+     * @returns {boolean} - true si es un duplicado
+     */
+    isDuplicate(updateId) {
+        const now = Date.now();
+
+        for (const [id, timestamp] of this.processedUpdates.entries()) {
+            if (now - timestamp > this.processedTtl) this.processedUpdates.delete(id);
+        }
+
+        if (this.processedUpdates.has(updateId)) return true;
+
+        this.processedUpdates.set(updateId, now);
+        return false;
+    }
+}
+
+module.exports = new TelegramWebhook();
@@ -0,0 +1,187 @@
+/**
+ * Mensajero por webhook
+ * Entrega las alertas como JSON al webhook propio del usuario (integraciones,
+ * bots propios). El cuerpo se firma con el secreto del usuario en la cabecera
+ * X-Golazo-Signature-256 (sha256=<hmac>). Solo se publica por https a
+ * direcciones públicas: las privadas, de loopback y link-local se rechazan
+ * tras resolver el DNS, en la misma conexión que hace la petición
+ */
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const config = require('../../config/app-config').messaging.webhook;
+const logger = require('../../utils/logger');
+const userService = require('../../services/user-service');
+const messengerRegistry = require('../messenger-registry');
+
+class WebhookMessenger {
+    constructor() {
+        this.isEnabled = config.enabled;
+        this.timeout = config.timeout;
+        this.maxResponseSize = config.maxResponseSize;
+
+        // Direcciones no públicas (privadas, loopback, link-local, reservadas)
+        this.blockedAddresses = new net.BlockList();
+        [
+            ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+            ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+            ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+        ].forEach(([address, prefix]) => this.blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+        [
+            ['::', 128], ['::1', 128], ['64:ff9b::', 96],
+            ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+        ].forEach(([address, prefix]) => this.blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+        // La comprobación se hace al resolver cada conexión (evita cambios de DNS entre comprobar y conectar)
+        this.httpsAgent = new https.Agent({
+            lookup: (hostname, options, callback) => this.lookupPublic(hostname, options, callback)
+        });
+    }
+
+    // Comprobar si el usuario tiene un webhook https configurado
+    isAvailableFor(user) {
+        return this.isEnabled && !!this.parseUrl(user?.webhook?.url);
+    }
+
+    // Enviar pre-alerta
+    async sendPreAlert(userId, message, options = {}) {
+        return this.deliver(userId, 'preAlert', message, options);
+    }
+
+    // Enviar alerta principal
+    async sendMainAlert(userId, message, options = {}) {
+        return this.deliver(userId, 'mainAlert', message, options);
+    }
+
+    // Enviar análisis detallado
+    async sendDetailedAnalysis(userId, message, options = {}) {
+        return this.deliver(userId, 'detailedAnalysis', message, options);
+    }
+
+    // Enviar seguimiento de alerta
+    async sendFollowUp(userId, message, options = {}) {
+        return this.deliver(userId, 'followUp', message, options);
+    }
+
+    // Enviar alerta de movimiento brusco de cuota (datos del movimiento en el campo alert)
+    async sendSteamAlert(userId, message, options = {}) {
+        return this.deliver(userId, 'steamAlert', message, options);
+    }
+
+    // Enviar resumen diario (con los datos estructurados en el campo digest)
+    async sendDigest(userId, message, options = {}) {
+        return this.deliver(userId, 'digest', message, options);
+    }
+
+    // Publicar evento en el webhook del usuario
+    async deliver(userId, event, message, options = {}) {
+        if (!this.isEnabled) {
+            logger.info(`Webhooks de usuario desactivados. No se envió ${event}.`);
+            return { success: false, reason: 'webhook_disabled' };
+        }
+
+        try {
+            const user = await userService.getUserById(userId);
+            if (!user?.webhook?.url) return { success: false, reason: 'no_webhook' };
+
+            const url = this.parseUrl(user.webhook.url);
+            if (!url) return { success: false, reason: 'invalid_webhook', error: 'Se requiere una URL https' };
+
+            // Las IP literales no pasan por el DNS: se comprueban aquí
+            const literal = url.hostname.replace(/^\[|\]$/g, '');
+            if (net.isIP(literal) && this.isBlockedAddress(literal)) {
+                return { success: false, reason: 'invalid_webhook', error: `Dirección no permitida: ${literal}` };
+            }
+
+            const messageId = crypto.randomUUID();
+            const body = JSON.stringify({
+                id: messageId,
+                event,
+                userId,
+                alertId: options.alertId || null,
+                outcome: options.outcome || null,
+                text: typeof message === 'string' ? message : null,
+                alert: options.goldenMoment || null,
+                digest: options.digest || null,
+                sentAt: new Date().toISOString()
+            });
+
+            const headers = { 'Content-Type': 'application/json' };
+            if (user.webhook.secret) {
+                const signature = crypto.createHmac('sha256', user.webhook.secret).update(body).digest('hex');
+                headers['X-Golazo-Signature-256'] = `sha256=${signature}`;
+            }
+
+            await axios.post(url.href, body, {
+                headers,
+                httpsAgent: this.httpsAgent,
+                timeout: this.timeout,
+                signal: AbortSignal.timeout(this.timeout), // Plazo total aunque la respuesta llegue a goteo
+                maxRedirects: 0,
+                maxContentLength: this.maxResponseSize,
+                responseType: 'text'
+            });
+
+            return { success: true, messageId };
+        } catch (error) {
+            if (error.code === 'EBLOCKEDADDRESS') {
+                logger.warn(`Webhook del usuario ${userId} rechazado: ${error.message}`);
+                return { success: false, reason: 'invalid_webhook', error: error.message };
+            }
+
+            logger.error(`Error enviando ${event} al webhook del usuario ${userId}: ${error.message}`);
+            return { success: false, reason: 'send_error', error: error.message, status: error.response?.status };
+        }
+    }
+
+    /**
+     * Validar la URL del webhook
+     * @param {string} value - URL configurada por el usuario
+     * @returns {URL|null} - URL https o null si no es válida
+     */
+    parseUrl(value) {
+        try {
+            const url = new URL(value);
+            return url.protocol === 'https:' ? url : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Comprobar si una IP está fuera de las direcciones públicas
+     * @param {string} address - IPv4 o IPv6
+     * @returns {boolean} - true si no se puede publicar en ella
+     */
+    isBlockedAddress(address) {
+        const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+        return this.blockedAddresses.check(address, type);
+    }
+
+    /**
+     * Resolver el host del webhook rechazando las direcciones no públicas
+     * (misma firma que dns.lookup, para el agente https)
+     */
+    lookupPublic(hostname, options, callback) {
+        dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+            if (error) return callback(error);
+
+            const blocked = addresses.find(entry => this.isBlockedAddress(entry.address));
+            if (blocked || addresses.length === 0) {
+                const rejection = new Error(`Dirección no permitida para ${hostname}: ${blocked?.address || 'ninguna'}`);
+                rejection.code = 'EBLOCKEDADDRESS';
+                return callback(rejection);
+            }
+
+            if (options.all) return callback(null, addresses);
+            callback(null, addresses[0].address, addresses[0].family);
+        });
+    }
+}
+
+const webhookMessenger = new WebhookMessenger();
+messengerRegistry.register('webhook', webhookMessenger);
+
+module.exports = webhookMessenger;
@@ -22,10 +22,10 @@ class WhatsAppClient {
         });
     }
 
-    // Enviar mensaje de texto
-    async sendTextMessage(to, text) {
+    // Enviar mensaje de texto (opcionalmente como respuesta a otro mensaje)
+    async sendTextMessage(to, text, replyToMessageId = null) {
         try {
-            const response = await this.httpClient.post('/messages', {
+            const payload = {
                 messaging_product: 'whatsapp',
                 recipient_type: 'individual',
                 to: to,
@@ -33,7 +33,13 @@ class WhatsAppClient {
                 text: {
                     body: text
                 }
-            });
+            };
+
+            if (replyToMessageId) {
+                payload.context = { message_id: replyToMessageId };
+            }
+
+            const response = await this.httpClient.post('/messages', payload);
 
             logger.info(`Mensaje enviado a ${to}`);
             return response.data;
@@ -43,7 +49,7 @@ class WhatsAppClient {
         }
     }
 
-    // Enviar mensaje con botones
+    // Enviar mensaje con botones (texto o {id, title})
     async sendButtonMessage(to, text, buttons) {
         try {
             const response = await this.httpClient.post('/messages', {
@@ -59,10 +65,9 @@ class WhatsAppClient {
                     action: {
                         buttons: buttons.map((button, index) => ({
                             type: 'reply',
-                            reply: {
-                                id: `button_${index}`,
-                                title: button
-                            }
+                            reply: typeof button === 'string'
+                                ? { id: `button_${index}`, title: button }
+                                : { id: button.id, title: button.title }
                         }))
                     }
                 }
@@ -76,6 +81,31 @@ class WhatsAppClient {
         }
     }
 
+    // Enviar mensaje de plantilla (HSM) aprobada
+    async sendTemplateMessage(to, name, languageCode, components = []) {
+        try {
+            const response = await this.httpClient.post('/messages', {
+                messaging_product: 'whatsapp',
+                recipient_type: 'individual',
+                to: to,
+                type: 'template',
+                template: {
+                    name: name,
+                    language: {
+                        code: languageCode
+                    },
+                    components: components
+                }
+            });
+
+            logger.info(`Plantilla ${name} enviada a ${to}`);
+            return response.data;
+        } catch (error) {
+            logger.error(`Error enviando plantilla ${name}: ${error.message}`);
+            throw error;
+        }
+    }
+
     // Enviar mensaje con sección de lista
     async sendListMessage(to, text, sections) {
         try {
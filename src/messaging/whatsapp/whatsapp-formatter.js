@@ -0,0 +1,205 @@
+/**
+ * Formateador de mensajes para WhatsApp
+ * Convierte los mensajes del MessageGenerator al formato de WhatsApp
+ * (*negrita*, _cursiva_), respeta los límites de longitud del canal
+ * y construye los botones de cada plan
+ */
+const messageGenerator = require('../../core/message-generator');
+
+class WhatsAppFormatter {
+    constructor() {
+        // Límites de WhatsApp Cloud API
+        this.limits = {
+            text: 4096,           // Cuerpo de mensaje de texto
+            interactiveBody: 1024, // Cuerpo de mensaje con botones
+            buttonTitle: 20,      // Título de botón
+            buttons: 3            // Botones por mensaje
+        };
+
+        // Botones de la alerta principal según plan (el ID indica la acción al webhook)
+        this.planButtons = {
+            free: [
+                { id: 'upgrade', title: 'Upgrade' },
+                { id: 'mute', title: 'Silenciar partido' }
+            ],
+            insider: [
+                { id: 'analysis', title: 'Ver análisis' },
+                { id: 'mute', title: 'Silenciar partido' }
+            ],
+            estratega: [
+                { id: 'analysis', title: 'Análisis completo' },
+                { id: 'mute', title: 'Silenciar partido' }
+            ]
+        };
+    }
+
+    /**
+     * Formatear pre-alerta
+     * @param {string|Object} alert - Mensaje del MessageGenerator o momento dorado
+     * @returns {string} - Mensaje para WhatsApp
+     */
+    formatPreAlert(alert) {
+        const message = typeof alert === 'string'
+            ? alert
+            : messageGenerator.formatPreAlert(alert);
+
+        return this.truncate(this.toMarkup(message), this.limits.text);
+    }
+
+    /**
+     * Formatear alerta principal con los botones del plan
+     * @param {string|Object} alert - Mensaje del MessageGenerator o momento dorado
+     * @param {string} plan - Plan vigente del usuario
+     * @returns {Object} - {text, buttons}
+     */
+    formatMainAlert(alert, plan = 'free') {
+        const message = typeof alert === 'string'
+            ? alert
+            : messageGenerator.formatGoldenMoment(alert, plan).mainAlert;
+
+        return {
+            // Los mensajes con botones tienen un cuerpo más corto que los de texto
+            text: this.truncate(this.toMarkup(message), this.limits.interactiveBody),
+            buttons: this.buildButtons(plan)
+        };
+    }
+
+    /**
+     * Formatear análisis detallado, dividido en varios mensajes si es largo
+     * @param {string|Object} alert - Mensaje del MessageGenerator o alerta guardada
+     * @param {string} plan - Plan vigente del usuario
+     * @returns {Array<string>} - Mensajes a enviar en orden
+     */
+    formatDetailedAnalysis(alert, plan = 'free') {
+        const message = typeof alert === 'string'
+            ? alert
+            : messageGenerator.formatDetailedAnalysis(alert, plan);
+
+        return this.split(this.toMarkup(message), this.limits.text);
+    }
+
+    /**
+     * Formatear seguimiento de alerta
+     * @param {string} message - Mensaje del MessageGenerator
+     * @returns {string} - Mensaje para WhatsApp
+     */
+    formatFollowUp(message) {
+        return this.truncate(this.toMarkup(message), this.limits.text);
+    }
+
+    /**
+     * Construir botones de la alerta principal según plan
+     * @param {string} plan - Plan del usuario
+     * @returns {Array} - Botones [{id, title}]
+     */
+    buildButtons(plan) {
+        const buttons = this.planButtons[plan] || this.planButtons.free;
+
+        return buttons
+            .slice(0, this.limits.buttons)
+            .map(button => ({
+                id: button.id,
+                title: this.truncate(button.title, this.limits.buttonTitle)
+            }));
+    }
+
+    /**
+     * Convertir texto del MessageGenerator a formato WhatsApp
+     * - Títulos en mayúsculas → *negrita*
+     * - "ETIQUETA: valor" → *ETIQUETA:* valor
+     * - Avisos (⏰) → _cursiva_
+     * - Acciones entre corchetes ([VER ANÁLISIS]) se eliminan: son botones reales
+     * @param {string} text - Texto original
+     * @returns {string} - Texto con formato WhatsApp
+     */
+    toMarkup(text) {
+        const lines = (text || '').split('\n').map(line => {
+            const trimmed = line.trim();
+
+            // Líneas sin texto o con formato propio se dejan como están
+            if (!trimmed || /[*_]/.test(trimmed)) return trimmed;
+
+            if (/^(\[[^\]]+\]\s*)+$/.test(trimmed)) return null;
+
+            if (trimmed.startsWith('⏰')) return `_${trimmed}_`;
+
+            const label = trimmed.match(/^([\p{Lu} ]+):\s+(\S.*)$/u);
+            if (label) return `*${label[1]}:* ${label[2]}`;
+
+            if (/\p{L}/u.test(trimmed) && !/\p{Ll}/u.test(trimmed)) return `*${trimmed}*`;
+
+            return trimmed;
+        });
+
+        return lines
+            .filter(line => line !== null)
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * Recortar texto a una longitud máxima (por línea completa si es posible)
+     * @param {string} text - Texto
+     * @param {number} limit - Longitud máxima
+     * @returns {string} - Texto recortado
+     */
+    truncate(text, limit) {
+        if (text.length <= limit) return text;
+
+        const cut = text.slice(0, limit - 1);
+        const lastLine = cut.lastIndexOf('\n');
+
+        // Evitar recortar una línea a la mitad si se pierde poco texto
+        return (lastLine > limit * 0.5 ? cut.slice(0, lastLine) : cut).trimEnd() + '…';
+    }
+
+    /**
+     * Dividir texto largo en varios mensajes, por párrafos y líneas
+     * @param {string} text - Texto
+     * @param {number} limit - Longitud máxima por mensaje
+     * @returns {Array<string>} - Partes numeradas si hay más de una
+     */
+    split(text, limit) {
+        if (text.length <= limit) return [text];
+
+        // Reservar espacio para la numeración " _(n/m)_"
+        const partLimit = limit - 12;
+        const parts = [];
+        let current = '';
+
+        const pushBlock = (block, separator) => {
+            const candidate = current ? `${current}${separator}${block}` : block;
+            if (candidate.length <= partLimit) {
+                current = candidate;
+                return true;
+            }
+            return false;
+        };
+
+        for (const paragraph of text.split('\n\n')) {
+            if (pushBlock(paragraph, '\n\n')) continue;
+
+            // Párrafo que no entra: repartir por líneas y, si hace falta, por caracteres
+            paragraph.split('\n').forEach((line, index) => {
+                if (pushBlock(line, index === 0 ? '\n\n' : '\n')) return;
+
+                if (current) parts.push(current);
+                current = '';
+
+                let rest = line;
+                while (rest.length > partLimit) {
+                    parts.push(rest.slice(0, partLimit));
+                    rest = rest.slice(partLimit);
+                }
+                current = rest;
+            });
+        }
+
+        if (current) parts.push(current);
+
+        return parts.map((part, index) => `${part}\n\n_(${index + 1}/${parts.length})_`);
+    }
+}
+
+module.exports = new WhatsAppFormatter();
@@ -4,18 +4,31 @@
  */
 const whatsappClient = require('./whatsapp-client');
 const whatsappFormatter = require('./whatsapp-formatter');
+const whatsappTemplates = require('./whatsapp-templates');
+const config = require('../../config/app-config').whatsapp;
 const logger = require('../../utils/logger');
+const userRepo = require('../../db/repositories/user-repo');
 const userService = require('../../services/user-service');
+const entitlementService = require('../../services/entitlement-service');
+const messengerRegistry = require('../messenger-registry');
 
 class WhatsAppSender {
     constructor() {
         this.isEnabled = process.env.ENABLE_WHATSAPP === 'true';
         this.isTestMode = process.env.WHATSAPP_TEST_MODE === 'true';
         this.testRecipient = process.env.WHATSAPP_TEST_RECIPIENT;
+
+        // Ventana de conversación para enviar texto libre
+        this.sessionWindow = config.sessionWindow;
+    }
+
+    // Comprobar si se puede escribir al usuario por WhatsApp
+    isAvailableFor(user) {
+        return this.isEnabled && !!(this.isTestMode ? this.testRecipient : user?.phone);
     }
 
-    // Enviar pre-alerta
-    async sendPreAlert(userId, alert) {
+    // Enviar pre-alerta (options.goldenMoment permite usar plantilla fuera de la ventana)
+    async sendPreAlert(userId, alert, options = {}) {
         if (!this.isEnabled) {
             logger.info('WhatsApp desactivado. No se envió pre-alerta.');
             return { success: false, reason: 'whatsapp_disabled' };
@@ -29,40 +42,41 @@ class WhatsAppSender {
             // Formatear mensaje
             const message = whatsappFormatter.formatPreAlert(alert);
 
-            // Enviar mensaje
-            const result = await whatsappClient.sendTextMessage(userPhone, message);
-
-            return { success: true, messageId: result.messages[0].id };
+            // Enviar mensaje (texto libre o plantilla según la ventana de conversación)
+            return await this.sendWithinWindow(userId, userPhone, 'preAlert', options, () =>
+                whatsappClient.sendTextMessage(userPhone, message)
+            );
         } catch (error) {
             logger.error(`Error enviando pre-alerta WhatsApp: ${error.message}`);
-            return { success: false, reason: 'send_error', error: error.message };
+            return { success: false, reason: 'send_error', error: error.message, status: error.response?.status };
         }
     }
 
-    // Enviar alerta principal
-    async sendMainAlert(userId, alert) {
+    // Enviar alerta principal (options.goldenMoment permite usar plantilla fuera de la ventana)
+    async sendMainAlert(userId, alert, options = {}) {
         if (!this.isEnabled) {
             logger.info('WhatsApp desactivado. No se envió alerta principal.');
             return { success: false, reason: 'whatsapp_disabled' };
         }
 
         try {
-            // Obtener número de teléfono y plan del usuario
+            // Obtener número de teléfono y permisos vigentes del usuario
             const userPhone = await this.getUserPhone(userId);
-            const userPlan = await userService.getUserPlan(userId);
+            const entitlements = await entitlementService.getEntitlementsForUser(userId);
 
             if (!userPhone) return { success: false, reason: 'invalid_phone' };
+            if (!entitlements) return { success: false, reason: 'user_inactive' };
 
             // Formatear mensaje según plan
-            const { text, buttons } = whatsappFormatter.formatMainAlert(alert, userPlan);
-
-            // Enviar mensaje con botones
-            const result = await whatsappClient.sendButtonMessage(userPhone, text, buttons);
+            const { text, buttons } = whatsappFormatter.formatMainAlert(alert, entitlements.plan);
 
-            return { success: true, messageId: result.messages[0].id };
+            // Enviar mensaje con botones (o plantilla con respuestas rápidas)
+            return await this.sendWithinWindow(userId, userPhone, 'mainAlert', options, () =>
+                whatsappClient.sendButtonMessage(userPhone, text, buttons)
+            );
         } catch (error) {
             logger.error(`Error enviando alerta principal WhatsApp: ${error.message}`);
-            return { success: false, reason: 'send_error', error: error.message };
+            return { success: false, reason: 'send_error', error: error.message, status: error.response?.status };
         }
     }
 
@@ -74,30 +88,134 @@ class WhatsAppSender {
         }
 
         try {
-            // Obtener número de teléfono y plan del usuario
+            // Obtener número de teléfono y permisos vigentes del usuario
             const userPhone = await this.getUserPhone(userId);
-            const userPlan = await userService.getUserPlan(userId);
+            const entitlements = await entitlementService.getEntitlementsForUser(userId);
 
             if (!userPhone) return { success: false, reason: 'invalid_phone' };
 
-            // Verificar si el plan permite análisis detallado
-            if (userPlan === 'free') {
+            // Verificar si el plan vigente permite análisis detallado
+            if (!entitlements || !entitlements.detailedAnalysis) {
                 return { success: false, reason: 'plan_restriction' };
             }
 
-            // Formatear mensaje
-            const message = whatsappFormatter.formatDetailedAnalysis(alert, userPlan);
+            // Formatear mensaje (dividido en partes si supera el límite de WhatsApp)
+            const parts = whatsappFormatter.formatDetailedAnalysis(alert, entitlements.plan);
 
-            // Enviar mensaje
-            const result = await whatsappClient.sendTextMessage(userPhone, message);
+            // Enviar partes en orden
+            let result = null;
+            for (const part of parts) {
+                result = await whatsappClient.sendTextMessage(userPhone, part);
+            }
 
-            return { success: true, messageId: result.messages[0].id };
+            return { success: true, messageId: result.messages[0].id, parts: parts.length };
         } catch (error) {
             logger.error(`Error enviando análisis detallado: ${error.message}`);
-            return { success: false, reason: 'send_error', error: error.message };
+            return { success: false, reason: 'send_error', error: error.message, status: error.response?.status };
+        }
+    }
+
+    // Enviar seguimiento de alerta (respondiendo a la alerta original si se conoce)
+    // options: {replyTo, goldenMoment, outcome} para usar plantilla fuera de la ventana
+    async sendFollowUp(userId, message, options = {}) {
+        if (!this.isEnabled) {
+            logger.info('WhatsApp desactivado. No se envió seguimiento.');
+            return { success: false, reason: 'whatsapp_disabled' };
+        }
+
+        try {
+            // Obtener número de teléfono del usuario
+            const userPhone = await this.getUserPhone(userId);
+            if (!userPhone) return { success: false, reason: 'invalid_phone' };
+
+            // Enviar mensaje como respuesta a la alerta original
+            const text = whatsappFormatter.formatFollowUp(message);
+            return await this.sendWithinWindow(userId, userPhone, 'followUp', options, () =>
+                whatsappClient.sendTextMessage(userPhone, text, options.replyTo)
+            );
+        } catch (error) {
+            logger.error(`Error enviando seguimiento WhatsApp: ${error.message}`);
+            return { success: false, reason: 'send_error', error: error.message, status: error.response?.status };
         }
     }
 
+    // Enviar alerta de movimiento brusco de cuota (solo dentro de la ventana: no hay plantilla)
+    async sendSteamAlert(userId, message, options = {}) {
+        if (!this.isEnabled) {
+            logger.info('WhatsApp desactivado. No se envió alerta steam.');
+            return { success: false, reason: 'whatsapp_disabled' };
+        }
+
+        try {
+            const userPhone = await this.getUserPhone(userId);
+            if (!userPhone) return { success: false, reason: 'invalid_phone' };
+
+            const text = whatsappFormatter.formatFollowUp(message);
+            return await this.sendWithinWindow(userId, userPhone, 'steamAlert', {}, () =>
+                whatsappClient.sendTextMessage(userPhone, text)
+            );
+        } catch (error) {
+            logger.error(`Error enviando alerta steam WhatsApp: ${error.message}`);
+            return { success: false, reason: 'send_error', error: error.message, status: error.response?.status };
+        }
+    }
+
+    // Enviar respuesta de texto a un mensaje del usuario
+    async sendReply(userId, message, options = {}) {
+        if (!this.isEnabled) {
+            logger.info('WhatsApp desactivado. No se envió respuesta.');
+            return { success: false, reason: 'whatsapp_disabled' };
+        }
+
+        try {
+            const userPhone = await this.getUserPhone(userId);
+            if (!userPhone) return { success: false, reason: 'invalid_phone' };
+
+            const result = await whatsappClient.sendTextMessage(userPhone, message, options.replyTo);
+
+            return { success: true, messageId: result.messages[0].id };
+        } catch (error) {
+            logger.error(`Error enviando respuesta WhatsApp: ${error.message}`);
+            return { success: false, reason: 'send_error', error: error.message, status: error.response?.status };
+        }
+    }
+
+    // Enviar texto libre dentro de la ventana de 24 horas o plantilla fuera de ella
+    async sendWithinWindow(userId, userPhone, templateKey, options, sendFreeForm) {
+        if (await this.isSessionOpen(userId)) {
+            const result = await sendFreeForm();
+            return { success: true, messageId: result.messages[0].id, template: false };
+        }
+
+        if (!options.goldenMoment || !whatsappTemplates.has(templateKey)) {
+            logger.warn(`Ventana de conversación cerrada para usuario ${userId} y sin plantilla ${templateKey}`);
+            return { success: false, reason: 'session_closed' };
+        }
+
+        const template = whatsappTemplates.build(templateKey, options.goldenMoment, options);
+        const result = await whatsappClient.sendTemplateMessage(
+            userPhone,
+            template.name,
+            template.language,
+            template.components
+        );
+
+        return { success: true, messageId: result.messages[0].id, template: true };
+    }
+
+    // Comprobar si el usuario nos escribió en las últimas 24 horas
+    async isSessionOpen(userId) {
+        const user = await userService.getUserById(userId);
+        const lastInboundAt = user?.whatsapp?.lastInboundAt;
+
+        return !!lastInboundAt && Date.now() - new Date(lastInboundAt).getTime() < this.sessionWindow;
+    }
+
+    // Registrar mensaje recibido del usuario (abre o renueva la ventana de conversación)
+    async recordInboundMessage(userId, timestamp = new Date()) {
+        return userRepo.updateUser(userId, { whatsapp: { lastInboundAt: timestamp } });
+    }
+
     // Obtener número de teléfono del usuario
     async getUserPhone(userId) {
         if (this.isTestMode) {
@@ -109,4 +227,7 @@ class WhatsAppSender {
     }
 }
 
-module.exports = new WhatsAppSender();
\ No newline at end of file
+const whatsappSender = new WhatsAppSender();
+messengerRegistry.register('whatsapp', whatsappSender);
+
+module.exports = whatsappSender;
\ No newline at end of file
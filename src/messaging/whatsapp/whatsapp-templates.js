@@ -0,0 +1,120 @@
+/**
+ * Plantillas de WhatsApp (HSM)
+ * Construye los componentes de las plantillas aprobadas a partir de
+ * un momento dorado, según el mapeo de parámetros de la configuración
+ */
+const config = require('../../config/app-config').whatsapp;
+const messageGenerator = require('../../core/message-generator');
+
+class WhatsAppTemplates {
+    constructor() {
+        this.language = config.templates.language;
+        this.templates = config.templates;
+
+        // Textos de resultado para las plantillas de seguimiento
+        this.outcomeTexts = {
+            success: '✅ Acertada',
+            fail: '❌ No cumplida',
+            pending: '⏳ En curso',
+            void: '🚫 Anulada'
+        };
+
+        // Cómo obtener cada parámetro a partir del momento dorado
+        this.resolvers = {
+            homeTeam: (moment) => moment.teams?.home?.name,
+            awayTeam: (moment) => moment.teams?.away?.name,
+            match: (moment) => `${moment.teams?.home?.name} vs ${moment.teams?.away?.name}`,
+            minute: (moment) => moment.minute,
+            title: (moment) => messageGenerator.templates[moment.market]?.title || '🔥 MOMENTO DORADO',
+            market: (moment) => messageGenerator.getMarketName(moment.market),
+            odds: (moment) => moment.odds?.value ? moment.odds.value.toFixed(2) : '-',
+            probability: (moment) => {
+                const probability = moment.prediction?.probability;
+                if (typeof probability !== 'number') return '-';
+                // Las alertas antiguas de nextGoal (sin lado) guardan la del local: mostrar la del lado favorecido
+                const favoured = moment.market === 'nextGoal' && !moment.side && probability <= 0.5 ? 1 - probability : probability;
+                return `${Math.round(favoured * 100)}%`;
+            },
+            outcome: (moment, extra) => this.outcomeTexts[extra.outcome] || this.outcomeTexts.pending
+        };
+    }
+
+    /**
+     * Comprobar si hay plantilla configurada para un tipo de mensaje
+     * @param {string} key - Tipo de mensaje (preAlert, mainAlert, followUp)
+     * @returns {boolean} - true si existe
+     */
+    has(key) {
+        return !!this.templates[key]?.name;
+    }
+
+    /**
+     * Construir plantilla para un tipo de mensaje
+     * @param {string} key - Tipo de mensaje (preAlert, mainAlert, followUp)
+     * @param {Object} goldenMoment - Momento dorado o alerta guardada
+     * @param {Object} extra - Datos adicionales (p. ej. {outcome})
+     * @returns {Object} - {name, language, components}
+     */
+    build(key, goldenMoment, extra = {}) {
+        const template = this.templates[key];
+        if (!template) {
+            throw new Error(`Plantilla de WhatsApp no configurada: ${key}`);
+        }
+
+        const components = [{
+            type: 'body',
+            parameters: (template.parameters || []).map(parameter => ({
+                type: 'text',
+                text: this.sanitize(this.resolveParameter(parameter, goldenMoment, extra))
+            }))
+        }];
+
+        // Botones de respuesta rápida: el payload llega al webhook al pulsarlos
+        (template.buttons || []).forEach((payload, index) => {
+            components.push({
+                type: 'button',
+                sub_type: 'quick_reply',
+                index: String(index),
+                parameters: [{ type: 'payload', payload }]
+            });
+        });
+
+        return {
+            name: template.name,
+            language: this.language,
+            components
+        };
+    }
+
+    /**
+     * Resolver un parámetro de plantilla
+     * @param {string} parameter - Nombre del parámetro
+     * @param {Object} goldenMoment - Momento dorado
+     * @param {Object} extra - Datos adicionales
+     * @returns {string} - Valor del parámetro
+     */
+    resolveParameter(parameter, goldenMoment, extra) {
+        const resolver = this.resolvers[parameter];
+        if (!resolver) {
+            throw new Error(`Parámetro de plantilla desconocido: ${parameter}`);
+        }
+
+        const value = resolver(goldenMoment, extra);
+        return value === undefined || value === null ? '-' : String(value);
+    }
+
+    /**
+     * Adaptar texto a las reglas de parámetros de plantilla
+     * (sin saltos de línea, tabulaciones ni más de 4 espacios seguidos)
+     * @param {string} text - Texto
+     * @returns {string} - Texto válido como parámetro
+     */
+    sanitize(text) {
+        return text
+            .replace(/[\n\t]+/g, ' ')
+            .replace(/ {4,}/g, '   ')
+            .trim();
+    }
+}
+
+module.exports = new WhatsAppTemplates();
@@ -0,0 +1,300 @@
+/**
+ * Webhook de WhatsApp Cloud API
+ * Valida las notificaciones entrantes y enruta las respuestas de los usuarios
+ * (botones y mensajes de texto) a sus manejadores
+ */
+const crypto = require('crypto');
+const config = require('../../config/app-config');
+const whatsappSender = require('./whatsapp-sender');
+const alertRepo = require('../../db/repositories/alert-repo');
+const userService = require('../../services/user-service');
+const preferenceService = require('../../services/preference-service');
+const commandBot = require('../../core/command-bot');
+const deliveryService = require('../../services/delivery-service');
+const logger = require('../../utils/logger');
+
+class WhatsAppWebhook {
+    constructor() {
+        this.verifyToken = config.whatsapp.verifyToken;
+        this.appSecret = config.whatsapp.appSecret;
+        this.isDevelopment = config.app.environment === 'development';
+
+        // Mensajes ya procesados (WhatsApp reintenta las notificaciones no confirmadas)
+        this.processedMessages = new Map();
+        this.processedTtl = 60 * 60 * 1000; // 1 hora
+
+        // Acciones de los botones: por ID de botón o por título
+        this.buttonActions = {
+            analysis: ['ver analisis', 'ver analisis completo', 'analisis'],
+            mute: ['silenciar', 'silenciar partido', 'silenciar este partido'],
+            upgrade: ['upgrade', 'mejorar plan']
+        };
+    }
+
+    /**
+     * Resolver el handshake de verificación del webhook
+     * @param {Object} query - Query string (hub.mode, hub.verify_token, hub.challenge)
+     * @returns {string|null} - Challenge a devolver o null si no es válido
+     */
+    verifyChallenge(query) {
+        const mode = query['hub.mode'];
+        const token = query['hub.verify_token'];
+        const challenge = query['hub.challenge'];
+
+        if (mode === 'subscribe' && this.verifyToken && token === this.verifyToken) {
+            logger.info('Webhook de WhatsApp verificado');
+            return challenge;
+        }
+
+        logger.warn('Intento de verificación de webhook de WhatsApp inválido');
+        return null;
+    }
+
+    /**
+     * Validar la firma X-Hub-Signature-256 de una notificación
+     * @param {Buffer} rawBody - Cuerpo original de la petición
+     * @param {string} signature - Cabecera X-Hub-Signature-256
+     * @returns {boolean} - true si la firma es válida
+     */
+    validateSignature(rawBody, signature) {
+        if (!this.appSecret) {
+            // Sin secreto configurado solo se aceptan notificaciones en desarrollo
+            if (this.isDevelopment) {
+                logger.warn('WHATSAPP_APP_SECRET no configurado. Firma de webhook sin validar.');
+                return true;
+            }
+            return false;
+        }
+
+        if (!rawBody || !signature || !signature.startsWith('sha256=')) {
+            return false;
+        }
+
+        const expected = crypto
+            .createHmac('sha256', this.appSecret)
+            .update(rawBody)
+            .digest('hex');
+        const received = signature.slice('sha256='.length);
+
+        if (received.length !== expected.length) return false;
+        return crypto.timingSafeEqual(Buffer.from(received, 'hex'), Buffer.from(expected, 'hex'));
+    }
+
+    /**
+     * Procesar una notificación del webhook (mensajes y estados de entrega)
+     * @param {Object} body - Cuerpo de la notificación
+     * @returns {Promise<number>} - Número de mensajes entrantes procesados
+     */
+    async handleNotification(body) {
+        let processed = 0;
+
+        if (body?.object !== 'whatsapp_business_account') {
+            return processed;
+        }
+
+        for (const entry of body.entry || []) {
+            for (const change of entry.changes || []) {
+                if (change.field !== 'messages') continue;
+
+                // Estados de entrega de los mensajes enviados
+                for (const status of change.value?.statuses || []) {
+                    await deliveryService.handleStatus(status);
+                }
+
+                for (const message of change.value?.messages || []) {
+                    if (this.isDuplicate(message.id)) continue;
+
+                    try {
+                        await this.handleMessage(message);
+                        processed++;
+                    } catch (error) {
+                        logger.error(`Error procesando mensaje entrante de WhatsApp: ${error.message}`);
+                    }
+                }
+            }
+        }
+
+        return processed;
+    }
+
+    /**
+     * Enrutar un mensaje entrante según su tipo
+     * @param {Object} message - Mensaje de la notificación
+     */
+    async handleMessage(message) {
+        const user = await userService.getUserByPhone(`+${message.from}`);
+        if (!user) {
+            logger.warn(`Mensaje de WhatsApp de número no registrado: ${message.from}`);
+            return;
+        }
+
+        const userId = user.id || user._id.toString();
+        const contextId = message.context?.id || null;
+
+        // Cualquier mensaje del usuario abre la ventana de 24 horas para texto libre
+        const receivedAt = message.timestamp ? new Date(parseInt(message.timestamp) * 1000) : new Date();
+        await whatsappSender.recordInboundMessage(userId, receivedAt);
+
+        // Un usuario que escribe vuelve a ser alcanzable: se levanta la marca por fallos
+        await deliveryService.recordSuccess(userId);
+
+        if (message.type === 'interactive' && message.interactive?.type === 'button_reply') {
+            await this.handleButtonReply(user, message.interactive.button_reply, contextId);
+        } else if (message.type === 'button') {
+            // Botones de respuesta rápida de plantillas
+            await this.handleButtonReply(user, { id: message.button.payload, title: message.button.text }, contextId);
+        } else if (message.type === 'text') {
+            await this.handleTextMessage(user, message.text.body, contextId);
+        } else {
+            logger.debug(`Mensaje de WhatsApp de tipo ${message.type} ignorado (usuario ${userId})`);
+        }
+    }
+
+    /**
+     * Manejar pulsación de botón
+     * @param {Object} user - Usuario
+     * @param {Object} reply - {id, title}
+     * @param {string} contextId - ID del mensaje al que responde
+     */
+    async handleButtonReply(user, reply, contextId) {
+        const action = this.resolveAction(reply.id, reply.title);
+        logger.user(user.id || user._id.toString(), 'button_reply', { action, title: reply.title });
+
+        if (action === 'analysis') {
+            await this.handleAnalysisRequest(user, contextId);
+        } else if (action === 'mute') {
+            await this.handleMuteRequest(user, contextId);
+        } else if (action === 'upgrade') {
+            await this.handleUpgradeRequest(user, contextId);
+        } else {
+            logger.debug(`Botón de WhatsApp sin acción asociada: ${reply.title}`);
+        }
+    }
+
+    /**
+     * Manejar mensaje de texto libre (comandos del bot)
+     * @param {Object} user - Usuario
+     * @param {string} text - Texto recibido
+     * @param {string} contextId - ID del mensaje al que responde
+     */
+    async handleTextMessage(user, text, contextId) {
+        // "Silenciar" escrito como respuesta a una alerta equivale al botón
+        if (contextId && this.resolveAction(null, text) === 'mute') {
+            await this.handleMuteRequest(user, contextId);
+            return;
+        }
+
+        // El resto de mensajes se interpretan como comandos del bot
+        const reply = await commandBot.handleMessage(user, text);
+        await whatsappSender.sendReply(user.id || user._id.toString(), reply);
+    }
+
+    /**
+     * Enviar análisis detallado de la alerta a la que responde el usuario
+     * @param {Object} user - Usuario
+     * @param {string} contextId - ID del mensaje de la alerta
+     */
+    async handleAnalysisRequest(user, contextId) {
+        const userId = user.id || user._id.toString();
+        const alert = contextId ? await alertRepo.getAlertByMessageId(contextId) : null;
+
+        if (!alert) {
+            await whatsappSender.sendReply(userId, 'No encontramos la alerta de este mensaje. 🤔');
+            return;
+        }
+
+        const result = await whatsappSender.sendDetailedAnalysis(userId, alert);
+
+        if (!result.success && result.reason === 'plan_restriction') {
+            await whatsappSender.sendReply(
+                userId,
+                '🔒 El análisis detallado está disponible en los planes Insider y Estratega.',
+                { replyTo: contextId }
+            );
+        }
+    }
+
+    /**
+     * Silenciar el partido de la alerta a la que responde el usuario
+     * @param {Object} user - Usuario
+     * @param {string} contextId - ID del mensaje de la alerta
+     */
+    async handleMuteRequest(user, contextId) {
+        const userId = user.id || user._id.toString();
+        const alert = contextId ? await alertRepo.getAlertByMessageId(contextId) : null;
+
+        if (!alert) {
+            await whatsappSender.sendReply(userId, 'No encontramos el partido de este mensaje. 🤔');
+            return;
+        }
+
+        await preferenceService.muteMatch(userId, alert.matchId);
+
+        const teams = alert.teams ? `${alert.teams.home.name} vs ${alert.teams.away.name}` : 'este partido';
+        await whatsappSender.sendReply(
+            userId,
+            `🔕 Listo, no recibirás más alertas de ${teams}.`,
+            { replyTo: contextId }
+        );
+    }
+
+    /**
+     * Responder al botón "Upgrade" de los usuarios del plan free
+     * @param {Object} user - Usuario
+     * @param {string} contextId - ID del mensaje de la alerta
+     */
+    async handleUpgradeRequest(user, contextId) {
+        const userId = user.id || user._id.toString();
+        logger.user(userId, 'upgrade_interest', { plan: user.plan });
+
+        await whatsappSender.sendReply(
+            userId,
+            '⭐ Con los planes *Insider* y *Estratega* recibís las alertas antes, más partidos, ' +
+            'las cuotas por casa de apuestas y el análisis detallado de cada oportunidad.\n\n' +
+            'Escribí "plan" para ver tu plan actual.',
+            { replyTo: contextId }
+        );
+    }
+
+    /**
+     * Resolver la acción de un botón por su ID o título
+     * @param {string} id - ID del botón (p. ej. "analysis", "mute:<alertId>")
+     * @param {string} title - Título del botón
+     * @returns {string|null} - Acción o null
+     */
+    resolveAction(id, title) {
+        const idAction = id ? id.split(':')[0] : null;
+        if (idAction && this.buttonActions[idAction]) return idAction;
+
+        const normalized = preferenceService.normalizeName(title || '')
+            .replace(/[^a-z\s]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        for (const [action, titles] of Object.entries(this.buttonActions)) {
+            if (titles.includes(normalized)) return action;
+        }
+
+        return null;
+    }
+
+    /**
+     * Comprobar si un mensaje ya fue procesado (y registrarlo si no)
+     * @param {string} messageId - ID del mensaje entrante
+     * @returns {boolean} - true si es un duplicado
+     */
+    isDuplicate(messageId) {
+        const now = Date.now();
+
+        for (const [id, timestamp] of this.processedMessages.entries()) {
+            if (now - timestamp > this.processedTtl) this.processedMessages.delete(id);
+        }
+
+        if (this.processedMessages.has(messageId)) return true;
+
+        this.processedMessages.set(messageId, now);
+        return false;
+    }
+}
+
+module.exports = new WhatsAppWebhook();
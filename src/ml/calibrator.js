@@ -0,0 +1,327 @@
+/**
+ * Calibrador de Probabilidades
+ * Ajusta a posteriori las probabilidades del predictor (Platt scaling o
+ * regresión isotónica) y calcula métricas de calibración
+ */
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+class Calibrator {
+    constructor() {
+        // Método de calibración: 'platt' o 'isotonic'
+        this.method = process.env.CALIBRATION_METHOD || 'platt';
+
+        // Muestras liquidadas mínimas para activar el calibrador de un mercado
+        this.minSamples = parseInt(process.env.CALIBRATION_MIN_SAMPLES || '50');
+
+        // Número de tramos para la tabla de fiabilidad
+        this.binCount = 10;
+
+        // Límite para evitar logit infinito
+        this.epsilon = 1e-6;
+
+        // Estado persistido junto a los modelos de ML
+        this.statePath = path.join(__dirname, '../../models', 'calibration.json');
+        this.calibrators = {};
+        this.loadState();
+    }
+
+    /**
+     * Cargar calibradores guardados
+     */
+    loadState() {
+        try {
+            if (fs.existsSync(this.statePath)) {
+                this.calibrators = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+                logger.info(`Calibradores cargados para ${Object.keys(this.calibrators).length} mercados`);
+            }
+        } catch (error) {
+            logger.error(`Error cargando calibradores: ${error.message}`);
+            this.calibrators = {};
+        }
+    }
+
+    /**
+     * Guardar calibradores en disco
+     */
+    saveState() {
+        try {
+            fs.writeFileSync(this.statePath, JSON.stringify(this.calibrators, null, 2));
+        } catch (error) {
+            logger.error(`Error guardando calibradores: ${error.message}`);
+        }
+    }
+
+    /**
+     * Aplicar calibración a una predicción
+     * En mercados a tres vías se calibran los dos lados (el calibrador se
+     * ajusta con la probabilidad del lado alertado) y se renormalizan los
+     * tres resultados para que sigan sumando 1
+     * @param {string} market - Mercado
+     * @param {Object} prediction - {probability, confidence, side?, outcomes?}
+     * @returns {Object} - Predicción calibrada con rawProbability (y rawOutcomes)
+     */
+    apply(market, prediction) {
+        const rawProbability = prediction.probability;
+        const calibrator = this.calibrators[market];
+
+        if (!calibrator || !calibrator.active) {
+            return prediction.outcomes
+                ? { ...prediction, rawProbability, rawOutcomes: prediction.outcomes }
+                : { ...prediction, rawProbability };
+        }
+
+        if (prediction.outcomes) {
+            const rawOutcomes = prediction.outcomes;
+            const home = this.transform(calibrator, rawOutcomes.home);
+            const away = this.transform(calibrator, rawOutcomes.away);
+            const total = home + away + rawOutcomes.none;
+            const outcomes = { home: home / total, away: away / total, none: rawOutcomes.none / total };
+
+            return {
+                ...prediction,
+                probability: outcomes[prediction.side],
+                rawProbability,
+                outcomes,
+                rawOutcomes
+            };
+        }
+
+        const probability = this.transform(calibrator, rawProbability);
+
+        return { ...prediction, probability, rawProbability };
+    }
+
+    /**
+     * Transformar una probabilidad con un calibrador ajustado
+     * @param {Object} calibrator - Calibrador del mercado
+     * @param {number} probability - Probabilidad sin calibrar
+     * @returns {number} - Probabilidad calibrada
+     */
+    transform(calibrator, probability) {
+        if (calibrator.method === 'isotonic') {
+            return this.interpolate(calibrator.params.x, calibrator.params.y, probability);
+        }
+
+        const { a, b } = calibrator.params;
+        return this.sigmoid(a * this.logit(probability) + b);
+    }
+
+    /**
+     * Ajustar calibrador de un mercado
+     * @param {string} market - Mercado
+     * @param {Array} samples - [{probability, outcome}] con outcome 0/1
+     * @returns {Object} - Calibrador ajustado
+     */
+    fit(market, samples) {
+        const method = this.method === 'isotonic' ? 'isotonic' : 'platt';
+        const params = method === 'isotonic'
+            ? this.fitIsotonic(samples)
+            : this.fitPlatt(samples);
+
+        this.calibrators[market] = {
+            method,
+            params,
+            samples: samples.length,
+            active: samples.length >= this.minSamples,
+            fittedAt: new Date().toISOString()
+        };
+
+        return this.calibrators[market];
+    }
+
+    /**
+     * Platt scaling: regresión logística sobre el logit de la probabilidad
+     * (Newton-Raphson con objetivos suavizados de Platt)
+     * @param {Array} samples - [{probability, outcome}]
+     * @returns {Object} - {a, b}
+     */
+    fitPlatt(samples) {
+        const positives = samples.filter(s => s.outcome === 1).length;
+        const negatives = samples.length - positives;
+        const targetPositive = (positives + 1) / (positives + 2);
+        const targetNegative = 1 / (negatives + 2);
+
+        const xs = samples.map(s => this.logit(s.probability));
+        const ts = samples.map(s => s.outcome === 1 ? targetPositive : targetNegative);
+
+        let a = 1;
+        let b = 0;
+
+        for (let iteration = 0; iteration < 100; iteration++) {
+            // Gradiente y hessiano de la log-verosimilitud negativa
+            let gA = 0, gB = 0, hAA = 1e-9, hAB = 0, hBB = 1e-9;
+
+            for (let i = 0; i < xs.length; i++) {
+                const p = this.sigmoid(a * xs[i] + b);
+                const diff = p - ts[i];
+                const weight = p * (1 - p);
+
+                gA += diff * xs[i];
+                gB += diff;
+                hAA += weight * xs[i] * xs[i];
+                hAB += weight * xs[i];
+                hBB += weight;
+            }
+
+            const det = hAA * hBB - hAB * hAB;
+            if (Math.abs(det) < 1e-12) break;
+
+            const stepA = (hBB * gA - hAB * gB) / det;
+            const stepB = (hAA * gB - hAB * gA) / det;
+            a -= stepA;
+            b -= stepB;
+
+            if (Math.abs(stepA) < 1e-8 && Math.abs(stepB) < 1e-8) break;
+        }
+
+        return { a, b };
+    }
+
+    /**
+     * Regresión isotónica (pool adjacent violators)
+     * @param {Array} samples - [{probability, outcome}]
+     * @returns {Object} - {x, y} puntos de la función escalonada
+     */
+    fitIsotonic(samples) {
+        const sorted = [...samples].sort((a, b) => a.probability - b.probability);
+        const blocks = [];
+
+        for (const sample of sorted) {
+            blocks.push({ sumX: sample.probability, sumY: sample.outcome, count: 1 });
+
+            // Fusionar bloques mientras se viole la monotonía
+            while (blocks.length > 1) {
+                const last = blocks[blocks.length - 1];
+                const previous = blocks[blocks.length - 2];
+                if (previous.sumY / previous.count <= last.sumY / last.count) break;
+
+                previous.sumX += last.sumX;
+                previous.sumY += last.sumY;
+                previous.count += last.count;
+                blocks.pop();
+            }
+        }
+
+        return {
+            x: blocks.map(block => block.sumX / block.count),
+            y: blocks.map(block => block.sumY / block.count)
+        };
+    }
+
+    /**
+     * Calcular métricas de calibración
+     * @param {Array} samples - [{probability, outcome}]
+     * @returns {Object} - {samples, brier, logLoss, bins}
+     */
+    evaluate(samples) {
+        if (samples.length === 0) {
+            return { samples: 0, brier: null, logLoss: null, bins: [] };
+        }
+
+        let brier = 0;
+        let logLoss = 0;
+
+        const bins = Array.from({ length: this.binCount }, (_, index) => ({
+            range: `${(index / this.binCount).toFixed(1)}-${((index + 1) / this.binCount).toFixed(1)}`,
+            count: 0,
+            sumPredicted: 0,
+            sumObserved: 0
+        }));
+
+        for (const { probability, outcome } of samples) {
+            const p = this.clamp(probability);
+            brier += Math.pow(probability - outcome, 2);
+            logLoss -= outcome * Math.log(p) + (1 - outcome) * Math.log(1 - p);
+
+            const bin = bins[Math.min(this.binCount - 1, Math.floor(probability * this.binCount))];
+            bin.count++;
+            bin.sumPredicted += probability;
+            bin.sumObserved += outcome;
+        }
+
+        return {
+            samples: samples.length,
+            brier: this.round(brier / samples.length),
+            logLoss: this.round(logLoss / samples.length),
+            bins: bins
+                .filter(bin => bin.count > 0)
+                .map(bin => ({
+                    range: bin.range,
+                    count: bin.count,
+                    meanPredicted: this.round(bin.sumPredicted / bin.count),
+                    observedRate: this.round(bin.sumObserved / bin.count)
+                }))
+        };
+    }
+
+    /**
+     * Obtener estado actual de los calibradores
+     * @returns {Object} - Calibradores por mercado
+     */
+    getState() {
+        return this.calibrators;
+    }
+
+    /**
+     * Interpolación lineal sobre puntos ordenados
+     * @param {Array<number>} xs - Abscisas ordenadas
+     * @param {Array<number>} ys - Ordenadas
+     * @param {number} value - Valor a interpolar
+     * @returns {number} - Valor interpolado
+     */
+    interpolate(xs, ys, value) {
+        if (!xs.length) return value;
+        if (value <= xs[0]) return ys[0];
+        if (value >= xs[xs.length - 1]) return ys[ys.length - 1];
+
+        for (let i = 1; i < xs.length; i++) {
+            if (value <= xs[i]) {
+                const ratio = (value - xs[i - 1]) / (xs[i] - xs[i - 1]);
+                return ys[i - 1] + ratio * (ys[i] - ys[i - 1]);
+            }
+        }
+
+        return ys[ys.length - 1];
+    }
+
+    /**
+     * Función logística
+     * @param {number} value - Valor real
+     * @returns {number} - Probabilidad (0-1)
+     */
+    sigmoid(value) {
+        return 1 / (1 + Math.exp(-value));
+    }
+
+    /**
+     * Logit de una probabilidad (acotada para evitar infinitos)
+     * @param {number} probability - Probabilidad (0-1)
+     * @returns {number} - Log-odds
+     */
+    logit(probability) {
+        const p = this.clamp(probability);
+        return Math.log(p / (1 - p));
+    }
+
+    /**
+     * Acotar probabilidad a (epsilon, 1 - epsilon)
+     * @param {number} probability - Probabilidad
+     * @returns {number} - Probabilidad acotada
+     */
+    clamp(probability) {
+        return Math.max(this.epsilon, Math.min(1 - this.epsilon, probability));
+    }
+
+    /**
+     * Redondear a 4 decimales
+     * @param {number} value - Valor
+     * @returns {number} - Valor redondeado
+     */
+    round(value) {
+        return Math.round(value * 10000) / 10000;
+    }
+}
+
+module.exports = new Calibrator();
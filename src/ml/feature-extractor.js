@@ -18,15 +18,24 @@ class FeatureExtractor {
             cards: { min: 0, max: 10 },
             odds: { min: 1, max: 10 }
         };
+
+        // Versiones del vector de características: cada modelo se entrena con
+        // una y debe recibir siempre la misma (los modelos sin versión son la 1)
+        this.versions = {
+            1: { oddsMovement: false },
+            2: { oddsMovement: true }   // + movimiento de cuota del mercado
+        };
+        this.latestVersion = 2;
     }
 
     /**
      * Extraer vector de características para predicción ML
      * @param {Object} matchData - Datos del partido
      * @param {string} market - Mercado para el que se extraen características
+     * @param {Object} options - {version: versión del vector, side: lado en mercados a tres vías}
      * @returns {Array} - Vector de características normalizadas
      */
-    extractFeatures(matchData, market = null) {
+    extractFeatures(matchData, market = null, { version = this.latestVersion, side = null } = {}) {
         try {
             // 1. Vector base de características comunes a todos los mercados
             const baseFeatures = this.extractBaseFeatures(matchData);
@@ -35,15 +44,28 @@ class FeatureExtractor {
             const marketFeatures = market ?
                 this.extractMarketSpecificFeatures(matchData, market) : [];
 
-            // 3. Combinar y devolver vector completo
-            return [...baseFeatures, ...marketFeatures];
+            // 3. Movimiento reciente de la cuota (solo en las versiones que lo incluyen)
+            const movementFeatures = marketFeatures.length && this.hasOddsMovement(version) ?
+                this.extractOddsMovementFeatures(matchData, market, side) : [];
+
+            // 4. Combinar y devolver vector completo
+            return [...baseFeatures, ...marketFeatures, ...movementFeatures];
         } catch (error) {
             logger.error(`Error extrayendo características: ${error.message}`);
             // En caso de error, devolver vector de características vacío
-            return new Array(this.getExpectedFeaturesLength(market)).fill(0.5);
+            return new Array(this.getExpectedFeaturesLength(market, version)).fill(0.5);
         }
     }
 
+    /**
+     * Comprobar si una versión del vector incluye el movimiento de cuota
+     * @param {number} version - Versión del vector
+     * @returns {boolean}
+     */
+    hasOddsMovement(version) {
+        return !!this.versions[version]?.oddsMovement;
+    }
+
     /**
      * Extrae características base comunes a todos los mercados
      * @param {Object} matchData - Datos del partido
@@ -121,6 +143,29 @@ class FeatureExtractor {
         }
     }
 
+    /**
+     * Extrae características del movimiento de cuota del mercado
+     * (en mercados a tres vías, el de la cuota del lado indicado)
+     * @param {Object} matchData - Datos del partido (con oddsMovement)
+     * @param {string} market - Mercado
+     * @param {string} side - Lado en mercados a tres vías (home por defecto)
+     * @returns {Array} - [variación normalizada, steam, drift]
+     */
+    extractOddsMovementFeatures(matchData, market, side = null) {
+        const movements = matchData.oddsMovement || {};
+        const movement = movements[market] || movements[`${market}:${side || 'home'}`];
+
+        if (!movement) {
+            return [0.5, 0, 0]; // Sin movimiento
+        }
+
+        return [
+            Math.min(1, Math.max(0, movement.change + 0.5)), // Variación relativa (-50%..+50% -> 0..1)
+            movement.steam ? 1 : 0,
+            movement.drift ? 1 : 0
+        ];
+    }
+
     /**
      * Extrae características para mercado de próximo gol
      * @param {Object} matchData - Datos del partido
@@ -631,20 +676,22 @@ class FeatureExtractor {
     /**
      * Obtiene el número esperado de características para un mercado
      * @param {string} market - Mercado o null
+     * @param {number} version - Versión del vector
      * @returns {number} - Longitud esperada del vector
      */
-    getExpectedFeaturesLength(market) {
-        // Número de características base
+    getExpectedFeaturesLength(market, version = this.latestVersion) {
+        // Número de características base y de movimiento de cuota
         const baseLength = 20;
+        const movementLength = this.hasOddsMovement(version) ? 3 : 0;
 
         // Añadir características específicas según mercado
         switch (market) {
-            case 'nextGoal': return baseLength + 7;
+            case 'nextGoal': return baseLength + 7 + movementLength;
             case 'over05':
             case 'over15':
-            case 'over25': return baseLength + 6;
-            case 'btts': return baseLength + 8;
-            case 'cornerNext10Min': return baseLength + 6;
+            case 'over25': return baseLength + 6 + movementLength;
+            case 'btts': return baseLength + 8 + movementLength;
+            case 'cornerNext10Min': return baseLength + 6 + movementLength;
             default: return baseLength;
         }
     }
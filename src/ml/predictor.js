@@ -3,9 +3,11 @@
  * Combina modelos de ML y sistema de reglas para realizar predicciones
  */
 const tf = require('@tensorflow/tfjs-node');
+const fs = require('fs');
 const path = require('path');
 const featureExtractor = require('./feature-extractor');
 const ruleEngine = require('./rule-engine');
+const calibrator = require('./calibrator');
 const logger = require('../utils/logger');
 
 class Predictor {
@@ -13,6 +15,9 @@ class Predictor {
         // Mapa de modelos ML cargados
         this.models = {};
 
+        // Versión del vector de características con la que se entrenó cada modelo
+        this.featureVersions = {};
+
         // Estado de carga de modelos
         this.modelsLoaded = false;
         this.isLoadingModels = false;
@@ -24,9 +29,29 @@ class Predictor {
             'over15',
             'over25',
             'btts',
-            'cornerNext10Min'
+            'cornerNext10Min',
+            // Sin modelo de ML por ahora: se predicen solo con reglas
+            'under25',
+            'under35',
+            'homeWin',
+            'draw',
+            'awayWin',
+            'homeOrDraw',
+            'drawOrAway',
+            'homeOrAway',
+            'firstHalfOver05',
+            'firstHalfHome',
+            'firstHalfDraw',
+            'firstHalfAway'
         ];
 
+        // Mercados a tres vías (local, visitante, ninguno) y qué estima su modelo de ML:
+        // 'share' = proporción del local en el próximo evento, 'event' = que ocurra el evento
+        this.sidedMarkets = {
+            nextGoal: 'share',
+            cornerNext10Min: 'event'
+        };
+
         // Configuración de niveles de confianza para fusión de predicciones
         this.confidenceWeights = {
             ml: 0.7,      // Peso para predicciones de ML (cuando están disponibles)
@@ -56,7 +81,8 @@ class Predictor {
 
                     logger.debug(`Intentando cargar modelo para ${market} desde ${modelPath}`);
                     this.models[market] = await tf.loadLayersModel(modelPath);
-                    logger.info(`Modelo para ${market} cargado correctamente`);
+                    this.featureVersions[market] = this.loadFeatureVersion(market);
+                    logger.info(`Modelo para ${market} cargado correctamente (características v${this.featureVersions[market]})`);
                 } catch (error) {
                     logger.warn(`No se pudo cargar el modelo para ${market}: ${error.message}`);
                     // No lanzar excepción, simplemente continuar con el siguiente modelo
@@ -77,13 +103,43 @@ class Predictor {
         }
     }
 
+    /**
+     * Leer la versión de características guardada junto al modelo
+     * (modelos anteriores a las versiones: 1, sin movimiento de cuota)
+     * @param {string} market - Mercado
+     * @returns {number} - Versión del vector de características
+     */
+    loadFeatureVersion(market) {
+        const metadataPath = path.join(__dirname, '../../models', market, 'features.json');
+
+        try {
+            if (fs.existsSync(metadataPath)) {
+                return JSON.parse(fs.readFileSync(metadataPath, 'utf8')).version || 1;
+            }
+        } catch (error) {
+            logger.warn(`No se pudo leer la versión de características de ${market}: ${error.message}`);
+        }
+        return 1;
+    }
+
+    /**
+     * Comprobar si el modelo de un mercado usa el movimiento de cuota
+     * (en mercados a tres vías, la predicción depende entonces del lado)
+     * @param {string} market - Mercado
+     * @returns {boolean}
+     */
+    usesOddsMovement(market) {
+        return !!this.models[market] && featureExtractor.hasOddsMovement(this.featureVersions[market] || 1);
+    }
+
     /**
      * Predecir resultado para un mercado específico
      * @param {string} market - Mercado a predecir
      * @param {Object} matchData - Datos del partido
-     * @returns {Promise<Object>} - Predicción {probability, confidence}
+     * @param {Object} options - {side: lado alertado en mercados a tres vías}
+     * @returns {Promise<Object|null>} - Predicción {probability, confidence, rawProbability} o null
      */
-    async predict(market, matchData) {
+    async predict(market, matchData, { side = null } = {}) {
         try {
             // Verificar que el mercado esté soportado
             if (!this.supportedMarkets.includes(market)) {
@@ -91,20 +147,24 @@ class Predictor {
                 return { probability: 0.5, confidence: 0.2 };
             }
 
-            // 1. Obtener predicción basada en reglas
+            // 1. Obtener predicción basada en reglas (null si el mercado ya está decidido)
             const rulesPrediction = await this.getPredictionFromRules(market, matchData);
+            if (!rulesPrediction) return null;
 
             // 2. Intentar obtener predicción de ML si está disponible
-            const mlPrediction = await this.getPredictionFromML(market, matchData);
+            const mlPrediction = await this.getPredictionFromML(market, matchData, side);
 
             // 3. Combinar predicciones según disponibilidad
+            let prediction = rulesPrediction;
             if (mlPrediction) {
                 // Ambas predicciones disponibles - combinar con pesos
-                return this.combinePredictions(mlPrediction, rulesPrediction);
-            } else {
-                // Solo predicción de reglas disponible
-                return rulesPrediction;
+                prediction = this.sidedMarkets[market]
+                    ? this.combineSidedPredictions(market, mlPrediction, rulesPrediction)
+                    : this.combinePredictions(mlPrediction, rulesPrediction);
             }
+
+            // 4. Calibrar probabilidad antes de calcular valor esperado
+            return calibrator.apply(market, prediction);
         } catch (error) {
             logger.error(`Error en predicción para ${market}: ${error.message}`);
             // Fallback a sistema de reglas en caso de error
@@ -116,9 +176,10 @@ class Predictor {
      * Obtener predicción utilizando modelos ML
      * @param {string} market - Mercado a predecir
      * @param {Object} matchData - Datos del partido
+     * @param {string} side - Lado alertado en mercados a tres vías
      * @returns {Promise<Object|null>} - Predicción ML o null si no disponible
      */
-    async getPredictionFromML(market, matchData) {
+    async getPredictionFromML(market, matchData, side = null) {
         // Si los modelos no están cargados, intentar cargarlos
         if (!this.modelsLoaded && !this.isLoadingModels) {
             await this.loadModels();
@@ -130,8 +191,11 @@ class Predictor {
         }
 
         try {
-            // 1. Extraer características para el modelo
-            const features = featureExtractor.extractFeatures(matchData, market);
+            // 1. Extraer características para el modelo (en la versión con la que se entrenó)
+            const features = featureExtractor.extractFeatures(matchData, market, {
+                version: this.featureVersions[market] || 1,
+                side
+            });
 
             // 2. Realizar predicción con TensorFlow.js
             const tensor = tf.tensor2d([features]);
@@ -196,6 +260,31 @@ class Predictor {
         };
     }
 
+    /**
+     * Combinar predicciones de un mercado a tres vías
+     * El modelo de ML estima una sola magnitud (proporción del local o que
+     * ocurra el evento): se combina con la misma magnitud de las reglas y se
+     * reconstruyen las tres probabilidades
+     * @param {string} market - Mercado
+     * @param {Object} mlPrediction - Predicción de ML
+     * @param {Object} rulesPrediction - Predicción de reglas (con outcomes)
+     * @returns {Object} - Predicción combinada {probability, confidence, side, outcomes}
+     */
+    combineSidedPredictions(market, mlPrediction, rulesPrediction) {
+        const { home, away, none } = rulesPrediction.outcomes;
+        let homeShare = home + away > 0 ? home / (home + away) : 0.5;
+        let eventProbability = 1 - none;
+
+        if (this.sidedMarkets[market] === 'share') {
+            homeShare = this.combinePredictions(mlPrediction, { ...rulesPrediction, probability: homeShare }).probability;
+        } else {
+            eventProbability = this.combinePredictions(mlPrediction, { ...rulesPrediction, probability: eventProbability }).probability;
+        }
+
+        const confidence = this.combinePredictions(mlPrediction, rulesPrediction).confidence;
+        return ruleEngine.buildSidedPrediction(homeShare, eventProbability, confidence);
+    }
+
     /**
      * Predicción de potencial de momentos dorados
      * Utilizado por match-selector para priorizar partidos
@@ -253,20 +342,33 @@ class Predictor {
      * Entrenar un modelo simple para propósitos de prueba
      * @param {string} market - Mercado a entrenar
      * @param {Array} trainingData - Datos de entrenamiento
+     * @param {number} featureVersion - Versión del vector de características de los datos
      * @returns {Promise<Object>} - Resultado del entrenamiento
      */
-    async trainTestModel(market, trainingData) {
+    async trainTestModel(market, trainingData, featureVersion = featureExtractor.latestVersion) {
         if (!trainingData || trainingData.length < 10) {
             throw new Error('Datos de entrenamiento insuficientes');
         }
 
+        const expectedLength = featureExtractor.getExpectedFeaturesLength(market, featureVersion);
+        if (trainingData.some(item => item.features.length !== expectedLength)) {
+            throw new Error(`Las características no corresponden a la versión ${featureVersion} (${expectedLength} valores)`);
+        }
+
         try {
             logger.info(`Entrenando modelo de prueba para ${market}...`);
 
             // Extraer características y etiquetas
-            const features = trainingData.map(item => item.features);
+            let features = trainingData.map(item => item.features);
             const labels = trainingData.map(item => item.label);
 
+            // Datos sin movimiento de cuota (todos [0.5, 0, 0]): entrenar sin esas características
+            if (featureExtractor.hasOddsMovement(featureVersion) && this.isMovementConstant(features)) {
+                logger.warn(`Datos de ${market} sin movimiento de cuota. Se entrena con la versión 1 de características.`);
+                featureVersion = 1;
+                features = features.map(row => row.slice(0, featureExtractor.getExpectedFeaturesLength(market, 1)));
+            }
+
             // Crear modelo
             const model = tf.sequential();
 
@@ -315,8 +417,12 @@ class Predictor {
             const saveDir = path.join(__dirname, '../../models', market);
             await model.save(`file://${saveDir}`);
 
+            // Guardar la versión de características junto al modelo
+            fs.writeFileSync(path.join(saveDir, 'features.json'), JSON.stringify({ version: featureVersion }, null, 2));
+
             // Actualizar modelo en memoria
             this.models[market] = model;
+            this.featureVersions[market] = featureVersion;
 
             // Liberar tensores
             xs.dispose();
@@ -327,6 +433,7 @@ class Predictor {
             return {
                 success: true,
                 market,
+                featureVersion,
                 metrics: {
                     finalLoss: history.history.loss[history.history.loss.length - 1],
                     finalAccuracy: history.history.acc[history.history.acc.length - 1]
@@ -337,6 +444,19 @@ class Predictor {
             throw error;
         }
     }
+
+    /**
+     * Comprobar si las características de movimiento de cuota (las 3 últimas)
+     * no varían en los datos de entrenamiento
+     * @param {Array<Array>} features - Vectores de características
+     * @returns {boolean}
+     */
+    isMovementConstant(features) {
+        return features.every(row => {
+            const [change, steam, drift] = row.slice(-3);
+            return change === 0.5 && steam === 0 && drift === 0;
+        });
+    }
 }
 
 module.exports = new Predictor();
\ No newline at end of file
@@ -41,6 +41,16 @@ class RuleEngine {
             corner: {
                 pressureThreshold: 3, // Nivel de presión para esperar córner
                 cornerRateThreshold: 0.12 // Corners por minuto (1 cada ~8 min)
+            },
+
+            // Configuración para resultado (1X2, doble oportunidad y primer tiempo)
+            result: {
+                goalsPer90: 2.4,         // Goles esperados en un partido medio
+                shotsOnTargetPer90: 8,   // Tiros a puerta de un partido medio
+                minRateFactor: 0.6,      // Ajuste mínimo del ritmo esperado (partidos cerrados)
+                maxRateFactor: 1.6,      // Ajuste máximo del ritmo esperado (partidos abiertos)
+                minMinuteForRate: 15,    // Minutos jugados antes de usar el ritmo del partido
+                maxGoals: 8              // Goles restantes considerados por equipo
             }
         };
 
@@ -50,8 +60,15 @@ class RuleEngine {
             over05: 0.6,
             over15: 0.5,
             over25: 0.4,
+            over35: 0.4,
             btts: 0.5,
-            cornerNext10Min: 0.4
+            cornerNext10Min: 0.4,
+            under25: 0.45,
+            under35: 0.45,
+            result: 0.45,
+            doubleChance: 0.5,
+            firstHalfOver05: 0.5,
+            firstHalfResult: 0.4
         };
     }
 
@@ -77,6 +94,23 @@ class RuleEngine {
                     return this.evaluateBtts(matchData);
                 case 'cornerNext10Min':
                     return this.evaluateCorner(matchData);
+                case 'under25':
+                    return this.evaluateUnder(matchData, 2.5);
+                case 'under35':
+                    return this.evaluateUnder(matchData, 3.5);
+                case 'homeWin':
+                case 'draw':
+                case 'awayWin':
+                case 'homeOrDraw':
+                case 'drawOrAway':
+                case 'homeOrAway':
+                    return this.evaluateResult(matchData, market);
+                case 'firstHalfOver05':
+                    return this.evaluateFirstHalfOver(matchData);
+                case 'firstHalfHome':
+                case 'firstHalfDraw':
+                case 'firstHalfAway':
+                    return this.evaluateFirstHalfResult(matchData, market);
                 default:
                     logger.warn(`Mercado no soportado en reglas: ${market}`);
                     return { probability: 0.5, confidence: 0.2 };
@@ -88,11 +122,27 @@ class RuleEngine {
     }
 
     /**
-     * Evalúa mercado de próximo gol
+     * Evalúa mercado de próximo gol a tres vías (local, visitante, sin gol)
      * @param {Object} matchData - Datos del partido
-     * @returns {Object} - Resultado {probability, confidence}
+     * @returns {Object} - Resultado {probability, confidence, side, outcomes}
      */
     evaluateNextGoal(matchData) {
+        const { homeShare, confidence } = this.estimateNextGoalShare(matchData);
+
+        // Sin más goles en lo que queda de partido (Poisson)
+        const minutesLeft = Math.max(0, 90 - (matchData.minute || 0));
+        const noGoal = Math.exp(-this.estimateExpectedGoals(matchData, minutesLeft));
+
+        return this.buildSidedPrediction(homeShare, 1 - noGoal, confidence);
+    }
+
+    /**
+     * Estima qué parte de los próximos goles corresponde al local
+     * según la ventaja ofensiva de cada equipo
+     * @param {Object} matchData - Datos del partido
+     * @returns {Object} - {homeShare, confidence}
+     */
+    estimateNextGoalShare(matchData) {
         // Extraer datos relevantes
         const minute = matchData.minute || 0;
         const homeTeam = matchData.teams?.home?.name || 'Local';
@@ -157,11 +207,35 @@ class RuleEngine {
         homeProbability = Math.max(0.1, Math.min(0.9, homeProbability));
 
         return {
-            probability: homeProbability, // Probabilidad para el equipo local
+            homeShare: homeProbability, // Proporción del local en el próximo gol
             confidence
         };
     }
 
+    /**
+     * Construir predicción a tres vías (local, visitante, ninguno) con el lado más probable
+     * (el detector elige el lado a alertar por valor esperado frente a la cuota de cada lado)
+     * @param {number} homeShare - Proporción del local si ocurre el evento (0-1)
+     * @param {number} eventProbability - Probabilidad de que ocurra el evento
+     * @param {number} confidence - Confianza de la predicción
+     * @returns {Object} - {probability, confidence, side, outcomes}
+     */
+    buildSidedPrediction(homeShare, eventProbability, confidence) {
+        const outcomes = {
+            home: eventProbability * homeShare,
+            away: eventProbability * (1 - homeShare),
+            none: 1 - eventProbability
+        };
+        const side = homeShare > 0.5 ? 'home' : 'away';
+
+        return {
+            probability: outcomes[side], // Probabilidad del lado favorecido
+            confidence,
+            side,
+            outcomes
+        };
+    }
+
     /**
      * Evalúa mercados over/under
      * @param {Object} matchData - Datos del partido
@@ -237,9 +311,12 @@ class RuleEngine {
         } else if (threshold === 1.5) {
             // Over 1.5 tiene probabilidad base media
             baseProbability = 0.6;
-        } else {
+        } else if (threshold === 2.5) {
             // Over 2.5 tiene probabilidad base más baja
             baseProbability = 0.5;
+        } else {
+            // Over 3.5 (solo se usa como contraparte de under 3.5)
+            baseProbability = 0.35;
         }
 
         // Ajustar por factores
@@ -356,11 +433,45 @@ class RuleEngine {
     }
 
     /**
-     * Evalúa mercado de próximo córner
+     * Evalúa mercado de próximo córner en 10 minutos a tres vías (local, visitante, sin córner)
      * @param {Object} matchData - Datos del partido
-     * @returns {Object} - Resultado {probability, confidence}
+     * @returns {Object} - Resultado {probability, confidence, side, outcomes}
      */
     evaluateCorner(matchData) {
+        const { probability, confidence } = this.estimateCornerProbability(matchData);
+        return this.buildSidedPrediction(this.estimateCornerShare(matchData), probability, confidence);
+    }
+
+    /**
+     * Estima qué parte de los próximos córners corresponde al local
+     * (córners del partido, presión reciente y posesión)
+     * @param {Object} matchData - Datos del partido
+     * @returns {number} - Proporción del local (0.1-0.9)
+     */
+    estimateCornerShare(matchData) {
+        const stats = this.extractStatistics(matchData);
+        const recentEvents = this.extractRecentEvents(matchData);
+
+        // Córners del partido suavizados (un córner de cada lado a priori)
+        const matchShare = (stats.cornersHome + 1) / (stats.totalCorners + 2);
+
+        // Presión reciente: tiros y córners de los últimos 15 minutos
+        const recentHome = recentEvents.recentShotsHome + recentEvents.recentCornersHome;
+        const recentAway = recentEvents.recentShotsAway + recentEvents.recentCornersAway;
+        const recentShare = (recentHome + 1) / (recentHome + recentAway + 2);
+
+        const possessionShare = stats.possessionHome / 100;
+
+        const share = matchShare * 0.4 + recentShare * 0.4 + possessionShare * 0.2;
+        return Math.max(0.1, Math.min(0.9, share));
+    }
+
+    /**
+     * Estima la probabilidad de algún córner en los próximos 10 minutos
+     * @param {Object} matchData - Datos del partido
+     * @returns {Object} - {probability, confidence}
+     */
+    estimateCornerProbability(matchData) {
         // Extraer datos relevantes
         const minute = matchData.minute || 0;
 
@@ -421,6 +532,197 @@ class RuleEngine {
         return { probability, confidence };
     }
 
+    /**
+     * Evalúa mercados under (menos de 2.5 / 3.5 goles)
+     * Es la contraparte del over de la misma línea: mismos factores, probabilidad inversa
+     * @param {Object} matchData - Datos del partido
+     * @param {number} threshold - Umbral (2.5, 3.5)
+     * @returns {Object|null} - Resultado {probability, confidence} o null si ya se superó la línea
+     */
+    evaluateUnder(matchData, threshold) {
+        const totalGoals = (matchData.score?.home || 0) + (matchData.score?.away || 0);
+
+        // Si ya se superó la línea, el under está decidido (perdido)
+        if (totalGoals > threshold) {
+            return null;
+        }
+
+        const over = this.evaluateOver(matchData, threshold);
+        const minute = matchData.minute || 0;
+
+        // Confianza propia del under: crece con el tiempo jugado sin goles suficientes
+        let confidence = this.baseConfidence[`under${threshold.toString().replace('.', '')}`];
+        confidence += Math.max(0, over.confidence - this.baseConfidence[`over${threshold.toString().replace('.', '')}`]);
+        confidence = Math.max(0.2, Math.min(0.9, confidence));
+
+        // Limitar a rango válido
+        const probability = Math.max(0.05, Math.min(0.95, 1 - over.probability));
+
+        return { probability, confidence };
+    }
+
+    /**
+     * Evalúa mercados de resultado final (1X2 y doble oportunidad)
+     * @param {Object} matchData - Datos del partido
+     * @param {string} market - homeWin, draw, awayWin, homeOrDraw, drawOrAway u homeOrAway
+     * @returns {Object} - Resultado {probability, confidence}
+     */
+    evaluateResult(matchData, market) {
+        const minute = matchData.minute || 0;
+        const minutesLeft = Math.max(0, 90 - minute);
+        const score = { home: matchData.score?.home || 0, away: matchData.score?.away || 0 };
+
+        const result = this.estimateResultProbabilities(matchData, minutesLeft, score);
+        const probability = this.getResultProbability(market, result);
+
+        // Confianza: crece con el avance del partido y con la diferencia en el marcador
+        const isDoubleChance = !['homeWin', 'draw', 'awayWin'].includes(market);
+        let confidence = isDoubleChance ? this.baseConfidence.doubleChance : this.baseConfidence.result;
+        confidence += (minute / 90) * 0.3;
+        confidence += Math.min(2, Math.abs(score.home - score.away)) * 0.05;
+
+        return {
+            probability: Math.max(0.02, Math.min(0.98, probability)),
+            confidence: Math.max(0.2, Math.min(0.9, confidence))
+        };
+    }
+
+    /**
+     * Evalúa mercado de gol en el primer tiempo (más de 0.5 goles al descanso)
+     * @param {Object} matchData - Datos del partido
+     * @returns {Object|null} - Resultado {probability, confidence} o null si ya hubo gol
+     */
+    evaluateFirstHalfOver(matchData) {
+        const minute = matchData.minute || 0;
+        const totalGoals = (matchData.score?.home || 0) + (matchData.score?.away || 0);
+
+        // Con un gol en el primer tiempo el mercado ya está decidido: no hay nada que alertar
+        if (totalGoals > 0) {
+            return null;
+        }
+
+        // Poisson: probabilidad de al menos un gol en lo que queda del primer tiempo
+        const expectedGoals = this.estimateExpectedGoals(matchData, Math.max(0, 45 - minute));
+        const probability = 1 - Math.exp(-expectedGoals);
+
+        // Más confianza cuanto más avanzado el primer tiempo (más datos del partido)
+        let confidence = this.baseConfidence.firstHalfOver05 + (Math.min(45, minute) / 45) * 0.3;
+        confidence = Math.max(0.2, Math.min(0.85, confidence));
+
+        return { probability: Math.max(0.05, Math.min(0.95, probability)), confidence };
+    }
+
+    /**
+     * Evalúa mercados de resultado al descanso
+     * @param {Object} matchData - Datos del partido
+     * @param {string} market - firstHalfHome, firstHalfDraw o firstHalfAway
+     * @returns {Object} - Resultado {probability, confidence}
+     */
+    evaluateFirstHalfResult(matchData, market) {
+        const minute = matchData.minute || 0;
+        const score = { home: matchData.score?.home || 0, away: matchData.score?.away || 0 };
+
+        const result = this.estimateResultProbabilities(matchData, Math.max(0, 45 - minute), score);
+        const probability = {
+            firstHalfHome: result.home,
+            firstHalfDraw: result.draw,
+            firstHalfAway: result.away
+        }[market];
+
+        let confidence = this.baseConfidence.firstHalfResult + (Math.min(45, minute) / 45) * 0.3;
+        confidence += Math.min(2, Math.abs(score.home - score.away)) * 0.05;
+
+        return {
+            probability: Math.max(0.02, Math.min(0.98, probability)),
+            confidence: Math.max(0.2, Math.min(0.85, confidence))
+        };
+    }
+
+    /**
+     * Probabilidades de resultado (local, empate, visitante) al final de un periodo
+     * Modelo de Poisson sobre los goles restantes, repartidos según la
+     * ventaja ofensiva que estima el mercado de próximo gol
+     * @param {Object} matchData - Datos del partido
+     * @param {number} minutesLeft - Minutos restantes del periodo
+     * @param {Object} score - Marcador actual {home, away}
+     * @returns {Object} - {home, draw, away}
+     */
+    estimateResultProbabilities(matchData, minutesLeft, score) {
+        const expectedGoals = this.estimateExpectedGoals(matchData, minutesLeft);
+        const { homeShare } = this.estimateNextGoalShare(matchData);
+        const lambdaHome = expectedGoals * homeShare;
+        const lambdaAway = expectedGoals * (1 - homeShare);
+
+        const result = { home: 0, draw: 0, away: 0 };
+        const maxGoals = this.thresholds.result.maxGoals;
+
+        for (let homeGoals = 0; homeGoals <= maxGoals; homeGoals++) {
+            const homeProbability = this.poisson(homeGoals, lambdaHome);
+            for (let awayGoals = 0; awayGoals <= maxGoals; awayGoals++) {
+                const probability = homeProbability * this.poisson(awayGoals, lambdaAway);
+                const difference = (score.home + homeGoals) - (score.away + awayGoals);
+
+                if (difference > 0) result.home += probability;
+                else if (difference < 0) result.away += probability;
+                else result.draw += probability;
+            }
+        }
+
+        // Normalizar (la suma truncada queda apenas por debajo de 1)
+        const total = result.home + result.draw + result.away;
+        return {
+            home: result.home / total,
+            draw: result.draw / total,
+            away: result.away / total
+        };
+    }
+
+    /**
+     * Probabilidad de un mercado de resultado a partir de las del 1X2
+     * @param {string} market - Mercado de resultado
+     * @param {Object} result - {home, draw, away}
+     * @returns {number} - Probabilidad
+     */
+    getResultProbability(market, result) {
+        switch (market) {
+            case 'homeWin': return result.home;
+            case 'draw': return result.draw;
+            case 'awayWin': return result.away;
+            case 'homeOrDraw': return result.home + result.draw;
+            case 'drawOrAway': return result.draw + result.away;
+            case 'homeOrAway': return result.home + result.away;
+            default: return 0.5;
+        }
+    }
+
+    /**
+     * Goles esperados en los minutos restantes según el ritmo ofensivo del partido
+     * @param {Object} matchData - Datos del partido
+     * @param {number} minutesLeft - Minutos restantes
+     * @returns {number} - Goles esperados
+     */
+    estimateExpectedGoals(matchData, minutesLeft) {
+        const config = this.thresholds.result;
+        const minute = matchData.minute || 0;
+        let rateFactor = 1;
+
+        // Con suficientes minutos jugados, ajustar por los tiros a puerta del partido
+        if (minute >= config.minMinuteForRate) {
+            const stats = this.extractStatistics(matchData);
+            const shotsPer90 = (stats.totalShots / minute) * 90;
+            rateFactor = Math.max(config.minRateFactor, Math.min(config.maxRateFactor, shotsPer90 / config.shotsOnTargetPer90));
+        }
+
+        return config.goalsPer90 * rateFactor * (minutesLeft / 90);
+    }
+
+    // Probabilidad de k sucesos en una distribución de Poisson de media lambda
+    poisson(k, lambda) {
+        let factorial = 1;
+        for (let i = 2; i <= k; i++) factorial *= i;
+        return Math.exp(-lambda) * Math.pow(lambda, k) / factorial;
+    }
+
     /**
      * Extrae estadísticas básicas del partido
      * @param {Object} matchData - Datos del partido
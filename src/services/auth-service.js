@@ -0,0 +1,68 @@
+/**
+ * Servicio de Autenticación
+ * Identifica a quien llama a la API: el administrador (token de
+ * administración) o un usuario (su token de API) y decide si puede
+ * acceder a los datos de un usuario concreto
+ */
+const crypto = require('crypto');
+const userService = require('./user-service');
+const config = require('../config/app-config').security;
+
+class AuthService {
+    constructor() {
+        this.adminToken = config.adminToken;
+    }
+
+    /**
+     * Obtener el token de una petición ("Authorization: Bearer <token>")
+     * @param {Object} req - Petición de Express
+     * @param {boolean} allowQuery - Aceptar también ?token= (EventSource no admite cabeceras)
+     * @returns {string|null} - Token o null
+     */
+    getRequestToken(req, allowQuery = false) {
+        const header = req.get('Authorization') || '';
+        if (header.startsWith('Bearer ')) return header.slice(7).trim() || null;
+
+        return allowQuery && req.query.token ? String(req.query.token) : null;
+    }
+
+    /**
+     * Autenticar un token
+     * @param {string} token - Token de administración o de API de un usuario
+     * @returns {Promise<Object|null>} - {admin, user} o null si no es válido
+     */
+    async authenticate(token) {
+        if (!token) return null;
+
+        if (this.isAdminToken(token)) {
+            return { admin: true, user: null };
+        }
+
+        const user = await userService.getUserByApiToken(token);
+        return user ? { admin: false, user } : null;
+    }
+
+    /**
+     * Comprobar si la identidad autenticada puede acceder a un usuario
+     * @param {Object} auth - Resultado de authenticate
+     * @param {string} userId - ID del usuario solicitado
+     * @returns {boolean} - true si es el administrador o el propio usuario
+     */
+    canAccessUser(auth, userId) {
+        if (!auth) return false;
+        if (auth.admin) return true;
+
+        return (auth.user.id || auth.user._id?.toString()) === String(userId);
+    }
+
+    // Comparar con el token de administración en tiempo constante
+    isAdminToken(token) {
+        if (!this.adminToken) return false;
+
+        const given = Buffer.from(token);
+        const expected = Buffer.from(this.adminToken);
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    }
+}
+
+module.exports = new AuthService();
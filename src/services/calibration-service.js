@@ -0,0 +1,117 @@
+/**
+ * Servicio de Calibración
+ * Evalúa si las probabilidades publicadas se cumplen en la práctica
+ * y reajusta el calibrador del predictor con las alertas liquidadas
+ */
+const alertRepo = require('../db/repositories/alert-repo');
+const calibrator = require('../ml/calibrator');
+const performanceService = require('./performance-service');
+const logger = require('../utils/logger');
+
+class CalibrationService {
+    /**
+     * Construir muestras de calibración a partir de alertas liquidadas
+     * @param {Array} alerts - Alertas con outcome success/fail
+     * @param {boolean} useRaw - Usar probabilidad sin calibrar si está disponible
+     * @returns {Array} - [{probability, outcome}] del resultado alertado
+     */
+    buildSamples(alerts, useRaw = true) {
+        return alerts
+            .filter(alert => typeof alert.prediction?.probability === 'number')
+            .map(alert => {
+                let probability = useRaw && typeof alert.prediction.rawProbability === 'number'
+                    ? alert.prediction.rawProbability
+                    : alert.prediction.probability;
+
+                // Alertas antiguas de nextGoal (sin lado) guardan la probabilidad del local:
+                // pasar al lado favorecido
+                if (alert.market === 'nextGoal' && !alert.side && probability <= 0.5) {
+                    probability = 1 - probability;
+                }
+
+                return {
+                    probability,
+                    outcome: alert.outcome === 'success' ? 1 : 0
+                };
+            });
+    }
+
+    /**
+     * Agrupar alertas liquidadas por mercado
+     * (una por momento dorado: las copias por plan repetirían la misma muestra)
+     * @returns {Promise<Object>} - Alertas por mercado
+     */
+    async getSettledAlertsByMarket() {
+        const alerts = performanceService.getUniquePicks(await alertRepo.getSettledAlerts());
+        const byMarket = {};
+
+        for (const alert of alerts) {
+            if (!byMarket[alert.market]) byMarket[alert.market] = [];
+            byMarket[alert.market].push(alert);
+        }
+
+        return byMarket;
+    }
+
+    /**
+     * Reajustar calibradores de todos los mercados
+     * @returns {Promise<Object>} - Estado de los calibradores
+     */
+    async refit() {
+        try {
+            const byMarket = await this.getSettledAlertsByMarket();
+
+            for (const [market, alerts] of Object.entries(byMarket)) {
+                const samples = this.buildSamples(alerts);
+                if (samples.length === 0) continue;
+
+                const fitted = calibrator.fit(market, samples);
+                logger.debug(`Calibrador ${fitted.method} para ${market} ajustado con ${samples.length} muestras`);
+            }
+
+            calibrator.saveState();
+        } catch (error) {
+            logger.error(`Error reajustando calibradores: ${error.message}`);
+        }
+
+        return calibrator.getState();
+    }
+
+    /**
+     * Obtener informe de calibración por mercado
+     * @returns {Promise<Object>} - Métricas y estado por mercado
+     */
+    async getReport() {
+        const byMarket = await this.getSettledAlertsByMarket();
+        const state = calibrator.getState();
+        const markets = {};
+
+        for (const [market, alerts] of Object.entries(byMarket)) {
+            const rawSamples = this.buildSamples(alerts);
+            const calibratorState = state[market];
+
+            // Métricas del modelo sin calibrar y tras aplicar el calibrador actual
+            const calibratedSamples = calibratorState
+                ? rawSamples.map(sample => ({
+                    probability: calibrator.transform(calibratorState, sample.probability),
+                    outcome: sample.outcome
+                }))
+                : rawSamples;
+
+            markets[market] = {
+                raw: calibrator.evaluate(rawSamples),
+                calibrated: calibrator.evaluate(calibratedSamples),
+                published: calibrator.evaluate(this.buildSamples(alerts, false)),
+                calibrator: calibratorState || null
+            };
+        }
+
+        return {
+            method: calibrator.method,
+            minSamples: calibrator.minSamples,
+            markets
+        };
+    }
+}
+
+module.exports = new CalibrationService();
@@ -0,0 +1,223 @@
+/**
+ * Servicio de Entregas
+ * Registra los estados de entrega de los mensajes (enviado, entregado,
+ * leído, fallido), calcula el embudo de entrega y marca a los usuarios
+ * cuyos mensajes fallan de forma continuada
+ */
+const alertRepo = require('../db/repositories/alert-repo');
+const userRepo = require('../db/repositories/user-repo');
+const appConfig = require('../config/app-config');
+const logger = require('../utils/logger');
+
+class DeliveryService {
+    constructor() {
+        // Orden de los estados: un estado nunca retrocede (un "delivered"
+        // tardío no pisa un "read", ni un "failed" a un mensaje ya entregado)
+        this.statusRank = {
+            sent: 1,
+            failed: 2,
+            delivered: 3,
+            read: 4
+        };
+
+        this.maxConsecutiveFailures = appConfig.whatsapp.maxConsecutiveFailures;
+    }
+
+    /**
+     * Procesar una notificación de estado de un mensaje
+     * @param {Object} status - {id, status, timestamp, errors}
+     * @returns {Promise<Object|null>} - Destinatario actualizado o null si no corresponde a una alerta
+     */
+    async handleStatus(status) {
+        try {
+            if (!this.statusRank[status.status]) {
+                logger.debug(`Estado de mensaje desconocido: ${status.status}`);
+                return null;
+            }
+
+            const alert = await alertRepo.getAlertByMessageId(status.id);
+            if (!alert) return null;
+
+            const recipient = alert.sentTo.find(entry => entry.messageId === status.id);
+            const current = recipient.status || 'sent';
+            if (this.statusRank[status.status] <= this.statusRank[current]) {
+                return recipient;
+            }
+
+            const at = status.timestamp ? new Date(parseInt(status.timestamp) * 1000) : new Date();
+            const changes = { status: status.status };
+
+            if (status.status === 'delivered') {
+                changes.deliveredAt = at;
+            } else if (status.status === 'read') {
+                changes.readAt = at;
+                // WhatsApp puede informar la lectura sin la entrega previa
+                if (!recipient.deliveredAt) changes.deliveredAt = at;
+            } else if (status.status === 'failed') {
+                const error = status.errors?.[0];
+                changes.failedAt = at;
+                changes.error = error ? { code: error.code, title: error.title } : undefined;
+            }
+
+            const updated = await alertRepo.updateRecipientStatus(status.id, changes);
+
+            if (status.status === 'failed') {
+                await this.recordFailure(recipient.userId, status.errors?.[0]?.title);
+            } else if (status.status === 'delivered' || status.status === 'read') {
+                await this.recordSuccess(recipient.userId);
+            }
+
+            return updated ? updated.recipient : null;
+        } catch (error) {
+            logger.error(`Error procesando estado de mensaje ${status.id}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Registrar un fallo de entrega y marcar al usuario si se repite
+     * @param {string} userId - ID del usuario
+     * @param {string} reason - Motivo del fallo
+     * @returns {Promise<Object|null>} - Usuario actualizado
+     */
+    async recordFailure(userId, reason = null) {
+        const user = await userRepo.getUserById(userId);
+        if (!user) return null;
+
+        const delivery = user.delivery || {};
+        const consecutiveFailures = (delivery.consecutiveFailures || 0) + 1;
+        const flagged = delivery.flagged || consecutiveFailures >= this.maxConsecutiveFailures;
+
+        if (flagged && !delivery.flagged) {
+            logger.warn(`Usuario ${userId} marcado por ${consecutiveFailures} fallos de entrega seguidos`);
+            logger.user(userId, 'delivery_flagged', { consecutiveFailures, reason });
+        }
+
+        return userRepo.updateUser(userId, {
+            delivery: {
+                consecutiveFailures,
+                lastFailureAt: new Date(),
+                lastError: reason || delivery.lastError || null,
+                flagged,
+                flaggedAt: flagged ? (delivery.flaggedAt || new Date()) : null
+            }
+        });
+    }
+
+    /**
+     * Registrar una entrega correcta (reinicia la racha de fallos)
+     * @param {string} userId - ID del usuario
+     * @returns {Promise<Object|null>} - Usuario actualizado o null si no hubo cambios
+     */
+    async recordSuccess(userId) {
+        const user = await userRepo.getUserById(userId);
+        if (!user || !user.delivery || (!user.delivery.consecutiveFailures && !user.delivery.flagged)) {
+            return null;
+        }
+
+        if (user.delivery.flagged) {
+            logger.user(userId, 'delivery_recovered');
+        }
+
+        return userRepo.updateUser(userId, {
+            delivery: {
+                consecutiveFailures: 0,
+                lastFailureAt: user.delivery.lastFailureAt,
+                lastError: user.delivery.lastError,
+                flagged: false,
+                flaggedAt: null
+            }
+        });
+    }
+
+    /**
+     * Obtener embudo de entrega global y por plan
+     * @param {Object} filters - {from, to, plan}
+     * @returns {Promise<Object>} - {overall, plans}
+     */
+    async getFunnel(filters = {}) {
+        const alerts = await alertRepo.getAlerts(filters);
+        const recipients = alerts.flatMap(alert => alert.sentTo || []);
+
+        const byPlan = {};
+        for (const recipient of recipients) {
+            const plan = recipient.plan || 'unknown';
+            if (!byPlan[plan]) byPlan[plan] = [];
+            byPlan[plan].push(recipient);
+        }
+
+        const plans = {};
+        for (const [plan, planRecipients] of Object.entries(byPlan)) {
+            plans[plan] = this.calculateFunnel(planRecipients);
+        }
+
+        return {
+            alerts: alerts.length,
+            overall: this.calculateFunnel(recipients),
+            plans
+        };
+    }
+
+    /**
+     * Obtener embudo de entrega de una alerta
+     * @param {string} alertId - ID de la alerta
+     * @returns {Promise<Object|null>} - Embudo o null si no existe
+     */
+    async getAlertFunnel(alertId) {
+        const alert = await alertRepo.getAlertById(alertId);
+        if (!alert) return null;
+
+        return {
+            alertId,
+            market: alert.market,
+            plan: alert.plan,
+            ...this.calculateFunnel(alert.sentTo || [])
+        };
+    }
+
+    /**
+     * Calcular embudo de un conjunto de destinatarios
+     * Un mensaje leído cuenta también como entregado
+     * @param {Array} recipients - Entradas de sentTo
+     * @returns {Object} - Conteos y tasas
+     */
+    calculateFunnel(recipients) {
+        const counts = { recipients: recipients.length, delivered: 0, read: 0, failed: 0 };
+
+        for (const recipient of recipients) {
+            const status = recipient.status || 'sent';
+            if (status === 'delivered' || status === 'read') counts.delivered++;
+            if (status === 'read') counts.read++;
+            if (status === 'failed') counts.failed++;
+        }
+
+        const rate = value => counts.recipients > 0
+            ? Math.round((value / counts.recipients) * 10000) / 10000
+            : null;
+
+        return {
+            ...counts,
+            deliveryRate: rate(counts.delivered),
+            readRate: rate(counts.read),
+            failureRate: rate(counts.failed)
+        };
+    }
+
+    /**
+     * Obtener usuarios marcados por fallos de entrega
+     * @returns {Promise<Array>} - [{id, plan, delivery}]
+     */
+    async getFlaggedUsers() {
+        const users = await userRepo.getUsers({});
+
+        return users
+            .filter(user => user.delivery?.flagged)
+            .map(user => ({
+                id: user.id || user._id.toString(),
+                plan: user.plan,
+                delivery: user.delivery
+            }));
+    }
+}
+
+module.exports = new DeliveryService();
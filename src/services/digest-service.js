@@ -0,0 +1,258 @@
+/**
+ * Servicio de Resumen Diario
+ * Compila para cada usuario las alertas del último día con su resultado,
+ * cuotas y ROI, las alertas retenidas por el límite diario y los próximos
+ * partidos seleccionados, y lo encola por los canales que eligió
+ */
+const alertRepo = require('../db/repositories/alert-repo');
+const userRepo = require('../db/repositories/user-repo');
+const entitlementService = require('./entitlement-service');
+const preferenceService = require('./preference-service');
+const quotaService = require('./quota-service');
+const performanceService = require('./performance-service');
+const matchSelector = require('../core/match-selector');
+const messageGenerator = require('../core/message-generator');
+const outboundQueue = require('../messaging/outbound-queue');
+const config = require('../config/app-config').digest;
+const logger = require('../utils/logger');
+
+class DigestService {
+    constructor() {
+        this.timer = null;
+        this.isRunning = false;
+
+        // Último día local con resumen encolado por usuario (evita recompilarlo en cada revisión)
+        this.queuedDates = new Map();
+    }
+
+    /**
+     * Iniciar la revisión periódica de resúmenes pendientes
+     */
+    start() {
+        if (this.timer || !config.enabled) return;
+
+        this.timer = setInterval(() => this.runDigests(), config.checkInterval);
+        logger.info(`Resumen diario activado. Envío a las ${config.sendAt} (hora local de cada usuario)`);
+    }
+
+    /**
+     * Detener la revisión periódica
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Encolar el resumen de los usuarios que ya llegaron a su hora de envío
+     * La cola descarta los duplicados: cada usuario recibe un resumen por día y canal
+     * @param {Date} now - Momento de referencia
+     * @returns {Promise<number>} - Resúmenes encolados
+     */
+    async runDigests(now = new Date()) {
+        if (this.isRunning) return 0;
+        this.isRunning = true;
+
+        let queued = 0;
+        const upcomingByPlan = new Map();
+
+        try {
+            const users = await userRepo.getUsers({ status: 'active' });
+
+            for (const user of users) {
+                const preferences = preferenceService.resolvePreferences(user);
+                if (preferences.digest.channels.length === 0) continue;
+
+                const entitlements = entitlementService.getEntitlements(user, now);
+                if (!entitlements) continue;
+
+                const userId = user.id || user._id.toString();
+                const date = quotaService.getLocalDate(now, preferences.timezone);
+                if (this.queuedDates.get(userId) === date ||
+                    preferenceService.getLocalMinutes(now, preferences.timezone) < preferenceService.parseTime(config.sendAt)) {
+                    continue;
+                }
+
+                try {
+                    // Partidos seleccionados una sola vez por plan en cada revisión
+                    if (!upcomingByPlan.has(entitlements.plan)) {
+                        upcomingByPlan.set(
+                            entitlements.plan,
+                            await matchSelector.selectUpcomingMatches(entitlements.plan, config.upcomingHours)
+                        );
+                    }
+
+                    queued += await this.queueDigest(user, entitlements, upcomingByPlan.get(entitlements.plan), now);
+                    this.queuedDates.set(userId, date);
+                } catch (error) {
+                    logger.error(`Error generando resumen diario del usuario ${userId}: ${error.message}`);
+                }
+            }
+
+            if (queued > 0) {
+                logger.info(`${queued} resúmenes diarios encolados`);
+            }
+        } catch (error) {
+            logger.error(`Error en la revisión de resúmenes diarios: ${error.message}`);
+        } finally {
+            this.isRunning = false;
+        }
+
+        return queued;
+    }
+
+    /**
+     * Encolar el resumen de un usuario por cada canal elegido
+     * @param {Object} user - Usuario
+     * @param {Object} entitlements - Permisos vigentes
+     * @param {Array} upcomingMatches - Próximos partidos seleccionados para su plan
+     * @param {Date} now - Momento de referencia
+     * @returns {Promise<number>} - Mensajes encolados (0 si ya se envió hoy)
+     */
+    async queueDigest(user, entitlements, upcomingMatches, now = new Date()) {
+        const userId = user.id || user._id.toString();
+        const { digest: { channels } } = preferenceService.resolvePreferences(user);
+
+        const digest = await this.buildDigest(user, upcomingMatches, now);
+        const text = messageGenerator.formatDigest(digest);
+        let queued = 0;
+
+        for (const channel of channels) {
+            const { created } = await outboundQueue.enqueue({
+                userId,
+                plan: entitlements.plan,
+                channels: [channel],
+                messageType: 'digest',
+                variant: `${digest.date}:${channel}`,
+                payload: { text, options: { digest } }
+            });
+
+            if (created) queued++;
+        }
+
+        if (queued > 0) {
+            logger.user(userId, 'digest_queued', { date: digest.date, channels });
+        }
+        return queued;
+    }
+
+    /**
+     * Compilar el resumen diario de un usuario
+     * @param {Object} user - Usuario
+     * @param {Array} upcomingMatches - Próximos partidos seleccionados
+     * @param {Date} now - Momento de referencia
+     * @returns {Promise<Object>} - {userId, name, date, timezone, alerts, summary, suppressed, upcoming}
+     */
+    async buildDigest(user, upcomingMatches = [], now = new Date()) {
+        const userId = user.id || user._id.toString();
+        const preferences = preferenceService.resolvePreferences(user);
+        const since = new Date(now.getTime() - config.lookback);
+
+        const alerts = await alertRepo.getAlertsSentToUser(userId, since);
+        const settled = alerts.filter(alert => alert.outcome === 'success' || alert.outcome === 'fail');
+        const metrics = performanceService.calculateMetrics(settled);
+
+        // Alertas retenidas por el límite diario, con su resultado si ya se liquidaron
+        const suppressed = [];
+        for (const item of await quotaService.getDigestItems(user, since, now)) {
+            const alert = item.alertId ? await alertRepo.getAlertById(item.alertId) : null;
+            suppressed.push(alert ? this.toDigestAlert(alert) : {
+                alertId: item.alertId,
+                match: `Partido ${item.matchId}`,
+                market: item.market,
+                odds: null,
+                minute: null,
+                outcome: 'pending'
+            });
+        }
+
+        return {
+            userId,
+            name: user.name || null,
+            date: quotaService.getLocalDate(now, preferences.timezone),
+            timezone: preferences.timezone,
+            alerts: alerts.map(alert => this.toDigestAlert(alert)),
+            summary: {
+                bets: metrics.bets,
+                wins: metrics.wins,
+                losses: metrics.losses,
+                pending: alerts.filter(alert => !alert.outcome || alert.outcome === 'pending').length,
+                hitRate: metrics.hitRate,
+                profit: metrics.profit,
+                // ROI del día sobre lo apostado (el del libro de rendimiento es sobre la banca)
+                roi: metrics.yield,
+                averageOdds: metrics.averageOdds
+            },
+            suppressed,
+            upcoming: this.filterUpcoming(upcomingMatches, preferences)
+                .map(match => this.toDigestMatch(match, preferences.timezone))
+        };
+    }
+
+    /**
+     * Quedarse con los partidos de equipos o ligas seguidos (todos si no sigue ninguno)
+     * @param {Array} matches - Partidos seleccionados
+     * @param {Object} preferences - Preferencias resueltas
+     * @returns {Array} - Partidos filtrados
+     */
+    filterUpcoming(matches, preferences) {
+        if (preferences.teams.length === 0 && preferences.leagues.length === 0) {
+            return matches;
+        }
+
+        return matches.filter(match =>
+            preferences.teams.some(team =>
+                preferenceService.isSameEntity(team, match.teams?.home) ||
+                preferenceService.isSameEntity(team, match.teams?.away)
+            ) ||
+            preferences.leagues.some(league => preferenceService.isSameEntity(league, match.league))
+        );
+    }
+
+    /**
+     * Datos de una alerta para el resumen
+     * @param {Object} alert - Alerta guardada
+     * @returns {Object} - {alertId, match, league, market, minute, odds, outcome}
+     */
+    toDigestAlert(alert) {
+        return {
+            alertId: alert.id || alert._id?.toString(),
+            match: `${alert.teams?.home?.name} vs ${alert.teams?.away?.name}`,
+            league: alert.league?.name || null,
+            market: alert.market,
+            minute: alert.minute ?? null,
+            odds: alert.odds?.value || null,
+            outcome: alert.outcome || 'pending'
+        };
+    }
+
+    /**
+     * Datos de un partido para el resumen
+     * @param {Object} match - Partido normalizado
+     * @param {string} timezone - Zona horaria del usuario
+     * @returns {Object} - {matchId, match, league, kickoff, time}
+     */
+    toDigestMatch(match, timezone) {
+        const kickoff = match.fixture?.date ? new Date(match.fixture.date) : null;
+
+        return {
+            matchId: match.id,
+            match: `${match.teams?.home?.name} vs ${match.teams?.away?.name}`,
+            league: match.league?.name || null,
+            kickoff: kickoff ? kickoff.toISOString() : null,
+            time: kickoff
+                ? new Intl.DateTimeFormat('es-AR', {
+                    timeZone: timezone,
+                    weekday: 'short',
+                    hour: '2-digit',
+                    minute: '2-digit',
+                    hourCycle: 'h23'
+                }).format(kickoff)
+                : '--:--'
+        };
+    }
+}
+
+module.exports = new DigestService();
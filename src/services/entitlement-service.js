@@ -0,0 +1,112 @@
+/**
+ * Servicio de Permisos (entitlements)
+ * Resuelve en el momento del envío qué plan tiene vigente cada usuario
+ * y qué funcionalidades le corresponden
+ */
+const userRepo = require('../db/repositories/user-repo');
+const subscriptionService = require('./subscription-service');
+const appConfig = require('../config/app-config');
+const logger = require('../utils/logger');
+
+class EntitlementService {
+    /**
+     * Resolver el plan vigente de un usuario
+     * El plan guardado manda, salvo que la suscripción que lo sostiene
+     * haya vencido y el proceso de vencimientos aún no lo haya bajado
+     * @param {Object} user - Usuario
+     * @param {Date} at - Instante de referencia
+     * @returns {string|null} - Plan vigente o null si el usuario no recibe mensajes
+     */
+    resolvePlan(user, at = new Date()) {
+        if (!user || user.status !== 'active') return null;
+
+        const storedStatus = user.subscription?.status;
+        if (['trial', 'active', 'grace'].includes(storedStatus) &&
+            subscriptionService.getStatus(user, at) === 'expired') {
+            return 'free';
+        }
+
+        return user.plan || 'free';
+    }
+
+    /**
+     * Obtener permisos de un usuario
+     * @param {Object} user - Usuario
+     * @param {Date} at - Instante de referencia
+     * @returns {Object|null} - Permisos o null si el usuario no recibe mensajes
+     */
+    getEntitlements(user, at = new Date()) {
+        const plan = this.resolvePlan(user, at);
+        if (!plan) return null;
+
+        const entitlements = {
+            plan,
+            subscriptionStatus: subscriptionService.getStatus(user, at),
+            ...this.getPlanEntitlements(plan)
+        };
+
+        // Límite diario propio del usuario
+        if (typeof user.dailyAlertLimit === 'number') {
+            entitlements.maxAlertsPerDay = user.dailyAlertLimit;
+        }
+
+        return entitlements;
+    }
+
+    /**
+     * Obtener permisos asociados a un plan
+     * @param {string} plan - Plan
+     * @returns {Object} - {alertDelay, confidenceThreshold, maxMatches, maxAlertsPerDay, detailedAnalysis, bookmakers, steamAlerts}
+     */
+    getPlanEntitlements(plan) {
+        const config = appConfig.plans[plan] || appConfig.plans.free;
+
+        return {
+            alertDelay: config.alertDelay,
+            confidenceThreshold: config.confidenceThreshold,
+            maxMatches: config.maxMatches,
+            maxAlertsPerDay: config.maxAlertsPerDay ?? appConfig.alerts.maxAlertsPerDay,
+            detailedAnalysis: config.detailedAnalysis,
+            bookmakers: config.bookmakers,
+            steamAlerts: !!config.steamAlerts
+        };
+    }
+
+    /**
+     * Obtener permisos de un usuario por su ID
+     * @param {string} userId - ID del usuario
+     * @returns {Promise<Object|null>} - Permisos o null
+     */
+    async getEntitlementsForUser(userId) {
+        const user = await userRepo.getUserById(userId);
+        return this.getEntitlements(user);
+    }
+
+    /**
+     * Obtener destinatarios de las alertas de un plan
+     * Los usuarios marcados por fallos de entrega seguidos quedan fuera hasta
+     * que vuelvan a escribir al bot
+     * @param {string} plan - Plan de la alerta
+     * @returns {Promise<Array>} - [{user, entitlements}] con plan vigente igual al de la alerta
+     */
+    async getRecipientsForPlan(plan) {
+        try {
+            const now = new Date();
+            const users = await userRepo.getUsers({ status: 'active' });
+
+            return users
+                .filter(user => {
+                    if (!user.delivery?.flagged) return true;
+                    logger.debug(`Usuario ${user.id || user._id} excluido de las alertas: marcado por fallos de entrega`);
+                    return false;
+                })
+                .map(user => ({ user, entitlements: this.getEntitlements(user, now) }))
+                .filter(({ entitlements }) => entitlements && entitlements.plan === plan);
+        } catch (error) {
+            logger.error(`Error obteniendo destinatarios del plan ${plan}: ${error.message}`);
+            return [];
+        }
+    }
+}
+
+module.exports = new EntitlementService();
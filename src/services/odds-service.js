@@ -0,0 +1,506 @@
+/**
+ * Servicio de Cuotas
+ * Resuelve la mejor cuota de cada mercado, sigue la evolución de las cuotas
+ * de los mercados alertados para medir el closing line value (CLV) y guarda
+ * la serie de cuotas de cada partido para detectar movimientos bruscos
+ */
+const apiService = require('../api/api-service');
+const alertRepo = require('../db/repositories/alert-repo');
+const oddsHistoryRepo = require('../db/repositories/odds-history-repo');
+const config = require('../config/app-config').odds;
+const logger = require('../utils/logger');
+
+class OddsService {
+    constructor() {
+        // Mapeo de mercados a nombres/tipos en APIs
+        this.marketMapping = {
+            'nextGoal': { key: 'next_goal', outcomes: { home: 'Home', away: 'Away', none: 'No Goal' } },
+            'over05': { key: 'goals_over_under', point: 0.5, outcome: 'Over' },
+            'over15': { key: 'goals_over_under', point: 1.5, outcome: 'Over' },
+            'over25': { key: 'goals_over_under', point: 2.5, outcome: 'Over' },
+            'btts': { key: 'btts', outcome: 'Yes' },
+            'cornerNext10Min': { key: 'next_corner', outcomes: { home: 'Home', away: 'Away', none: 'No Corner' } },
+            'under25': { key: 'goals_over_under', point: 2.5, outcome: 'Under' },
+            'under35': { key: 'goals_over_under', point: 3.5, outcome: 'Under' },
+            'homeWin': { key: 'match_winner', outcome: 'Home' },
+            'draw': { key: 'match_winner', outcome: 'Draw' },
+            'awayWin': { key: 'match_winner', outcome: 'Away' },
+            'homeOrDraw': { key: 'double_chance', outcome: 'Home/Draw' },
+            'drawOrAway': { key: 'double_chance', outcome: 'Draw/Away' },
+            'homeOrAway': { key: 'double_chance', outcome: 'Home/Away' },
+            'firstHalfOver05': { key: 'first_half_goals_over_under', point: 0.5, outcome: 'Over' },
+            'firstHalfHome': { key: 'first_half_winner', outcome: 'Home' },
+            'firstHalfDraw': { key: 'first_half_winner', outcome: 'Draw' },
+            'firstHalfAway': { key: 'first_half_winner', outcome: 'Away' }
+        };
+
+        // Intervalo mínimo entre capturas de cuotas de un mismo partido
+        this.snapshotInterval = parseInt(process.env.ODDS_SNAPSHOT_INTERVAL || '300000'); // 5 minutos
+
+        // Última captura por partido
+        this.lastSnapshots = new Map();
+
+        // Última captura de la serie temporal por partido y última limpieza
+        this.lastRecorded = new Map();
+        this.lastPrune = 0;
+    }
+
+    /**
+     * Inicializar repositorio de la serie de cuotas
+     */
+    async initialize() {
+        await oddsHistoryRepo.initialize();
+    }
+
+    /**
+     * Obtener la mejor cuota disponible para un mercado
+     * @param {string} market - Mercado a consultar
+     * @param {Object} odds - Cuotas del partido ({bookmakers: [...]})
+     * @param {string} side - Resultado en mercados a tres vías (home, away, none)
+     * @returns {Object|null} - {value, bookmakers} o null
+     */
+    getOddsForMarket(market, odds, side = null) {
+        if (!odds || !odds.bookmakers) {
+            return null;
+        }
+
+        const mapping = this.marketMapping[market];
+        if (!mapping) return null;
+
+        // Mercados a tres vías: el resultado depende del lado elegido (local por defecto)
+        const outcomeName = mapping.outcomes ? mapping.outcomes[side || 'home'] : mapping.outcome;
+        if (!outcomeName) return null;
+
+        // Buscar el mejor precio entre todas las casas de apuestas
+        let bestOdds = null;
+        let bookmakers = [];
+
+        for (const bookie of odds.bookmakers) {
+            const marketData = bookie.markets.find(m => m.key === mapping.key);
+
+            if (marketData && marketData.outcomes) {
+                let outcome;
+
+                if (mapping.point !== undefined) {
+                    // Para mercados con punto específico (over/under)
+                    outcome = marketData.outcomes.find(o =>
+                        o.name === outcomeName && o.point === mapping.point
+                    );
+                } else {
+                    // Para mercados sin punto
+                    outcome = marketData.outcomes.find(o => o.name === outcomeName);
+                }
+
+                if (outcome && outcome.price) {
+                    bookmakers.push({
+                        name: bookie.name,
+                        value: outcome.price
+                    });
+
+                    // Actualizar mejor cuota
+                    if (!bestOdds || outcome.price > bestOdds) {
+                        bestOdds = outcome.price;
+                    }
+                }
+            }
+        }
+
+        if (!bestOdds) return null;
+
+        return {
+            value: bestOdds,
+            bookmakers
+        };
+    }
+
+    /**
+     * Capturar cuotas actuales de los mercados con alertas pendientes
+     * @returns {Promise<number>} - Número de capturas guardadas
+     */
+    async snapshotAlertedMarkets() {
+        let saved = 0;
+
+        try {
+            const pendingAlerts = await alertRepo.getPendingAlerts();
+            const now = Date.now();
+
+            // Agrupar por partido para consultar cuotas una vez por partido
+            const alertsByMatch = new Map();
+            for (const alert of pendingAlerts) {
+                if (!alertsByMatch.has(alert.matchId)) {
+                    alertsByMatch.set(alert.matchId, []);
+                }
+                alertsByMatch.get(alert.matchId).push(alert);
+            }
+
+            for (const [matchId, alerts] of alertsByMatch.entries()) {
+                const lastSnapshot = this.lastSnapshots.get(matchId) || 0;
+                if (now - lastSnapshot < this.snapshotInterval) continue;
+
+                const matchOdds = await apiService.getMatchOdds(matchId);
+                this.lastSnapshots.set(matchId, now);
+                if (!matchOdds) continue;
+
+                // Marcador y minuto después de las cuotas: si hubo gol entre ambas
+                // consultas, la captura queda con el marcador nuevo y se descarta en el CLV
+                const matchState = this.getMatchState(await apiService.getMatchInfo(matchId));
+
+                for (const alert of alerts) {
+                    const odds = this.getOddsForMarket(alert.market, matchOdds, alert.side);
+                    // Sin cuota: mercado suspendido o cerrado, se conserva la última captura
+                    if (!odds) continue;
+
+                    const alertId = alert.id || alert._id?.toString();
+                    await alertRepo.addOddsSnapshot(alertId, {
+                        value: odds.value,
+                        timestamp: new Date(now),
+                        ...matchState
+                    });
+                    saved++;
+                }
+            }
+
+            // Olvidar partidos sin alertas pendientes
+            for (const matchId of this.lastSnapshots.keys()) {
+                if (!alertsByMatch.has(matchId)) {
+                    this.lastSnapshots.delete(matchId);
+                }
+            }
+        } catch (error) {
+            logger.error(`Error capturando cuotas de mercados alertados: ${error.message}`);
+        }
+
+        return saved;
+    }
+
+    /**
+     * Marcador y minuto de un partido para guardar con una captura de cuotas
+     * @param {Object} matchInfo - Información del partido (API)
+     * @returns {Object} - {score, minute, extra} o vacío si no hay información
+     */
+    getMatchState(matchInfo) {
+        if (!matchInfo) return {};
+
+        return {
+            score: { home: matchInfo.goals?.home || 0, away: matchInfo.goals?.away || 0 },
+            minute: matchInfo.fixture?.status?.elapsed || 0,
+            extra: matchInfo.fixture?.status?.extra || 0
+        };
+    }
+
+    /**
+     * Guardar la serie de cuotas de un partido en cada consulta:
+     * una captura por mercado, resultado y casa de apuestas
+     * @param {string} matchId - ID del partido
+     * @param {Object} odds - Cuotas del partido ({bookmakers: [...]})
+     * @param {Date} at - Momento de la consulta
+     * @returns {Promise<number>} - Capturas guardadas
+     */
+    async recordOdds(matchId, odds, at = new Date()) {
+        const key = String(matchId);
+        const lastRecorded = this.lastRecorded.get(key) || 0;
+
+        // Varias consultas del mismo ciclo (una por plan) cuentan como una
+        if (!odds || at.getTime() - lastRecorded < config.recordInterval) return 0;
+
+        try {
+            const snapshots = [];
+            for (const [market, mapping] of Object.entries(this.marketMapping)) {
+                const sides = mapping.outcomes ? Object.keys(mapping.outcomes) : [null];
+
+                for (const side of sides) {
+                    const marketOdds = this.getOddsForMarket(market, odds, side);
+                    if (!marketOdds) continue;
+
+                    for (const bookmaker of marketOdds.bookmakers) {
+                        snapshots.push({
+                            matchId: key,
+                            market,
+                            side,
+                            bookmaker: bookmaker.name,
+                            value: bookmaker.value,
+                            timestamp: at
+                        });
+                    }
+                }
+            }
+
+            this.lastRecorded.set(key, at.getTime());
+            if (snapshots.length > 0) {
+                await oddsHistoryRepo.addSnapshots(snapshots);
+            }
+
+            // Limpiar capturas antiguas como mucho una vez por hora
+            if (at.getTime() - this.lastPrune >= 60 * 60 * 1000) {
+                this.lastPrune = at.getTime();
+                await oddsHistoryRepo.deleteBefore(new Date(at.getTime() - config.historyRetention));
+            }
+
+            return snapshots.length;
+        } catch (error) {
+            logger.error(`Error guardando serie de cuotas del partido ${matchId}: ${error.message}`);
+            return 0;
+        }
+    }
+
+    /**
+     * Obtener los movimientos recientes de cuota de un partido
+     * @param {string} matchId - ID del partido
+     * @param {Date} now - Momento de referencia
+     * @returns {Promise<Object>} - Movimientos por clave de mercado (ver getMovementKey)
+     */
+    async getMovements(matchId, now = new Date()) {
+        const movements = {};
+
+        try {
+            const since = new Date(now.getTime() - config.movementWindow);
+            const history = await oddsHistoryRepo.getMatchHistory(String(matchId), since);
+
+            // Agrupar capturas por mercado y resultado
+            const series = new Map();
+            for (const snapshot of history) {
+                const key = this.getMovementKey(snapshot.market, snapshot.side);
+                if (!series.has(key)) series.set(key, []);
+                series.get(key).push(snapshot);
+            }
+
+            for (const [key, snapshots] of series.entries()) {
+                const movement = this.analyzeMovement(snapshots);
+                if (movement) movements[key] = movement;
+            }
+        } catch (error) {
+            logger.error(`Error analizando movimientos de cuota del partido ${matchId}: ${error.message}`);
+        }
+
+        return movements;
+    }
+
+    /**
+     * Clave de un mercado (y resultado en mercados a tres vías) en los movimientos
+     * @param {string} market - Mercado
+     * @param {string} side - Resultado (home, away, none) o null
+     * @returns {string} - Clave
+     */
+    getMovementKey(market, side = null) {
+        return side ? `${market}:${side}` : market;
+    }
+
+    /**
+     * Obtener el movimiento de un mercado
+     * En mercados a tres vías sin lado se usa el del local
+     * @param {Object} movements - Movimientos del partido
+     * @param {string} market - Mercado
+     * @param {string} side - Resultado
+     * @returns {Object|null} - Movimiento o null
+     */
+    getMovement(movements, market, side = null) {
+        if (!movements) return null;
+
+        const mapping = this.marketMapping[market];
+        const key = this.getMovementKey(market, mapping?.outcomes ? (side || 'home') : null);
+        return movements[key] || null;
+    }
+
+    /**
+     * Analizar la serie de un mercado dentro de la ventana
+     * La variación es la mediana de las variaciones de cada casa presente en la
+     * primera y en la última consulta (casas que entran o salen no mueven la cuota).
+     * Steam: la cuota cae por encima del umbral y varias casas acompañan la caída.
+     * Drift: la cuota sube por encima del umbral (el mercado se aleja del resultado)
+     * @param {Array} snapshots - Capturas de un mercado y resultado (orden cronológico)
+     * @returns {Object|null} - {market, side, from, to, change, minutes, bookmakers, movingBookmakers, steam, drift, detectedAt}
+     */
+    analyzeMovement(snapshots) {
+        // Cuota de cada casa en cada consulta
+        const byTimestamp = new Map();
+        for (const snapshot of snapshots) {
+            const time = new Date(snapshot.timestamp).getTime();
+            if (!byTimestamp.has(time)) byTimestamp.set(time, new Map());
+            byTimestamp.get(time).set(snapshot.bookmaker, snapshot.value);
+        }
+
+        const times = [...byTimestamp.keys()].sort((a, b) => a - b);
+        if (times.length < 2) return null;
+
+        const firstTime = times[0];
+        const lastTime = times[times.length - 1];
+        const firstOdds = byTimestamp.get(firstTime);
+        const lastOdds = byTimestamp.get(lastTime);
+
+        // Variación de cada casa presente en ambos extremos
+        const changes = [...firstOdds.entries()]
+            .filter(([bookmaker]) => lastOdds.has(bookmaker))
+            .map(([bookmaker, from]) => ({ from, to: lastOdds.get(bookmaker), change: (lastOdds.get(bookmaker) - from) / from }));
+        if (changes.length === 0) return null;
+
+        const change = this.median(changes.map(item => item.change));
+
+        // Casas que se movieron en el mismo sentido (al menos la mitad del umbral)
+        const direction = Math.sign(change);
+        const movingBookmakers = changes.filter(item =>
+            direction !== 0 && item.change * direction >= config.steamThreshold / 2
+        ).length;
+
+        const { market, side } = snapshots[0];
+        return {
+            market,
+            side: side || null,
+            from: Math.round(this.median(changes.map(item => item.from)) * 100) / 100,
+            to: Math.round(this.median(changes.map(item => item.to)) * 100) / 100,
+            change: Math.round(change * 10000) / 10000,
+            minutes: Math.max(1, Math.round((lastTime - firstTime) / 60000)),
+            bookmakers: changes.length,
+            movingBookmakers,
+            // Con menos casas que el mínimo no hay quien acompañe la caída: no es steam
+            steam: change <= -config.steamThreshold &&
+                changes.length >= config.steamMinBookmakers &&
+                movingBookmakers >= config.steamMinBookmakers,
+            drift: change >= config.driftThreshold,
+            detectedAt: new Date(lastTime)
+        };
+    }
+
+    /**
+     * Mediana de una lista de valores
+     * @param {Array<number>} values - Valores (no vacía)
+     * @returns {number} - Mediana
+     */
+    median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    /**
+     * Describir un movimiento de cuota
+     * @param {Object} movement - Movimiento
+     * @returns {string} - Ej.: "cuota cayó de 2.10 a 1.80 en 5 min"
+     */
+    describeMovement(movement) {
+        const verb = movement.change < 0 ? 'cayó' : 'subió';
+        return `cuota ${verb} de ${movement.from.toFixed(2)} a ${movement.to.toFixed(2)} en ${movement.minutes} min`;
+    }
+
+    /**
+     * Cerrar la línea de una alerta liquidada y calcular su CLV
+     * @param {Object} alert - Alerta (con su historial de cuotas)
+     * @param {Date} closedAt - Momento de cierre del mercado
+     * @param {Object} evidence - Evento que decidió la alerta ({minute, extra})
+     * @returns {Promise<Object|null>} - Datos de CLV o null
+     */
+    async closeAlertLine(alert, closedAt = new Date(), evidence = null) {
+        try {
+            const clv = this.calculateClv(alert, closedAt, evidence);
+            if (!clv) return null;
+
+            const alertId = alert.id || alert._id?.toString();
+            await alertRepo.setClosingLine(alertId, clv);
+
+            return clv;
+        } catch (error) {
+            logger.error(`Error cerrando línea de alerta: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Calcular CLV de una alerta: cuota tomada frente a la última cuota vista
+     * antes del cierre del mercado
+     * @param {Object} alert - Alerta
+     * @param {Date} closedAt - Momento de cierre del mercado
+     * @param {Object} evidence - Evento que decidió la alerta ({minute, extra})
+     * @returns {Object|null} - {openingOdds, closingOdds, closedAt, value}
+     */
+    calculateClv(alert, closedAt, evidence = null) {
+        const openingOdds = alert.odds?.value;
+        if (!openingOdds) return null;
+
+        const snapshots = (alert.oddsHistory || [])
+            .filter(snapshot => new Date(snapshot.timestamp) <= closedAt)
+            .filter(snapshot => this.isBeforeSettlement(snapshot, alert, evidence))
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+        const closingOdds = snapshots.length > 0
+            ? snapshots[snapshots.length - 1].value
+            : openingOdds;
+
+        return {
+            openingOdds,
+            closingOdds,
+            closedAt,
+            value: Math.round((openingOdds / closingOdds - 1) * 10000) / 10000
+        };
+    }
+
+    /**
+     * Comprobar si una captura es anterior a lo que decidió la alerta: mismo
+     * marcador que al alertar y minuto anterior al evento de la liquidación
+     * (después, la cuota ya es la de otro mercado, p. ej. el gol siguiente).
+     * Las capturas sin marcador ni minuto se filtran solo por hora
+     * @param {Object} snapshot - Captura de cuotas
+     * @param {Object} alert - Alerta
+     * @param {Object} evidence - Evento que decidió la alerta
+     * @returns {boolean}
+     */
+    isBeforeSettlement(snapshot, alert, evidence) {
+        const score = snapshot.score;
+        if (typeof score?.home === 'number' && alert.score &&
+            (score.home !== alert.score.home || score.away !== alert.score.away)) {
+            return false;
+        }
+
+        if (typeof evidence?.minute !== 'number' || typeof snapshot.minute !== 'number') return true;
+
+        // Mismo minuto que el evento: no se sabe si es anterior, se descarta
+        if (snapshot.minute !== evidence.minute) return snapshot.minute < evidence.minute;
+        return (snapshot.extra || 0) < (evidence.extra || 0);
+    }
+
+    /**
+     * Obtener informe agregado de CLV por mercado
+     * @param {Object} filters - {from, to, market, plan, leagueId}
+     * @returns {Promise<Object>} - Informe global y por mercado
+     */
+    async getClvReport(filters = {}) {
+        const alerts = (await alertRepo.getSettledAlerts(filters))
+            .filter(alert => alert.clv && alert.clv.value !== undefined && alert.clv.value !== null);
+
+        const byMarket = {};
+        for (const alert of alerts) {
+            if (!byMarket[alert.market]) byMarket[alert.market] = [];
+            byMarket[alert.market].push(alert);
+        }
+
+        const markets = {};
+        for (const [market, marketAlerts] of Object.entries(byMarket)) {
+            markets[market] = this.summarizeClv(marketAlerts);
+        }
+
+        return {
+            overall: this.summarizeClv(alerts),
+            markets
+        };
+    }
+
+    /**
+     * Resumir CLV de un conjunto de alertas
+     * @param {Array} alerts - Alertas con CLV calculado
+     * @returns {Object} - {alerts, averageClv, beatClosingRate}
+     */
+    summarizeClv(alerts) {
+        if (alerts.length === 0) {
+            return { alerts: 0, averageClv: null, beatClosingRate: null };
+        }
+
+        const total = alerts.reduce((sum, alert) => sum + alert.clv.value, 0);
+        const beatClosing = alerts.filter(alert => alert.clv.value > 0).length;
+
+        return {
+            alerts: alerts.length,
+            averageClv: Math.round((total / alerts.length) * 10000) / 10000,
+            beatClosingRate: Math.round((beatClosing / alerts.length) * 10000) / 10000
+        };
+    }
+}
+
+module.exports = new OddsService();
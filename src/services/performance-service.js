@@ -0,0 +1,264 @@
+/**
+ * Servicio de Rendimiento
+ * Libro de resultados de las alertas liquidadas: beneficio a stake plano,
+ * ROI, yield, tasa de acierto, cuota media y peor racha de fallos
+ */
+const alertRepo = require('../db/repositories/alert-repo');
+const logger = require('../utils/logger');
+
+class PerformanceService {
+    constructor() {
+        // Apuesta plana por alerta (en unidades)
+        this.stake = parseFloat(process.env.PERFORMANCE_STAKE || '1');
+
+        // Dimensiones disponibles para desglosar resultados
+        this.dimensions = ['market', 'plan', 'league', 'minute', 'confidence'];
+
+        // Tramos de minuto del partido
+        this.minuteBuckets = [
+            { label: '0-15', max: 15 },
+            { label: '16-30', max: 30 },
+            { label: '31-45', max: 45 },
+            { label: '46-60', max: 60 },
+            { label: '61-75', max: 75 },
+            { label: '76-90+', max: Infinity }
+        ];
+
+        // Muestra mínima para publicar resultados en los mensajes y
+        // alertas más recientes de cada mercado que entran en el resumen
+        this.minPublishableSample = 20;
+        this.recentSampleSize = parseInt(process.env.PERFORMANCE_RECENT_SAMPLE || '100');
+
+        // Resumen por mercado en memoria (para uso síncrono en mensajes)
+        this.marketSummary = {};
+    }
+
+    /**
+     * Obtener libro de rendimiento
+     * @param {Object} options - {from, to, market, plan, leagueId, groupBy}
+     * @returns {Promise<Object>} - Métricas globales y desgloses
+     */
+    async getPerformance(options = {}) {
+        const { from, to, market, plan, leagueId } = options;
+        const groupBy = (options.groupBy || this.dimensions)
+            .filter(dimension => this.dimensions.includes(dimension));
+
+        const alerts = await alertRepo.getSettledAlerts({ from, to, market, plan, leagueId });
+
+        // Cada momento dorado se guarda una vez por plan: fuera del desglose
+        // por plan se cuenta una sola apuesta por momento
+        const picks = this.getUniquePicks(alerts);
+
+        const breakdown = {};
+        for (const dimension of groupBy) {
+            const source = dimension === 'plan' ? alerts : picks;
+            breakdown[dimension] = this.groupMetrics(source, alert => this.getDimensionKey(alert, dimension));
+        }
+
+        return {
+            range: {
+                from: from || null,
+                to: to || null
+            },
+            stake: this.stake,
+            overall: this.calculateMetrics(picks),
+            breakdown
+        };
+    }
+
+    /**
+     * Calcular métricas de un conjunto de alertas liquidadas
+     * El acierto cuenta todas las alertas; beneficio, ROI y yield solo las
+     * que tienen cuota registrada (sin cuota no hay apuesta que valorar)
+     * @param {Array} alerts - Alertas con outcome success/fail
+     * @returns {Object} - Métricas del conjunto
+     */
+    calculateMetrics(alerts) {
+        // Orden cronológico para calcular rachas
+        const sorted = [...alerts].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+        let wins = 0;
+        let profit = 0;
+        let oddsSum = 0;
+        let pricedBets = 0;
+        let currentLosingStreak = 0;
+        let longestLosingStreak = 0;
+
+        for (const alert of sorted) {
+            const odds = alert.odds?.value;
+            const won = alert.outcome === 'success';
+
+            if (odds) {
+                oddsSum += odds;
+                pricedBets++;
+                profit += won ? this.stake * (odds - 1) : -this.stake;
+            }
+
+            if (won) {
+                wins++;
+                currentLosingStreak = 0;
+            } else {
+                currentLosingStreak++;
+                longestLosingStreak = Math.max(longestLosingStreak, currentLosingStreak);
+            }
+        }
+
+        const bets = sorted.length;
+        const staked = pricedBets * this.stake;
+        const roi = staked > 0 ? this.round(profit / staked) : 0;
+
+        return {
+            bets,
+            wins,
+            losses: bets - wins,
+            hitRate: bets > 0 ? this.round(wins / bets) : 0,
+            pricedBets,
+            staked: this.round(staked),
+            profit: this.round(profit),
+            roi,
+            yield: roi, // Con stake plano el yield coincide con el ROI
+            averageOdds: pricedBets > 0 ? this.round(oddsSum / pricedBets) : null,
+            longestLosingStreak
+        };
+    }
+
+    /**
+     * Quitar las copias por plan de un mismo momento dorado
+     * (mismo partido, mercado, lado y minuto); se conserva la primera guardada
+     * @param {Array} alerts - Alertas liquidadas
+     * @returns {Array} - Una alerta por momento dorado
+     */
+    getUniquePicks(alerts) {
+        const picks = new Map();
+        const sorted = [...alerts].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+        for (const alert of sorted) {
+            const key = [alert.matchId, alert.market, alert.side || '', alert.minute].join(':');
+            if (!picks.has(key)) picks.set(key, alert);
+        }
+
+        return [...picks.values()];
+    }
+
+    /**
+     * Agrupar alertas y calcular métricas por grupo
+     * @param {Array} alerts - Alertas liquidadas
+     * @param {Function} keyFn - Función que devuelve la clave del grupo
+     * @returns {Object} - Métricas por clave
+     */
+    groupMetrics(alerts, keyFn) {
+        const groups = {};
+
+        for (const alert of alerts) {
+            const key = keyFn(alert);
+            if (!groups[key]) groups[key] = [];
+            groups[key].push(alert);
+        }
+
+        const result = {};
+        for (const [key, groupAlerts] of Object.entries(groups)) {
+            result[key] = this.calculateMetrics(groupAlerts);
+        }
+
+        return result;
+    }
+
+    /**
+     * Obtener clave de agrupación de una alerta para una dimensión
+     * @param {Object} alert - Alerta liquidada
+     * @param {string} dimension - Dimensión (market, plan, league, minute, confidence)
+     * @returns {string} - Clave del grupo
+     */
+    getDimensionKey(alert, dimension) {
+        switch (dimension) {
+            case 'market':
+                return alert.market;
+            case 'plan':
+                return alert.plan || 'desconocido';
+            case 'league':
+                return alert.league?.name || 'desconocida';
+            case 'minute':
+                return this.getMinuteBucket(alert.minute);
+            case 'confidence':
+                return this.getConfidenceBucket(alert.prediction?.confidence);
+            default:
+                return 'otros';
+        }
+    }
+
+    /**
+     * Obtener tramo de minuto
+     * @param {number} minute - Minuto de la alerta
+     * @returns {string} - Etiqueta del tramo
+     */
+    getMinuteBucket(minute = 0) {
+        return this.minuteBuckets.find(bucket => minute <= bucket.max).label;
+    }
+
+    /**
+     * Obtener tramo de confianza (décimas)
+     * @param {number} confidence - Confianza (0-1)
+     * @returns {string} - Etiqueta del tramo
+     */
+    getConfidenceBucket(confidence) {
+        if (confidence === undefined || confidence === null) return 'desconocida';
+
+        const lower = Math.min(0.9, Math.floor(confidence * 10) / 10);
+        return `${lower.toFixed(1)}-${(lower + 0.1).toFixed(1)}`;
+    }
+
+    /**
+     * Refrescar resumen por mercado usado en los mensajes
+     * Solo entran las últimas alertas liquidadas de cada mercado
+     * @returns {Promise<Object>} - Resumen por mercado
+     */
+    async refreshMarketSummary() {
+        try {
+            const alerts = this.getUniquePicks(await alertRepo.getSettledAlerts());
+            const byMarket = {};
+
+            for (const alert of alerts) {
+                if (!byMarket[alert.market]) byMarket[alert.market] = [];
+                byMarket[alert.market].push(alert);
+            }
+
+            const summary = {};
+            for (const [market, marketAlerts] of Object.entries(byMarket)) {
+                const recent = marketAlerts
+                    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+                    .slice(0, this.recentSampleSize);
+                summary[market] = this.calculateMetrics(recent);
+            }
+            this.marketSummary = summary;
+        } catch (error) {
+            logger.error(`Error refrescando resumen de rendimiento: ${error.message}`);
+        }
+
+        return this.marketSummary;
+    }
+
+    /**
+     * Obtener resultados publicables de un mercado
+     * @param {string} market - Mercado
+     * @returns {Object|null} - Métricas o null si la muestra es insuficiente
+     */
+    getPublishableMarketStats(market) {
+        const stats = this.marketSummary[market];
+        if (!stats || stats.bets < this.minPublishableSample) {
+            return null;
+        }
+
+        return stats;
+    }
+
+    /**
+     * Redondear a 4 decimales
+     * @param {number} value - Valor
+     * @returns {number} - Valor redondeado
+     */
+    round(value) {
+        return Math.round(value * 10000) / 10000;
+    }
+}
+
+module.exports = new PerformanceService();
@@ -0,0 +1,450 @@
+/**
+ * Servicio de Preferencias
+ * Gestiona los filtros personales de cada usuario (equipos, ligas, mercados,
+ * cuotas, confianza, horario de silencio, partidos silenciados y canales
+ * del resumen diario) y decide si una alerta debe llegarle
+ */
+const userRepo = require('../db/repositories/user-repo');
+const oddsService = require('./odds-service');
+const messengerRegistry = require('../messaging/messenger-registry');
+const appConfig = require('../config/app-config');
+const logger = require('../utils/logger');
+
+class PreferenceService {
+    constructor() {
+        this.config = appConfig.preferences;
+    }
+
+    /**
+     * Obtener preferencias de un usuario con valores por defecto
+     * @param {Object} user - Usuario
+     * @returns {Object} - Preferencias completas
+     */
+    resolvePreferences(user) {
+        const preferences = user?.preferences || {};
+
+        return {
+            teams: preferences.teams || [],
+            leagues: preferences.leagues || [],
+            markets: preferences.markets || [],
+            minOdds: preferences.minOdds ?? null,
+            minConfidence: preferences.minConfidence ?? null,
+            quietHours: preferences.quietHours?.start && preferences.quietHours?.end
+                ? { start: preferences.quietHours.start, end: preferences.quietHours.end }
+                : null,
+            timezone: preferences.timezone || this.config.defaultTimezone,
+            mutedMatches: preferences.mutedMatches || [],
+            digest: {
+                channels: preferences.digest?.channels || []
+            }
+        };
+    }
+
+    /**
+     * Obtener preferencias por ID de usuario
+     * @param {string} userId - ID del usuario
+     * @returns {Promise<Object|null>} - Preferencias o null si no existe
+     */
+    async getPreferences(userId) {
+        const user = await userRepo.getUserById(userId);
+        return user ? this.resolvePreferences(user) : null;
+    }
+
+    /**
+     * Actualizar preferencias de un usuario
+     * @param {string} userId - ID del usuario
+     * @param {Object} changes - Campos a modificar
+     * @returns {Promise<Object|null>} - Preferencias actualizadas o null
+     */
+    async updatePreferences(userId, changes) {
+        const user = await userRepo.getUserById(userId);
+        if (!user) return null;
+
+        const preferences = this.resolvePreferences(user);
+
+        if (changes.teams !== undefined) {
+            preferences.teams = this.validateEntities(changes.teams, 'equipo');
+        }
+
+        if (changes.leagues !== undefined) {
+            preferences.leagues = this.validateEntities(changes.leagues, 'liga');
+        }
+
+        if (changes.markets !== undefined) {
+            const validMarkets = Object.keys(oddsService.marketMapping);
+            const invalid = (changes.markets || []).filter(market => !validMarkets.includes(market));
+            if (invalid.length > 0) {
+                throw new Error(`Mercados inválidos: ${invalid.join(', ')}`);
+            }
+            preferences.markets = changes.markets || [];
+        }
+
+        if (changes.minOdds !== undefined) {
+            if (changes.minOdds !== null && !(changes.minOdds >= 1)) {
+                throw new Error(`Cuota mínima inválida: ${changes.minOdds}`);
+            }
+            preferences.minOdds = changes.minOdds;
+        }
+
+        if (changes.minConfidence !== undefined) {
+            if (changes.minConfidence !== null && !(changes.minConfidence >= 0 && changes.minConfidence <= 1)) {
+                throw new Error(`Confianza mínima inválida: ${changes.minConfidence}`);
+            }
+            preferences.minConfidence = changes.minConfidence;
+        }
+
+        if (changes.quietHours !== undefined) {
+            if (changes.quietHours !== null &&
+                !(this.parseTime(changes.quietHours.start) !== null && this.parseTime(changes.quietHours.end) !== null)) {
+                throw new Error('Horario de silencio inválido (formato HH:mm)');
+            }
+            preferences.quietHours = changes.quietHours;
+        }
+
+        if (changes.timezone !== undefined) {
+            if (!this.isValidTimezone(changes.timezone)) {
+                throw new Error(`Zona horaria inválida: ${changes.timezone}`);
+            }
+            preferences.timezone = changes.timezone;
+        }
+
+        if (changes.digest !== undefined) {
+            const channels = changes.digest?.channels || [];
+            const invalid = channels.filter(channel =>
+                !messengerRegistry.isUserChannel(channel) || !messengerRegistry.supports(channel, 'sendDigest'));
+            if (invalid.length > 0) {
+                throw new Error(`Canales sin resumen diario: ${invalid.join(', ')}`);
+            }
+            preferences.digest = { channels: [...new Set(channels)] };
+        }
+
+        return this.savePreferences(userId, preferences);
+    }
+
+    /**
+     * Seguir un equipo
+     * @param {string} userId - ID del usuario
+     * @param {Object} team - {id, name}
+     * @returns {Promise<Object|null>} - Preferencias actualizadas
+     */
+    async followTeam(userId, team) {
+        const preferences = await this.getPreferences(userId);
+        if (!preferences) return null;
+
+        if (!preferences.teams.some(followed => this.isSameEntity(followed, team))) {
+            preferences.teams.push(...this.validateEntities([team], 'equipo'));
+        }
+
+        return this.savePreferences(userId, preferences);
+    }
+
+    /**
+     * Dejar de seguir un equipo
+     * @param {string} userId - ID del usuario
+     * @param {Object} team - {id, name}
+     * @returns {Promise<Object|null>} - Preferencias actualizadas
+     */
+    async unfollowTeam(userId, team) {
+        const preferences = await this.getPreferences(userId);
+        if (!preferences) return null;
+
+        preferences.teams = preferences.teams.filter(followed => !this.isSameEntity(followed, team));
+        return this.savePreferences(userId, preferences);
+    }
+
+    /**
+     * Silenciar un partido
+     * @param {string} userId - ID del usuario
+     * @param {string|number} matchId - ID del partido
+     * @returns {Promise<Object|null>} - Preferencias actualizadas
+     */
+    async muteMatch(userId, matchId) {
+        const preferences = await this.getPreferences(userId);
+        if (!preferences) return null;
+
+        const now = new Date();
+        // Descartar silenciados vencidos y duplicados
+        preferences.mutedMatches = preferences.mutedMatches.filter(muted =>
+            muted.matchId !== String(matchId) &&
+            now - new Date(muted.mutedAt) < this.config.muteDuration
+        );
+        preferences.mutedMatches.push({ matchId: String(matchId), mutedAt: now });
+
+        logger.user(userId, 'match_muted', { matchId: String(matchId) });
+        return this.savePreferences(userId, preferences);
+    }
+
+    /**
+     * Quitar silencio de un partido
+     * @param {string} userId - ID del usuario
+     * @param {string|number} matchId - ID del partido
+     * @returns {Promise<Object|null>} - Preferencias actualizadas
+     */
+    async unmuteMatch(userId, matchId) {
+        const preferences = await this.getPreferences(userId);
+        if (!preferences) return null;
+
+        preferences.mutedMatches = preferences.mutedMatches.filter(muted => muted.matchId !== String(matchId));
+        return this.savePreferences(userId, preferences);
+    }
+
+    /**
+     * Guardar preferencias
+     * @param {string} userId - ID del usuario
+     * @param {Object} preferences - Preferencias completas
+     * @returns {Promise<Object|null>} - Preferencias guardadas
+     */
+    async savePreferences(userId, preferences) {
+        const user = await userRepo.updateUser(userId, { preferences });
+        return user ? this.resolvePreferences(user) : null;
+    }
+
+    /**
+     * Decidir si una alerta debe enviarse a un usuario
+     * @param {Object} user - Usuario
+     * @param {Object} goldenMoment - Momento dorado
+     * @param {Object} entitlements - Permisos vigentes del usuario
+     * @param {Date} at - Instante de envío
+     * @returns {Object} - {allowed, reason}
+     */
+    evaluate(user, goldenMoment, entitlements, at = new Date()) {
+        const preferences = this.resolvePreferences(user);
+        const { teams, league, market, odds, prediction, matchId } = goldenMoment;
+
+        if (this.isMatchMuted(preferences, matchId, at)) {
+            return { allowed: false, reason: 'match_muted' };
+        }
+
+        // Equipos y ligas suman: basta con que el partido cumpla uno de los dos
+        if (preferences.teams.length > 0 || preferences.leagues.length > 0) {
+            const followsTeam = teams && preferences.teams.some(team =>
+                this.isSameEntity(team, teams.home) || this.isSameEntity(team, teams.away)
+            );
+            const followsLeague = league && preferences.leagues.some(followed =>
+                this.isSameEntity(followed, league)
+            );
+
+            if (!followsTeam && !followsLeague) {
+                return { allowed: false, reason: 'not_followed' };
+            }
+        }
+
+        if (preferences.markets.length > 0 && !preferences.markets.includes(market)) {
+            return { allowed: false, reason: 'market_disabled' };
+        }
+
+        if (preferences.minOdds && (!odds?.value || odds.value < preferences.minOdds)) {
+            return { allowed: false, reason: 'odds_below_minimum' };
+        }
+
+        // La confianza mínima personal solo puede endurecer el umbral del plan
+        // (las alertas steam son una señal del mercado, sin predicción)
+        const confidenceFloor = Math.max(
+            entitlements?.confidenceThreshold || 0,
+            preferences.minConfidence || 0
+        );
+        if (goldenMoment.type !== 'steam' && (prediction?.confidence || 0) < confidenceFloor) {
+            return { allowed: false, reason: 'confidence_below_minimum' };
+        }
+
+        if (this.isQuietTime(preferences, at)) {
+            return { allowed: false, reason: 'quiet_hours' };
+        }
+
+        return { allowed: true, reason: null };
+    }
+
+    /**
+     * Volver a comprobar al enviar las preferencias que dependen del momento
+     * (horario de silencio y partidos silenciados): los envíos salen con el
+     * retraso del plan, después de la evaluación hecha al detectar la alerta
+     * @param {Object} user - Usuario
+     * @param {string|number} matchId - ID del partido
+     * @param {Date} at - Instante de envío
+     * @returns {Object} - {allowed, reason}
+     */
+    evaluateAtSend(user, matchId, at = new Date()) {
+        const preferences = this.resolvePreferences(user);
+
+        if (matchId !== undefined && this.isMatchMuted(preferences, matchId, at)) {
+            return { allowed: false, reason: 'match_muted' };
+        }
+
+        if (this.isQuietTime(preferences, at)) {
+            return { allowed: false, reason: 'quiet_hours' };
+        }
+
+        return { allowed: true, reason: null };
+    }
+
+    /**
+     * Comprobar si el usuario silenció un partido (y el silencio sigue vigente)
+     * @param {Object} preferences - Preferencias resueltas
+     * @param {string|number} matchId - ID del partido
+     * @param {Date} at - Instante
+     * @returns {boolean} - true si el partido está silenciado
+     */
+    isMatchMuted(preferences, matchId, at = new Date()) {
+        return preferences.mutedMatches.some(entry =>
+            entry.matchId === String(matchId) &&
+            at - new Date(entry.mutedAt) < this.config.muteDuration
+        );
+    }
+
+    /**
+     * Comprobar si un instante cae en el horario de silencio del usuario
+     * @param {Object} preferences - Preferencias resueltas
+     * @param {Date} at - Instante
+     * @returns {boolean} - true si está en horario de silencio
+     */
+    isQuietTime(preferences, at = new Date()) {
+        if (!preferences.quietHours) return false;
+
+        const start = this.parseTime(preferences.quietHours.start);
+        const end = this.parseTime(preferences.quietHours.end);
+        if (start === null || end === null || start === end) return false;
+
+        const current = this.getLocalMinutes(at, preferences.timezone);
+
+        // El rango puede cruzar la medianoche (p. ej. 23:00-07:00)
+        return start < end
+            ? current >= start && current < end
+            : current >= start || current < end;
+    }
+
+    /**
+     * Obtener minutos desde la medianoche local en una zona horaria
+     * @param {Date} at - Instante
+     * @param {string} timezone - Zona horaria IANA
+     * @returns {number} - Minutos (0-1439)
+     */
+    getLocalMinutes(at, timezone) {
+        const parts = new Intl.DateTimeFormat('en-GB', {
+            timeZone: timezone,
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(at);
+
+        const hour = parseInt(parts.find(part => part.type === 'hour').value);
+        const minute = parseInt(parts.find(part => part.type === 'minute').value);
+        return hour * 60 + minute;
+    }
+
+    /**
+     * Convertir HH:mm a minutos
+     * @param {string} value - Hora en formato HH:mm
+     * @returns {number|null} - Minutos o null si es inválida
+     */
+    parseTime(value) {
+        const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value || '');
+        return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+    }
+
+    /**
+     * Validar zona horaria IANA
+     * @param {string} timezone - Zona horaria
+     * @returns {boolean} - true si es válida
+     */
+    isValidTimezone(timezone) {
+        try {
+            new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Validar lista de equipos o ligas
+     * @param {Array} entities - [{id, name}]
+     * @param {string} label - Nombre para el mensaje de error
+     * @returns {Array} - Entidades normalizadas
+     */
+    validateEntities(entities, label) {
+        return (entities || []).map(entity => {
+            if (!entity || (entity.id === undefined && !entity.name)) {
+                throw new Error(`Debe indicarse id o nombre de ${label}`);
+            }
+            return { id: entity.id, name: entity.name };
+        });
+    }
+
+    /**
+     * Comparar equipos o ligas por ID o, en su defecto, por nombre
+     * @param {Object} a - {id, name}
+     * @param {Object} b - {id, name}
+     * @returns {boolean} - true si son la misma entidad
+     */
+    isSameEntity(a, b) {
+        if (!a || !b) return false;
+
+        if (a.id !== undefined && a.id !== null && b.id !== undefined && b.id !== null) {
+            return Number(a.id) === Number(b.id);
+        }
+
+        return !!a.name && !!b.name && this.namesMatch(a.name, b.name);
+    }
+
+    /**
+     * Comparar nombres completos normalizados: sin tildes, signos ni
+     * abreviaturas societarias ("Club Atlético Tigre" no coincide con
+     * "Tigre", pero "AC Milan" sí con "Milan"). Solo para entidades sin ID
+     * @param {string} a - Nombre
+     * @param {string} b - Nombre
+     * @returns {boolean} - true si coinciden
+     */
+    namesMatch(a, b) {
+        const wordsA = this.getNameWords(a);
+        const wordsB = this.getNameWords(b);
+        if (wordsA.length === 0 || wordsB.length === 0) return false;
+
+        return wordsA.join(' ') === wordsB.join(' ');
+    }
+
+    /**
+     * Comprobar si un nombre contiene todas las palabras de una búsqueda
+     * ("River" encuentra "River Plate"). Sirve para ofrecer candidatos al
+     * usuario, no para decidir si dos equipos son el mismo
+     * @param {string} name - Nombre completo
+     * @param {string} query - Texto buscado
+     * @returns {boolean} - true si el nombre contiene la búsqueda
+     */
+    nameContains(name, query) {
+        const nameWords = this.getNameWords(name);
+        const queryWords = this.getNameWords(query);
+        if (nameWords.length === 0 || queryWords.length === 0) return false;
+
+        return queryWords.every(word => nameWords.includes(word));
+    }
+
+    /**
+     * Palabras significativas de un nombre de equipo o liga
+     * @param {string} name - Nombre
+     * @returns {Array<string>} - Palabras normalizadas
+     */
+    getNameWords(name) {
+        const genericWords = ['fc', 'cf', 'sc', 'ac', 'afc', 'cd', 'club'];
+
+        return this.normalizeName(name || '')
+            .replace(/[^a-z0-9\s]/g, ' ')
+            .split(/\s+/)
+            .filter(word => word && !genericWords.includes(word));
+    }
+
+    /**
+     * Normalizar nombre para comparar (sin tildes ni mayúsculas)
+     * @param {string} name - Nombre
+     * @returns {string} - Nombre normalizado
+     */
+    normalizeName(name) {
+        return name
+            .toString()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .trim();
+    }
+}
+
+module.exports = new PreferenceService();
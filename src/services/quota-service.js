@@ -0,0 +1,238 @@
+/**
+ * Servicio de Cupos de Alertas
+ * Aplica el límite diario de alertas por usuario (según plan o límite propio),
+ * con reinicio a la medianoche local del usuario
+ */
+const alertQuotaRepo = require('../db/repositories/alert-quota-repo');
+const preferenceService = require('./preference-service');
+const appConfig = require('../config/app-config');
+const logger = require('../utils/logger');
+
+class QuotaService {
+    constructor() {
+        // Qué hacer con las alertas que superan el cupo: 'drop' o 'digest'
+        this.overflowAction = appConfig.alerts.overflowAction === 'drop' ? 'drop' : 'digest';
+    }
+
+    /**
+     * Inicializar repositorio de cupos
+     */
+    async initialize() {
+        await alertQuotaRepo.initialize();
+    }
+
+    /**
+     * Comprobar si al usuario le queda cupo diario para una alerta
+     * No consume el cupo (se reserva al enviar la pre-alerta con reserve);
+     * si está agotado la alerta se descarta o se guarda para el resumen
+     * @param {Object} user - Usuario
+     * @param {Object} entitlements - Permisos vigentes (con maxAlertsPerDay)
+     * @param {Object} alert - {alertId, matchId, market}
+     * @param {Date} at - Instante de la comprobación
+     * @returns {Promise<Object>} - {allowed, action, sent, limit}
+     */
+    async check(user, entitlements, alert, at = new Date()) {
+        const userId = user.id || user._id.toString();
+        const limit = entitlements.maxAlertsPerDay;
+        const date = this.getLocalDate(at, preferenceService.resolvePreferences(user).timezone);
+
+        try {
+            const quota = await alertQuotaRepo.getQuota(userId, date);
+            const sent = this.getUsed(quota);
+
+            if (sent < limit) {
+                return { allowed: true, action: 'send', sent, limit };
+            }
+
+            return this.suppress(userId, date, entitlements, alert, sent, at);
+        } catch (error) {
+            // Ante un error de persistencia se prioriza entregar la alerta
+            logger.error(`Error comprobando cupo diario del usuario ${userId}: ${error.message}`);
+            return { allowed: true, action: 'send', sent: null, limit };
+        }
+    }
+
+    /**
+     * Reservar una plaza del cupo diario al enviar la pre-alerta
+     * La reserva es atómica: varias pre-alertas a la vez no superan el límite.
+     * Se confirma con recordSent al entregarse la alerta principal o se libera
+     * con release si no llega a entregarse
+     * @param {Object} user - Usuario
+     * @param {Object} entitlements - Permisos vigentes (con maxAlertsPerDay)
+     * @param {Object} alert - {alertId, matchId, market}
+     * @param {Date} at - Instante de la reserva
+     * @returns {Promise<Object>} - {allowed, action, sent, limit}
+     */
+    async reserve(user, entitlements, alert, at = new Date()) {
+        const userId = user.id || user._id.toString();
+        const limit = entitlements.maxAlertsPerDay;
+        const date = this.getLocalDate(at, preferenceService.resolvePreferences(user).timezone);
+
+        try {
+            const quota = limit > 0
+                ? await alertQuotaRepo.reserve(userId, date, entitlements.plan, alert.alertId, limit)
+                : null;
+            if (quota) {
+                return { allowed: true, action: 'send', sent: this.getUsed(quota), limit };
+            }
+
+            return this.suppress(userId, date, entitlements, alert, limit, at);
+        } catch (error) {
+            logger.error(`Error reservando cupo diario del usuario ${userId}: ${error.message}`);
+            return { allowed: true, action: 'send', sent: null, limit };
+        }
+    }
+
+    /**
+     * Liberar la plaza reservada por una alerta que no se entregó
+     * @param {Object} user - Usuario
+     * @param {string} alertId - ID de la alerta
+     * @param {Date} at - Instante de la liberación
+     */
+    async release(user, alertId, at = new Date()) {
+        const userId = user.id || user._id.toString();
+        const date = this.getLocalDate(at, preferenceService.resolvePreferences(user).timezone);
+
+        try {
+            await alertQuotaRepo.release(userId, date, alertId);
+        } catch (error) {
+            logger.error(`Error liberando cupo diario del usuario ${userId}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Descontar del cupo diario una alerta ya entregada (confirma su reserva)
+     * @param {Object} user - Usuario
+     * @param {string} plan - Plan con el que se envió la alerta
+     * @param {string} alertId - ID de la alerta
+     * @param {Date} at - Instante del envío
+     */
+    async recordSent(user, plan, alertId, at = new Date()) {
+        const userId = user.id || user._id.toString();
+        const date = this.getLocalDate(at, preferenceService.resolvePreferences(user).timezone);
+
+        try {
+            await alertQuotaRepo.confirmReservation(userId, date, plan, alertId);
+        } catch (error) {
+            logger.error(`Error descontando cupo diario del usuario ${userId}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Registrar una alerta que supera el cupo (descartada o para el resumen)
+     * @param {string} userId - ID del usuario
+     * @param {string} date - Fecha local
+     * @param {Object} entitlements - Permisos vigentes
+     * @param {Object} alert - {alertId, matchId, market}
+     * @param {number} sent - Cupo usado
+     * @param {Date} at - Instante de la comprobación
+     * @returns {Promise<Object>} - {allowed, action, sent, limit}
+     */
+    async suppress(userId, date, entitlements, alert, sent, at) {
+        const limit = entitlements.maxAlertsPerDay;
+        const digestItem = this.overflowAction === 'digest'
+            ? {
+                alertId: alert.alertId,
+                matchId: String(alert.matchId),
+                market: alert.market,
+                suppressedAt: at
+            }
+            : null;
+
+        await alertQuotaRepo.addSuppressed(userId, date, entitlements.plan, digestItem);
+        logger.user(userId, 'alert_suppressed', {
+            alertId: alert.alertId,
+            action: this.overflowAction,
+            limit
+        });
+
+        return { allowed: false, action: this.overflowAction, sent, limit };
+    }
+
+    // Cupo usado: alertas entregadas más reservadas
+    getUsed(quota) {
+        return quota ? (quota.sent || 0) + (quota.reservations?.length || 0) : 0;
+    }
+
+    /**
+     * Obtener uso del cupo de un usuario en el día local actual
+     * @param {Object} user - Usuario
+     * @param {Date} at - Instante de referencia
+     * @returns {Promise<Object>} - {date, sent, reserved, suppressed, digest}
+     */
+    async getUsage(user, at = new Date()) {
+        const userId = user.id || user._id.toString();
+        const date = this.getLocalDate(at, preferenceService.resolvePreferences(user).timezone);
+        const quota = await alertQuotaRepo.getQuota(userId, date);
+
+        return {
+            date,
+            sent: quota ? quota.sent : 0,
+            reserved: quota?.reservations?.length || 0,
+            suppressed: quota ? quota.suppressed : 0,
+            digest: quota ? (quota.digest || []) : []
+        };
+    }
+
+    /**
+     * Obtener alertas retenidas para el resumen en un intervalo
+     * @param {Object} user - Usuario
+     * @param {Date} from - Inicio del intervalo
+     * @param {Date} to - Fin del intervalo
+     * @returns {Promise<Array>} - Elementos del resumen {alertId, matchId, market, suppressedAt}
+     */
+    async getDigestItems(user, from, to = new Date()) {
+        const userId = user.id || user._id.toString();
+        const { timezone } = preferenceService.resolvePreferences(user);
+
+        // Días locales que abarca el intervalo
+        const dates = new Set([this.getLocalDate(to, timezone)]);
+        for (let at = from.getTime(); at < to.getTime(); at += 24 * 60 * 60 * 1000) {
+            dates.add(this.getLocalDate(new Date(at), timezone));
+        }
+
+        const items = [];
+        for (const date of dates) {
+            const quota = await alertQuotaRepo.getQuota(userId, date);
+            items.push(...(quota?.digest || []));
+        }
+
+        return items.filter(item => {
+            const suppressedAt = new Date(item.suppressedAt);
+            return suppressedAt >= from && suppressedAt <= to;
+        });
+    }
+
+    /**
+     * Obtener contadores de alertas suprimidas
+     * "Hoy" se calcula en la zona horaria por defecto
+     * @returns {Promise<Object>} - {today, total, action}
+     */
+    async getSuppressedStats() {
+        const today = this.getLocalDate(new Date(), appConfig.preferences.defaultTimezone);
+
+        return {
+            today: await alertQuotaRepo.getSuppressedCount(today),
+            total: await alertQuotaRepo.getSuppressedCount(),
+            action: this.overflowAction
+        };
+    }
+
+    /**
+     * Obtener fecha local (YYYY-MM-DD) en una zona horaria
+     * @param {Date} at - Instante
+     * @param {string} timezone - Zona horaria IANA
+     * @returns {string} - Fecha local
+     */
+    getLocalDate(at, timezone) {
+        // en-CA formatea como YYYY-MM-DD
+        return new Intl.DateTimeFormat('en-CA', {
+            timeZone: timezone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        }).format(at);
+    }
+}
+
+module.exports = new QuotaService();
@@ -0,0 +1,267 @@
+/**
+ * Servicio de Suscripciones
+ * Gestiona el ciclo de vida de los planes: pruebas, altas, renovaciones,
+ * cambios de plan, periodo de gracia y baja automática a free
+ */
+const userRepo = require('../db/repositories/user-repo');
+const appConfig = require('../config/app-config');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SubscriptionService {
+    constructor() {
+        this.config = appConfig.subscriptions;
+
+        // Orden de planes para distinguir mejoras de bajadas
+        this.planRank = {
+            free: 0,
+            insider: 1,
+            estratega: 2
+        };
+    }
+
+    /**
+     * Calcular el estado vigente de la suscripción en un instante dado
+     * (sin persistir: se usa al resolver permisos en el momento del envío)
+     * @param {Object} user - Usuario
+     * @param {Date} at - Instante de referencia
+     * @returns {string} - none, trial, active, grace o expired
+     */
+    getStatus(user, at = new Date()) {
+        const subscription = user?.subscription;
+        if (!subscription || !subscription.status || subscription.status === 'none') {
+            return 'none';
+        }
+
+        if (subscription.status === 'expired') return 'expired';
+
+        const now = at.getTime();
+        const endsAt = subscription.endsAt ? new Date(subscription.endsAt).getTime() : null;
+        if (endsAt === null || now < endsAt) {
+            return subscription.status;
+        }
+
+        // Las pruebas no tienen periodo de gracia
+        if (subscription.status === 'trial') return 'expired';
+
+        const graceEndsAt = subscription.graceEndsAt
+            ? new Date(subscription.graceEndsAt).getTime()
+            : endsAt + this.config.graceDays * DAY_MS;
+
+        return now < graceEndsAt ? 'grace' : 'expired';
+    }
+
+    /**
+     * Iniciar prueba gratuita (una sola vez por usuario)
+     * @param {string} userId - ID del usuario
+     * @param {string} plan - Plan a probar
+     * @param {number} days - Duración de la prueba
+     * @returns {Promise<Object|null>} - Usuario actualizado
+     */
+    async startTrial(userId, plan = this.config.trialPlan, days = this.config.trialDays) {
+        this.validatePaidPlan(plan);
+
+        const user = await userRepo.getUserById(userId);
+        if (!user) return null;
+
+        if (user.subscription?.trialUsed) {
+            throw new Error(`El usuario ${userId} ya utilizó su prueba gratuita`);
+        }
+
+        const status = this.getStatus(user);
+        if (status === 'active' || status === 'grace') {
+            throw new Error(`El usuario ${userId} ya tiene una suscripción vigente`);
+        }
+
+        const now = new Date();
+        return this.changePlan(user, plan, 'trial', {
+            plan,
+            status: 'trial',
+            startedAt: now,
+            endsAt: new Date(now.getTime() + days * DAY_MS),
+            graceEndsAt: null,
+            trialUsed: true
+        });
+    }
+
+    /**
+     * Contratar o renovar un plan de pago
+     * Si el plan coincide con la suscripción vigente se extiende el periodo;
+     * si es distinto, el cambio es inmediato y empieza un periodo nuevo
+     * @param {string} userId - ID del usuario
+     * @param {string} plan - Plan contratado
+     * @param {number} durationDays - Duración del periodo
+     * @returns {Promise<Object|null>} - Usuario actualizado
+     */
+    async subscribe(userId, plan, durationDays = this.config.defaultDurationDays) {
+        this.validatePaidPlan(plan);
+
+        const user = await userRepo.getUserById(userId);
+        if (!user) return null;
+
+        const now = new Date();
+        const status = this.getStatus(user, now);
+        const current = user.subscription || {};
+
+        // Renovación del mismo plan pagado: se suma al final del periodo actual
+        if (current.plan === plan && (status === 'active' || status === 'grace')) {
+            const base = status === 'active' ? new Date(current.endsAt) : now;
+
+            return this.changePlan(user, plan, 'renewal', {
+                plan,
+                status: 'active',
+                startedAt: current.startedAt,
+                endsAt: new Date(base.getTime() + durationDays * DAY_MS),
+                graceEndsAt: null,
+                trialUsed: !!current.trialUsed
+            });
+        }
+
+        const effectivePlan = ['trial', 'active', 'grace'].includes(status) ? current.plan : user.plan;
+        const reason = this.planRank[plan] >= this.planRank[effectivePlan] ? 'upgrade' : 'downgrade';
+
+        return this.changePlan(user, plan, reason, {
+            plan,
+            status: 'active',
+            startedAt: now,
+            endsAt: new Date(now.getTime() + durationDays * DAY_MS),
+            graceEndsAt: null,
+            trialUsed: !!current.trialUsed
+        });
+    }
+
+    /**
+     * Cancelar suscripción y pasar a free inmediatamente
+     * @param {string} userId - ID del usuario
+     * @returns {Promise<Object|null>} - Usuario actualizado
+     */
+    async cancel(userId) {
+        const user = await userRepo.getUserById(userId);
+        if (!user) return null;
+
+        return this.changePlan(user, 'free', 'cancellation', this.buildExpiredSubscription(user));
+    }
+
+    /**
+     * Procesar vencimientos: pasar a periodo de gracia las suscripciones
+     * vencidas y bajar a free las que agotaron la gracia o la prueba
+     * @param {Date} at - Instante de referencia
+     * @returns {Promise<Object>} - {grace, expired}
+     */
+    async processExpirations(at = new Date()) {
+        const result = { grace: 0, expired: 0 };
+
+        try {
+            const users = await userRepo.getUsersBySubscriptionStatus(['trial', 'active', 'grace']);
+
+            for (const user of users) {
+                const status = this.getStatus(user, at);
+                if (status === user.subscription.status) continue;
+
+                if (status === 'grace') {
+                    const endsAt = new Date(user.subscription.endsAt);
+                    await userRepo.updateUser(user.id || user._id.toString(), {
+                        subscription: {
+                            ...this.toPlain(user.subscription),
+                            status: 'grace',
+                            graceEndsAt: new Date(endsAt.getTime() + this.config.graceDays * DAY_MS)
+                        }
+                    });
+                    logger.user(user.id || user._id.toString(), 'subscription_grace', {
+                        plan: user.subscription.plan
+                    });
+                    result.grace++;
+                } else if (status === 'expired') {
+                    const reason = user.subscription.status === 'trial' ? 'trial_expired' : 'expiration';
+                    await this.changePlan(user, 'free', reason, this.buildExpiredSubscription(user));
+                    result.expired++;
+                }
+            }
+
+            if (result.grace > 0 || result.expired > 0) {
+                logger.info(`Suscripciones procesadas: ${result.grace} en gracia, ${result.expired} vencidas`);
+            }
+        } catch (error) {
+            logger.error(`Error procesando vencimientos de suscripciones: ${error.message}`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Cambiar el plan de un usuario registrando el cambio en su historial
+     * @param {Object} user - Usuario actual
+     * @param {string} plan - Nuevo plan
+     * @param {string} reason - Motivo (trial, upgrade, downgrade, renewal, expiration, manual...)
+     * @param {Object} subscription - Nuevo estado de la suscripción (opcional)
+     * @returns {Promise<Object|null>} - Usuario actualizado
+     */
+    async changePlan(user, plan, reason, subscription = undefined) {
+        const userId = user.id || user._id.toString();
+        const previousPlan = user.plan;
+        const history = (user.planHistory || []).map(entry => this.toPlain(entry));
+
+        history.push({
+            from: previousPlan,
+            to: plan,
+            reason,
+            changedAt: new Date()
+        });
+
+        const changes = { plan, planHistory: history };
+        if (subscription !== undefined) {
+            changes.subscription = subscription;
+        }
+
+        const updated = await userRepo.updateUser(userId, changes);
+        if (updated) {
+            logger.user(userId, 'plan_changed', { from: previousPlan, to: plan, reason });
+        }
+        return updated;
+    }
+
+    /**
+     * Construir suscripción vencida conservando si se usó la prueba
+     * @param {Object} user - Usuario
+     * @returns {Object} - Suscripción vencida
+     */
+    buildExpiredSubscription(user) {
+        return {
+            ...this.toPlain(user.subscription || {}),
+            status: 'expired',
+            graceEndsAt: null
+        };
+    }
+
+    /**
+     * Obtener historial de cambios de plan de un usuario
+     * @param {string} userId - ID del usuario
+     * @returns {Promise<Array|null>} - Historial o null si no existe el usuario
+     */
+    async getPlanHistory(userId) {
+        const user = await userRepo.getUserById(userId);
+        return user ? (user.planHistory || []) : null;
+    }
+
+    /**
+     * Validar que el plan sea de pago
+     * @param {string} plan - Plan
+     */
+    validatePaidPlan(plan) {
+        if (!this.planRank[plan]) {
+            throw new Error(`Plan de suscripción inválido: ${plan}`);
+        }
+    }
+
+    /**
+     * Convertir subdocumento de Mongoose a objeto plano
+     * @param {Object} value - Subdocumento u objeto
+     * @returns {Object} - Objeto plano
+     */
+    toPlain(value) {
+        return value && typeof value.toObject === 'function' ? value.toObject() : { ...value };
+    }
+}
+
+module.exports = new SubscriptionService();
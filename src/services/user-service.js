@@ -0,0 +1,451 @@
+/**
+ * Servicio de Usuarios
+ * Gestiona altas, bajas, planes y estado de los usuarios suscritos
+ */
+const crypto = require('crypto');
+const userRepo = require('../db/repositories/user-repo');
+const subscriptionService = require('./subscription-service');
+const telegramConfig = require('../config/app-config').telegram;
+const logger = require('../utils/logger');
+
+class UserService {
+    constructor() {
+        // Planes y estados válidos
+        this.plans = ['free', 'insider', 'estratega'];
+        this.statuses = ['active', 'paused', 'blocked'];
+        this.channels = ['whatsapp', 'telegram', 'email', 'webhook'];
+
+        // Código de país por defecto para números sin prefijo internacional
+        this.defaultCountryCode = process.env.DEFAULT_COUNTRY_CODE || '54';
+    }
+
+    /**
+     * Inicializar repositorio de usuarios
+     */
+    async initialize() {
+        await userRepo.initialize();
+    }
+
+    /**
+     * Crear un usuario
+     * @param {Object} userData - {name, phone, plan, status}
+     * @returns {Promise<Object>} - Usuario creado
+     */
+    async createUser(userData) {
+        const phone = this.normalizePhone(userData.phone);
+        if (!phone) {
+            throw new Error(`Teléfono inválido: ${userData.phone}`);
+        }
+
+        const plan = userData.plan || 'free';
+        const status = userData.status || 'active';
+        this.validatePlan(plan);
+        this.validateStatus(status);
+
+        const existing = await userRepo.getUserByPhone(phone);
+        if (existing) {
+            throw new Error(`Ya existe un usuario con el teléfono ${phone}`);
+        }
+
+        const email = userData.email ? this.normalizeEmail(userData.email) : undefined;
+        if (userData.email && !email) {
+            throw new Error(`Email inválido: ${userData.email}`);
+        }
+
+        const user = await userRepo.createUser({
+            name: userData.name,
+            phone,
+            email,
+            plan,
+            status
+        });
+
+        logger.user(user.id, 'created', { plan, status });
+        return user;
+    }
+
+    /**
+     * Obtener usuario por ID
+     * @param {string} userId - ID del usuario
+     * @returns {Promise<Object|null>} - Usuario o null
+     */
+    async getUserById(userId) {
+        return userRepo.getUserById(userId);
+    }
+
+    /**
+     * Obtener usuario por teléfono (cualquier formato)
+     * @param {string} phone - Número de teléfono
+     * @returns {Promise<Object|null>} - Usuario o null
+     */
+    async getUserByPhone(phone) {
+        const normalized = this.normalizePhone(phone);
+        if (!normalized) return null;
+
+        return userRepo.getUserByPhone(normalized);
+    }
+
+    /**
+     * Obtener usuario por chat de Telegram vinculado
+     * @param {string|number} chatId - ID del chat de Telegram
+     * @returns {Promise<Object|null>} - Usuario o null
+     */
+    async getUserByTelegramChatId(chatId) {
+        return userRepo.getUserByTelegram('chatId', String(chatId));
+    }
+
+    /**
+     * Generar enlace para vincular la cuenta de Telegram de un usuario
+     * El enlace debe llegarle por un canal que ya controla (su WhatsApp):
+     * quien abra el enlace recibirá las alertas de la cuenta
+     * @param {string} userId - ID del usuario
+     * @returns {Promise<Object|null>} - {code, url, expiresAt} o null si el usuario no existe o ya tiene Telegram vinculado
+     */
+    async createTelegramLink(userId) {
+        const user = await userRepo.getUserById(userId);
+        if (!user || user.telegram?.chatId) return null;
+
+        const code = crypto.randomBytes(12).toString('hex');
+        const expiresAt = new Date(Date.now() + telegramConfig.linkCodeTtl);
+        await userRepo.updateUser(userId, {
+            telegram: { ...this.toPlain(user.telegram), linkCode: code, linkCodeExpiresAt: expiresAt }
+        });
+
+        return {
+            code,
+            url: telegramConfig.botUsername ? `https://t.me/${telegramConfig.botUsername}?start=${code}` : null,
+            expiresAt
+        };
+    }
+
+    /**
+     * Desvincular la cuenta de Telegram de un usuario
+     * @param {string} userId - ID del usuario
+     * @returns {Promise<Object|null>} - Usuario actualizado o null si no tenía Telegram vinculado
+     */
+    async unlinkTelegram(userId) {
+        const user = await userRepo.getUserById(userId);
+        if (!user?.telegram?.chatId) return null;
+
+        const updated = await userRepo.updateUser(userId, { telegram: {} });
+        logger.user(userId, 'telegram_unlinked', { username: user.telegram.username });
+        return updated;
+    }
+
+    /**
+     * Generar un token de API nuevo para el usuario (invalida el anterior)
+     * El token solo se devuelve en este momento: se guarda su hash
+     * @param {string} userId - ID del usuario
+     * @returns {Promise<Object|null>} - {token, createdAt} o null si no existe
+     */
+    async createApiToken(userId) {
+        const user = await userRepo.getUserById(userId);
+        if (!user) return null;
+
+        const token = `glz_${crypto.randomBytes(24).toString('hex')}`;
+        const createdAt = new Date();
+        await userRepo.updateUser(userId, {
+            api: { tokenHash: this.hashApiToken(token), createdAt }
+        });
+
+        logger.user(userId, 'api_token_created');
+        return { token, createdAt };
+    }
+
+    /**
+     * Obtener usuario dueño de un token de API
+     * @param {string} token - Token de API
+     * @returns {Promise<Object|null>} - Usuario o null si el token no es válido
+     */
+    async getUserByApiToken(token) {
+        if (!token) return null;
+        return userRepo.getUserByApiTokenHash(this.hashApiToken(token));
+    }
+
+    // Hash del token de API (sha256 en hexadecimal)
+    hashApiToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    /**
+     * Vincular un chat de Telegram con el usuario dueño del código
+     * Nunca reemplaza un chat ya vinculado: para cambiar de cuenta de
+     * Telegram el usuario debe desvincular la anterior
+     * @param {string} code - Código del enlace (/start <code>)
+     * @param {string|number} chatId - ID del chat de Telegram
+     * @param {string} username - Usuario de Telegram
+     * @returns {Promise<Object>} - {user, reason}: user null si no se vinculó
+     *   (reason: invalid_code, expired_code, already_linked, chat_in_use)
+     */
+    async linkTelegram(code, chatId, username = null) {
+        if (!code) return { user: null, reason: 'invalid_code' };
+
+        const user = await userRepo.getUserByTelegram('linkCode', code);
+        if (!user) return { user: null, reason: 'invalid_code' };
+
+        const userId = user.id || user._id.toString();
+        if (user.telegram.chatId) {
+            return { user: null, reason: 'already_linked' };
+        }
+        if (!user.telegram.linkCodeExpiresAt || new Date(user.telegram.linkCodeExpiresAt) < new Date()) {
+            return { user: null, reason: 'expired_code' };
+        }
+
+        // Un chat recibe las alertas de una sola cuenta
+        const owner = await userRepo.getUserByTelegram('chatId', String(chatId));
+        if (owner) {
+            return { user: null, reason: 'chat_in_use' };
+        }
+
+        const updated = await userRepo.updateUser(userId, {
+            telegram: {
+                chatId: String(chatId),
+                username,
+                linkCode: null,
+                linkCodeExpiresAt: null,
+                linkedAt: new Date()
+            }
+        });
+
+        logger.user(userId, 'telegram_linked', { username });
+        return { user: updated, reason: null };
+    }
+
+    /**
+     * Convertir subdocumento a objeto plano
+     * @param {Object} value - Subdocumento de Mongoose u objeto
+     * @returns {Object} - Objeto plano
+     */
+    toPlain(value) {
+        if (!value) return {};
+        return typeof value.toObject === 'function' ? value.toObject() : { ...value };
+    }
+
+    /**
+     * Listar usuarios con filtros simples
+     * @param {Object} filters - {plan, status}
+     * @returns {Promise<Array>} - Usuarios
+     */
+    async getUsers(filters = {}) {
+        const query = {};
+        if (filters.plan) query.plan = filters.plan;
+        if (filters.status) query.status = filters.status;
+
+        return userRepo.getUsers(query);
+    }
+
+    /**
+     * Obtener usuarios activos de un plan
+     * @param {string} plan - Plan de usuario
+     * @returns {Promise<Array>} - Usuarios activos del plan
+     */
+    async getUsersByPlan(plan) {
+        try {
+            return await userRepo.getUsers({ plan, status: 'active' });
+        } catch (error) {
+            logger.error(`Error obteniendo usuarios del plan ${plan}: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Obtener plan de un usuario
+     * @param {string} userId - ID del usuario
+     * @returns {Promise<string>} - Plan (free si no existe)
+     */
+    async getUserPlan(userId) {
+        const user = await userRepo.getUserById(userId);
+        return user ? user.plan : 'free';
+    }
+
+    /**
+     * Actualizar datos de un usuario
+     * @param {string} userId - ID del usuario
+     * @param {Object} changes - Campos a modificar (name, phone, plan, status, dailyAlertLimit)
+     * @returns {Promise<Object|null>} - Usuario actualizado o null
+     */
+    async updateUser(userId, changes) {
+        const update = {};
+
+        if (changes.name !== undefined) {
+            update.name = changes.name;
+        }
+
+        if (changes.phone !== undefined) {
+            const phone = this.normalizePhone(changes.phone);
+            if (!phone) {
+                throw new Error(`Teléfono inválido: ${changes.phone}`);
+            }
+
+            const existing = await userRepo.getUserByPhone(phone);
+            if (existing && existing.id !== userId) {
+                throw new Error(`Ya existe un usuario con el teléfono ${phone}`);
+            }
+            update.phone = phone;
+        }
+
+        if (changes.email !== undefined) {
+            const email = changes.email ? this.normalizeEmail(changes.email) : null;
+            if (changes.email && !email) {
+                throw new Error(`Email inválido: ${changes.email}`);
+            }
+            update.email = email;
+        }
+
+        if (changes.plan !== undefined) {
+            this.validatePlan(changes.plan);
+        }
+
+        if (changes.status !== undefined) {
+            this.validateStatus(changes.status);
+            update.status = changes.status;
+        }
+
+        if (changes.dailyAlertLimit !== undefined) {
+            if (changes.dailyAlertLimit !== null &&
+                !(Number.isInteger(changes.dailyAlertLimit) && changes.dailyAlertLimit >= 0)) {
+                throw new Error(`Límite diario inválido: ${changes.dailyAlertLimit}`);
+            }
+            update.dailyAlertLimit = changes.dailyAlertLimit;
+        }
+
+        if (changes.channels !== undefined) {
+            const { preferred = null, fallbacks = [] } = changes.channels || {};
+            [preferred, ...fallbacks].filter(Boolean).forEach(channel => this.validateChannel(channel));
+            update.channels = { preferred, fallbacks };
+        }
+
+        if (changes.webhook !== undefined) {
+            if (changes.webhook && !/^https:\/\/[^/?#]+/.test(changes.webhook.url || '')) {
+                throw new Error(`URL de webhook inválida (se requiere https): ${changes.webhook.url}`);
+            }
+            update.webhook = changes.webhook;
+        }
+
+        const user = await userRepo.updateUser(userId, update);
+
+        // Los cambios de plan quedan registrados en el historial
+        if (user && changes.plan !== undefined && changes.plan !== user.plan) {
+            return this.assignPlan(userId, changes.plan);
+        }
+
+        return user;
+    }
+
+    /**
+     * Asignar plan a un usuario
+     * @param {string} userId - ID del usuario
+     * @param {string} plan - Nuevo plan
+     * @returns {Promise<Object|null>} - Usuario actualizado
+     */
+    async assignPlan(userId, plan) {
+        this.validatePlan(plan);
+
+        const user = await userRepo.getUserById(userId);
+        if (!user) return null;
+
+        return subscriptionService.changePlan(user, plan, 'manual');
+    }
+
+    /**
+     * Cambiar estado de un usuario
+     * @param {string} userId - ID del usuario
+     * @param {string} status - Nuevo estado (active, paused, blocked)
+     * @returns {Promise<Object|null>} - Usuario actualizado
+     */
+    async setStatus(userId, status) {
+        this.validateStatus(status);
+
+        const user = await userRepo.updateUser(userId, { status });
+        if (user) {
+            logger.user(userId, 'status_changed', { status });
+        }
+        return user;
+    }
+
+    /**
+     * Eliminar un usuario
+     * @param {string} userId - ID del usuario
+     * @returns {Promise<boolean>} - true si se eliminó
+     */
+    async deleteUser(userId) {
+        const deleted = await userRepo.deleteUser(userId);
+        if (deleted) {
+            logger.user(userId, 'deleted');
+        }
+        return deleted;
+    }
+
+    /**
+     * Normalizar número de teléfono a formato E.164
+     * @param {string} phone - Número en cualquier formato
+     * @returns {string|null} - Número E.164 (+549...) o null si es inválido
+     */
+    normalizePhone(phone) {
+        if (!phone) return null;
+
+        const raw = phone.toString().trim();
+        let digits = raw.replace(/\D/g, '');
+
+        if (raw.startsWith('+')) {
+            // Ya incluye prefijo internacional
+        } else if (digits.startsWith('00')) {
+            // Prefijo internacional con 00
+            digits = digits.slice(2);
+        } else if (digits.startsWith(this.defaultCountryCode) && digits.length > 10) {
+            // Código de país sin '+'
+        } else {
+            // Número nacional: quitar 0 de larga distancia y añadir código de país
+            digits = this.defaultCountryCode + digits.replace(/^0/, '');
+        }
+
+        // E.164: máximo 15 dígitos, sin 0 inicial
+        if (!/^[1-9]\d{7,14}$/.test(digits)) {
+            return null;
+        }
+
+        return `+${digits}`;
+    }
+
+    /**
+     * Normalizar email (minúsculas, sin espacios)
+     * @param {string} email - Email
+     * @returns {string|null} - Email normalizado o null si es inválido
+     */
+    normalizeEmail(email) {
+        const normalized = String(email).trim().toLowerCase();
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized) ? normalized : null;
+    }
+
+    /**
+     * Validar plan
+     * @param {string} plan - Plan a validar
+     */
+    validatePlan(plan) {
+        if (!this.plans.includes(plan)) {
+            throw new Error(`Plan inválido: ${plan}`);
+        }
+    }
+
+    /**
+     * Validar estado
+     * @param {string} status - Estado a validar
+     */
+    validateStatus(status) {
+        if (!this.statuses.includes(status)) {
+            throw new Error(`Estado inválido: ${status}`);
+        }
+    }
+
+    /**
+     * Validar canal de mensajería
+     * @param {string} channel - Canal a validar
+     */
+    validateChannel(channel) {
+        if (!this.channels.includes(channel)) {
+            throw new Error(`Canal inválido: ${channel}`);
+        }
+    }
+}
+
+module.exports = new UserService();